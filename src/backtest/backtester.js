@@ -0,0 +1,408 @@
+import { logger } from '../utils/logger.js';
+import {
+    resolveLeverage, planEntries, computeTpSplit, tpLadderSize,
+} from '../engine/tradePlan.js';
+import { roundPrice, roundSize, checkMinSize } from '../exchange/instruments.js';
+import { parseTimestamp } from './candleStore.js';
+
+/**
+ * Replays logged signals against stored candles using the same planning rules
+ * as OrderEngine (leverage source, slippage → market fallback, zone ladder,
+ * sizing mode, stop source, contract rounding, TP split, auto DCA, trailing
+ * ratchet).
+ *
+ * Simulation model, per signal:
+ *   - The reference market price is the open of the first candle at or after
+ *     the signal time; market entries fill there.
+ *   - Limit entries (and auto DCA levels) fill when a candle trades through
+ *     them, at the better of the limit and the open. Unfilled entries are
+ *     cancelled after `entryTimeoutBars`.
+ *   - Every filled entry leg gets its own reduce-only TP ladder; the stop is
+ *     shared by the whole position (DCA fills included). Once the position
+ *     is flat, entries that have not filled yet are cancelled.
+ *   - Within a candle the stop is checked before the TPs (pessimistic), and
+ *     gaps through a stop or TP fill at the open. The trailing stop ratchets
+ *     on each candle's extreme and takes effect from the next candle.
+ *   - Fees are charged on every fill at `feeRate` × notional.
+ *   - A signal is skipped while an earlier simulated position on the same
+ *     instrument is still open, like the live "Already in position" check.
+ * Caller edits (TP hits, mirror close) are not replayed.
+ */
+
+/**
+ * Convert a signal_log row into the parsed-signal shape the engine works with.
+ * @param {object} row
+ * @returns {object}
+ */
+export function signalFromLogRow(row) {
+    return {
+        signalId: row.signal_id,
+        messageId: row.message_id,
+        channelId: row.channel_id,
+        traderName: row.trader_name,
+        ticker: row.ticker,
+        instId: `${row.ticker}-USDT`,
+        side: row.side,
+        entryPrice: row.entry_price,
+        entryLow: row.entry_low,
+        entryHigh: row.entry_high,
+        leverage: row.leverage,
+        stopLoss: row.stop_loss,
+        tpLevels: row.tp_levels ? JSON.parse(row.tp_levels) : [],
+        dcaLevels: row.dca_levels ? JSON.parse(row.dca_levels) : [],
+        time: parseTimestamp(row.created_at),
+    };
+}
+
+/**
+ * Run a backtest.
+ * @param {object} params
+ * @param {object[]} params.signals - signal_log rows, oldest first
+ * @param {(instId: string, fromTs: number) => object[]} params.loadCandles - Candles { ts, open, high, low, close } from fromTs, oldest first
+ * @param {object} params.prefs - Preferences (getPreferences() shape)
+ * @param {(prefs: object, traderName: string, channelId: string) => object} [params.traderPrefs] - Per-trader/channel overrides (e.g. applyTraderProfile)
+ * @param {Map<string, import('../exchange/instruments.js').Instrument>} [params.instruments]
+ * @param {number} [params.startingEquity=1000]
+ * @param {number} [params.feeRate=0.0006] - Taker fee per fill
+ * @param {number} [params.entryTimeoutBars=1440] - Cancel unfilled entries after this many candles
+ * @param {number} [params.maxBars=0] - Market-close a position after this many candles (0 = hold until exit or end of data)
+ * @returns {{ trades: object[], skipped: object[], equityCurve: object[], stats: object }}
+ */
+export function runBacktest({
+    signals, loadCandles, prefs, traderPrefs = (p) => p, instruments = new Map(),
+    startingEquity = 1000, feeRate = 0.0006, entryTimeoutBars = 1440, maxBars = 0,
+}) {
+    const trades = [];
+    const skipped = [];
+
+    for (const row of signals) {
+        const signal = signalFromLogRow(row);
+        const skip = (reason) => skipped.push({
+            signalId: signal.signalId, traderName: signal.traderName, instId: signal.instId,
+            side: signal.side, signalTime: signal.time, reason,
+        });
+
+        if (!signal.time) { skip('Unreadable signal time'); continue; }
+
+        const open = trades.find(t => t.instId === signal.instId && t.entryTime <= signal.time && t.exitTime > signal.time);
+        if (open) { skip(`Already in position (${open.signalId})`); continue; }
+
+        const candles = loadCandles(signal.instId, signal.time);
+        if (!candles.length) { skip('No candle data after signal time'); continue; }
+
+        const equity = startingEquity + trades
+            .filter(t => t.exitTime <= signal.time)
+            .reduce((sum, t) => sum + t.pnl, 0);
+
+        const result = simulateSignal(signal, candles, {
+            prefs: traderPrefs(prefs, signal.traderName, signal.channelId), instrument: instruments.get(signal.instId), equity, feeRate, entryTimeoutBars, maxBars,
+        });
+        if (result.skipped) skip(result.skipped);
+        else trades.push(result.trade);
+    }
+
+    const equityCurve = buildEquityCurve(trades, startingEquity);
+    const stats = {
+        overall: summarize(trades, startingEquity),
+        byTrader: groupStats(trades, t => t.traderName || 'unknown'),
+        byInstrument: groupStats(trades, t => t.instId),
+        skipped: skipped.length,
+    };
+
+    logger.info('Backtest', `Replayed ${signals.length} signals: ${trades.length} trades, ${skipped.length} skipped, P&L $${stats.overall.totalPnl.toFixed(2)}`);
+    return { trades, skipped, equityCurve, stats };
+}
+
+// ============================================================
+// Simulation
+// ============================================================
+
+/**
+ * Plan and simulate one signal against the candles from its signal time on.
+ * @param {object} signal - Parsed-signal shape (see signalFromLogRow)
+ * @param {object[]} candles - { ts, open, high, low, close }, oldest first
+ * @param {object} options - prefs, instrument, equity, feeRate, entryTimeoutBars, maxBars (as runBacktest)
+ * @returns {{ trade?: object, skipped?: string }}
+ */
+export function simulateSignal(signal, candles, { prefs, instrument, equity, feeRate, entryTimeoutBars, maxBars }) {
+    const isLong = signal.side === 'long';
+    const dir = isLong ? 1 : -1;
+    const contractValue = instrument?.contractValue || 1;
+    const marketPrice = candles[0].open;
+
+    // --- Plan, as OrderEngine.executeSignal ---
+    const leverage = resolveLeverage(signal, prefs, instrument);
+    const plan = planEntries({ signal, prefs, instrument, equity, marketPrice, leverage });
+    if (plan.error) return { skipped: plan.error };
+    const { orderType, sizing, stopSource } = plan;
+    if (equity < sizing.margin) return { skipped: `Insufficient balance: $${equity.toFixed(2)} < $${sizing.margin.toFixed(2)} margin` };
+
+    /** @type {{ label: string, price: number|null, size: number, isDca?: boolean, filled?: boolean }[]} */
+    const entries = plan.entries.map(e => ({ ...e, price: orderType === 'market' ? null : e.price }));
+    for (const dca of plan.dcaOrders) {
+        if (!dca.skipped) entries.push({ label: `DCA${dca.level}`, price: dca.price, size: dca.size, isDca: true });
+    }
+
+    const stopPrice = roundPrice(instrument, plan.stopPrice);
+    const trail = {
+        enabled: prefs.trailingEnabled,
+        activationPercent: prefs.trailingActivationPercent,
+        stepPercent: prefs.trailingStepPercent,
+        distancePercent: prefs.trailingStopVariance,
+        activated: false,
+        bestPrice: null,
+    };
+
+    // --- Walk the candles ---
+    const fills = [];
+    const exits = [];
+    const tpOrders = [];
+    let openSize = 0;
+    let stop = stopPrice;
+    let entryTime = null;
+    let entryIndex = null;
+    let fees = 0;
+    let exitReason = null;
+
+    const fill = (list, label, price, size, ts) => {
+        list.push({ label, price, size, time: ts });
+        fees += price * size * contractValue * feeRate;
+    };
+    const avgEntry = () => weightedPrice(fills);
+    const closeAll = (label, price, ts) => {
+        if (openSize > 0) fill(exits, label, price, openSize, ts);
+        openSize = 0;
+    };
+
+    for (const [i, candle] of candles.entries()) {
+        // 1. Entry fills
+        for (const entry of entries) {
+            if (entry.filled) continue;
+            if (entry.price === null) {
+                entry.price = candle.open;
+            } else if (isLong ? candle.low > entry.price : candle.high < entry.price) {
+                continue;
+            }
+            const price = entry.price === candle.open ? candle.open
+                : isLong ? Math.min(candle.open, entry.price) : Math.max(candle.open, entry.price);
+            entry.filled = true;
+            fill(fills, entry.label, price, entry.size, candle.ts);
+            openSize += entry.size;
+            entryTime ??= candle.ts;
+            entryIndex ??= i;
+            if (!entry.isDca && prefs.useTpLadder) addTpLadder(tpOrders, signal, prefs, instrument, price, entry.size, isLong);
+        }
+
+        if (!fills.length) {
+            if (i + 1 >= entryTimeoutBars) break;
+            continue;
+        }
+
+        // 2. Stop (checked first: pessimistic when a candle spans both)
+        if (isLong ? candle.low <= stop : candle.high >= stop) {
+            closeAll(stop === stopPrice ? 'Stop' : 'Trailed stop', isLong ? Math.min(candle.open, stop) : Math.max(candle.open, stop), candle.ts);
+            exitReason = stop === stopPrice ? 'stop' : 'trailing_stop';
+            break;
+        }
+
+        // 3. Take profits
+        for (const tp of tpOrders) {
+            if (tp.filled || (isLong ? candle.high < tp.price : candle.low > tp.price)) continue;
+            tp.filled = true;
+            const size = Math.min(tp.size, openSize);
+            if (size <= 0) continue;
+            fill(exits, `TP${tp.level}`, isLong ? Math.max(candle.open, tp.price) : Math.min(candle.open, tp.price), size, candle.ts);
+            openSize = roundSize(instrument, openSize - size);
+        }
+        if (openSize <= 0) {
+            exitReason = 'take_profit';
+            break;
+        }
+
+        // 4. Time limit
+        if (maxBars > 0 && i - entryIndex + 1 >= maxBars) {
+            closeAll('Timeout', candle.close, candle.ts);
+            exitReason = 'timeout';
+            break;
+        }
+
+        // 5. Trailing ratchet (effective from the next candle)
+        if (trail.enabled) stop = ratchet(trail, stop, avgEntry(), isLong ? candle.high : candle.low, isLong, instrument);
+    }
+
+    if (!fills.length) return { skipped: `Entry not filled within ${Math.min(entryTimeoutBars, candles.length)} candles` };
+
+    if (!exitReason) {
+        const last = candles[candles.length - 1];
+        closeAll('End of data', last.close, last.ts);
+        exitReason = 'end_of_data';
+    }
+
+    const entryAvg = avgEntry();
+    const exitAvg = weightedPrice(exits);
+    const contracts = fills.reduce((s, f) => s + f.size, 0);
+    const gross = exits.reduce((s, e) => s + (e.price - entryAvg) * dir * e.size * contractValue, 0);
+    const pnl = gross - fees;
+
+    return {
+        trade: {
+            signalId: signal.signalId,
+            traderName: signal.traderName,
+            instId: signal.instId,
+            side: signal.side,
+            orderType,
+            leverage,
+            sizingMode: sizing.mode,
+            margin: sizing.margin,
+            notional: entryAvg * contracts * contractValue,
+            signalTime: signal.time,
+            entryTime,
+            exitTime: exits[exits.length - 1].time,
+            entryPrice: entryAvg,
+            exitPrice: exitAvg,
+            contracts,
+            stopPrice,
+            stopSource,
+            finalStop: stop,
+            fills,
+            exits,
+            fees,
+            pnl,
+            pnlPercent: sizing.margin > 0 ? pnl / sizing.margin * 100 : 0,
+            exitReason,
+        },
+    };
+}
+
+/** Add one entry leg's TP ladder, as OrderEngine._placeTpLadder. Same-level exits are merged. */
+function addTpLadder(tpOrders, signal, prefs, instrument, entryPrice, size, isLong) {
+    const levels = signal.tpLevels
+        .filter(tp => !tp.hit && (isLong ? tp.price > entryPrice : tp.price < entryPrice))
+        .sort((a, b) => a.level - b.level);
+    if (levels.length === 0) return;
+
+    const split = computeTpSplit(prefs.tpSplitMode, levels.length, prefs.tpSplitCustom);
+    const ladder = levels.map((tp, i) => ({ tp, fraction: split[i] })).filter(l => l.fraction > 0);
+    let remaining = tpLadderSize(instrument, size, split);
+
+    for (const [i, { tp, fraction }] of ladder.entries()) {
+        const isLast = i === ladder.length - 1;
+        const tpSize = roundSize(instrument, isLast ? remaining : size * fraction);
+        if (!checkMinSize(instrument, tpSize).valid) continue;
+        remaining = roundSize(instrument, remaining - tpSize);
+
+        const price = roundPrice(instrument, tp.price);
+        const existing = tpOrders.find(o => o.level === tp.level && o.price === price && !o.filled);
+        if (existing) existing.size += tpSize;
+        else tpOrders.push({ level: tp.level, price, size: tpSize, filled: false });
+    }
+}
+
+/** One TrailingStopManager._evaluate step on a candle extreme. Returns the (possibly moved) stop. */
+function ratchet(trail, stop, entryPrice, extreme, isLong, instrument) {
+    const { activationPercent, stepPercent, distancePercent } = trail;
+    trail.bestPrice = trail.bestPrice === null ? extreme
+        : isLong ? Math.max(trail.bestPrice, extreme) : Math.min(trail.bestPrice, extreme);
+
+    if (!trail.activated) {
+        const activationPrice = isLong
+            ? entryPrice * (1 + activationPercent / 100)
+            : entryPrice * (1 - activationPercent / 100);
+        if (isLong ? trail.bestPrice < activationPrice : trail.bestPrice > activationPrice) return stop;
+        trail.activated = true;
+    }
+
+    const candidate = isLong
+        ? trail.bestPrice * (1 - distancePercent / 100)
+        : trail.bestPrice * (1 + distancePercent / 100);
+    const threshold = isLong
+        ? stop * (1 + stepPercent / 100)
+        : stop * (1 - stepPercent / 100);
+
+    return (isLong ? candidate >= threshold : candidate <= threshold) ? roundPrice(instrument, candidate) : stop;
+}
+
+function weightedPrice(fills) {
+    const size = fills.reduce((s, f) => s + f.size, 0);
+    return size > 0 ? fills.reduce((s, f) => s + f.price * f.size, 0) / size : 0;
+}
+
+// ============================================================
+// Results
+// ============================================================
+
+/**
+ * Account equity after each closed trade, in exit order.
+ * @returns {{ time: number|null, equity: number, signalId: string|null }[]}
+ */
+function buildEquityCurve(trades, startingEquity) {
+    const curve = [{ time: null, equity: startingEquity, signalId: null }];
+    let equity = startingEquity;
+    for (const t of [...trades].sort((a, b) => a.exitTime - b.exitTime)) {
+        equity += t.pnl;
+        curve.push({ time: t.exitTime, equity, signalId: t.signalId });
+    }
+    return curve;
+}
+
+/**
+ * Summary stats for a set of trades. Drawdown is measured on cumulative P&L in exit order.
+ * `profitFactor` is gross win / gross loss: null when there are wins but no
+ * losses (unbounded; kept JSON-safe), 0 when there are neither.
+ * @param {object[]} trades
+ * @param {number} [startingEquity] - When given, adds ending equity and % figures
+ * @returns {object}
+ */
+export function summarize(trades, startingEquity) {
+    const pnls = [...trades].sort((a, b) => a.exitTime - b.exitTime).map(t => t.pnl);
+    const wins = pnls.filter(p => p > 0);
+    const losses = pnls.filter(p => p <= 0);
+    const grossWin = wins.reduce((s, p) => s + p, 0);
+    const grossLoss = -losses.reduce((s, p) => s + p, 0);
+    const totalPnl = grossWin - grossLoss;
+
+    let peak = startingEquity || 0;
+    let equity = startingEquity || 0;
+    let maxDrawdown = 0;
+    let maxDrawdownPercent = 0;
+    for (const p of pnls) {
+        equity += p;
+        peak = Math.max(peak, equity);
+        if (peak - equity > maxDrawdown) {
+            maxDrawdown = peak - equity;
+            maxDrawdownPercent = peak > 0 ? maxDrawdown / peak * 100 : 0;
+        }
+    }
+
+    const stats = {
+        trades: pnls.length,
+        wins: wins.length,
+        losses: losses.length,
+        winRate: pnls.length ? wins.length / pnls.length * 100 : 0,
+        totalPnl,
+        avgPnl: pnls.length ? totalPnl / pnls.length : 0,
+        best: pnls.length ? Math.max(...pnls) : 0,
+        worst: pnls.length ? Math.min(...pnls) : 0,
+        profitFactor: grossLoss > 0 ? grossWin / grossLoss : (grossWin > 0 ? null : 0),
+        maxDrawdown,
+    };
+    if (startingEquity !== undefined) {
+        Object.assign(stats, {
+            startingEquity,
+            endingEquity: startingEquity + totalPnl,
+            returnPercent: startingEquity > 0 ? totalPnl / startingEquity * 100 : 0,
+            maxDrawdownPercent,
+        });
+    }
+    return stats;
+}
+
+function groupStats(trades, keyOf) {
+    const groups = new Map();
+    for (const t of trades) {
+        const key = keyOf(t);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(t);
+    }
+    return Object.fromEntries([...groups].map(([key, list]) => [key, summarize(list)]));
+}
@@ -0,0 +1,157 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { simulateSignal, runBacktest, summarize } from './backtester.js';
+import { normalizeInstrument } from '../exchange/instruments.js';
+
+const SOL = normalizeInstrument({ instId: 'SOL-USDT', contractValue: '1', lotSize: '1', minSize: '1', tickSize: '0.01', maxLeverage: '50' });
+
+const PREFS = {
+    leverage: 10,
+    leverageSource: 'prefs',
+    orderType: 'market',
+    slippagePercent: 1,
+    zoneEntryOrders: 1,
+    sizingMode: 'fixed',
+    orderAmount: 100,
+    stopLossSource: 'signal',
+    trailingStopVariance: 5,
+    useTpLadder: true,
+    tpSplitMode: 'equal',
+    tpSplitCustom: null,
+    useDca: false,
+    dcaMode: 'display',
+    trailingEnabled: false,
+};
+
+const OPTIONS = { prefs: PREFS, instrument: SOL, equity: 1000, feeRate: 0.001, entryTimeoutBars: 1440, maxBars: 0 };
+
+const candle = (ts, open, high, low, close) => ({ ts, open, high, low, close });
+const round = (n) => Math.round(n * 1e6) / 1e6;
+
+function signal(overrides = {}) {
+    return {
+        signalId: 's1', traderName: 'Desk', instId: 'SOL-USDT', side: 'long',
+        entryPrice: 100, stopLoss: 95, tpLevels: [{ level: 1, price: 110 }], dcaLevels: [], time: 0,
+        ...overrides,
+    };
+}
+
+describe('simulateSignal', () => {
+    test('checks the stop first when one candle spans both the stop and a TP', () => {
+        const { trade } = simulateSignal(signal(), [candle(1, 100, 111, 94, 100)], OPTIONS);
+        assert.equal(trade.exitReason, 'stop');
+        assert.deepEqual(trade.exits, [{ label: 'Stop', price: 95, size: 10, time: 1 }]);
+    });
+
+    test('accounts P&L as gross move minus fees on every fill', () => {
+        // $100 margin × 10x at 100 = 10 contracts; stop at 95
+        const { trade } = simulateSignal(signal(), [candle(1, 100, 111, 94, 100)], OPTIONS);
+        assert.equal(trade.contracts, 10);
+        assert.equal(round(trade.fees), 1.95);
+        assert.equal(round(trade.pnl), -51.95);
+        assert.equal(round(trade.pnlPercent), -51.95);
+    });
+
+    test('takes profit on a later candle', () => {
+        const { trade } = simulateSignal(signal(), [candle(1, 100, 101, 99, 100), candle(2, 100, 111, 99, 110)], OPTIONS);
+        assert.equal(trade.exitReason, 'take_profit');
+        assert.equal(trade.exitPrice, 110);
+        assert.equal(trade.exitTime, 2);
+        assert.equal(round(trade.pnl), 100 - 2.1);
+    });
+
+    test('fills a stop gapped through at the open', () => {
+        const { trade } = simulateSignal(signal(), [candle(1, 100, 101, 99, 100), candle(2, 90, 92, 88, 91)], OPTIONS);
+        assert.equal(trade.exitReason, 'stop');
+        assert.equal(trade.exitPrice, 90);
+    });
+
+    test('splits a short across its TP ladder', () => {
+        const short = signal({ side: 'short', stopLoss: 105, tpLevels: [{ level: 1, price: 95 }, { level: 2, price: 90 }] });
+        const { trade } = simulateSignal(short, [candle(1, 100, 101, 94, 96), candle(2, 96, 96, 89, 90)], OPTIONS);
+        assert.deepEqual(trade.exits.map(e => [e.label, e.price, e.size]), [['TP1', 95, 5], ['TP2', 90, 5]]);
+        assert.equal(round(trade.pnl), 75 - 1.925);
+    });
+
+    test('rounds TP legs down to the lot and leaves the remainder to the last', () => {
+        const tpLevels = [{ level: 1, price: 102 }, { level: 2, price: 104 }, { level: 3, price: 106 }];
+        const { trade } = simulateSignal(signal({ tpLevels }), [candle(1, 100, 107, 99, 106)], OPTIONS);
+        assert.deepEqual(trade.exits.map(e => [e.label, e.size]), [['TP1', 3], ['TP2', 3], ['TP3', 4]]);
+
+        const prefs = { ...PREFS, tpSplitMode: 'custom', tpSplitCustom: '70,30,0' };
+        const custom = simulateSignal(signal({ tpLevels }), [candle(1, 100, 107, 99, 106)], { ...OPTIONS, prefs });
+        assert.deepEqual(custom.trade.exits.map(e => [e.label, e.size]), [['TP1', 7], ['TP2', 3]]);
+    });
+
+    test('leaves what a custom split does not cover open', () => {
+        const tpLevels = [{ level: 1, price: 102 }, { level: 2, price: 104 }, { level: 3, price: 106 }];
+        const prefs = { ...PREFS, tpSplitMode: 'custom', tpSplitCustom: '50,30' };
+        const { trade } = simulateSignal(signal({ tpLevels }), [candle(1, 100, 107, 99, 106)], { ...OPTIONS, prefs });
+        assert.deepEqual(trade.exits.map(e => [e.label, e.size]), [['TP1', 5], ['TP2', 3], ['End of data', 2]]);
+    });
+
+    test('rests a limit entry until a candle trades through it', () => {
+        const prefs = { ...PREFS, orderType: 'limit' };
+        const candles = [candle(1, 100.5, 102, 100.5, 101), candle(2, 100.5, 101, 99, 100), candle(3, 100, 104, 99, 103)];
+        const { trade } = simulateSignal(signal(), candles, { ...OPTIONS, prefs });
+        assert.equal(trade.orderType, 'limit');
+        assert.equal(trade.entryTime, 2);
+        assert.equal(trade.entryPrice, 100);
+        assert.equal(trade.exitReason, 'end_of_data');
+        assert.equal(trade.exitPrice, 103);
+    });
+
+    test('cancels a limit entry that never fills', () => {
+        const prefs = { ...PREFS, orderType: 'limit' };
+        const candles = [candle(1, 100.5, 102, 100.5, 101), candle(2, 101, 102, 100.2, 101), candle(3, 99, 99, 98, 98)];
+        assert.deepEqual(simulateSignal(signal(), candles, { ...OPTIONS, prefs, entryTimeoutBars: 2 }), {
+            skipped: 'Entry not filled within 2 candles',
+        });
+    });
+
+    test('falls back to market when the open has slipped past the limit', () => {
+        const prefs = { ...PREFS, orderType: 'limit' };
+        const { trade } = simulateSignal(signal(), [candle(1, 103, 104, 102, 103)], { ...OPTIONS, prefs });
+        assert.equal(trade.orderType, 'market');
+        assert.equal(trade.entryPrice, 103);
+    });
+
+    test('skips positions below the minimum size', () => {
+        const result = simulateSignal(signal(), [candle(1, 100, 101, 99, 100)], { ...OPTIONS, prefs: { ...PREFS, orderAmount: 5 } });
+        assert.equal(result.skipped, 'Order size rounds to 0 contracts (lot size 1)');
+    });
+});
+
+describe('runBacktest', () => {
+    test('skips overlapping signals and compounds closed P&L into equity', () => {
+        const t0 = Date.UTC(2026, 0, 1);
+        const minute = (n) => t0 + n * 60000;
+        const rows = [
+            { signal_id: 'a', trader_name: 'Desk', ticker: 'SOL', side: 'long', entry_price: 100, stop_loss: 95, tp_levels: '[{"level":1,"price":110}]', created_at: minute(0) },
+            { signal_id: 'b', trader_name: 'Desk', ticker: 'SOL', side: 'long', entry_price: 100, stop_loss: 95, tp_levels: null, created_at: minute(0.5) },
+            { signal_id: 'c', trader_name: 'Desk', ticker: 'SOL', side: 'long', entry_price: 100, stop_loss: 95, tp_levels: null, created_at: minute(2) },
+        ];
+        const candles = [candle(minute(0), 100, 101, 99, 100), candle(minute(1), 100, 111, 99, 110), candle(minute(2), 100, 101, 94, 95)];
+        const result = runBacktest({
+            signals: rows,
+            loadCandles: (instId, fromTs) => candles.filter(c => c.ts >= fromTs),
+            prefs: PREFS,
+            instruments: new Map([['SOL-USDT', SOL]]),
+            feeRate: 0.001,
+        });
+
+        assert.deepEqual(result.trades.map(t => t.signalId), ['a', 'c']);
+        assert.deepEqual(result.skipped.map(s => s.reason), ['Already in position (a)']);
+        assert.equal(round(result.stats.overall.totalPnl), round(97.9 - 51.95));
+        assert.deepEqual(result.equityCurve.map(p => round(p.equity)), [1000, 1097.9, round(1097.9 - 51.95)]);
+    });
+});
+
+describe('summarize', () => {
+    test('reports a JSON-safe profit factor without losses', () => {
+        assert.equal(summarize([{ pnl: 30, exitTime: 1 }, { pnl: -10, exitTime: 2 }]).profitFactor, 3);
+        assert.equal(summarize([{ pnl: 30, exitTime: 1 }]).profitFactor, null);
+        assert.equal(summarize([]).profitFactor, 0);
+        assert.equal(JSON.parse(JSON.stringify(summarize([{ pnl: 30, exitTime: 1 }]))).profitFactor, null);
+    });
+});
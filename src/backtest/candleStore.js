@@ -0,0 +1,110 @@
+import { readFileSync } from 'fs';
+import { logger } from '../utils/logger.js';
+import { saveCandles } from '../config/preferenceManager.js';
+
+/** Bar length in ms for the Blofin candle intervals. */
+export const BAR_MS = {
+    '1m': 60_000,
+    '3m': 180_000,
+    '5m': 300_000,
+    '15m': 900_000,
+    '30m': 1_800_000,
+    '1H': 3_600_000,
+    '2H': 7_200_000,
+    '4H': 14_400_000,
+    '6H': 21_600_000,
+    '8H': 28_800_000,
+    '12H': 43_200_000,
+    '1D': 86_400_000,
+};
+
+/**
+ * Parse a timestamp column: epoch ms, epoch seconds or an ISO / 'YYYY-MM-DD HH:MM:SS' (UTC) string.
+ * @param {string} value
+ * @returns {number|null} Epoch ms
+ */
+export function parseTimestamp(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (/^\d+(\.\d+)?$/.test(String(value))) {
+        const n = parseFloat(value);
+        return n < 1e12 ? Math.round(n * 1000) : Math.round(n);
+    }
+    const iso = String(value).trim().replace(' ', 'T');
+    const ms = Date.parse(/[zZ]|[+-]\d\d:?\d\d$/.test(iso) ? iso : `${iso}Z`);
+    return isNaN(ms) ? null : ms;
+}
+
+/**
+ * Import candles from a CSV file into SQLite.
+ *
+ * Columns are `ts,open,high,low,close[,volume]`; a header row and `#`
+ * comments are skipped. `ts` is the bar open time (see parseTimestamp).
+ * @param {string} path
+ * @param {string} instId - e.g. "BTC-USDT"
+ * @param {string} bar - e.g. "1m"
+ * @returns {number} Candles stored
+ */
+export function importCandlesCsv(path, instId, bar) {
+    const candles = [];
+    for (const raw of readFileSync(path, 'utf-8').split(/\r?\n/)) {
+        const line = raw.trim();
+        if (!line || line.startsWith('#')) continue;
+        const [ts, open, high, low, close, volume] = line.split(',').map(c => c.trim());
+        const candle = {
+            ts: parseTimestamp(ts),
+            open: parseFloat(open),
+            high: parseFloat(high),
+            low: parseFloat(low),
+            close: parseFloat(close),
+            volume: volume ? parseFloat(volume) : null,
+        };
+        if (!candle.ts || ![candle.open, candle.high, candle.low, candle.close].every(v => v > 0)) continue; // header or malformed row
+        candles.push(candle);
+    }
+
+    const stored = saveCandles(instId.toUpperCase(), bar, candles);
+    logger.info('Candles', `Imported ${stored} ${bar} candles for ${instId} from ${path}`);
+    return stored;
+}
+
+/**
+ * Fetch candles from Blofin for [fromTs, toTs] and store them in SQLite.
+ * Pages backwards from `toTs` (the API returns newest first).
+ * @param {import('../exchange/blofinClient.js').BlofinClient} client
+ * @param {string} instId
+ * @param {string} bar
+ * @param {number} fromTs - Epoch ms
+ * @param {number} [toTs=Date.now()] - Epoch ms
+ * @returns {Promise<number>} Candles stored
+ */
+export async function fetchCandles(client, instId, bar, fromTs, toTs = Date.now()) {
+    if (!BAR_MS[bar]) throw new Error(`Unsupported bar "${bar}" (use one of ${Object.keys(BAR_MS).join(', ')})`);
+
+    let after = toTs + BAR_MS[bar];
+    let stored = 0;
+
+    while (after > fromTs) {
+        const rows = await client.getCandles(instId, bar, { after, limit: 1000 });
+        if (!Array.isArray(rows) || rows.length === 0) break;
+
+        const candles = rows
+            .map(([ts, open, high, low, close, volume]) => ({
+                ts: parseInt(ts, 10),
+                open: parseFloat(open),
+                high: parseFloat(high),
+                low: parseFloat(low),
+                close: parseFloat(close),
+                volume: parseFloat(volume) || null,
+            }))
+            .filter(c => c.ts >= fromTs && c.ts <= toTs);
+        stored += saveCandles(instId, bar, candles);
+
+        const oldest = Math.min(...rows.map(r => parseInt(r[0], 10)));
+        if (!(oldest < after)) break;
+        after = oldest;
+        logger.debug('Candles', `Fetched ${instId} ${bar} back to ${new Date(oldest).toISOString()}`);
+    }
+
+    logger.info('Candles', `Stored ${stored} ${bar} candles for ${instId}`);
+    return stored;
+}
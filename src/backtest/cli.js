@@ -0,0 +1,205 @@
+import 'dotenv/config';
+import { writeFileSync } from 'fs';
+import {
+    initDatabase, getPreferences, applyTraderProfile, getBacktestSignals, getCandles, getCandleCoverage,
+} from '../config/preferenceManager.js';
+import { BlofinClient } from '../exchange/blofinClient.js';
+import { normalizeInstrument } from '../exchange/instruments.js';
+import { importCandlesCsv, fetchCandles, parseTimestamp, BAR_MS } from './candleStore.js';
+import { runBacktest } from './backtester.js';
+
+// ============================================================
+// PerpTrader — Backtest CLI
+//
+//   npm run backtest -- import <file.csv> --inst BTC-USDT --bar 1m
+//   npm run backtest -- fetch --inst BTC-USDT --bar 1m --from 2024-05-01 [--to 2024-06-01]
+//   npm run backtest -- candles
+//   npm run backtest -- run [--trader NAME] [--inst BTC-USDT] [--from DATE] [--to DATE]
+//                           [--bar 1m] [--balance 1000] [--fee 0.0006] [--entry-timeout 1440]
+//                           [--max-bars 0] [--pref key=value ...] [--json out.json] [--offline]
+// ============================================================
+
+const USAGE = `Usage:
+  backtest import <file.csv> --inst <instId> --bar <bar>     Import ts,open,high,low,close[,volume] candles
+  backtest fetch --inst <instId> --bar <bar> --from <date> [--to <date>]   Fetch candles from Blofin
+  backtest candles                                          List stored candle ranges
+  backtest run [options]                                    Replay signal_log
+    --trader <name>        Only this trader's signals
+    --inst <instId>        Only this instrument
+    --from / --to <date>   Signal time range (UTC)
+    --bar <bar>            Candle interval to replay on (default 1m)
+    --balance <usdt>       Starting equity (default 1000)
+    --fee <rate>           Fee per fill (default 0.0006)
+    --entry-timeout <n>    Cancel unfilled entries after n candles (default 1440)
+    --max-bars <n>         Close positions after n candles (default 0 = never)
+    --pref key=value       Override a preference (repeatable), e.g. --pref sizingMode=risk
+    --json <file>          Write trades, equity curve and stats to a JSON file
+    --offline              Skip the instrument metadata fetch (no lot/tick rounding)
+Bars: ${Object.keys(BAR_MS).join(', ')}`;
+
+function parseArgs(argv) {
+    const positional = [];
+    const options = { pref: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) { positional.push(arg); continue; }
+        const key = arg.slice(2);
+        const value = argv[i + 1] !== undefined && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+        if (key === 'pref') options.pref.push(value);
+        else options[key] = value;
+    }
+    return { positional, options };
+}
+
+/** Coerce a --pref value to the type of the current preference. */
+function applyPrefOverrides(prefs, overrides) {
+    for (const entry of overrides) {
+        const [key, ...rest] = String(entry).split('=');
+        const raw = rest.join('=');
+        if (!(key in prefs)) throw new Error(`Unknown preference "${key}"`);
+        const current = prefs[key];
+        prefs[key] = typeof current === 'number' ? parseFloat(raw)
+            : typeof current === 'boolean' ? raw === 'true' || raw === '1'
+                : current !== null && typeof current === 'object' ? JSON.parse(raw)
+                    : raw;
+    }
+    return prefs;
+}
+
+const fmtTime = (ts) => (ts ? new Date(ts).toISOString().replace('T', ' ').slice(0, 16) : '—');
+const fmtUsd = (n) => `${n < 0 ? '-' : ''}$${Math.abs(n).toFixed(2)}`;
+
+function printStatsTable(title, groups) {
+    console.log(`\n${title}`);
+    console.log('  ' + ['', 'trades', 'win%', 'P&L', 'avg', 'best', 'worst', 'PF', 'maxDD'].map((h, i) => (i === 0 ? h.padEnd(20) : h.padStart(10))).join(''));
+    for (const [key, s] of Object.entries(groups)) {
+        console.log('  ' + [
+            key.slice(0, 20).padEnd(20),
+            String(s.trades).padStart(10),
+            s.winRate.toFixed(1).padStart(10),
+            fmtUsd(s.totalPnl).padStart(10),
+            fmtUsd(s.avgPnl).padStart(10),
+            fmtUsd(s.best).padStart(10),
+            fmtUsd(s.worst).padStart(10),
+            (s.profitFactor === null ? '∞' : s.profitFactor.toFixed(2)).padStart(10),
+            fmtUsd(s.maxDrawdown).padStart(10),
+        ].join(''));
+    }
+}
+
+function printReport({ trades, skipped, stats }) {
+    console.log('\nTrades');
+    for (const t of trades) {
+        console.log(`  ${fmtTime(t.entryTime)}  ${(t.traderName || 'unknown').slice(0, 14).padEnd(14)} ${t.instId.padEnd(12)} ${t.side.padEnd(5)} ${String(t.contracts).padStart(10)} @ ${t.entryPrice.toPrecision(6).padEnd(10)} → ${t.exitPrice.toPrecision(6).padEnd(10)} ${t.exitReason.padEnd(13)} ${fmtUsd(t.pnl).padStart(10)}`);
+    }
+    if (skipped.length) {
+        console.log('\nSkipped');
+        for (const s of skipped) console.log(`  ${fmtTime(s.signalTime)}  ${(s.traderName || 'unknown').slice(0, 14).padEnd(14)} ${s.instId.padEnd(12)} ${s.reason}`);
+    }
+
+    printStatsTable('By trader', stats.byTrader);
+    printStatsTable('By instrument', stats.byInstrument);
+
+    const o = stats.overall;
+    console.log(`\nOverall: ${o.trades} trades | win rate ${o.winRate.toFixed(1)}% | P&L ${fmtUsd(o.totalPnl)} (${o.returnPercent.toFixed(2)}%) | equity ${fmtUsd(o.startingEquity)} → ${fmtUsd(o.endingEquity)} | max drawdown ${fmtUsd(o.maxDrawdown)} (${o.maxDrawdownPercent.toFixed(2)}%)`);
+}
+
+async function loadInstruments(client) {
+    try {
+        const list = await client.getInstruments();
+        return new Map((Array.isArray(list) ? list : []).map(raw => [raw.instId, normalizeInstrument(raw)]));
+    } catch (err) {
+        console.warn(`Instrument metadata unavailable (${err.message}) — sizes and prices will not be lot/tick-rounded`);
+        return new Map();
+    }
+}
+
+async function main() {
+    const { positional, options } = parseArgs(process.argv.slice(2));
+    const [command, ...args] = positional;
+    const bar = options.bar || '1m';
+    const instId = typeof options.inst === 'string' ? options.inst.toUpperCase() : null;
+
+    if (!command || options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    initDatabase();
+    const client = new BlofinClient({
+        apiKey: process.env.BLOFIN_API_KEY,
+        apiSecret: process.env.BLOFIN_API_SECRET,
+        passphrase: process.env.BLOFIN_PASSPHRASE,
+    });
+
+    switch (command) {
+        case 'import': {
+            if (!args[0] || !instId) throw new Error('import needs <file.csv> and --inst');
+            const count = importCandlesCsv(args[0], instId, bar);
+            console.log(`Imported ${count} ${bar} candles for ${instId}`);
+            break;
+        }
+
+        case 'fetch': {
+            const from = parseTimestamp(options.from);
+            const to = options.to ? parseTimestamp(options.to) : Date.now();
+            if (!instId || !from) throw new Error('fetch needs --inst and --from');
+            const count = await fetchCandles(client, instId, bar, from, to);
+            console.log(`Stored ${count} ${bar} candles for ${instId}`);
+            break;
+        }
+
+        case 'candles': {
+            const coverage = getCandleCoverage();
+            if (coverage.length === 0) console.log('No candles stored');
+            for (const c of coverage) {
+                console.log(`  ${c.inst_id.padEnd(14)} ${c.bar.padEnd(4)} ${String(c.count).padStart(8)} candles  ${fmtTime(c.first_ts)} → ${fmtTime(c.last_ts)}`);
+            }
+            break;
+        }
+
+        case 'run': {
+            if (!BAR_MS[bar]) throw new Error(`Unsupported bar "${bar}"`);
+            const toSqlTime = (value) => (value ? new Date(parseTimestamp(value)).toISOString().replace('T', ' ').slice(0, 19) : undefined);
+            const signals = getBacktestSignals({
+                traderName: typeof options.trader === 'string' ? options.trader : undefined,
+                instId: instId || undefined,
+                from: toSqlTime(options.from),
+                to: toSqlTime(options.to),
+            });
+            if (signals.length === 0) {
+                console.log('No signals match');
+                break;
+            }
+
+            const prefs = applyPrefOverrides(getPreferences(), options.pref);
+            const result = runBacktest({
+                signals,
+                loadCandles: (id, fromTs) => getCandles(id, bar, fromTs),
+                prefs,
+                traderPrefs: applyTraderProfile,
+                instruments: options.offline ? new Map() : await loadInstruments(client),
+                startingEquity: options.balance ? parseFloat(options.balance) : 1000,
+                feeRate: options.fee !== undefined ? parseFloat(options.fee) : 0.0006,
+                entryTimeoutBars: options['entry-timeout'] ? parseInt(options['entry-timeout'], 10) : 1440,
+                maxBars: options['max-bars'] ? parseInt(options['max-bars'], 10) : 0,
+            });
+
+            printReport(result);
+            if (typeof options.json === 'string') {
+                writeFileSync(options.json, JSON.stringify(result, null, 2));
+                console.log(`\nWrote ${options.json}`);
+            }
+            break;
+        }
+
+        default:
+            console.log(USAGE);
+            process.exitCode = 1;
+    }
+}
+
+main().catch((err) => {
+    console.error(`Backtest failed: ${err.message}`);
+    process.exitCode = 1;
+});
@@ -12,10 +12,11 @@ let db;
 
 /**
  * Initialize the database and run schema migrations.
+ * @param {string} [path] - Database file (defaults to perptrader.db in the project root)
  * @returns {Database.Database}
  */
-export function initDatabase() {
-    db = new Database(DB_PATH);
+export function initDatabase(path = DB_PATH) {
+    db = new Database(path);
     db.pragma('journal_mode = WAL');
     db.pragma('foreign_keys = ON');
 
@@ -31,16 +32,66 @@ export function initDatabase() {
     safeAddColumn('preferences', 'leverage_source', "TEXT NOT NULL DEFAULT 'signal'");
     safeAddColumn('preferences', 'use_dca', 'INTEGER NOT NULL DEFAULT 0');
     safeAddColumn('preferences', 'dca_mode', "TEXT NOT NULL DEFAULT 'display'");
+    safeAddColumn('preferences', 'stop_loss_source', "TEXT NOT NULL DEFAULT 'variance'");
+    safeAddColumn('preferences', 'zone_entry_orders', 'INTEGER NOT NULL DEFAULT 1');
+    safeAddColumn('preferences', 'use_tp_ladder', 'INTEGER NOT NULL DEFAULT 0');
+    safeAddColumn('preferences', 'tp_split_mode', "TEXT NOT NULL DEFAULT 'equal'");
+    safeAddColumn('preferences', 'tp_split_custom', 'TEXT');
+    safeAddColumn('preferences', 'trailing_enabled', 'INTEGER NOT NULL DEFAULT 0');
+    safeAddColumn('preferences', 'trailing_activation_percent', 'REAL NOT NULL DEFAULT 1.0');
+    safeAddColumn('preferences', 'trailing_step_percent', 'REAL NOT NULL DEFAULT 0.5');
+    safeAddColumn('preferences', 'tp_hit_actions', 'TEXT');
+    safeAddColumn('preferences', 'mirror_close', 'INTEGER NOT NULL DEFAULT 0');
+    safeAddColumn('preferences', 'sizing_mode', "TEXT NOT NULL DEFAULT 'fixed'");
+    safeAddColumn('preferences', 'equity_percent', 'REAL NOT NULL DEFAULT 5.0');
+    safeAddColumn('preferences', 'risk_percent', 'REAL NOT NULL DEFAULT 1.0');
+    safeAddColumn('preferences', 'risk_max_open_positions', 'INTEGER NOT NULL DEFAULT 0');
+    safeAddColumn('preferences', 'risk_max_total_notional', 'REAL NOT NULL DEFAULT 0');
+    safeAddColumn('preferences', 'risk_max_instrument_notional', 'REAL NOT NULL DEFAULT 0');
+    safeAddColumn('preferences', 'risk_daily_loss_limit', 'REAL NOT NULL DEFAULT 0');
+    safeAddColumn('preferences', 'risk_max_consecutive_losses', 'INTEGER NOT NULL DEFAULT 0');
+    safeAddColumn('preferences', 'demotion_enabled', 'INTEGER NOT NULL DEFAULT 0');
+    safeAddColumn('preferences', 'demotion_window', 'INTEGER NOT NULL DEFAULT 20');
+    safeAddColumn('preferences', 'demotion_min_signals', 'INTEGER NOT NULL DEFAULT 10');
+    safeAddColumn('preferences', 'demotion_min_win_rate', 'REAL NOT NULL DEFAULT 0');
+    safeAddColumn('preferences', 'demotion_min_avg_tp', 'REAL NOT NULL DEFAULT 0');
+    safeAddColumn('preferences', 'demotion_max_realized_loss', 'REAL NOT NULL DEFAULT 0');
+    safeAddColumn('preferences', 'backfill_mode', "TEXT NOT NULL DEFAULT 'confirm'");
+    safeAddColumn('preferences', 'backfill_max_age', 'REAL NOT NULL DEFAULT 15');
+    safeAddColumn('preferences', 'signal_max_age', 'INTEGER NOT NULL DEFAULT 0');
+    safeAddColumn('preferences', 'signal_max_drift', 'REAL NOT NULL DEFAULT 10');
+    safeAddColumn('preferences', 'reject_past_targets', 'INTEGER NOT NULL DEFAULT 1');
+    safeAddColumn('preferences', 'confirm_timeout', 'INTEGER NOT NULL DEFAULT 300');
+    safeAddColumn('preferences', 'notify_events', 'TEXT');
+    safeAddColumn('preferences', 'notify_max_per_minute', 'INTEGER NOT NULL DEFAULT 10');
     safeAddColumn('signal_log', 'trader_name', 'TEXT');
     safeAddColumn('signal_log', 'leverage', 'INTEGER');
     safeAddColumn('signal_log', 'tp_levels', 'TEXT');
     safeAddColumn('signal_log', 'dca_levels', 'TEXT');
+    safeAddColumn('signal_log', 'format', 'TEXT');
+    safeAddColumn('signal_log', 'stop_loss', 'REAL');
+    safeAddColumn('signal_log', 'entry_low', 'REAL');
+    safeAddColumn('signal_log', 'entry_high', 'REAL');
+    safeAddColumn('signal_log', 'source', 'TEXT');
     safeAddColumn('order_history', 'trader_name', 'TEXT');
     safeAddColumn('order_history', 'tp_levels', 'TEXT');
     safeAddColumn('order_history', 'dca_levels', 'TEXT');
     safeAddColumn('order_history', 'dca_orders', 'TEXT');
+    safeAddColumn('order_history', 'stop_price', 'REAL');
+    safeAddColumn('order_history', 'stop_source', 'TEXT');
+    safeAddColumn('order_history', 'tp_orders', 'TEXT');
+    safeAddColumn('order_history', 'realized_pnl_percent', 'REAL');
+    safeAddColumn('order_history', 'caller_pnl', 'TEXT');
+    safeAddColumn('order_history', 'close_reason', 'TEXT');
+    safeAddColumn('order_history', 'closed_at', 'TEXT');
+    safeAddColumn('trader_whitelist', 'profile', 'TEXT');
+    safeAddColumn('channel_config', 'guild_id', 'TEXT');
+    safeAddColumn('channel_config', 'name', 'TEXT');
+    safeAddColumn('channel_config', 'enabled', 'INTEGER NOT NULL DEFAULT 1');
+    safeAddColumn('channel_config', 'allowed_bot_names', 'TEXT');
+    safeAddColumn('channel_config', 'default_profile', 'TEXT');
 
-    logger.info('Database', `Initialized at ${DB_PATH}`);
+    logger.info('Database', `Initialized at ${path}`);
     return db;
 }
 
@@ -62,6 +113,17 @@ const PREF_COLUMNS = [
     'trailing_stop_variance', 'trailing_stop_type', 'reduce_only',
     'auto_execute', 'confirm_before_order', 'channel_id',
     'slippage_percent', 'leverage_source', 'use_dca', 'dca_mode',
+    'stop_loss_source', 'zone_entry_orders', 'use_tp_ladder', 'tp_split_mode',
+    'tp_split_custom', 'trailing_enabled', 'trailing_activation_percent',
+    'trailing_step_percent', 'tp_hit_actions', 'mirror_close', 'sizing_mode',
+    'equity_percent', 'risk_percent', 'risk_max_open_positions', 'risk_max_total_notional',
+    'risk_max_instrument_notional', 'risk_daily_loss_limit', 'risk_max_consecutive_losses',
+    'demotion_enabled', 'demotion_window', 'demotion_min_signals', 'demotion_min_win_rate',
+    'demotion_min_avg_tp', 'demotion_max_realized_loss',
+    'backfill_mode', 'backfill_max_age',
+    'signal_max_age', 'signal_max_drift', 'reject_past_targets',
+    'confirm_timeout',
+    'notify_events', 'notify_max_per_minute',
 ];
 
 /**
@@ -86,6 +148,38 @@ export function getPreferences() {
         leverageSource: row.leverage_source,
         useDca: Boolean(row.use_dca),
         dcaMode: row.dca_mode,
+        stopLossSource: row.stop_loss_source,
+        zoneEntryOrders: row.zone_entry_orders,
+        useTpLadder: Boolean(row.use_tp_ladder),
+        tpSplitMode: row.tp_split_mode,
+        tpSplitCustom: row.tp_split_custom,
+        trailingEnabled: Boolean(row.trailing_enabled),
+        trailingActivationPercent: row.trailing_activation_percent,
+        trailingStepPercent: row.trailing_step_percent,
+        tpHitActions: row.tp_hit_actions ? JSON.parse(row.tp_hit_actions) : {},
+        mirrorClose: Boolean(row.mirror_close),
+        sizingMode: row.sizing_mode,
+        equityPercent: row.equity_percent,
+        riskPercent: row.risk_percent,
+        riskMaxOpenPositions: row.risk_max_open_positions,
+        riskMaxTotalNotional: row.risk_max_total_notional,
+        riskMaxInstrumentNotional: row.risk_max_instrument_notional,
+        riskDailyLossLimit: row.risk_daily_loss_limit,
+        riskMaxConsecutiveLosses: row.risk_max_consecutive_losses,
+        demotionEnabled: Boolean(row.demotion_enabled),
+        demotionWindow: row.demotion_window,
+        demotionMinSignals: row.demotion_min_signals,
+        demotionMinWinRate: row.demotion_min_win_rate,
+        demotionMinAvgTp: row.demotion_min_avg_tp,
+        demotionMaxRealizedLoss: row.demotion_max_realized_loss,
+        backfillMode: row.backfill_mode,
+        backfillMaxAge: row.backfill_max_age,
+        signalMaxAge: row.signal_max_age,
+        signalMaxDrift: row.signal_max_drift,
+        rejectPastTargets: Boolean(row.reject_past_targets),
+        confirmTimeout: row.confirm_timeout,
+        notifyEvents: row.notify_events ? JSON.parse(row.notify_events) : {},
+        notifyMaxPerMinute: row.notify_max_per_minute,
         updatedAt: row.updated_at,
     };
 }
@@ -110,6 +204,38 @@ export function updatePreferences(updates) {
         leverageSource: 'leverage_source',
         useDca: 'use_dca',
         dcaMode: 'dca_mode',
+        stopLossSource: 'stop_loss_source',
+        zoneEntryOrders: 'zone_entry_orders',
+        useTpLadder: 'use_tp_ladder',
+        tpSplitMode: 'tp_split_mode',
+        tpSplitCustom: 'tp_split_custom',
+        trailingEnabled: 'trailing_enabled',
+        trailingActivationPercent: 'trailing_activation_percent',
+        trailingStepPercent: 'trailing_step_percent',
+        tpHitActions: 'tp_hit_actions',
+        mirrorClose: 'mirror_close',
+        sizingMode: 'sizing_mode',
+        equityPercent: 'equity_percent',
+        riskPercent: 'risk_percent',
+        riskMaxOpenPositions: 'risk_max_open_positions',
+        riskMaxTotalNotional: 'risk_max_total_notional',
+        riskMaxInstrumentNotional: 'risk_max_instrument_notional',
+        riskDailyLossLimit: 'risk_daily_loss_limit',
+        riskMaxConsecutiveLosses: 'risk_max_consecutive_losses',
+        demotionEnabled: 'demotion_enabled',
+        demotionWindow: 'demotion_window',
+        demotionMinSignals: 'demotion_min_signals',
+        demotionMinWinRate: 'demotion_min_win_rate',
+        demotionMinAvgTp: 'demotion_min_avg_tp',
+        demotionMaxRealizedLoss: 'demotion_max_realized_loss',
+        backfillMode: 'backfill_mode',
+        backfillMaxAge: 'backfill_max_age',
+        signalMaxAge: 'signal_max_age',
+        signalMaxDrift: 'signal_max_drift',
+        rejectPastTargets: 'reject_past_targets',
+        confirmTimeout: 'confirm_timeout',
+        notifyEvents: 'notify_events',
+        notifyMaxPerMinute: 'notify_max_per_minute',
     };
 
     const sets = [];
@@ -120,6 +246,7 @@ export function updatePreferences(updates) {
             sets.push(`${dbCol} = @${dbCol}`);
             let val = updates[jsKey];
             if (typeof val === 'boolean') val = val ? 1 : 0;
+            else if (val !== null && typeof val === 'object') val = JSON.stringify(val);
             values[dbCol] = val;
         }
     }
@@ -137,11 +264,12 @@ export function updatePreferences(updates) {
 // ============================================================
 
 /**
- * Get all whitelisted traders.
- * @returns {object[]}
+ * Get all whitelisted traders, with their profile parsed.
+ * @returns {{ id: number, trader_name: string, profile: object, added_at: string }[]}
  */
 export function getTraderWhitelist() {
-    return getDb().prepare('SELECT * FROM trader_whitelist ORDER BY trader_name').all();
+    return getDb().prepare('SELECT * FROM trader_whitelist ORDER BY trader_name').all()
+        .map(row => ({ ...row, profile: row.profile ? JSON.parse(row.profile) : {} }));
 }
 
 /**
@@ -189,6 +317,220 @@ export function isWhitelistEmpty() {
     return row.cnt === 0;
 }
 
+// ============================================================
+// Trader Profiles (per-trader preference overrides)
+// ============================================================
+
+/**
+ * Preferences that stay account-wide: the Discord channel and the risk
+ * guardrails, which limit the whole account rather than one caller.
+ */
+const GLOBAL_ONLY_PREFS = new Set([
+    'channelId', 'updatedAt',
+    'riskMaxOpenPositions', 'riskMaxTotalNotional', 'riskMaxInstrumentNotional',
+    'riskDailyLossLimit', 'riskMaxConsecutiveLosses',
+    'notifyEvents', 'notifyMaxPerMinute',
+]);
+
+/**
+ * Execution modes a profile can pin a trader to, as preference overrides.
+ * 'log' records the signal without trading it.
+ */
+export const TRADER_MODES = {
+    auto: { autoExecute: true, confirmBeforeOrder: false },
+    confirm: { autoExecute: true, confirmBeforeOrder: true },
+    log: { autoExecute: false },
+};
+
+/**
+ * Get a trader's preference overrides.
+ * @param {string} traderName
+ * @returns {object} camelCase preference keys → values ({} if none)
+ */
+export function getTraderProfile(traderName) {
+    if (!traderName) return {};
+    const row = getDb().prepare('SELECT profile FROM trader_whitelist WHERE trader_name = ? COLLATE NOCASE').get(traderName.trim());
+    return row?.profile ? JSON.parse(row.profile) : {};
+}
+
+/**
+ * Validate a profile: keys are preference names (as in getPreferences());
+ * null/empty values are dropped so the global value applies.
+ * `mode: 'auto'|'confirm'|'log'` is shorthand for the matching TRADER_MODES overrides.
+ * @param {object} profile
+ * @returns {object} The overrides to store
+ * @throws {Error} On an unknown or account-wide preference key, or a value of the wrong type
+ */
+function normalizeProfile(profile) {
+    const prefs = getPreferences();
+    const { mode, ...overrides } = profile || {};
+    if (mode) {
+        if (!TRADER_MODES[mode]) throw new Error(`Unknown mode "${mode}" (use ${Object.keys(TRADER_MODES).join(', ')})`);
+        Object.assign(overrides, TRADER_MODES[mode]);
+    }
+
+    const clean = {};
+    for (const [key, value] of Object.entries(overrides)) {
+        if (value === null || value === undefined || value === '') continue;
+        if (!(key in prefs) || GLOBAL_ONLY_PREFS.has(key)) throw new Error(`"${key}" cannot be set in a profile`);
+        const expected = prefs[key] === null ? typeof value : typeof prefs[key];
+        if (typeof value !== expected) throw new Error(`"${key}" must be a ${expected}`);
+        clean[key] = value;
+    }
+    return clean;
+}
+
+/**
+ * Replace a whitelisted trader's profile (see normalizeProfile for the format).
+ * @param {string} traderName
+ * @param {object} profile
+ * @returns {object|null} The stored profile, or null if the trader is not whitelisted
+ * @throws {Error} On an unknown or account-wide preference key, or a value of the wrong type
+ */
+export function setTraderProfile(traderName, profile) {
+    const clean = normalizeProfile(profile);
+    const result = getDb().prepare('UPDATE trader_whitelist SET profile = ? WHERE trader_name = ? COLLATE NOCASE')
+        .run(Object.keys(clean).length > 0 ? JSON.stringify(clean) : null, traderName.trim());
+    if (result.changes === 0) return null;
+
+    logger.info('TraderProfile', `Updated profile for ${traderName}`, clean);
+    return clean;
+}
+
+/**
+ * Merge a trader's profile over the given preferences. The default profile of
+ * the channel the signal came from (if any) applies underneath the trader's own.
+ * @param {object} prefs - Global preferences
+ * @param {string} [traderName]
+ * @param {string} [channelId]
+ * @returns {object} Effective preferences; `traderProfile` lists the overridden keys
+ */
+export function applyTraderProfile(prefs, traderName, channelId = null) {
+    const channelProfile = getChannelConfig(channelId)?.default_profile || {};
+    const profile = getTraderProfile(traderName);
+    const keys = [...new Set([...Object.keys(channelProfile), ...Object.keys(profile)])];
+    if (keys.length === 0) return prefs;
+    return {
+        ...prefs, ...channelProfile, ...profile,
+        traderProfile: { traderName, keys, ...(Object.keys(channelProfile).length > 0 ? { channelId } : {}) },
+    };
+}
+
+/**
+ * Effective preferences for a trader (global preferences + channel default + profile).
+ * @param {string} [traderName]
+ * @param {string} [channelId]
+ * @returns {object}
+ */
+export function getTraderPreferences(traderName, channelId = null) {
+    return applyTraderProfile(getPreferences(), traderName, channelId);
+}
+
+// ============================================================
+// Channel Config (monitored Discord channels)
+// ============================================================
+
+function parseChannelRow(row) {
+    return {
+        ...row,
+        enabled: Boolean(row.enabled),
+        allowed_bot_names: row.allowed_bot_names ? JSON.parse(row.allowed_bot_names) : [],
+        formats: row.formats ? JSON.parse(row.formats) : [],
+        default_profile: row.default_profile ? JSON.parse(row.default_profile) : {},
+    };
+}
+
+/**
+ * Get one channel's config.
+ * @param {string} channelId
+ * @returns {object|null}
+ */
+export function getChannelConfig(channelId) {
+    if (!channelId) return null;
+    const row = getDb().prepare('SELECT * FROM channel_config WHERE channel_id = ?').get(channelId);
+    return row ? parseChannelRow(row) : null;
+}
+
+/**
+ * Get the signal formats enabled for a channel.
+ * @param {string} channelId
+ * @returns {string[]|null} Format names in try order, or null if the channel uses all formats
+ */
+export function getChannelFormats(channelId) {
+    const formats = getChannelConfig(channelId)?.formats || [];
+    return formats.length > 0 ? formats : null;
+}
+
+/**
+ * Add or replace a channel's config.
+ * @param {string} channelId
+ * @param {object} config
+ * @param {string} [config.name] - Display label
+ * @param {string} [config.guildId] - Only accept the channel from this server
+ * @param {boolean} [config.enabled=true] - Monitor the channel
+ * @param {string[]} [config.allowedBotNames] - Bot/webhook names to accept (empty = the provider default)
+ * @param {string[]} [config.formats] - Format names in try order (empty = all formats)
+ * @param {object} [config.defaultProfile] - Preference overrides for signals from this channel (as a trader profile)
+ * @returns {object} The stored config
+ * @throws {Error} On an invalid default profile
+ */
+export function saveChannelConfig(channelId, { name, guildId, enabled = true, allowedBotNames = [], formats = [], defaultProfile = {} } = {}) {
+    if (!channelId?.trim()) throw new Error('Channel ID required');
+    const profile = normalizeProfile(defaultProfile);
+    const botNames = allowedBotNames.map(n => n.trim()).filter(Boolean);
+
+    getDb().prepare(`
+        INSERT INTO channel_config (channel_id, guild_id, name, enabled, allowed_bot_names, formats, default_profile)
+        VALUES (@channelId, @guildId, @name, @enabled, @allowedBotNames, @formats, @defaultProfile)
+        ON CONFLICT(channel_id) DO UPDATE SET
+          guild_id = excluded.guild_id, name = excluded.name, enabled = excluded.enabled,
+          allowed_bot_names = excluded.allowed_bot_names, formats = excluded.formats,
+          default_profile = excluded.default_profile, updated_at = datetime('now')
+    `).run({
+        channelId: channelId.trim(),
+        guildId: guildId?.trim() || null,
+        name: name?.trim() || null,
+        enabled: enabled ? 1 : 0,
+        allowedBotNames: botNames.length > 0 ? JSON.stringify(botNames) : null,
+        formats: formats.length > 0 ? JSON.stringify(formats) : null,
+        defaultProfile: Object.keys(profile).length > 0 ? JSON.stringify(profile) : null,
+    });
+    logger.info('ChannelConfig', `Saved channel ${channelId}${name ? ` (${name})` : ''}`, { guildId, enabled, botNames, formats, profile });
+    return getChannelConfig(channelId.trim());
+}
+
+/**
+ * Stop monitoring a channel and drop its config.
+ * @param {string} channelId
+ * @returns {boolean} True if the channel existed
+ */
+export function removeChannelConfig(channelId) {
+    const result = getDb().prepare('DELETE FROM channel_config WHERE channel_id = ?').run(channelId);
+    if (result.changes > 0) logger.info('ChannelConfig', `Removed channel ${channelId}`);
+    return result.changes > 0;
+}
+
+/**
+ * Get config rows for all channels.
+ * @returns {object[]}
+ */
+export function getChannelConfigs() {
+    return getDb().prepare('SELECT * FROM channel_config ORDER BY name IS NULL, name, channel_id').all().map(parseChannelRow);
+}
+
+/**
+ * Enabled channels, in the shape DiscordProvider.setChannels() takes.
+ * @returns {{ channelId: string, guildId: string|null, name: string|null, allowedBotNames: string[] }[]}
+ */
+export function getMonitoredChannels() {
+    return getChannelConfigs().filter(c => c.enabled).map(c => ({
+        channelId: c.channel_id,
+        guildId: c.guild_id,
+        name: c.name,
+        allowedBotNames: c.allowed_bot_names,
+    }));
+}
+
 // ============================================================
 // Signal Edit Tracking
 // ============================================================
@@ -203,6 +545,32 @@ export function isMessageProcessed(messageId) {
     return !!row;
 }
 
+/**
+ * Newest message logged for a channel — where a history backfill resumes.
+ * Discord snowflakes are numeric strings, so longer means newer.
+ * @param {string} channelId
+ * @returns {string|null}
+ */
+export function getLastMessageId(channelId) {
+    const row = getDb().prepare(`
+        SELECT message_id FROM signal_log WHERE channel_id = ?
+        ORDER BY length(message_id) DESC, message_id DESC LIMIT 1
+    `).get(channelId);
+    return row?.message_id || null;
+}
+
+/**
+ * Last content we processed for a message: its latest edit, else the original.
+ * @param {string} messageId
+ * @returns {string|null}
+ */
+export function getLatestMessageContent(messageId) {
+    const edit = getDb().prepare('SELECT raw_content FROM signal_edits WHERE message_id = ? ORDER BY version DESC LIMIT 1').get(messageId);
+    if (edit) return edit.raw_content;
+    const row = getDb().prepare('SELECT raw_content FROM signal_log WHERE message_id = ?').get(messageId);
+    return row?.raw_content || null;
+}
+
 /**
  * Log a signal edit (version increment).
  * @param {string} messageId
@@ -254,8 +622,8 @@ export function getSignalEdits(messageId) {
  */
 export function logSignal(signal) {
     const stmt = getDb().prepare(`
-    INSERT OR REPLACE INTO signal_log (signal_id, channel_id, message_id, raw_content, ticker, side, entry_price, is_valid, was_executed, rejection_reason, trader_name, leverage, tp_levels, dca_levels)
-    VALUES (@signalId, @channelId, @messageId, @rawContent, @ticker, @side, @entryPrice, @isValid, @wasExecuted, @rejectionReason, @traderName, @leverage, @tpLevels, @dcaLevels)
+    INSERT OR REPLACE INTO signal_log (signal_id, channel_id, message_id, raw_content, ticker, side, entry_price, entry_low, entry_high, is_valid, was_executed, rejection_reason, trader_name, leverage, stop_loss, tp_levels, dca_levels, format, source)
+    VALUES (@signalId, @channelId, @messageId, @rawContent, @ticker, @side, @entryPrice, @entryLow, @entryHigh, @isValid, @wasExecuted, @rejectionReason, @traderName, @leverage, @stopLoss, @tpLevels, @dcaLevels, @format, @source)
   `);
     const result = stmt.run({
         signalId: signal.signalId,
@@ -265,17 +633,31 @@ export function logSignal(signal) {
         ticker: signal.ticker || null,
         side: signal.side || null,
         entryPrice: signal.entryPrice || null,
+        entryLow: signal.entryLow || null,
+        entryHigh: signal.entryHigh || null,
         isValid: signal.isValid ? 1 : 0,
         wasExecuted: signal.wasExecuted ? 1 : 0,
         rejectionReason: signal.rejectionReason || null,
         traderName: signal.traderName || null,
         leverage: signal.leverage || null,
+        stopLoss: signal.stopLoss || null,
         tpLevels: signal.tpLevels ? JSON.stringify(signal.tpLevels) : null,
         dcaLevels: signal.dcaLevels ? JSON.stringify(signal.dcaLevels) : null,
+        format: signal.format || null,
+        source: signal.source || null,
     });
     return result;
 }
 
+/**
+ * Record why a logged signal was not executed after all (e.g. it failed re-validation at confirm time).
+ * @param {string} signalId
+ * @param {string} reason
+ */
+export function setSignalRejection(signalId, reason) {
+    getDb().prepare('UPDATE signal_log SET rejection_reason = ? WHERE signal_id = ?').run(reason, signalId);
+}
+
 /**
  * Get recent signals.
  * @param {number} [limit=50]
@@ -334,7 +716,8 @@ export function updateOrder(id, updates) {
     for (const [key, val] of Object.entries(updates)) {
         const snakeKey = key.replace(/[A-Z]/g, c => '_' + c.toLowerCase());
         sets.push(`${snakeKey} = @${snakeKey}`);
-        values[snakeKey] = val;
+        // JSON columns (tp_orders, dca_orders, ...) are passed as arrays/objects
+        values[snakeKey] = val !== null && typeof val === 'object' ? JSON.stringify(val) : val;
     }
 
     if (sets.length === 0) return;
@@ -343,6 +726,17 @@ export function updateOrder(id, updates) {
     getDb().prepare(`UPDATE order_history SET ${sets.join(', ')} WHERE id = @id`).run(values);
 }
 
+/**
+ * Get all orders placed for a signal (entry, zone children), oldest first.
+ * @param {string} signalId
+ * @returns {object[]}
+ */
+export function getOrdersBySignalId(signalId) {
+    return getDb().prepare(
+        'SELECT * FROM order_history WHERE signal_id = ? ORDER BY id'
+    ).all(signalId);
+}
+
 /**
  * Get recent orders.
  * @param {number} [limit=50]
@@ -353,3 +747,578 @@ export function getRecentOrders(limit = 50) {
         'SELECT * FROM order_history ORDER BY created_at DESC LIMIT ?'
     ).all(limit);
 }
+
+/**
+ * Get the non-closed orders of an instrument side (entries awaiting fill or with a live position).
+ * @param {string} instId
+ * @param {'long'|'short'} [positionSide] - Omit for net mode
+ * @returns {object[]}
+ */
+export function getOpenOrders(instId, positionSide) {
+    return positionSide
+        ? getDb().prepare("SELECT * FROM order_history WHERE inst_id = ? AND position_side = ? AND status NOT IN ('closed', 'cancelled') ORDER BY id").all(instId, positionSide)
+        : getDb().prepare("SELECT * FROM order_history WHERE inst_id = ? AND status NOT IN ('closed', 'cancelled') ORDER BY id").all(instId);
+}
+
+/**
+ * Get every order that is neither closed nor cancelled.
+ * @returns {object[]}
+ */
+export function getUnclosedOrders() {
+    return getDb().prepare("SELECT * FROM order_history WHERE status NOT IN ('closed', 'cancelled') ORDER BY id").all();
+}
+
+/**
+ * Get orders by status (e.g. 'active' = filled with a stop placed).
+ * @param {string} status
+ * @returns {object[]}
+ */
+export function getOrdersByStatus(status) {
+    return getDb().prepare('SELECT * FROM order_history WHERE status = ? ORDER BY id').all(status);
+}
+
+/**
+ * Get realized P&L of positions closed at or after a time, newest first.
+ * @param {string} since - ISO timestamp
+ * @returns {{ inst_id: string, signal_id: string, pnl: number, closed_at: string }[]}
+ */
+export function getClosedPnlSince(since) {
+    return getDb().prepare(
+        'SELECT inst_id, signal_id, pnl, closed_at FROM order_history WHERE pnl IS NOT NULL AND closed_at >= ? ORDER BY closed_at DESC'
+    ).all(since);
+}
+
+// ============================================================
+// Trader Scorecards
+// ============================================================
+
+/**
+ * One row per live signal (historical "already closed" posts excluded) with
+ * the caller's outcome from signal_edits and ours from order_history, oldest first.
+ *   - tp_hits: '|'-joined JSON arrays of TP levels hit per edit
+ *   - caller_pnl: latest reported final P&L (e.g. "+42.5%")
+ *   - closed_at: first edit that marked the trade closed
+ *   - realized_pnl / realized_pnl_percent / order_count: our orders for the signal
+ * @param {object} [filter]
+ * @param {string} [filter.traderName]
+ * @param {string} [filter.since] - Only signals logged at or after this time ('YYYY-MM-DD HH:MM:SS', UTC)
+ * @returns {object[]}
+ */
+export function getTraderSignalOutcomes({ traderName, since } = {}) {
+    const where = ['s.is_valid = 1', 's.trader_name IS NOT NULL', "(s.rejection_reason IS NULL OR s.rejection_reason != 'Already closed')"];
+    const params = {};
+    if (traderName) { where.push('s.trader_name = @traderName COLLATE NOCASE'); params.traderName = traderName; }
+    if (since) { where.push('s.created_at >= @since'); params.since = since; }
+
+    return getDb().prepare(`
+        SELECT s.signal_id, s.message_id, s.trader_name, s.ticker, s.side, s.tp_levels, s.created_at,
+          (SELECT group_concat(e.tp_hits, '|') FROM signal_edits e WHERE e.message_id = s.message_id AND e.tp_hits IS NOT NULL) AS tp_hits,
+          (SELECT e.final_pnl FROM signal_edits e WHERE e.message_id = s.message_id AND e.final_pnl IS NOT NULL ORDER BY e.version DESC LIMIT 1) AS caller_pnl,
+          (SELECT MIN(e.detected_at) FROM signal_edits e WHERE e.message_id = s.message_id AND e.is_closed = 1) AS closed_at,
+          (SELECT SUM(o.pnl) FROM order_history o WHERE o.signal_id = s.signal_id) AS realized_pnl,
+          (SELECT AVG(o.realized_pnl_percent) FROM order_history o WHERE o.signal_id = s.signal_id) AS realized_pnl_percent,
+          (SELECT COUNT(*) FROM order_history o WHERE o.signal_id = s.signal_id) AS order_count
+        FROM signal_log s
+        WHERE ${where.join(' AND ')}
+        ORDER BY s.created_at, s.id
+    `).all(params);
+}
+
+/**
+ * Record an automatic demotion.
+ * @param {string} traderName
+ * @param {{ rule: string, detail: string, stats?: object }} demotion
+ */
+export function recordTraderDemotion(traderName, { rule, detail, stats }) {
+    getDb().prepare(
+        'INSERT INTO trader_demotions (trader_name, rule, detail, stats) VALUES (?, ?, ?, ?)'
+    ).run(traderName, rule, detail, stats ? JSON.stringify(stats) : null);
+}
+
+/**
+ * Demotion history, newest first.
+ * @param {string} [traderName] - Omit for all traders
+ * @param {number} [limit=50]
+ * @returns {{ id: number, trader_name: string, rule: string, detail: string, stats: object|null, created_at: string }[]}
+ */
+export function getTraderDemotions(traderName, limit = 50) {
+    const rows = traderName
+        ? getDb().prepare('SELECT * FROM trader_demotions WHERE trader_name = ? COLLATE NOCASE ORDER BY id DESC LIMIT ?').all(traderName, limit)
+        : getDb().prepare('SELECT * FROM trader_demotions ORDER BY id DESC LIMIT ?').all(limit);
+    return rows.map(row => ({ ...row, stats: row.stats ? JSON.parse(row.stats) : null }));
+}
+
+// ============================================================
+// Backtest Data
+// ============================================================
+
+/**
+ * Valid signals to replay in a backtest, oldest first. Historical posts that
+ * were already closed when seen are excluded (their log time is not the call time).
+ * @param {object} [filter]
+ * @param {string} [filter.traderName]
+ * @param {string} [filter.instId]
+ * @param {string} [filter.from] - 'YYYY-MM-DD[ HH:MM:SS]' (UTC)
+ * @param {string} [filter.to]
+ * @returns {object[]} signal_log rows
+ */
+export function getBacktestSignals({ traderName, instId, from, to } = {}) {
+    const where = ["is_valid = 1", "(rejection_reason IS NULL OR rejection_reason != 'Already closed')"];
+    const params = {};
+    if (traderName) { where.push('trader_name = @traderName'); params.traderName = traderName; }
+    if (instId) { where.push("ticker || '-USDT' = @instId"); params.instId = instId; }
+    if (from) { where.push('created_at >= @from'); params.from = from; }
+    if (to) { where.push('created_at <= @to'); params.to = to; }
+
+    return getDb().prepare(
+        `SELECT * FROM signal_log WHERE ${where.join(' AND ')} ORDER BY created_at, id`
+    ).all(params);
+}
+
+/**
+ * Upsert candles.
+ * @param {string} instId
+ * @param {string} bar
+ * @param {{ ts: number, open: number, high: number, low: number, close: number, volume?: number }[]} candles
+ * @returns {number} Rows written
+ */
+export function saveCandles(instId, bar, candles) {
+    const stmt = getDb().prepare(`
+        INSERT OR REPLACE INTO candles (inst_id, bar, ts, open, high, low, close, volume)
+        VALUES (@instId, @bar, @ts, @open, @high, @low, @close, @volume)
+    `);
+    const insertAll = getDb().transaction((rows) => {
+        for (const c of rows) stmt.run({ instId, bar, volume: null, ...c });
+    });
+    insertAll(candles);
+    return candles.length;
+}
+
+/**
+ * Get stored candles in [fromTs, toTs], oldest first.
+ * @param {string} instId
+ * @param {string} bar
+ * @param {number} [fromTs=0]
+ * @param {number} [toTs=Number.MAX_SAFE_INTEGER]
+ * @returns {object[]}
+ */
+export function getCandles(instId, bar, fromTs = 0, toTs = Number.MAX_SAFE_INTEGER) {
+    return getDb().prepare(
+        'SELECT ts, open, high, low, close, volume FROM candles WHERE inst_id = ? AND bar = ? AND ts BETWEEN ? AND ? ORDER BY ts'
+    ).all(instId, bar, fromTs, toTs);
+}
+
+/**
+ * Summarize stored candles per instrument and bar.
+ * @returns {{ inst_id: string, bar: string, count: number, first_ts: number, last_ts: number }[]}
+ */
+export function getCandleCoverage() {
+    return getDb().prepare(
+        'SELECT inst_id, bar, COUNT(*) AS count, MIN(ts) AS first_ts, MAX(ts) AS last_ts FROM candles GROUP BY inst_id, bar ORDER BY inst_id, bar'
+    ).all();
+}
+
+// ============================================================
+// Engine State (restart recovery)
+// ============================================================
+
+/**
+ * Message IDs of signals that were accepted for execution.
+ * @returns {string[]}
+ */
+export function getProcessedMessageIds() {
+    return getDb().prepare(
+        'SELECT message_id FROM signal_log WHERE is_valid = 1 AND rejection_reason IS NULL AND message_id IS NOT NULL'
+    ).all().map(row => row.message_id);
+}
+
+/**
+ * Persist the fill context of an entry order awaiting fill.
+ * @param {string} orderId
+ * @param {object} context
+ */
+export function savePendingFill(orderId, context) {
+    getDb().prepare(`
+        INSERT INTO pending_fills (order_id, context) VALUES (?, ?)
+        ON CONFLICT(order_id) DO UPDATE SET context = excluded.context
+    `).run(orderId, JSON.stringify(context));
+}
+
+/**
+ * @param {string} orderId
+ */
+export function deletePendingFill(orderId) {
+    getDb().prepare('DELETE FROM pending_fills WHERE order_id = ?').run(orderId);
+}
+
+/**
+ * @returns {{ orderId: string, context: object, createdAt: string }[]}
+ */
+export function getPendingFills() {
+    return getDb().prepare('SELECT * FROM pending_fills ORDER BY created_at').all()
+        .map(row => ({ orderId: row.order_id, context: JSON.parse(row.context), createdAt: row.created_at }));
+}
+
+/**
+ * Persist a tracked signal.
+ * @param {string} messageId
+ * @param {{ signal: object, channelId: string, version: number }} entry
+ */
+export function saveActiveSignal(messageId, { signal, channelId, version }) {
+    getDb().prepare(`
+        INSERT INTO active_signals (message_id, channel_id, signal, version) VALUES (?, ?, ?, ?)
+        ON CONFLICT(message_id) DO UPDATE SET
+            signal = excluded.signal, version = excluded.version, updated_at = datetime('now')
+    `).run(messageId, channelId || null, JSON.stringify(signal), version);
+}
+
+/**
+ * @param {string} messageId
+ */
+export function deleteActiveSignal(messageId) {
+    getDb().prepare('DELETE FROM active_signals WHERE message_id = ?').run(messageId);
+}
+
+/**
+ * @returns {{ messageId: string, signal: object, channelId: string|null, version: number }[]}
+ */
+export function getActiveSignals() {
+    return getDb().prepare('SELECT * FROM active_signals').all()
+        .map(row => ({ messageId: row.message_id, signal: JSON.parse(row.signal), channelId: row.channel_id, version: row.version }));
+}
+
+// ============================================================
+// Risk State
+// ============================================================
+
+/**
+ * Get the kill-switch state.
+ * @returns {{ halted: boolean, haltReason: string|null, haltedAt: string|null, resumedAt: string|null, resumedBy: string|null }}
+ */
+export function getRiskState() {
+    const row = getDb().prepare('SELECT * FROM risk_state WHERE id = 1').get();
+    return {
+        halted: Boolean(row.halted),
+        haltReason: row.halt_reason,
+        haltedAt: row.halted_at,
+        resumedAt: row.resumed_at,
+        resumedBy: row.resumed_by,
+    };
+}
+
+/**
+ * Trip the kill switch.
+ * @param {string} reason
+ */
+export function setRiskHalted(reason) {
+    getDb().prepare(`
+        UPDATE risk_state SET halted = 1, halt_reason = ?, halted_at = ?, updated_at = datetime('now') WHERE id = 1
+    `).run(reason, new Date().toISOString());
+}
+
+/**
+ * Clear the kill switch (operator action).
+ * @param {string} resumedBy
+ */
+export function clearRiskHalted(resumedBy) {
+    getDb().prepare(`
+        UPDATE risk_state SET halted = 0, resumed_at = ?, resumed_by = ?, updated_at = datetime('now') WHERE id = 1
+    `).run(new Date().toISOString(), resumedBy);
+}
+
+// ============================================================
+// Confirmation Queue
+// ============================================================
+
+function parseConfirmationRow(row) {
+    return {
+        ...row,
+        signal: JSON.parse(row.signal),
+        edits: row.edits ? JSON.parse(row.edits) : null,
+    };
+}
+
+/**
+ * Queue a signal for operator confirmation (replaces an earlier entry for the same signal).
+ * @param {object} signal - Parsed signal
+ * @param {object} [options]
+ * @param {string} [options.reason] - Why it needs confirming
+ * @param {string|null} [options.expiresAt] - ISO time, null = never
+ * @returns {object} The stored entry
+ */
+export function addConfirmation(signal, { reason = null, expiresAt = null } = {}) {
+    getDb().prepare(`
+        INSERT OR REPLACE INTO confirmations (signal_id, message_id, channel_id, trader_name, inst_id, side, signal, reason, expires_at)
+        VALUES (@signalId, @messageId, @channelId, @traderName, @instId, @side, @signal, @reason, @expiresAt)
+    `).run({
+        signalId: signal.signalId,
+        messageId: signal.messageId || null,
+        channelId: signal.channelId || null,
+        traderName: signal.traderName || null,
+        instId: signal.instId,
+        side: signal.side || null,
+        signal: JSON.stringify(signal),
+        reason,
+        expiresAt,
+    });
+    return getConfirmation(signal.signalId);
+}
+
+/**
+ * @param {string} signalId
+ * @returns {object|null}
+ */
+export function getConfirmation(signalId) {
+    const row = getDb().prepare('SELECT * FROM confirmations WHERE signal_id = ?').get(signalId);
+    return row ? parseConfirmationRow(row) : null;
+}
+
+/**
+ * Entries still awaiting a decision, oldest first.
+ * @returns {object[]}
+ */
+export function getPendingConfirmations() {
+    return getDb().prepare("SELECT * FROM confirmations WHERE status = 'pending' ORDER BY created_at, rowid").all()
+        .map(parseConfirmationRow);
+}
+
+/**
+ * Decided entries, newest first — the approval audit trail.
+ * @param {number} [limit=50]
+ * @returns {object[]}
+ */
+export function getConfirmationHistory(limit = 50) {
+    return getDb().prepare("SELECT * FROM confirmations WHERE status != 'pending' ORDER BY decided_at DESC LIMIT ?").all(limit)
+        .map(parseConfirmationRow);
+}
+
+/**
+ * Record the decision on a pending entry. Only the first decision wins.
+ * @param {string} signalId
+ * @param {object} decision
+ * @param {'approved'|'rejected'|'expired'|'failed'|'cancelled'} decision.status
+ * @param {string} decision.decidedBy - Operator name, or 'system'
+ * @param {object} [decision.edits] - Overrides the operator applied
+ * @param {string} [decision.note]
+ * @returns {boolean} False if the entry was not pending
+ */
+export function decideConfirmation(signalId, { status, decidedBy, edits = null, note = null }) {
+    const result = getDb().prepare(`
+        UPDATE confirmations SET status = ?, decided_by = ?, edits = ?, decision_note = ?, decided_at = ?
+        WHERE signal_id = ? AND status = 'pending'
+    `).run(status, decidedBy, edits ? JSON.stringify(edits) : null, note, new Date().toISOString(), signalId);
+    return result.changes > 0;
+}
+
+// ============================================================
+// Signal Sources (inbound HTTP signals)
+// ============================================================
+
+function parseSignalSourceRow(row) {
+    return { ...row, enabled: Boolean(row.enabled) };
+}
+
+/** @returns {object[]} All ingest sources, by name */
+export function getSignalSources() {
+    return getDb().prepare('SELECT * FROM signal_sources ORDER BY name').all().map(parseSignalSourceRow);
+}
+
+/**
+ * @param {string} name
+ * @returns {object|null}
+ */
+export function getSignalSource(name) {
+    if (!name) return null;
+    const row = getDb().prepare('SELECT * FROM signal_sources WHERE name = ?').get(name);
+    return row ? parseSignalSourceRow(row) : null;
+}
+
+/**
+ * Add or update an ingest source.
+ * @param {string} name - Source ID the sender passes with each request (letters, digits, - and _)
+ * @param {object} source
+ * @param {string} source.secret - Shared secret the sender authenticates with
+ * @param {string} [source.traderName] - Caller name for signals that don't carry one (whitelist, profiles)
+ * @param {boolean} [source.enabled=true]
+ * @returns {object} The stored source
+ */
+export function saveSignalSource(name, { secret, traderName = null, enabled = true }) {
+    if (!/^[\w-]{1,64}$/.test(name || '')) throw new Error('Source name must be 1–64 letters, digits, - or _');
+    if (!secret || secret.length < 16) throw new Error('Source secret must be at least 16 characters');
+
+    getDb().prepare(`
+        INSERT INTO signal_sources (name, secret, trader_name, enabled) VALUES (@name, @secret, @traderName, @enabled)
+        ON CONFLICT(name) DO UPDATE SET
+          secret = excluded.secret, trader_name = excluded.trader_name, enabled = excluded.enabled,
+          updated_at = datetime('now')
+    `).run({ name, secret, traderName: traderName?.trim() || null, enabled: enabled ? 1 : 0 });
+    logger.info('SignalSources', `Saved source ${name}`, { traderName, enabled });
+    return getSignalSource(name);
+}
+
+/**
+ * @param {string} name
+ * @returns {boolean} True if the source existed
+ */
+export function removeSignalSource(name) {
+    const result = getDb().prepare('DELETE FROM signal_sources WHERE name = ?').run(name);
+    if (result.changes > 0) logger.info('SignalSources', `Removed source ${name}`);
+    return result.changes > 0;
+}
+
+/**
+ * Stamp a source's last successful ingest.
+ * @param {string} name
+ */
+export function touchSignalSource(name) {
+    getDb().prepare('UPDATE signal_sources SET last_ingest_at = ? WHERE name = ?').run(new Date().toISOString(), name);
+}
+
+// ============================================================
+// Webhooks
+// ============================================================
+
+function parseWebhookRow(row) {
+    return { ...row, events: JSON.parse(row.events), enabled: Boolean(row.enabled) };
+}
+
+/** @returns {object[]} All webhooks, by name */
+export function getWebhooks() {
+    return getDb().prepare('SELECT * FROM webhooks ORDER BY name, id').all().map(parseWebhookRow);
+}
+
+/**
+ * @param {number} id
+ * @returns {object|null}
+ */
+export function getWebhook(id) {
+    const row = getDb().prepare('SELECT * FROM webhooks WHERE id = ?').get(id);
+    return row ? parseWebhookRow(row) : null;
+}
+
+/**
+ * Create (no id) or update a webhook.
+ * @param {number|null} id
+ * @param {object} webhook
+ * @param {string} webhook.name
+ * @param {string} webhook.url - http(s) endpoint
+ * @param {string} webhook.secret - HMAC key for the signature header
+ * @param {string[]} [webhook.events=['*']] - Event names to deliver, '*' = all
+ * @param {boolean} [webhook.enabled=true]
+ * @returns {object} The stored webhook
+ */
+export function saveWebhook(id, { name, url, secret, events = ['*'], enabled = true }) {
+    if (!name?.trim()) throw new Error('Webhook name required');
+    if (!/^https?:\/\/\S+$/i.test(url?.trim() || '')) throw new Error('Webhook URL must be http(s)');
+    if (!secret) throw new Error('Webhook secret required');
+    const eventList = (events.length > 0 ? events : ['*']).map(e => String(e).trim()).filter(Boolean);
+
+    const values = {
+        name: name.trim(), url: url.trim(), secret, events: JSON.stringify(eventList), enabled: enabled ? 1 : 0,
+    };
+    if (id) {
+        getDb().prepare(`
+            UPDATE webhooks SET name = @name, url = @url, secret = @secret, events = @events, enabled = @enabled,
+              updated_at = datetime('now') WHERE id = @id
+        `).run({ ...values, id });
+    } else {
+        id = getDb().prepare(`
+            INSERT INTO webhooks (name, url, secret, events, enabled) VALUES (@name, @url, @secret, @events, @enabled)
+        `).run(values).lastInsertRowid;
+    }
+    logger.info('Webhooks', `Saved webhook ${values.name} → ${values.url}`, { events: eventList, enabled });
+    return getWebhook(id);
+}
+
+/**
+ * Delete a webhook and its queued deliveries.
+ * @param {number} id
+ * @returns {boolean} True if it existed
+ */
+export function removeWebhook(id) {
+    const db = getDb();
+    const removed = db.transaction(() => {
+        db.prepare("DELETE FROM webhook_deliveries WHERE webhook_id = ? AND status = 'pending'").run(id);
+        return db.prepare('DELETE FROM webhooks WHERE id = ?').run(id).changes > 0;
+    })();
+    if (removed) logger.info('Webhooks', `Removed webhook ${id}`);
+    return removed;
+}
+
+/**
+ * Queue an event for delivery to a webhook.
+ * @param {number} webhookId
+ * @param {string} event
+ * @param {string} payload - Serialized request body
+ * @returns {number} Delivery ID
+ */
+export function enqueueWebhookDelivery(webhookId, event, payload) {
+    return Number(getDb().prepare(`
+        INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at) VALUES (?, ?, ?, ?)
+    `).run(webhookId, event, payload, new Date().toISOString()).lastInsertRowid);
+}
+
+/**
+ * Pending deliveries whose next attempt is due, oldest first.
+ * @param {number} [limit=20]
+ * @returns {object[]}
+ */
+export function getDueWebhookDeliveries(limit = 20) {
+    return getDb().prepare(`
+        SELECT * FROM webhook_deliveries WHERE status = 'pending' AND next_attempt_at <= ?
+        ORDER BY next_attempt_at, id LIMIT ?
+    `).all(new Date().toISOString(), limit);
+}
+
+/**
+ * Record the outcome of a delivery attempt.
+ * @param {number} id
+ * @param {object} result
+ * @param {'pending'|'delivered'|'failed'} result.status
+ * @param {number} result.attempts
+ * @param {string|null} [result.nextAttemptAt] - ISO time of the retry (pending only)
+ * @param {number|null} [result.responseStatus]
+ * @param {string|null} [result.error]
+ */
+export function updateWebhookDelivery(id, { status, attempts, nextAttemptAt = null, responseStatus = null, error = null }) {
+    getDb().prepare(`
+        UPDATE webhook_deliveries SET status = ?, attempts = ?, next_attempt_at = ?, response_status = ?, last_error = ?,
+          delivered_at = CASE WHEN ? = 'delivered' THEN ? ELSE delivered_at END
+        WHERE id = ?
+    `).run(status, attempts, nextAttemptAt, responseStatus, error, status, new Date().toISOString(), id);
+}
+
+/**
+ * Put a delivery back in the queue for an immediate attempt.
+ * @param {number} id
+ * @returns {boolean} False if it does not exist or was already delivered
+ */
+export function retryWebhookDelivery(id) {
+    return getDb().prepare(`
+        UPDATE webhook_deliveries SET status = 'pending', next_attempt_at = ? WHERE id = ? AND status != 'delivered'
+    `).run(new Date().toISOString(), id).changes > 0;
+}
+
+/**
+ * @param {number} id
+ * @returns {object|null}
+ */
+export function getWebhookDelivery(id) {
+    return getDb().prepare(`
+        SELECT d.*, w.name AS webhook_name FROM webhook_deliveries d LEFT JOIN webhooks w ON w.id = d.webhook_id WHERE d.id = ?
+    `).get(id) || null;
+}
+
+/**
+ * Recent deliveries, newest first — the delivery log.
+ * @param {number} [limit=50]
+ * @returns {object[]}
+ */
+export function getWebhookDeliveries(limit = 50) {
+    return getDb().prepare(`
+        SELECT d.id, d.webhook_id, w.name AS webhook_name, d.event, d.status, d.attempts, d.next_attempt_at,
+               d.response_status, d.last_error, d.created_at, d.delivered_at
+        FROM webhook_deliveries d LEFT JOIN webhooks w ON w.id = d.webhook_id
+        ORDER BY d.id DESC LIMIT ?
+    `).all(limit);
+}
@@ -17,6 +17,38 @@ CREATE TABLE IF NOT EXISTS preferences (
   leverage_source TEXT NOT NULL DEFAULT 'signal' CHECK (leverage_source IN ('signal', 'saved', 'max')),
   use_dca INTEGER NOT NULL DEFAULT 0,
   dca_mode TEXT NOT NULL DEFAULT 'display' CHECK (dca_mode IN ('display', 'auto')),
+  stop_loss_source TEXT NOT NULL DEFAULT 'variance' CHECK (stop_loss_source IN ('signal', 'variance', 'tighter')),
+  zone_entry_orders INTEGER NOT NULL DEFAULT 1,
+  use_tp_ladder INTEGER NOT NULL DEFAULT 0,
+  tp_split_mode TEXT NOT NULL DEFAULT 'equal' CHECK (tp_split_mode IN ('equal', 'front', 'custom')),
+  tp_split_custom TEXT,
+  trailing_enabled INTEGER NOT NULL DEFAULT 0,
+  trailing_activation_percent REAL NOT NULL DEFAULT 1.0,
+  trailing_step_percent REAL NOT NULL DEFAULT 0.5,
+  tp_hit_actions TEXT,
+  mirror_close INTEGER NOT NULL DEFAULT 0,
+  sizing_mode TEXT NOT NULL DEFAULT 'fixed' CHECK (sizing_mode IN ('fixed', 'equity_percent', 'risk')),
+  equity_percent REAL NOT NULL DEFAULT 5.0,
+  risk_percent REAL NOT NULL DEFAULT 1.0,
+  risk_max_open_positions INTEGER NOT NULL DEFAULT 0,
+  risk_max_total_notional REAL NOT NULL DEFAULT 0,
+  risk_max_instrument_notional REAL NOT NULL DEFAULT 0,
+  risk_daily_loss_limit REAL NOT NULL DEFAULT 0,
+  risk_max_consecutive_losses INTEGER NOT NULL DEFAULT 0,
+  demotion_enabled INTEGER NOT NULL DEFAULT 0,
+  demotion_window INTEGER NOT NULL DEFAULT 20,
+  demotion_min_signals INTEGER NOT NULL DEFAULT 10,
+  demotion_min_win_rate REAL NOT NULL DEFAULT 0,
+  demotion_min_avg_tp REAL NOT NULL DEFAULT 0,
+  demotion_max_realized_loss REAL NOT NULL DEFAULT 0,
+  backfill_mode TEXT NOT NULL DEFAULT 'confirm',
+  backfill_max_age REAL NOT NULL DEFAULT 15,
+  signal_max_age INTEGER NOT NULL DEFAULT 0,
+  signal_max_drift REAL NOT NULL DEFAULT 10,
+  reject_past_targets INTEGER NOT NULL DEFAULT 1,
+  confirm_timeout INTEGER NOT NULL DEFAULT 300,
+  notify_events TEXT,
+  notify_max_per_minute INTEGER NOT NULL DEFAULT 10,
   updated_at TEXT NOT NULL DEFAULT (datetime('now'))
 );
 
@@ -31,6 +63,7 @@ INSERT OR IGNORE INTO preferences (id) VALUES (1);
 CREATE TABLE IF NOT EXISTS trader_whitelist (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   trader_name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+  profile TEXT,
   added_at TEXT NOT NULL DEFAULT (datetime('now'))
 );
 
@@ -63,12 +96,19 @@ CREATE TABLE IF NOT EXISTS order_history (
   order_id TEXT,
   tpsl_id TEXT,
   algo_id TEXT,
+  stop_price REAL,
+  stop_source TEXT,
   status TEXT NOT NULL DEFAULT 'pending',
   pnl REAL,
+  realized_pnl_percent REAL,
+  caller_pnl TEXT,
+  close_reason TEXT,
+  closed_at TEXT,
   trader_name TEXT,
   tp_levels TEXT,
   dca_levels TEXT,
   dca_orders TEXT,
+  tp_orders TEXT,
   created_at TEXT NOT NULL DEFAULT (datetime('now')),
   updated_at TEXT NOT NULL DEFAULT (datetime('now'))
 );
@@ -83,21 +123,155 @@ CREATE TABLE IF NOT EXISTS signal_log (
   ticker TEXT,
   side TEXT,
   entry_price REAL,
+  entry_low REAL,
+  entry_high REAL,
   is_valid INTEGER NOT NULL DEFAULT 0,
   was_executed INTEGER NOT NULL DEFAULT 0,
   rejection_reason TEXT,
   trader_name TEXT,
   leverage INTEGER,
+  stop_loss REAL,
   tp_levels TEXT,
   dca_levels TEXT,
+  format TEXT,
+  source TEXT,
   created_at TEXT NOT NULL DEFAULT (datetime('now'))
 );
 
+-- Monitored Discord channels and their per-channel settings
+CREATE TABLE IF NOT EXISTS channel_config (
+  channel_id TEXT PRIMARY KEY,
+  guild_id TEXT,
+  name TEXT,
+  enabled INTEGER NOT NULL DEFAULT 1,
+  allowed_bot_names TEXT,
+  formats TEXT,
+  default_profile TEXT,
+  updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- Engine state that must survive restarts
+-- Entry orders awaiting fill (context needed to place their stop / TP ladder)
+CREATE TABLE IF NOT EXISTS pending_fills (
+  order_id TEXT PRIMARY KEY,
+  context TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- Live signals whose edits (TP hits, closes) are still being tracked
+CREATE TABLE IF NOT EXISTS active_signals (
+  message_id TEXT PRIMARY KEY,
+  channel_id TEXT,
+  signal TEXT NOT NULL,
+  version INTEGER NOT NULL DEFAULT 1,
+  updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- OHLC candles for backtesting (imported from CSV or fetched from Blofin)
+CREATE TABLE IF NOT EXISTS candles (
+  inst_id TEXT NOT NULL,
+  bar TEXT NOT NULL,
+  ts INTEGER NOT NULL,
+  open REAL NOT NULL,
+  high REAL NOT NULL,
+  low REAL NOT NULL,
+  close REAL NOT NULL,
+  volume REAL,
+  PRIMARY KEY (inst_id, bar, ts)
+);
+
+-- Risk kill switch (single-row; a tripped guardrail stays halted until an operator resumes)
+CREATE TABLE IF NOT EXISTS risk_state (
+  id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+  halted INTEGER NOT NULL DEFAULT 0,
+  halt_reason TEXT,
+  halted_at TEXT,
+  resumed_at TEXT,
+  resumed_by TEXT,
+  updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+INSERT OR IGNORE INTO risk_state (id) VALUES (1);
+
+-- Automatic trader demotions (auto → confirm-only) and the scorecard rule that fired
+CREATE TABLE IF NOT EXISTS trader_demotions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  trader_name TEXT NOT NULL COLLATE NOCASE,
+  rule TEXT NOT NULL,
+  detail TEXT NOT NULL,
+  stats TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- Signals awaiting operator confirmation, and the decision taken on each
+CREATE TABLE IF NOT EXISTS confirmations (
+  signal_id TEXT PRIMARY KEY,
+  message_id TEXT,
+  channel_id TEXT,
+  trader_name TEXT,
+  inst_id TEXT NOT NULL,
+  side TEXT,
+  signal TEXT NOT NULL,
+  reason TEXT,
+  status TEXT NOT NULL DEFAULT 'pending',
+  edits TEXT,
+  decided_by TEXT,
+  decision_note TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  expires_at TEXT,
+  decided_at TEXT
+);
+
+-- Outbound webhooks (events = JSON array of event names, ["*"] = all)
+CREATE TABLE IF NOT EXISTS webhooks (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  events TEXT NOT NULL DEFAULT '["*"]',
+  enabled INTEGER NOT NULL DEFAULT 1,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- Webhook delivery queue and log (retried with backoff until delivered or failed)
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  webhook_id INTEGER NOT NULL,
+  event TEXT NOT NULL,
+  payload TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TEXT,
+  response_status INTEGER,
+  last_error TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  delivered_at TEXT
+);
+
+-- Authenticated senders for POST /api/signals/ingest (TradingView alerts, scripts)
+CREATE TABLE IF NOT EXISTS signal_sources (
+  name TEXT PRIMARY KEY,
+  secret TEXT NOT NULL,
+  trader_name TEXT,
+  enabled INTEGER NOT NULL DEFAULT 1,
+  last_ingest_at TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
 -- Indexes for fast lookups
 CREATE INDEX IF NOT EXISTS idx_order_history_inst_id ON order_history(inst_id);
 CREATE INDEX IF NOT EXISTS idx_order_history_status ON order_history(status);
+CREATE INDEX IF NOT EXISTS idx_order_history_signal_id ON order_history(signal_id);
+CREATE INDEX IF NOT EXISTS idx_order_history_closed_at ON order_history(closed_at);
 CREATE INDEX IF NOT EXISTS idx_signal_log_signal_id ON signal_log(signal_id);
 CREATE INDEX IF NOT EXISTS idx_signal_log_created_at ON signal_log(created_at);
 CREATE INDEX IF NOT EXISTS idx_signal_log_message_id ON signal_log(message_id);
 CREATE INDEX IF NOT EXISTS idx_signal_edits_message_id ON signal_edits(message_id);
 CREATE INDEX IF NOT EXISTS idx_trader_whitelist_name ON trader_whitelist(trader_name);
+CREATE INDEX IF NOT EXISTS idx_signal_log_trader_name ON signal_log(trader_name);
+CREATE INDEX IF NOT EXISTS idx_signal_log_channel_id ON signal_log(channel_id);
+CREATE INDEX IF NOT EXISTS idx_trader_demotions_trader ON trader_demotions(trader_name);
+CREATE INDEX IF NOT EXISTS idx_confirmations_status ON confirmations(status);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
@@ -6,16 +6,41 @@
 const socket = io();
 let configDirty = false;
 let currentTraders = [];
-let pendingSignal = null;
+let currentPrefs = {};
+let editingTrader = null;
+let signalFormats = [];
+let channelConfigs = [];
+let pendingConfirmations = [];
+
+const TP_ACTION_LEVELS = [1, 2, 3, 4];
+
+/** Discord notification toggles: engine event → checkbox */
+const NOTIFY_TOGGLES = {
+    'execution:complete': 'cfgNotifyComplete',
+    'execution:failed': 'cfgNotifyFailed',
+    'execution:partial': 'cfgNotifyPartial',
+    'execution:stopFailed': 'cfgNotifyStopFailed',
+    'emergencyClose': 'cfgNotifyEmergency',
+    'signal:closed': 'cfgNotifyClosed',
+};
 
 // ============================================================
 // Initialization
 // ============================================================
 
-socket.on('init', ({ preferences, traders, events, status }) => {
+socket.on('init', ({ preferences, traders, signalFormats: formats, channels, risk, events, status }) => {
+    signalFormats = formats || [];
+    channelConfigs = channels || [];
     setConfigValues(preferences);
+    renderRiskBanner(risk);
     currentTraders = traders || [];
     renderTraderList();
+    renderChannelList();
+    loadScorecards();
+    loadConfirmations();
+    loadWebhooks();
+    loadWebhookDeliveries();
+    loadSignalSources();
     if (events) events.forEach(e => addEventEntry(e));
     updateStatus(status);
 });
@@ -28,19 +53,53 @@ socket.on('disconnect', () => updateConnectionIndicator('socket', false));
 // ============================================================
 
 function setConfigValues(p) {
+    currentPrefs = p;
+    document.getElementById('cfgSizingMode').value = p.sizingMode;
     document.getElementById('cfgOrderAmount').value = p.orderAmount;
+    document.getElementById('cfgEquityPercent').value = p.equityPercent;
+    document.getElementById('cfgRiskPercent').value = p.riskPercent;
     document.getElementById('cfgOrderType').value = p.orderType;
     document.getElementById('cfgSlippagePercent').value = p.slippagePercent;
+    document.getElementById('cfgZoneEntryOrders').value = p.zoneEntryOrders;
     document.getElementById('cfgLeverage').value = p.leverage;
     document.getElementById('cfgLeverageSource').value = p.leverageSource;
     document.getElementById('cfgMarginMode').value = p.marginMode;
     document.getElementById('cfgTrailingStopVariance').value = p.trailingStopVariance;
     document.getElementById('cfgTrailingStopType').value = p.trailingStopType;
+    document.getElementById('cfgStopLossSource').value = p.stopLossSource;
+    document.getElementById('cfgTrailingEnabled').checked = p.trailingEnabled;
+    document.getElementById('cfgTrailingActivationPercent').value = p.trailingActivationPercent;
+    document.getElementById('cfgTrailingStepPercent').value = p.trailingStepPercent;
+    document.getElementById('cfgRiskMaxOpenPositions').value = p.riskMaxOpenPositions;
+    document.getElementById('cfgRiskMaxTotalNotional').value = p.riskMaxTotalNotional;
+    document.getElementById('cfgRiskMaxInstrumentNotional').value = p.riskMaxInstrumentNotional;
+    document.getElementById('cfgRiskDailyLossLimit').value = p.riskDailyLossLimit;
+    document.getElementById('cfgRiskMaxConsecutiveLosses').value = p.riskMaxConsecutiveLosses;
+    document.getElementById('cfgSignalMaxAge').value = p.signalMaxAge;
+    document.getElementById('cfgSignalMaxDrift').value = p.signalMaxDrift;
+    document.getElementById('cfgRejectPastTargets').checked = p.rejectPastTargets;
+    document.getElementById('cfgDemotionEnabled').checked = p.demotionEnabled;
+    document.getElementById('cfgDemotionWindow').value = p.demotionWindow;
+    document.getElementById('cfgDemotionMinSignals').value = p.demotionMinSignals;
+    document.getElementById('cfgDemotionMinWinRate').value = p.demotionMinWinRate;
+    document.getElementById('cfgDemotionMinAvgTp').value = p.demotionMinAvgTp;
+    document.getElementById('cfgDemotionMaxRealizedLoss').value = p.demotionMaxRealizedLoss;
     document.getElementById('cfgAutoExecute').checked = p.autoExecute;
     document.getElementById('cfgConfirmBeforeOrder').checked = p.confirmBeforeOrder;
+    document.getElementById('cfgConfirmTimeout').value = p.confirmTimeout;
+    for (const [event, id] of Object.entries(NOTIFY_TOGGLES)) {
+        document.getElementById(id).checked = p.notifyEvents?.[event] !== false;
+    }
+    document.getElementById('cfgNotifyMaxPerMinute').value = p.notifyMaxPerMinute;
+    document.getElementById('cfgMirrorClose').checked = p.mirrorClose;
+    document.getElementById('cfgUseTpLadder').checked = p.useTpLadder;
+    document.getElementById('cfgTpSplitMode').value = p.tpSplitMode;
+    document.getElementById('cfgTpSplitCustom').value = p.tpSplitCustom || '';
+    renderTpHitActions(p.tpHitActions || {});
     document.getElementById('cfgUseDca').checked = p.useDca;
     document.getElementById('cfgDcaMode').value = p.dcaMode;
-    if (p.channelId) document.getElementById('cfgChannelId').value = p.channelId;
+    document.getElementById('cfgBackfillMode').value = p.backfillMode;
+    document.getElementById('cfgBackfillMaxAge').value = p.backfillMaxAge;
     document.getElementById('configStatus').textContent = 'SAVED';
 }
 
@@ -54,19 +113,51 @@ document.querySelectorAll('.config-input, .config-select, .toggle-switch input')
 
 async function saveConfig() {
     const body = {
+        sizingMode: document.getElementById('cfgSizingMode').value,
         orderAmount: parseFloat(document.getElementById('cfgOrderAmount').value),
+        equityPercent: parseFloat(document.getElementById('cfgEquityPercent').value),
+        riskPercent: parseFloat(document.getElementById('cfgRiskPercent').value),
         orderType: document.getElementById('cfgOrderType').value,
         slippagePercent: parseFloat(document.getElementById('cfgSlippagePercent').value),
+        zoneEntryOrders: parseInt(document.getElementById('cfgZoneEntryOrders').value),
         leverage: parseInt(document.getElementById('cfgLeverage').value),
         leverageSource: document.getElementById('cfgLeverageSource').value,
         marginMode: document.getElementById('cfgMarginMode').value,
         trailingStopVariance: parseFloat(document.getElementById('cfgTrailingStopVariance').value),
         trailingStopType: document.getElementById('cfgTrailingStopType').value,
+        stopLossSource: document.getElementById('cfgStopLossSource').value,
+        trailingEnabled: document.getElementById('cfgTrailingEnabled').checked,
+        trailingActivationPercent: parseFloat(document.getElementById('cfgTrailingActivationPercent').value),
+        trailingStepPercent: parseFloat(document.getElementById('cfgTrailingStepPercent').value),
+        riskMaxOpenPositions: parseInt(document.getElementById('cfgRiskMaxOpenPositions').value) || 0,
+        riskMaxTotalNotional: parseFloat(document.getElementById('cfgRiskMaxTotalNotional').value) || 0,
+        riskMaxInstrumentNotional: parseFloat(document.getElementById('cfgRiskMaxInstrumentNotional').value) || 0,
+        riskDailyLossLimit: parseFloat(document.getElementById('cfgRiskDailyLossLimit').value) || 0,
+        riskMaxConsecutiveLosses: parseInt(document.getElementById('cfgRiskMaxConsecutiveLosses').value) || 0,
+        signalMaxAge: parseInt(document.getElementById('cfgSignalMaxAge').value) || 0,
+        signalMaxDrift: parseFloat(document.getElementById('cfgSignalMaxDrift').value) || 0,
+        rejectPastTargets: document.getElementById('cfgRejectPastTargets').checked,
+        demotionEnabled: document.getElementById('cfgDemotionEnabled').checked,
+        demotionWindow: parseInt(document.getElementById('cfgDemotionWindow').value) || 20,
+        demotionMinSignals: parseInt(document.getElementById('cfgDemotionMinSignals').value) || 1,
+        demotionMinWinRate: parseFloat(document.getElementById('cfgDemotionMinWinRate').value) || 0,
+        demotionMinAvgTp: parseFloat(document.getElementById('cfgDemotionMinAvgTp').value) || 0,
+        demotionMaxRealizedLoss: parseFloat(document.getElementById('cfgDemotionMaxRealizedLoss').value) || 0,
         autoExecute: document.getElementById('cfgAutoExecute').checked,
         confirmBeforeOrder: document.getElementById('cfgConfirmBeforeOrder').checked,
+        confirmTimeout: parseInt(document.getElementById('cfgConfirmTimeout').value) || 0,
+        notifyEvents: Object.fromEntries(Object.entries(NOTIFY_TOGGLES)
+            .map(([event, id]) => [event, document.getElementById(id).checked])),
+        notifyMaxPerMinute: parseInt(document.getElementById('cfgNotifyMaxPerMinute').value) || 0,
+        mirrorClose: document.getElementById('cfgMirrorClose').checked,
+        useTpLadder: document.getElementById('cfgUseTpLadder').checked,
+        tpSplitMode: document.getElementById('cfgTpSplitMode').value,
+        tpSplitCustom: document.getElementById('cfgTpSplitCustom').value.trim() || null,
+        tpHitActions: readTpHitActions(),
         useDca: document.getElementById('cfgUseDca').checked,
         dcaMode: document.getElementById('cfgDcaMode').value,
-        channelId: document.getElementById('cfgChannelId').value || null,
+        backfillMode: document.getElementById('cfgBackfillMode').value,
+        backfillMaxAge: parseFloat(document.getElementById('cfgBackfillMaxAge').value) || 0,
     };
 
     try {
@@ -87,6 +178,514 @@ async function saveConfig() {
 
 socket.on('preferences:updated', (p) => setConfigValues(p));
 
+// ============================================================
+// TP-Hit Reactions
+// ============================================================
+
+function renderTpHitActions(actions) {
+    document.getElementById('tpHitActions').innerHTML = TP_ACTION_LEVELS.map(level => {
+        const a = actions[level] || {};
+        return `
+      <div class="config-row">
+        <label>TP${level}</label>
+        <select class="config-select" id="cfgTpHitStop${level}">
+          <option value="none" ${!a.stop || a.stop === 'none' ? 'selected' : ''}>Keep</option>
+          <option value="breakeven" ${a.stop === 'breakeven' ? 'selected' : ''}>Breakeven</option>
+          <option value="previous_tp" ${a.stop === 'previous_tp' ? 'selected' : ''}>Prev TP</option>
+        </select>
+        <input type="number" class="config-input narrow" id="cfgTpHitClose${level}" min="0" max="100" step="5"
+          value="${a.closePercent || 0}">
+      </div>
+    `;
+    }).join('');
+}
+
+function readTpHitActions() {
+    const actions = {};
+    for (const level of TP_ACTION_LEVELS) {
+        const stop = document.getElementById(`cfgTpHitStop${level}`).value;
+        const closePercent = parseFloat(document.getElementById(`cfgTpHitClose${level}`).value) || 0;
+        if (stop !== 'none' || closePercent > 0) actions[level] = { stop, closePercent };
+    }
+    return actions;
+}
+
+document.getElementById('tpHitActions').addEventListener('change', () => {
+    configDirty = true;
+    document.getElementById('configStatus').textContent = 'UNSAVED';
+});
+
+// ============================================================
+// Discord Channels
+// ============================================================
+
+let editingChannel = null;
+
+function channelLabel(channelId) {
+    const channel = channelConfigs.find(c => c.channel_id === channelId);
+    return channel?.name || channelId;
+}
+
+function renderChannelList() {
+    const container = document.getElementById('channelList');
+    if (channelConfigs.length === 0) {
+        container.innerHTML = '<span class="empty-hint">No channels monitored</span>';
+        return;
+    }
+    container.innerHTML = channelConfigs.map(c => {
+        const id = c.channel_id.replace(/'/g, "\\'");
+        const mode = profileMode(c.default_profile);
+        const overrides = Object.keys(c.default_profile || {}).length;
+        const title = [
+            c.channel_id,
+            c.guild_id ? `guild ${c.guild_id}` : 'any guild',
+            `bots: ${c.allowed_bot_names.length ? c.allowed_bot_names.join(', ') : 'AO Trades'}`,
+            `formats: ${c.formats.length ? c.formats.join(', ') : 'all'}`,
+            overrides ? `${overrides} profile override(s)` : null,
+        ].filter(Boolean).join(' · ');
+        return `<span class="trader-tag${overrides ? ' has-profile' : ''}${c.enabled ? '' : ' paused'}" title="${title}">`
+            + `<span class="profile-btn" onclick="openChannelModal('${id}')">📡 ${c.name || c.channel_id}${mode ? ` · ${PROFILE_MODE_LABELS[mode]}` : ''}${c.enabled ? '' : ' · paused'}</span>`
+            + `<span class="remove-btn" onclick="removeChannel('${id}')">&times;</span></span>`;
+    }).join('');
+}
+
+function renderFormatList(enabled = []) {
+    const container = document.getElementById('formatList');
+    if (signalFormats.length === 0) {
+        container.innerHTML = '<span class="empty-hint">No signal formats registered</span>';
+        return;
+    }
+    container.innerHTML = signalFormats.map(f => `
+      <label class="format-option" title="${f.description}">
+        <input type="checkbox" value="${f.name}" ${enabled.includes(f.name) ? 'checked' : ''}>
+        <span>${f.name}</span>
+        <span class="format-desc">${f.description}</span>
+      </label>
+    `).join('');
+}
+
+function openChannelModal(channelId) {
+    const input = document.getElementById('channelInput');
+    const id = channelId || input.value.trim();
+    if (!id) {
+        showToast('Enter a channel ID', 'warning');
+        return;
+    }
+    const channel = channelConfigs.find(c => c.channel_id === id);
+    editingChannel = id;
+    const profile = { ...(channel?.default_profile || {}) };
+
+    document.getElementById('chanId').value = id;
+    document.getElementById('chanId').disabled = Boolean(channel);
+    document.getElementById('chanName').value = channel?.name || '';
+    document.getElementById('chanGuildId').value = channel?.guild_id || '';
+    document.getElementById('chanEnabled').checked = channel ? channel.enabled : true;
+    document.getElementById('chanBots').value = (channel?.allowed_bot_names || []).join(', ');
+    renderFormatList(channel?.formats || []);
+    document.getElementById('chanMode').value = profileMode(profile);
+    delete profile.autoExecute;
+    delete profile.confirmBeforeOrder;
+    document.getElementById('chanProfile').value = Object.keys(profile).length ? JSON.stringify(profile, null, 2) : '';
+
+    document.getElementById('channelModal').classList.add('show');
+}
+
+function closeChannelModal() {
+    document.getElementById('channelModal').classList.remove('show');
+    editingChannel = null;
+}
+
+async function saveChannel() {
+    if (!editingChannel) return;
+    const channelId = document.getElementById('chanId').value.trim();
+    if (!channelId) return;
+
+    let defaultProfile;
+    try {
+        const raw = document.getElementById('chanProfile').value.trim();
+        defaultProfile = raw ? JSON.parse(raw) : {};
+    } catch {
+        showToast('Default profile must be valid JSON', 'error');
+        return;
+    }
+    const mode = document.getElementById('chanMode').value;
+    if (mode) defaultProfile.mode = mode;
+
+    const body = {
+        name: document.getElementById('chanName').value.trim() || null,
+        guildId: document.getElementById('chanGuildId').value.trim() || null,
+        enabled: document.getElementById('chanEnabled').checked,
+        allowedBotNames: document.getElementById('chanBots').value.split(',').map(n => n.trim()).filter(Boolean),
+        formats: [...document.querySelectorAll('#formatList input:checked')].map(el => el.value),
+        defaultProfile,
+    };
+
+    try {
+        const res = await fetch(`/api/channels/${encodeURIComponent(channelId)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+        });
+        const data = await res.json();
+        if (!data.success) throw new Error(data.error);
+        channelConfigs = data.data;
+        renderChannelList();
+        document.getElementById('channelInput').value = '';
+        showToast(`Channel ${body.name || channelId} saved`, 'success');
+        closeChannelModal();
+    } catch (err) {
+        showToast(`Failed to save channel: ${err.message}`, 'error');
+    }
+}
+
+async function removeChannel(channelId) {
+    if (!confirm(`Stop monitoring ${channelLabel(channelId)}?`)) return;
+    try {
+        const res = await fetch(`/api/channels/${encodeURIComponent(channelId)}`, { method: 'DELETE' });
+        const data = await res.json();
+        if (!data.success) throw new Error(data.error);
+        channelConfigs = data.data;
+        renderChannelList();
+        showToast(`Channel ${channelId} removed`, 'info');
+    } catch (err) {
+        showToast(`Failed to remove channel: ${err.message}`, 'error');
+    }
+}
+
+document.getElementById('channelInput').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') openChannelModal();
+});
+
+socket.on('channels:updated', (channels) => {
+    channelConfigs = channels;
+    renderChannelList();
+});
+
+// ============================================================
+// Outbound Webhooks
+// ============================================================
+
+let webhookConfigs = [];
+let webhookEvents = [];
+let editingWebhook = null;
+
+async function loadWebhooks() {
+    try {
+        const res = await fetch('/api/webhooks');
+        const data = await res.json();
+        if (!data.success) throw new Error(data.error);
+        webhookConfigs = data.data.webhooks;
+        webhookEvents = data.data.events;
+        renderWebhookList();
+    } catch (err) {
+        showToast(`Failed to load webhooks: ${err.message}`, 'error');
+    }
+}
+
+function renderWebhookList() {
+    const container = document.getElementById('webhookList');
+    if (webhookConfigs.length === 0) {
+        container.innerHTML = '<span class="empty-hint">No webhooks</span>';
+        return;
+    }
+    container.innerHTML = webhookConfigs.map(w => {
+        const title = `${w.url} · events: ${w.events.includes('*') ? 'all' : w.events.join(', ')}`;
+        return `<span class="trader-tag${w.enabled ? '' : ' paused'}" title="${title}">`
+            + `<span class="profile-btn" onclick="openWebhookModal(${w.id})">🔗 ${w.name}${w.enabled ? '' : ' · paused'}</span>`
+            + `<span class="remove-btn" onclick="removeWebhookConfig(${w.id})">&times;</span></span>`;
+    }).join('');
+}
+
+function renderWebhookEventList(selected = ['*']) {
+    const all = selected.includes('*');
+    document.getElementById('webhookEventList').innerHTML = webhookEvents.map(e => `
+      <label class="format-option">
+        <input type="checkbox" value="${e}" ${!all && selected.includes(e) ? 'checked' : ''}>
+        <span>${e}</span>
+      </label>
+    `).join('');
+}
+
+function openWebhookModal(webhookId) {
+    const webhook = webhookConfigs.find(w => w.id === webhookId);
+    editingWebhook = webhook ? webhook.id : 'new';
+
+    document.getElementById('whName').value = webhook?.name || '';
+    document.getElementById('whUrl').value = webhook?.url || '';
+    document.getElementById('whSecret').value = '';
+    document.getElementById('whSecret').placeholder = webhook
+        ? `Unchanged (${webhook.secretHint}) — enter a new one to replace`
+        : 'Leave blank to generate';
+    document.getElementById('whEnabled').checked = webhook ? webhook.enabled : true;
+    document.getElementById('whTestBtn').style.display = webhook ? '' : 'none';
+    renderWebhookEventList(webhook?.events);
+
+    document.getElementById('webhookModal').classList.add('show');
+}
+
+/** The server returns a secret only once (create / replace) — keep the modal open to copy it. */
+function showWebhookSecret(webhook) {
+    editingWebhook = webhook.id;
+    document.getElementById('whSecret').value = webhook.secret;
+    document.getElementById('whTestBtn').style.display = '';
+    showToast(`Copy the signing secret for ${webhook.name} now — it is not shown again`, 'warning');
+}
+
+function closeWebhookModal() {
+    document.getElementById('webhookModal').classList.remove('show');
+    editingWebhook = null;
+}
+
+async function saveWebhookConfig() {
+    if (!editingWebhook) return;
+    const events = [...document.querySelectorAll('#webhookEventList input:checked')].map(el => el.value);
+    const body = {
+        name: document.getElementById('whName').value.trim(),
+        url: document.getElementById('whUrl').value.trim(),
+        secret: document.getElementById('whSecret').value.trim(),
+        enabled: document.getElementById('whEnabled').checked,
+        events: events.length ? events : ['*'],
+    };
+
+    const isNew = editingWebhook === 'new';
+    try {
+        const res = await fetch(isNew ? '/api/webhooks' : `/api/webhooks/${editingWebhook}`, {
+            method: isNew ? 'POST' : 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+        });
+        const data = await res.json();
+        if (!data.success) throw new Error(data.error);
+        showToast(`Webhook ${data.data.name} saved`, 'success');
+        if (data.data.secret) showWebhookSecret(data.data);
+        else closeWebhookModal();
+        loadWebhooks();
+    } catch (err) {
+        showToast(`Failed to save webhook: ${err.message}`, 'error');
+    }
+}
+
+async function removeWebhookConfig(webhookId) {
+    const webhook = webhookConfigs.find(w => w.id === webhookId);
+    if (!confirm(`Delete webhook ${webhook?.name || webhookId}? Pending deliveries are dropped.`)) return;
+    try {
+        const res = await fetch(`/api/webhooks/${webhookId}`, { method: 'DELETE' });
+        const data = await res.json();
+        if (!data.success) throw new Error(data.error);
+        showToast(`Webhook ${webhook?.name || webhookId} deleted`, 'info');
+        loadWebhooks();
+    } catch (err) {
+        showToast(`Failed to delete webhook: ${err.message}`, 'error');
+    }
+}
+
+async function testWebhook() {
+    if (!editingWebhook || editingWebhook === 'new') return;
+    try {
+        const res = await fetch(`/api/webhooks/${editingWebhook}/test`, { method: 'POST' });
+        const data = await res.json();
+        if (!data.success) throw new Error(data.error);
+        showToast(`Test event queued (delivery #${data.data.deliveryId})`, 'info');
+    } catch (err) {
+        showToast(`Test failed: ${err.message}`, 'error');
+    }
+}
+
+async function loadWebhookDeliveries() {
+    try {
+        const res = await fetch('/api/webhooks/deliveries?limit=50');
+        const data = await res.json();
+        if (!data.success) throw new Error(data.error);
+        renderWebhookDeliveries(data.data);
+    } catch (err) {
+        showToast(`Failed to load webhook deliveries: ${err.message}`, 'error');
+    }
+}
+
+const DELIVERY_STATUS_COLORS = {
+    delivered: 'var(--accent-emerald)',
+    pending: 'var(--accent-amber)',
+    failed: 'var(--accent-rose)',
+};
+
+function renderWebhookDeliveries(deliveries) {
+    const tbody = document.getElementById('deliveryTableBody');
+    document.getElementById('deliveryBadge').textContent = String(deliveries.filter(d => d.status !== 'delivered').length);
+    if (deliveries.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="8"><div class="empty-state"><span class="icon">🔗</span><p>No deliveries yet</p></div></td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = deliveries.map(d => {
+        const detail = d.status === 'pending' && d.next_attempt_at
+            ? `retry ${d.next_attempt_at.slice(11, 19)}${d.last_error ? ` · ${d.last_error}` : ''}`
+            : d.last_error || '—';
+        return `
+    <tr>
+      <td>${d.created_at.slice(11, 19)}</td>
+      <td>${d.webhook_name || `#${d.webhook_id} (deleted)`}</td>
+      <td>${d.event}</td>
+      <td style="color: ${DELIVERY_STATUS_COLORS[d.status] || 'inherit'}">${d.status.toUpperCase()}</td>
+      <td>${d.attempts}</td>
+      <td>${d.response_status ?? '—'}</td>
+      <td title="${detail}">${detail}</td>
+      <td>${d.status === 'failed' && d.webhook_name ? `<button class="btn-batch" onclick="retryWebhookDelivery(${d.id})">Retry</button>` : ''}</td>
+    </tr>`;
+    }).join('');
+}
+
+async function retryWebhookDelivery(deliveryId) {
+    try {
+        const res = await fetch(`/api/webhooks/deliveries/${deliveryId}/retry`, { method: 'POST' });
+        const data = await res.json();
+        if (!data.success) throw new Error(data.error);
+        showToast(`Retrying delivery #${deliveryId}`, 'info');
+        loadWebhookDeliveries();
+    } catch (err) {
+        showToast(`Retry failed: ${err.message}`, 'error');
+    }
+}
+
+socket.on('webhooks:updated', (webhooks) => {
+    webhookConfigs = webhooks;
+    renderWebhookList();
+});
+
+socket.on('webhook:delivery', () => loadWebhookDeliveries());
+
+// ============================================================
+// Inbound Signal Sources
+// ============================================================
+
+let signalSources = [];
+let editingSource = null;
+
+async function loadSignalSources() {
+    try {
+        const res = await fetch('/api/signal-sources');
+        const data = await res.json();
+        if (!data.success) throw new Error(data.error);
+        signalSources = data.data;
+        renderSourceList();
+    } catch (err) {
+        showToast(`Failed to load signal sources: ${err.message}`, 'error');
+    }
+}
+
+function renderSourceList() {
+    const container = document.getElementById('sourceList');
+    if (signalSources.length === 0) {
+        container.innerHTML = '<span class="empty-hint">No signal sources</span>';
+        return;
+    }
+    container.innerHTML = signalSources.map(s => {
+        const title = [
+            s.trader_name ? `trader: ${s.trader_name}` : 'trader from signal',
+            s.last_ingest_at ? `last signal ${s.last_ingest_at.slice(0, 19).replace('T', ' ')}` : 'no signals yet',
+        ].join(' · ');
+        return `<span class="trader-tag${s.enabled ? '' : ' paused'}" title="${title}">`
+            + `<span class="profile-btn" onclick="openSourceModal('${s.name}')">🔌 ${s.name}${s.enabled ? '' : ' · paused'}</span>`
+            + `<span class="remove-btn" onclick="removeSignalSource('${s.name}')">&times;</span></span>`;
+    }).join('');
+}
+
+function openSourceModal(name) {
+    const source = signalSources.find(s => s.name === name);
+    editingSource = source ? source.name : 'new';
+
+    document.getElementById('srcName').value = source?.name || '';
+    document.getElementById('srcName').disabled = Boolean(source);
+    document.getElementById('srcTrader').value = source?.trader_name || '';
+    document.getElementById('srcSecret').value = '';
+    document.getElementById('srcSecret').placeholder = source
+        ? `Unchanged (${source.secretHint}) — enter a new one to replace`
+        : 'Leave blank to generate';
+    document.getElementById('srcRotateBtn').style.display = source ? '' : 'none';
+    document.getElementById('srcEnabled').checked = source ? source.enabled : true;
+    document.getElementById('srcEndpoint').textContent = `POST ${location.origin}/api/signals/ingest`;
+
+    document.getElementById('sourceModal').classList.add('show');
+}
+
+/** The server returns a secret only once (create / rotate) — keep the modal open to copy it. */
+function showSourceSecret(source) {
+    editingSource = source.name;
+    document.getElementById('srcName').disabled = true;
+    document.getElementById('srcSecret').value = source.secret;
+    document.getElementById('srcRotateBtn').style.display = '';
+    showToast(`Copy the secret for ${source.name} now — it is not shown again`, 'warning');
+}
+
+function closeSourceModal() {
+    document.getElementById('sourceModal').classList.remove('show');
+    editingSource = null;
+}
+
+async function saveSignalSource() {
+    if (!editingSource) return;
+    const name = editingSource === 'new' ? document.getElementById('srcName').value.trim() : editingSource;
+    if (!name) {
+        showToast('Enter a source name', 'warning');
+        return;
+    }
+    if (editingSource === 'new' && signalSources.some(s => s.name === name)) {
+        showToast(`Source ${name} already exists`, 'warning');
+        return;
+    }
+
+    try {
+        const res = await fetch(`/api/signal-sources/${encodeURIComponent(name)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                traderName: document.getElementById('srcTrader').value.trim() || null,
+                secret: document.getElementById('srcSecret').value.trim(),
+                enabled: document.getElementById('srcEnabled').checked,
+            }),
+        });
+        const data = await res.json();
+        if (!data.success) throw new Error(data.error);
+        showToast(`Signal source ${name} saved`, 'success');
+        if (data.data.secret) showSourceSecret(data.data);
+        else closeSourceModal();
+        loadSignalSources();
+    } catch (err) {
+        showToast(`Failed to save signal source: ${err.message}`, 'error');
+    }
+}
+
+async function rotateSourceSecret() {
+    if (!editingSource || editingSource === 'new') return;
+    if (!confirm(`Rotate the secret for ${editingSource}? The current one stops working immediately.`)) return;
+    try {
+        const res = await fetch(`/api/signal-sources/${encodeURIComponent(editingSource)}/rotate`, { method: 'POST' });
+        const data = await res.json();
+        if (!data.success) throw new Error(data.error);
+        showSourceSecret(data.data);
+        loadSignalSources();
+    } catch (err) {
+        showToast(`Failed to rotate secret: ${err.message}`, 'error');
+    }
+}
+
+async function removeSignalSource(name) {
+    if (!confirm(`Remove signal source ${name}? Its secret stops working immediately.`)) return;
+    try {
+        const res = await fetch(`/api/signal-sources/${encodeURIComponent(name)}`, { method: 'DELETE' });
+        const data = await res.json();
+        if (!data.success) throw new Error(data.error);
+        showToast(`Signal source ${name} removed`, 'info');
+        loadSignalSources();
+    } catch (err) {
+        showToast(`Failed to remove signal source: ${err.message}`, 'error');
+    }
+}
+
+socket.on('signalSources:updated', (sources) => {
+    signalSources = sources;
+    renderSourceList();
+});
+
 // ============================================================
 // Trader Whitelist
 // ============================================================
@@ -134,9 +733,14 @@ function renderTraderList() {
         container.innerHTML = '<span class="empty-hint">No traders — all signals allowed</span>';
         return;
     }
-    container.innerHTML = currentTraders.map(t =>
-        `<span class="trader-tag">${t.trader_name}<span class="remove-btn" onclick="removeTraderByName('${t.trader_name.replace(/'/g, "\\'")}')">&times;</span></span>`
-    ).join('');
+    container.innerHTML = currentTraders.map(t => {
+        const name = t.trader_name.replace(/'/g, "\\'");
+        const mode = profileMode(t.profile);
+        const overrides = Object.keys(t.profile || {}).length;
+        return `<span class="trader-tag${overrides ? ' has-profile' : ''}" title="${overrides ? `${overrides} override(s)` : 'Global settings'}">`
+            + `<span class="profile-btn" onclick="openProfileModal('${name}')">${t.trader_name}${mode ? ` · ${PROFILE_MODE_LABELS[mode]}` : ''}${overrides ? ' ⚙' : ''}</span>`
+            + `<span class="remove-btn" onclick="removeTraderByName('${name}')">&times;</span></span>`;
+    }).join('');
 }
 
 socket.on('traders:updated', (traders) => {
@@ -144,6 +748,147 @@ socket.on('traders:updated', (traders) => {
     renderTraderList();
 });
 
+// ============================================================
+// Trader Scorecards
+// ============================================================
+
+async function loadScorecards() {
+    try {
+        const res = await fetch('/api/scorecards');
+        const data = await res.json();
+        if (!data.success) throw new Error(data.error);
+        renderScorecards(data.data);
+    } catch (err) {
+        showToast(`Failed to load scorecards: ${err.message}`, 'error');
+    }
+}
+
+function renderScorecards(cards) {
+    const tbody = document.getElementById('scorecardTableBody');
+    document.getElementById('scorecardBadge').textContent = String(cards.length);
+    if (cards.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="10"><div class="empty-state"><span class="icon">🏆</span><p>No trader history yet</p></div></td></tr>';
+        return;
+    }
+
+    const pct = (v) => (v === null || v === undefined ? '—' : `${v.toFixed(1)}%`);
+    const signed = (v, fmt) => (v === null || v === undefined ? '—'
+        : `<span style="color: ${v >= 0 ? 'var(--accent-emerald)' : 'var(--accent-rose)'}">${fmt(v)}</span>`);
+
+    tbody.innerHTML = cards.map(c => `
+    <tr>
+      <td>${c.traderName}</td>
+      <td>${PROFILE_MODE_LABELS[c.mode]}${c.whitelisted ? '' : ' <span title="Not on the whitelist — cannot be demoted">·</span>'}</td>
+      <td title="${c.open} open / ${c.decided} closed">${c.signals}</td>
+      <td title="${c.wins}W / ${c.losses}L">${pct(c.winRate)}</td>
+      <td>${c.avgTpReached === null ? '—' : c.avgTpReached.toFixed(2)}</td>
+      <td title="${c.callerPnl.reported} reported">${signed(c.callerPnl.avgPercent, v => `${v >= 0 ? '+' : ''}${v.toFixed(1)}% avg`)}</td>
+      <td title="${c.realizedPnl.trades} realized of ${c.realizedPnl.executed} executed">${c.realizedPnl.trades ? signed(c.realizedPnl.total, v => `${v < 0 ? '-' : ''}$${Math.abs(v).toFixed(2)}`) : '—'}</td>
+      <td>${c.avgHoursToClose === null ? '—' : `${c.avgHoursToClose.toFixed(1)}h`}</td>
+      <td title="Last ${c.rolling.signals} of window ${c.rolling.window}${c.rolling.since ? ` since ${c.rolling.since}` : ''}">${pct(c.rolling.winRate)}</td>
+      <td title="${c.lastDemotion ? c.lastDemotion.detail : ''}">${c.lastDemotion ? `${c.lastDemotion.rule} · ${c.lastDemotion.created_at.slice(0, 16)}` : '—'}</td>
+    </tr>`).join('');
+}
+
+socket.on('trader:demoted', ({ traderName, detail, event }) => {
+    if (event) addEventEntry(event);
+    showToast(`${traderName} demoted to confirm-only: ${detail}`, 'error');
+    loadScorecards();
+});
+
+// ============================================================
+// Trader Profiles
+// ============================================================
+
+const PROFILE_MODE_LABELS = { auto: 'Auto', confirm: 'Confirm', log: 'Log only' };
+
+/** Profile fields with their own inputs; everything else goes in the JSON box. */
+const PROFILE_FIELDS = {
+    sizingMode: { id: 'profSizingMode', type: 'select' },
+    orderAmount: { id: 'profOrderAmount', type: 'number' },
+    equityPercent: { id: 'profEquityPercent', type: 'number' },
+    riskPercent: { id: 'profRiskPercent', type: 'number' },
+    leverage: { id: 'profLeverage', type: 'number' },
+    leverageSource: { id: 'profLeverageSource', type: 'select' },
+    trailingStopVariance: { id: 'profTrailingStopVariance', type: 'number' },
+    stopLossSource: { id: 'profStopLossSource', type: 'select' },
+    useDca: { id: 'profUseDca', type: 'boolean' },
+};
+
+/** Derive the execution mode a profile pins (see TRADER_MODES on the server). */
+function profileMode(profile = {}) {
+    if (profile.autoExecute === false) return 'log';
+    if (profile.confirmBeforeOrder === true) return 'confirm';
+    if (profile.autoExecute === true && profile.confirmBeforeOrder === false) return 'auto';
+    return '';
+}
+
+function openProfileModal(traderName) {
+    const trader = currentTraders.find(t => t.trader_name === traderName);
+    if (!trader) return;
+    editingTrader = trader.trader_name;
+    const profile = { ...(trader.profile || {}) };
+
+    document.getElementById('profileTraderName').textContent = trader.trader_name;
+    document.getElementById('profMode').value = profileMode(profile);
+    delete profile.autoExecute;
+    delete profile.confirmBeforeOrder;
+
+    for (const [key, field] of Object.entries(PROFILE_FIELDS)) {
+        const el = document.getElementById(field.id);
+        el.value = key in profile ? String(profile[key]) : '';
+        if (field.type === 'number') el.placeholder = currentPrefs[key] ?? '';
+        delete profile[key];
+    }
+    document.getElementById('profOther').value = Object.keys(profile).length ? JSON.stringify(profile, null, 2) : '';
+
+    document.getElementById('profileModal').classList.add('show');
+}
+
+function closeProfileModal() {
+    document.getElementById('profileModal').classList.remove('show');
+    editingTrader = null;
+}
+
+async function saveTraderProfile() {
+    if (!editingTrader) return;
+
+    let profile;
+    try {
+        const other = document.getElementById('profOther').value.trim();
+        profile = other ? JSON.parse(other) : {};
+    } catch {
+        showToast('Other overrides must be valid JSON', 'error');
+        return;
+    }
+
+    for (const [key, field] of Object.entries(PROFILE_FIELDS)) {
+        const raw = document.getElementById(field.id).value;
+        if (raw === '') continue;
+        profile[key] = field.type === 'number' ? parseFloat(raw)
+            : field.type === 'boolean' ? raw === 'true'
+                : raw;
+    }
+    const mode = document.getElementById('profMode').value;
+    if (mode) profile.mode = mode;
+
+    try {
+        const res = await fetch(`/api/traders/${encodeURIComponent(editingTrader)}/profile`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ profile }),
+        });
+        const data = await res.json();
+        if (!data.success) throw new Error(data.error);
+        currentTraders = data.data;
+        renderTraderList();
+        showToast(`Profile saved for "${editingTrader}"`, 'success');
+        closeProfileModal();
+    } catch (err) {
+        showToast(`Failed to save profile: ${err.message}`, 'error');
+    }
+}
+
 // Allow Enter key to add trader
 document.getElementById('traderInput')?.addEventListener('keydown', (e) => {
     if (e.key === 'Enter') addTrader();
@@ -188,11 +933,16 @@ function addSignalCard(signal, type = 'new') {
       <span class="signal-side ${isEdit ? 'edit' : signal.side}">${isEdit ? 'EDIT' : signal.side?.toUpperCase()}</span>
     </div>
     <div class="signal-meta">
-      <span>📍 ${signal.entryPrice || 'MARKET'}</span>
+      <span>📍 ${signal.entryLow ? `${signal.entryLow}–${signal.entryHigh}` : (signal.entryPrice || 'MARKET')}</span>
       <span>⚡ ${signal.leverage || '?'}x</span>
+      ${signal.stopLoss ? `<span>🛑 ${signal.stopLoss}</span>` : ''}
       ${signal.traderName ? `<span>👤 ${signal.traderName}</span>` : ''}
       ${signal.finalPnl ? `<span>💰 ${signal.finalPnl}</span>` : ''}
       ${signal.isClosed ? '<span>🔒 Closed</span>' : ''}
+      ${signal.format ? `<span>🧩 ${signal.format}</span>` : ''}
+      ${signal.channelId?.startsWith('ingest:')
+        ? `<span>🔌 ${signal.source}</span>`
+        : signal.channelId ? `<span>📡 ${channelLabel(signal.channelId)}</span>` : ''}
     </div>
     ${tpHtml}
   `;
@@ -225,6 +975,15 @@ socket.on('signal:tpHit', ({ signal, tpHits, version }) => {
 socket.on('signal:closed', ({ signal, finalPnl }) => {
     showToast(`Trade closed: ${signal.instId} | P&L: ${finalPnl || 'N/A'}`, 'info');
     addSignalCard(signal, 'edit');
+    loadScorecards();
+});
+
+socket.on('signal:mirrorClosed', ({ signal, hadPosition, realizedPnlPercent, callerPnl, event }) => {
+    if (event) addEventEntry(event);
+    if (hadPosition) {
+        const ours = realizedPnlPercent !== null ? `${realizedPnlPercent.toFixed(2)}%` : 'N/A';
+        showToast(`Mirrored close: ${signal.instId} | Ours: ${ours} | Caller: ${callerPnl || 'N/A'}`, 'info');
+    }
 });
 
 // ============================================================
@@ -272,51 +1031,205 @@ function closeDcaModal() {
 }
 
 // ============================================================
-// Confirm Modal
+// Confirmation Queue
 // ============================================================
 
-socket.on('signal:confirmRequired', ({ signal, prefs }) => {
-    showConfirmModal(signal, prefs);
+const OPERATOR_KEY = 'perptrader.operator';
+
+/** Operator name recorded with each decision — asked once, then remembered. */
+function getOperator() {
+    let operator = localStorage.getItem(OPERATOR_KEY);
+    if (!operator) {
+        operator = prompt('Enter your name (recorded with confirmation decisions):')?.trim();
+        if (!operator) return null;
+        localStorage.setItem(OPERATOR_KEY, operator);
+    }
+    return operator;
+}
+
+async function loadConfirmations() {
+    try {
+        const res = await fetch('/api/confirmations?limit=10');
+        const data = await res.json();
+        if (!data.success) throw new Error(data.error);
+        pendingConfirmations = data.data.pending;
+        renderConfirmations();
+        renderConfirmationHistory(data.data.history);
+    } catch (err) {
+        showToast(`Failed to load confirmations: ${err.message}`, 'error');
+    }
+}
+
+function renderConfirmations() {
+    const tbody = document.getElementById('confirmationTableBody');
+    document.getElementById('confirmationBadge').textContent = String(pendingConfirmations.length);
+    document.getElementById('confirmSelectAll').checked = false;
+    if (pendingConfirmations.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="9"><div class="empty-state"><span class="icon">⏳</span><p>Nothing awaiting confirmation</p></div></td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = pendingConfirmations.map(c => {
+        const sig = c.signal;
+        const entry = sig.entryLow ? `$${sig.entryLow}–$${sig.entryHigh}` : `$${sig.entryPrice || 'MARKET'}`;
+        return `
+    <tr>
+      <td><input type="checkbox" class="confirm-select" value="${c.signal_id}"></td>
+      <td>${c.created_at.slice(11, 19)}</td>
+      <td>${c.inst_id}</td>
+      <td style="color: ${c.side === 'long' ? 'var(--accent-emerald)' : 'var(--accent-rose)'}">${c.side?.toUpperCase()}</td>
+      <td>${entry}</td>
+      <td>${c.trader_name || '—'}</td>
+      <td>${c.reason || '—'}</td>
+      <td class="countdown" data-expires="${c.expires_at || ''}">${formatCountdown(c.expires_at)}</td>
+      <td>
+        <button class="btn-batch" onclick="showConfirmModal('${c.signal_id}')">Review</button>
+        <button class="btn-batch reject" onclick="rejectConfirmation('${c.signal_id}')">Reject</button>
+      </td>
+    </tr>`;
+    }).join('');
+}
+
+function renderConfirmationHistory(history) {
+    document.getElementById('confirmationHistory').innerHTML = history.map(c => {
+        const edits = c.edits ? ` [${[
+            c.edits.orderAmount ? `$${c.edits.orderAmount}` : null,
+            c.edits.leverage ? `${c.edits.leverage}x` : null,
+        ].filter(Boolean).join(', ')}]` : '';
+        return `<div>${c.decided_at.slice(0, 19).replace('T', ' ')} · ${c.side?.toUpperCase()} ${c.inst_id} — ${c.status} by ${c.decided_by}${edits}${c.decision_note ? ` (${c.decision_note})` : ''}</div>`;
+    }).join('');
+}
+
+function formatCountdown(expiresAt) {
+    if (!expiresAt) return '∞';
+    const seconds = Math.max(0, Math.round((Date.parse(expiresAt) - Date.now()) / 1000));
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+setInterval(() => {
+    document.querySelectorAll('.countdown[data-expires]').forEach(cell => {
+        if (!cell.dataset.expires) return;
+        cell.textContent = formatCountdown(cell.dataset.expires);
+        cell.classList.toggle('urgent', Date.parse(cell.dataset.expires) - Date.now() < 30_000);
+    });
+}, 1000);
+
+function toggleAllConfirmations(checked) {
+    document.querySelectorAll('.confirm-select').forEach(box => { box.checked = checked; });
+}
+
+socket.on('signal:confirmRequired', ({ event }) => {
+    if (event) addEventEntry(event);
+    showToast('Signal awaiting confirmation', 'info');
+    loadConfirmations();
 });
 
-function showConfirmModal(signal, prefs) {
-    pendingSignal = signal;
+socket.on('confirmation:decided', ({ confirmation, event }) => {
+    if (event) addEventEntry(event);
+    if (confirmation.status === 'expired') showToast(`Confirmation expired: ${confirmation.inst_id}`, 'error');
+    if (document.getElementById('confirmModal').dataset.signalId === confirmation.signal_id) closeModal();
+    loadConfirmations();
+});
+
+function showConfirmModal(signalId) {
+    const confirmation = pendingConfirmations.find(c => c.signal_id === signalId);
+    if (!confirmation) return;
+    const signal = confirmation.signal;
+    const prefs = currentPrefs;
     const details = document.getElementById('modalDetails');
     details.innerHTML = `
     <div><strong>Pair:</strong> ${signal.instId}</div>
     <div><strong>Side:</strong> ${signal.side?.toUpperCase()}</div>
-    <div><strong>Entry:</strong> $${signal.entryPrice || 'MARKET'}</div>
-    <div><strong>Leverage:</strong> ${signal.leverage || prefs.leverage}x</div>
+    <div><strong>Entry:</strong> ${signal.entryLow ? `$${signal.entryLow}–$${signal.entryHigh}` : `$${signal.entryPrice || 'MARKET'}`}</div>
+    <div><strong>Leverage:</strong> ${signal.leverage ? `${signal.leverage}x (signal)` : '—'} · configured ${prefs.leverage}x (${prefs.leverageSource})</div>
+    <div><strong>Stop Loss:</strong> ${signal.stopLoss ? `$${signal.stopLoss}` : '—'} (source: ${prefs.stopLossSource})</div>
     <div><strong>Trader:</strong> ${signal.traderName || 'Unknown'}</div>
-    <div><strong>Amount:</strong> $${prefs.orderAmount}</div>
-    <div><strong>Order Type:</strong> ${prefs.orderType}</div>
     ${signal.tpLevels?.length ? `<div><strong>TPs:</strong> ${signal.tpLevels.map(t => `$${t.price}`).join(', ')}</div>` : ''}
     ${signal.dcaLevels?.length ? `<div><strong>DCA:</strong> ${signal.dcaLevels.map(d => `$${d.price}`).join(', ')}</div>` : ''}
+    <div><strong>Reason:</strong> ${confirmation.reason || '—'}</div>
+    <div><strong>Expires:</strong> ${confirmation.expires_at ? new Date(confirmation.expires_at).toLocaleTimeString() : 'never'}</div>
   `;
 
-    document.getElementById('modalExecuteBtn').onclick = () => confirmExecute();
-    document.getElementById('confirmModal').classList.add('show');
+    document.getElementById('modalOrderAmount').value = '';
+    document.getElementById('modalLeverage').value = '';
+    document.getElementById('modalExecuteBtn').onclick = () => approveConfirmation(signalId);
+    document.getElementById('modalRejectBtn').onclick = () => rejectConfirmation(signalId);
+    const modal = document.getElementById('confirmModal');
+    modal.dataset.signalId = signalId;
+    modal.classList.add('show');
 }
 
-async function confirmExecute() {
-    if (!pendingSignal) return;
-    closeModal();
+async function approveConfirmation(signalId) {
+    const operator = getOperator();
+    if (!operator) return;
+    const edits = {};
+    const orderAmount = document.getElementById('modalOrderAmount').value;
+    const leverage = document.getElementById('modalLeverage').value;
+    if (orderAmount) edits.orderAmount = parseFloat(orderAmount);
+    if (leverage) edits.leverage = parseInt(leverage);
 
     try {
-        await fetch('/api/confirm-signal', {
+        const res = await fetch(`/api/confirmations/${signalId}/approve`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ signal: pendingSignal }),
+            body: JSON.stringify({ operator, edits }),
         });
+        const data = await res.json();
+        if (!data.success) throw new Error(data.error);
+        closeModal();
         showToast('Trade confirmed & executing', 'success');
     } catch (err) {
         showToast(`Confirm failed: ${err.message}`, 'error');
     }
-    pendingSignal = null;
+}
+
+async function rejectConfirmation(signalId) {
+    const operator = getOperator();
+    if (!operator) return;
+
+    try {
+        const res = await fetch(`/api/confirmations/${signalId}/reject`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ operator }),
+        });
+        const data = await res.json();
+        if (!data.success) throw new Error(data.error);
+        closeModal();
+        showToast('Signal rejected', 'info');
+    } catch (err) {
+        showToast(`Reject failed: ${err.message}`, 'error');
+    }
+}
+
+async function decideSelectedConfirmations(action) {
+    const signalIds = [...document.querySelectorAll('.confirm-select:checked')].map(box => box.value);
+    if (signalIds.length === 0) return showToast('Select at least one signal', 'error');
+    if (!confirm(`${action === 'approve' ? 'Approve and execute' : 'Reject'} ${signalIds.length} signal(s)?`)) return;
+    const operator = getOperator();
+    if (!operator) return;
+
+    try {
+        const res = await fetch('/api/confirmations/batch', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ action, signalIds, operator }),
+        });
+        const data = await res.json();
+        if (!data.success) throw new Error(data.error);
+        const failed = data.data.filter(r => !r.success);
+        showToast(failed.length
+            ? `${data.data.length - failed.length} done, ${failed.length} failed: ${failed.map(r => r.error || r.note).join('; ')}`
+            : `${data.data.length} signal(s) ${action === 'approve' ? 'approved' : 'rejected'}`, failed.length ? 'error' : 'success');
+    } catch (err) {
+        showToast(`Batch ${action} failed: ${err.message}`, 'error');
+    }
 }
 
 function closeModal() {
-    document.getElementById('confirmModal').classList.remove('show');
+    const modal = document.getElementById('confirmModal');
+    modal.classList.remove('show');
+    delete modal.dataset.signalId;
 }
 
 // ============================================================
@@ -356,11 +1269,22 @@ function addOrderRow(data) {
 // Execution progress via event log
 socket.on('execution:start', ({ signal, step, event }) => { if (event) addEventEntry(event); });
 socket.on('execution:progress', ({ signal, step, event }) => { if (event) addEventEntry(event); });
+socket.on('stop:moved', ({ event }) => { if (event) addEventEntry(event); });
+socket.on('stop:moveFailed', ({ event }) => { if (event) addEventEntry(event); });
+socket.on('position:closed', ({ event }) => {
+    if (event) addEventEntry(event);
+    loadScorecards();
+});
 socket.on('execution:failed', ({ signal, reason, event }) => {
     if (event) addEventEntry(event);
     showToast(`Execution failed: ${reason}`, 'error');
 });
 
+socket.on('execution:partial', ({ signal, placed, total, event }) => {
+    if (event) addEventEntry(event);
+    showToast(`${signal.instId}: only ${placed}/${total} entry orders placed`, 'warning');
+});
+
 // ============================================================
 // Event Log
 // ============================================================
@@ -391,6 +1315,70 @@ function addEventEntry(event) {
     document.getElementById('eventBadge').textContent = String(count);
 }
 
+// ============================================================
+// Risk Kill Switch
+// ============================================================
+
+function renderRiskBanner(risk) {
+    const banner = document.getElementById('riskBanner');
+    banner.classList.toggle('show', !!risk?.halted);
+    if (risk?.halted) {
+        const since = risk.haltedAt ? ` (since ${new Date(risk.haltedAt).toLocaleString()})` : '';
+        document.getElementById('riskBannerReason').textContent = `${risk.haltReason || 'Unknown reason'}${since}`;
+    }
+}
+
+socket.on('risk:halted', (data) => {
+    renderRiskBanner(data);
+    if (data.event) addEventEntry(data.event);
+    showToast(`Trading halted: ${data.haltReason}`, 'error');
+});
+
+socket.on('risk:resumed', (data) => {
+    renderRiskBanner(data);
+    if (data.event) addEventEntry(data.event);
+    showToast(`Trading resumed by ${data.resumedBy}`, 'success');
+});
+
+async function resumeTrading() {
+    const operator = prompt('Resume trading? Enter your name to confirm:');
+    if (!operator?.trim()) return;
+
+    try {
+        const res = await fetch('/api/risk/resume', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ operator: operator.trim() }),
+        });
+        const data = await res.json();
+        if (!data.success) showToast(`Resume failed: ${data.error}`, 'error');
+    } catch (err) {
+        showToast(`Resume failed: ${err.message}`, 'error');
+    }
+}
+
+// ============================================================
+// Paper Exchange
+// ============================================================
+
+async function feedPaperPrice() {
+    const instId = document.getElementById('paperInstId').value.trim().toUpperCase();
+    const price = parseFloat(document.getElementById('paperPrice').value);
+    if (!instId || !(price > 0)) return showToast('Enter an instrument and a price', 'error');
+
+    try {
+        const res = await fetch('/api/paper/price', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ instId, price }),
+        });
+        const data = await res.json();
+        showToast(data.success ? `${instId} → ${price}` : `Price rejected: ${data.error}`, data.success ? 'success' : 'error');
+    } catch (err) {
+        showToast(`Price feed failed: ${err.message}`, 'error');
+    }
+}
+
 // ============================================================
 // Emergency Close
 // ============================================================
@@ -416,10 +1404,16 @@ async function emergencyClose() {
 
 function updateStatus(status) {
     const discordDot = document.getElementById('discordStatus');
-    const blofinDot = document.getElementById('blofinStatus');
+    const exchangeDot = document.getElementById('exchangeStatus');
+    const isPaper = status?.exchangeMode === 'paper';
+
+    document.getElementById('exchangeLabel').textContent = status?.exchange || 'Exchange';
+    document.getElementById('paperSection').style.display = isPaper ? '' : 'none';
 
     discordDot.className = `status-dot ${status?.discord ? 'connected' : 'disconnected'}`;
-    blofinDot.className = `status-dot ${status?.blofinWs ? 'connected' : 'disconnected'}`;
+    document.getElementById('telegramPill').style.display = status?.telegram == null ? 'none' : '';
+    document.getElementById('telegramStatus').className = `status-dot ${status?.telegram ? 'connected' : 'disconnected'}`;
+    exchangeDot.className = `status-dot ${status?.exchangeWs ? 'connected' : 'disconnected'}`;
 
     if (status?.uptime) {
         document.getElementById('uptimeDisplay').textContent = formatUptime(status.uptime);
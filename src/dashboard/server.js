@@ -1,4 +1,5 @@
 import express from 'express';
+import crypto from 'crypto';
 import { createServer } from 'http';
 import { Server as SocketIO } from 'socket.io';
 import { join, dirname } from 'path';
@@ -6,24 +7,53 @@ import { fileURLToPath } from 'url';
 import { logger } from '../utils/logger.js';
 import {
     getPreferences, updatePreferences, getRecentSignals, getRecentOrders,
-    getTraderWhitelist, addTrader, removeTrader, getSignalEdits,
+    getTraderWhitelist, addTrader, removeTrader, setTraderProfile, getSignalEdits,
+    getChannelConfigs, saveChannelConfig, removeChannelConfig, getMonitoredChannels, getRiskState, getTraderDemotions,
+    getWebhooks, getWebhook, saveWebhook, removeWebhook, getWebhookDeliveries,
+    getSignalSources, getSignalSource, saveSignalSource, removeSignalSource, touchSignalSource,
 } from '../config/preferenceManager.js';
+import { listSignalFormats } from '../parser/signalParser.js';
+import { getScorecards } from '../engine/traderScorecard.js';
+import { WEBHOOK_EVENTS } from '../webhooks/webhookDispatcher.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
+/**
+ * A signal source or webhook as list and socket payloads carry it: the secret
+ * is only returned by the create / replace / rotate responses, the rest get its
+ * last 4 characters.
+ */
+function maskSecret({ secret, ...record }) {
+    return { ...record, secretHint: `…${secret.slice(-4)}` };
+}
+
+/** Constant-time secret comparison (hashing first evens out the lengths). */
+function secretsMatch(expected, actual) {
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(expected), digest(actual));
+}
+
 export class DashboardServer {
     /**
      * @param {object} deps
      * @param {import('../engine/orderEngine.js').OrderEngine} deps.orderEngine
      * @param {import('../discord/discordProvider.js').DiscordProvider} deps.discordProvider
-     * @param {import('../exchange/blofinWebSocket.js').BlofinWebSocket} deps.blofinWs
-     * @param {import('../exchange/blofinClient.js').BlofinClient} deps.blofinClient
+     * @param {import('../telegram/telegramProvider.js').TelegramProvider} [deps.telegramProvider]
+     * @param {import('../exchange/exchangeAdapter.js').ExchangeAdapter|null} deps.exchange - Null when trading is disabled
+     * @param {import('../exchange/paperExchange.js').PaperExchange|null} [deps.paperExchange] - Set in paper mode (operator-fed prices)
+     * @param {import('../webhooks/webhookDispatcher.js').WebhookDispatcher} [deps.webhooks] - Outbound webhooks for broadcast events
+     * @param {'live'|'paper'} [deps.exchangeMode='live']
      */
-    constructor({ orderEngine, discordProvider, blofinWs, blofinClient }) {
+    constructor({
+        orderEngine, discordProvider, telegramProvider = null, exchange, paperExchange = null, webhooks = null, exchangeMode = 'live',
+    }) {
         this.orderEngine = orderEngine;
+        this.webhooks = webhooks;
         this.discordProvider = discordProvider;
-        this.blofinWs = blofinWs;
-        this.blofinClient = blofinClient;
+        this.telegramProvider = telegramProvider;
+        this.exchange = exchange;
+        this.paperExchange = paperExchange;
+        this.exchangeMode = exchangeMode;
 
         this.app = express();
         this.httpServer = createServer(this.app);
@@ -34,6 +64,7 @@ export class DashboardServer {
         this._setupRoutes();
         this._setupSocketIO();
         this._setupEngineEvents();
+        this.webhooks?.on('delivery', (delivery) => this.io.emit('webhook:delivery', delivery));
     }
 
     _setupRoutes() {
@@ -53,7 +84,7 @@ export class DashboardServer {
             try {
                 updatePreferences(req.body);
                 const updated = getPreferences();
-                this.io.emit('preferences:updated', updated);
+                this._broadcast('preferences:updated', updated);
                 logger.recordEvent('system', 'Preferences updated');
                 res.json({ success: true, data: updated });
             } catch (err) {
@@ -78,7 +109,7 @@ export class DashboardServer {
                 }
                 const added = addTrader(traderName);
                 const traders = getTraderWhitelist();
-                this.io.emit('traders:updated', traders);
+                this._broadcast('traders:updated', traders);
                 logger.recordEvent('system', `Trader ${added ? 'added' : 'already exists'}: ${traderName}`);
                 res.json({ success: true, added, data: traders });
             } catch (err) {
@@ -90,7 +121,7 @@ export class DashboardServer {
             try {
                 removeTrader(req.params.name);
                 const traders = getTraderWhitelist();
-                this.io.emit('traders:updated', traders);
+                this._broadcast('traders:updated', traders);
                 logger.recordEvent('system', `Trader removed: ${req.params.name}`);
                 res.json({ success: true, data: traders });
             } catch (err) {
@@ -98,6 +129,81 @@ export class DashboardServer {
             }
         });
 
+        this.app.put('/api/traders/:name/profile', (req, res) => {
+            try {
+                const profile = setTraderProfile(req.params.name, req.body.profile || {});
+                if (!profile) {
+                    return res.status(404).json({ success: false, error: `Trader "${req.params.name}" is not whitelisted` });
+                }
+                const traders = getTraderWhitelist();
+                this._broadcast('traders:updated', traders);
+                logger.recordEvent('system', `Trader profile updated: ${req.params.name}`, profile);
+                res.json({ success: true, data: traders });
+            } catch (err) {
+                res.status(400).json({ success: false, error: err.message });
+            }
+        });
+
+        // --- Signal Formats ---
+        this.app.get('/api/signal-formats', (req, res) => {
+            try {
+                res.json({ success: true, data: listSignalFormats() });
+            } catch (err) {
+                res.status(500).json({ success: false, error: err.message });
+            }
+        });
+
+        this.app.get('/api/channels', (req, res) => {
+            try {
+                res.json({ success: true, data: getChannelConfigs() });
+            } catch (err) {
+                res.status(500).json({ success: false, error: err.message });
+            }
+        });
+
+        this.app.put('/api/channels/:channelId', (req, res) => {
+            try {
+                const { name, guildId, enabled, allowedBotNames, formats, defaultProfile } = req.body;
+                const formatList = Array.isArray(formats) ? formats : [];
+                const known = new Set(listSignalFormats().map(f => f.name));
+                const unknown = formatList.filter(f => !known.has(f));
+                if (unknown.length > 0) {
+                    return res.status(400).json({ success: false, error: `Unknown format(s): ${unknown.join(', ')}` });
+                }
+                let saved;
+                try {
+                    saved = saveChannelConfig(req.params.channelId, {
+                        name, guildId, enabled: enabled !== false,
+                        allowedBotNames: Array.isArray(allowedBotNames) ? allowedBotNames : [],
+                        formats: formatList,
+                        defaultProfile: defaultProfile || {},
+                    });
+                } catch (err) {
+                    return res.status(400).json({ success: false, error: err.message });
+                }
+                const channels = this._channelsUpdated();
+                logger.recordEvent('system', `Channel ${saved.name || saved.channel_id} ${saved.enabled ? 'monitored' : 'paused'}`, {
+                    guildId: saved.guild_id, formats: saved.formats, allowedBotNames: saved.allowed_bot_names,
+                });
+                res.json({ success: true, data: channels });
+            } catch (err) {
+                res.status(500).json({ success: false, error: err.message });
+            }
+        });
+
+        this.app.delete('/api/channels/:channelId', (req, res) => {
+            try {
+                if (!removeChannelConfig(req.params.channelId)) {
+                    return res.status(404).json({ success: false, error: `Channel ${req.params.channelId} not found` });
+                }
+                const channels = this._channelsUpdated();
+                logger.recordEvent('system', `Channel removed: ${req.params.channelId}`);
+                res.json({ success: true, data: channels });
+            } catch (err) {
+                res.status(500).json({ success: false, error: err.message });
+            }
+        });
+
         // --- Signals & Orders ---
         this.app.get('/api/signals', (req, res) => {
             try {
@@ -123,6 +229,67 @@ export class DashboardServer {
             }
         });
 
+        // --- Inbound signals (TradingView alerts, scripts) ---
+        this.app.post('/api/signals/ingest', express.text({ type: '*/*', limit: '64kb' }), (req, res) => this._ingestSignal(req, res));
+
+        this.app.get('/api/signal-sources', (req, res) => {
+            try {
+                res.json({ success: true, data: getSignalSources().map(maskSecret) });
+            } catch (err) {
+                res.status(500).json({ success: false, error: err.message });
+            }
+        });
+
+        this.app.put('/api/signal-sources/:name', (req, res) => {
+            const { secret, traderName, enabled } = req.body || {};
+            const existing = getSignalSource(req.params.name);
+            try {
+                const source = saveSignalSource(req.params.name, {
+                    secret: secret?.trim() || existing?.secret || crypto.randomBytes(24).toString('hex'),
+                    traderName,
+                    enabled: enabled !== false,
+                });
+                this._signalSourcesUpdated();
+                logger.recordEvent('system', `Signal source ${source.name} ${existing ? 'updated' : 'added'}${source.enabled ? '' : ' (disabled)'}`);
+                // Only a new or replaced secret is sent back, once
+                res.json({ success: true, data: source.secret === existing?.secret ? maskSecret(source) : source });
+            } catch (err) {
+                res.status(400).json({ success: false, error: err.message });
+            }
+        });
+
+        this.app.post('/api/signal-sources/:name/rotate', (req, res) => {
+            const existing = getSignalSource(req.params.name);
+            if (!existing) {
+                return res.status(404).json({ success: false, error: `Source ${req.params.name} not found` });
+            }
+            try {
+                const source = saveSignalSource(existing.name, {
+                    secret: crypto.randomBytes(24).toString('hex'),
+                    traderName: existing.trader_name,
+                    enabled: existing.enabled,
+                });
+                this._signalSourcesUpdated();
+                logger.recordEvent('system', `Signal source ${source.name}: secret rotated`);
+                res.json({ success: true, data: source });
+            } catch (err) {
+                res.status(500).json({ success: false, error: err.message });
+            }
+        });
+
+        this.app.delete('/api/signal-sources/:name', (req, res) => {
+            try {
+                if (!removeSignalSource(req.params.name)) {
+                    return res.status(404).json({ success: false, error: `Source ${req.params.name} not found` });
+                }
+                this._signalSourcesUpdated();
+                logger.recordEvent('system', `Signal source removed: ${req.params.name}`);
+                res.json({ success: true });
+            } catch (err) {
+                res.status(500).json({ success: false, error: err.message });
+            }
+        });
+
         // --- Signal Edit History ---
         this.app.get('/api/signal-edits/:messageId', (req, res) => {
             try {
@@ -135,14 +302,76 @@ export class DashboardServer {
 
         // --- Status ---
         this.app.get('/api/status', (req, res) => {
-            res.json({
-                success: true,
-                data: {
-                    discord: this.discordProvider?.isConnected() || false,
-                    blofinWs: this.blofinWs?.privateWs?.readyState === 1 || false,
-                    uptime: process.uptime(),
-                },
-            });
+            res.json({ success: true, data: this._status() });
+        });
+
+        // --- Paper exchange: operator-fed prices ---
+        this.app.post('/api/paper/price', (req, res) => {
+            if (!this.paperExchange) {
+                return res.status(400).json({ success: false, error: 'Not running in paper mode' });
+            }
+            const { instId, price } = req.body;
+            try {
+                this.paperExchange.setPrice(String(instId || '').toUpperCase(), parseFloat(price));
+                logger.recordEvent('system', `Paper price: ${instId} → ${price}`);
+                res.json({ success: true });
+            } catch (err) {
+                res.status(400).json({ success: false, error: err.message });
+            }
+        });
+
+        // --- Trader scorecards ---
+        this.app.get('/api/scorecards', (req, res) => {
+            try {
+                res.json({ success: true, data: getScorecards() });
+            } catch (err) {
+                res.status(500).json({ success: false, error: err.message });
+            }
+        });
+
+        this.app.get('/api/scorecards/:name', (req, res) => {
+            try {
+                const [card] = getScorecards({ traderName: req.params.name, includeSignals: true });
+                if (!card) {
+                    return res.status(404).json({ success: false, error: `No signals from "${req.params.name}"` });
+                }
+                res.json({ success: true, data: { ...card, demotions: getTraderDemotions(req.params.name) } });
+            } catch (err) {
+                res.status(500).json({ success: false, error: err.message });
+            }
+        });
+
+        this.app.get('/api/demotions', (req, res) => {
+            try {
+                res.json({ success: true, data: getTraderDemotions(null, parseInt(req.query.limit) || 50) });
+            } catch (err) {
+                res.status(500).json({ success: false, error: err.message });
+            }
+        });
+
+        // --- Risk guardrails ---
+        this.app.get('/api/risk', async (req, res) => {
+            try {
+                res.json({ success: true, data: await this.orderEngine.riskGuard.snapshot(getPreferences()) });
+            } catch (err) {
+                res.status(500).json({ success: false, error: err.message });
+            }
+        });
+
+        this.app.post('/api/risk/resume', (req, res) => {
+            const operator = String(req.body?.operator || '').trim();
+            if (!operator) {
+                return res.status(400).json({ success: false, error: 'operator is required' });
+            }
+            try {
+                if (!getRiskState().halted) {
+                    return res.status(409).json({ success: false, error: 'Trading is not halted' });
+                }
+                this.orderEngine.resumeTrading(operator);
+                res.json({ success: true, data: getRiskState() });
+            } catch (err) {
+                res.status(500).json({ success: false, error: err.message });
+            }
         });
 
         // --- Emergency close ---
@@ -157,16 +386,276 @@ export class DashboardServer {
             }
         });
 
-        // --- Confirm signal ---
-        this.app.post('/api/confirm-signal', async (req, res) => {
-            const { signal } = req.body;
+        // --- Confirmation queue ---
+        this.app.get('/api/confirmations', (req, res) => {
             try {
-                await this.orderEngine.confirmAndExecute(signal);
+                const queue = this.orderEngine.confirmations;
+                const limit = parseInt(req.query.limit) || 50;
+                res.json({ success: true, data: { pending: queue.pending(), history: queue.history(limit) } });
+            } catch (err) {
+                res.status(500).json({ success: false, error: err.message });
+            }
+        });
+
+        this.app.post('/api/confirmations/batch', async (req, res) => {
+            const { action, signalIds } = req.body || {};
+            const operator = String(req.body?.operator || '').trim();
+            if (!operator) {
+                return res.status(400).json({ success: false, error: 'operator is required' });
+            }
+            if (!['approve', 'reject'].includes(action) || !Array.isArray(signalIds) || signalIds.length === 0) {
+                return res.status(400).json({ success: false, error: 'action (approve|reject) and signalIds[] are required' });
+            }
+            const results = [];
+            for (const signalId of signalIds) {
+                try {
+                    const entry = await this._decideConfirmation(action, String(signalId), operator, req.body);
+                    results.push({ signalId, success: entry.status !== 'failed', status: entry.status, note: entry.decision_note });
+                } catch (err) {
+                    results.push({ signalId, success: false, error: err.message });
+                }
+            }
+            res.json({ success: true, data: results });
+        });
+
+        this.app.post('/api/confirmations/:signalId/:action(approve|reject)', async (req, res) => {
+            const operator = String(req.body?.operator || '').trim();
+            if (!operator) {
+                return res.status(400).json({ success: false, error: 'operator is required' });
+            }
+            const entry = this.orderEngine.confirmations.get(req.params.signalId);
+            if (!entry) {
+                return res.status(404).json({ success: false, error: 'Confirmation not found' });
+            }
+            if (entry.status !== 'pending') {
+                return res.status(409).json({ success: false, error: `Already ${entry.status}` });
+            }
+            try {
+                const decided = await this._decideConfirmation(req.params.action, entry.signal_id, operator, req.body);
+                if (decided.status === 'failed') {
+                    return res.status(409).json({ success: false, error: decided.decision_note, data: decided });
+                }
+                res.json({ success: true, data: decided });
+            } catch (err) {
+                res.status(400).json({ success: false, error: err.message });
+            }
+        });
+
+        // --- Outbound webhooks ---
+        this.app.get('/api/webhooks', (req, res) => {
+            try {
+                res.json({ success: true, data: { webhooks: getWebhooks().map(maskSecret), events: WEBHOOK_EVENTS } });
+            } catch (err) {
+                res.status(500).json({ success: false, error: err.message });
+            }
+        });
+
+        this.app.get('/api/webhooks/deliveries', (req, res) => {
+            try {
+                res.json({ success: true, data: getWebhookDeliveries(parseInt(req.query.limit) || 50) });
+            } catch (err) {
+                res.status(500).json({ success: false, error: err.message });
+            }
+        });
+
+        this.app.post('/api/webhooks/deliveries/:id/retry', (req, res) => {
+            if (!this.webhooks) {
+                return res.status(400).json({ success: false, error: 'Webhooks are not running' });
+            }
+            if (!this.webhooks.retry(parseInt(req.params.id))) {
+                return res.status(404).json({ success: false, error: 'No undelivered delivery with that ID' });
+            }
+            res.json({ success: true });
+        });
+
+        this.app.post('/api/webhooks', (req, res) => {
+            const { name, url, secret, events, enabled } = req.body || {};
+            try {
+                const webhook = saveWebhook(null, {
+                    name, url, events, enabled,
+                    secret: secret?.trim() || crypto.randomBytes(24).toString('hex'),
+                });
+                this._webhooksUpdated();
+                res.json({ success: true, data: webhook });
+            } catch (err) {
+                res.status(400).json({ success: false, error: err.message });
+            }
+        });
+
+        this.app.put('/api/webhooks/:id', (req, res) => {
+            const existing = getWebhook(parseInt(req.params.id));
+            if (!existing) {
+                return res.status(404).json({ success: false, error: 'Webhook not found' });
+            }
+            const { name, url, secret, events, enabled } = req.body || {};
+            try {
+                const webhook = saveWebhook(existing.id, {
+                    name, url, events, enabled,
+                    secret: secret?.trim() || existing.secret,
+                });
+                this._webhooksUpdated();
+                // Only a replaced secret is sent back, once
+                res.json({ success: true, data: webhook.secret === existing.secret ? maskSecret(webhook) : webhook });
+            } catch (err) {
+                res.status(400).json({ success: false, error: err.message });
+            }
+        });
+
+        this.app.delete('/api/webhooks/:id', (req, res) => {
+            try {
+                if (!removeWebhook(parseInt(req.params.id))) {
+                    return res.status(404).json({ success: false, error: 'Webhook not found' });
+                }
+                this._webhooksUpdated();
                 res.json({ success: true });
             } catch (err) {
                 res.status(500).json({ success: false, error: err.message });
             }
         });
+
+        this.app.post('/api/webhooks/:id/test', (req, res) => {
+            if (!this.webhooks) {
+                return res.status(400).json({ success: false, error: 'Webhooks are not running' });
+            }
+            try {
+                res.json({ success: true, data: { deliveryId: this.webhooks.sendTest(parseInt(req.params.id)) } });
+            } catch (err) {
+                res.status(404).json({ success: false, error: err.message });
+            }
+        });
+    }
+
+    /** Webhook changes go out with the secrets masked. */
+    _webhooksUpdated() {
+        this.io.emit('webhooks:updated', getWebhooks().map(maskSecret));
+    }
+
+    /** Source changes go out with the secrets masked. */
+    _signalSourcesUpdated() {
+        this.io.emit('signalSources:updated', getSignalSources().map(maskSecret));
+    }
+
+    /**
+     * POST /api/signals/ingest — feed a signal from outside Discord.
+     *
+     * The source name and secret come from headers (`X-Signal-Source` plus
+     * `X-Signal-Secret` or `Authorization: Bearer`), from `source` / `secret`
+     * fields in a JSON body (TradingView alerts can't set headers). The secret is
+     * never read from the query string, which ends up in proxy and access logs.
+     * The body is either structured JSON for the 'json' format,
+     * `{ "text": "..." }`, or raw text; either way it runs through
+     * processMessage like a Discord message, so the whitelist, validation and
+     * profiles all apply. An optional `id` makes retries idempotent.
+     *
+     * Responds once the engine accepts or rejects the signal (execution carries
+     * on in the background).
+     */
+    async _ingestSignal(req, res) {
+        let body = req.body;
+        if (typeof body === 'string' && body.trimStart().startsWith('{')) {
+            try { body = JSON.parse(body); } catch { /* not JSON — parse as text */ }
+        }
+        const fields = body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+
+        const sourceName = req.get('x-signal-source') || fields.source || req.query.source;
+        const secret = req.get('x-signal-secret')
+            || req.get('authorization')?.match(/^Bearer\s+(.+)$/i)?.[1]
+            || fields.secret;
+        const source = getSignalSource(String(sourceName || ''));
+        if (!source || !secret || !secretsMatch(source.secret, String(secret))) {
+            logger.warn('Ingest', `Rejected ingest for source "${sourceName || ''}" from ${req.ip} — unknown source or bad secret`);
+            return res.status(401).json({ success: false, error: 'Unknown source or bad secret' });
+        }
+        if (!source.enabled) {
+            return res.status(403).json({ success: false, error: `Source ${source.name} is disabled` });
+        }
+
+        const { source: _source, secret: _secret, id, text, ...structured } = fields;
+        let content;
+        let formats = null;
+        if (typeof body === 'string') {
+            content = body;
+        } else if (typeof text === 'string') {
+            content = text;
+        } else if (Object.keys(structured).length > 0) {
+            content = JSON.stringify(structured);
+            formats = ['json'];
+        }
+        if (!content?.trim()) {
+            return res.status(400).json({ success: false, error: 'Empty signal' });
+        }
+
+        const messageId = `${source.name}:${id != null ? String(id) : crypto.randomUUID()}`;
+        if (this.orderEngine.processedMessages.has(messageId)) {
+            return res.status(409).json({ success: false, error: `Signal ${messageId} already processed` });
+        }
+
+        touchSignalSource(source.name);
+        const outcome = await this._runIngest({
+            content,
+            messageId,
+            channelId: `ingest:${source.name}`,
+            author: source.name,
+            timestamp: Date.now(),
+            source: source.name,
+            formats,
+            traderName: source.trader_name,
+        });
+        logger.audit('SIGNAL_INGESTED', 'Dashboard', {
+            source: source.name, messageId, status: outcome.status, reason: outcome.reason, ip: req.ip,
+        });
+
+        const signal = outcome.signal && {
+            signalId: outcome.signal.signalId, instId: outcome.signal.instId, side: outcome.signal.side,
+            traderName: outcome.signal.traderName, format: outcome.signal.format,
+        };
+        switch (outcome.status) {
+            case 'accepted':
+                return res.json({ success: true, data: { messageId, status: 'accepted', signal } });
+            case 'rejected':
+                return res.status(422).json({ success: false, error: outcome.reason, data: { messageId, status: 'rejected', signal } });
+            case 'unparsed':
+                return res.status(422).json({ success: false, error: 'No signal recognised', data: { messageId, status: 'unparsed' } });
+            default:
+                return res.status(500).json({ success: false, error: outcome.reason });
+        }
+    }
+
+    /**
+     * Run one message through the engine and settle on its first verdict.
+     * @returns {Promise<{ status: 'accepted'|'rejected'|'unparsed'|'error', signal?: object, reason?: string }>}
+     */
+    _runIngest(msg) {
+        const engine = this.orderEngine;
+        return new Promise((resolve) => {
+            const mine = (signal) => signal?.messageId === msg.messageId;
+            const onAccepted = ({ signal }) => mine(signal) && settle({ status: 'accepted', signal });
+            const onRejected = ({ signal, reason }) => mine(signal) && settle({ status: 'rejected', signal, reason });
+            const settle = (outcome) => {
+                engine.off('signalAccepted', onAccepted);
+                engine.off('signalRejected', onRejected);
+                resolve(outcome);
+            };
+            engine.on('signalAccepted', onAccepted);
+            engine.on('signalRejected', onRejected);
+            engine.processMessage(msg).then(
+                () => settle({ status: 'unparsed' }),
+                (err) => {
+                    logger.error('Ingest', `Processing ${msg.messageId} failed: ${err.message}`);
+                    settle({ status: 'error', reason: err.message });
+                },
+            );
+        });
+    }
+
+    /**
+     * Approve (with optional `edits`) or reject one queued signal.
+     * @returns {Promise<object>} The decided entry
+     */
+    async _decideConfirmation(action, signalId, operator, { edits, note } = {}) {
+        return action === 'approve'
+            ? this.orderEngine.approveConfirmation(signalId, operator, edits || {})
+            : this.orderEngine.rejectConfirmation(signalId, operator, note ? String(note) : null);
     }
 
     _setupSocketIO() {
@@ -176,12 +665,11 @@ export class DashboardServer {
             socket.emit('init', {
                 preferences: getPreferences(),
                 traders: getTraderWhitelist(),
+                signalFormats: listSignalFormats(),
+                channels: getChannelConfigs(),
+                risk: getRiskState(),
                 events: logger.getEvents(50),
-                status: {
-                    discord: this.discordProvider?.isConnected() || false,
-                    blofinWs: this.blofinWs?.privateWs?.readyState === 1 || false,
-                    uptime: process.uptime(),
-                },
+                status: this._status(),
             });
 
             socket.on('disconnect', () => {
@@ -194,78 +682,157 @@ export class DashboardServer {
         const engine = this.orderEngine;
 
         engine.on('signalAccepted', ({ signal, prefs }) => {
-            const event = logger.recordEvent('signal', `Signal: ${signal.side.toUpperCase()} ${signal.instId} @ ${signal.entryPrice || 'MARKET'} | Trader: ${signal.traderName} | ${signal.leverage}x`, signal);
-            this.io.emit('signal:accepted', { signal, prefs, event });
+            const event = logger.recordEvent('signal', `Signal: ${signal.side.toUpperCase()} ${signal.instId} @ ${signal.entryPrice || 'MARKET'} | Trader: ${signal.traderName} | ${signal.leverage}x | ${signal.format}${signal.source && signal.source !== 'discord' ? ` via ${signal.source}` : ''}`, signal);
+            this._broadcast('signal:accepted', { signal, prefs, event });
         });
 
         engine.on('signalRejected', ({ signal, reason }) => {
             const event = logger.recordEvent('signal', `Rejected: ${reason}`, signal);
-            this.io.emit('signal:rejected', { signal, reason, event });
+            this._broadcast('signal:rejected', { signal, reason, event });
+        });
+
+        engine.on('confirmRequired', ({ signal, prefs, confirmation }) => {
+            const event = logger.recordEvent('order', `Awaiting confirmation: ${signal.side.toUpperCase()} ${signal.instId} (${confirmation.reason})`, signal);
+            this._broadcast('signal:confirmRequired', { signal, prefs, confirmation, event });
         });
 
-        engine.on('confirmRequired', ({ signal, prefs }) => {
-            const event = logger.recordEvent('order', `Awaiting confirmation: ${signal.side.toUpperCase()} ${signal.instId}`, signal);
-            this.io.emit('signal:confirmRequired', { signal, prefs, event });
+        engine.on('confirmation:decided', (entry) => {
+            const by = entry.decided_by === 'system' ? '' : ` by ${entry.decided_by}`;
+            const note = entry.decision_note ? ` — ${entry.decision_note}` : '';
+            const event = logger.recordEvent(entry.status === 'approved' ? 'order' : 'signal', `Confirmation ${entry.status}${by}: ${entry.side?.toUpperCase()} ${entry.inst_id}${note}`, { signalId: entry.signal_id });
+            this._broadcast('confirmation:decided', { confirmation: entry, event });
         });
 
         engine.on('execution:start', ({ signal, step }) => {
             const event = logger.recordEvent('order', `Executing: ${signal.side.toUpperCase()} ${signal.instId}`, { step });
-            this.io.emit('execution:start', { signal, step, event });
+            this._broadcast('execution:start', { signal, step, event });
         });
 
-        engine.on('execution:progress', ({ signal, step }) => {
-            const event = logger.recordEvent('order', step, { instId: signal.instId });
-            this.io.emit('execution:progress', { signal, step, event });
+        engine.on('execution:progress', ({ signal, step, sizing }) => {
+            const event = logger.recordEvent('order', step, { instId: signal.instId, sizing });
+            this._broadcast('execution:progress', { signal, step, sizing, event });
         });
 
         engine.on('execution:complete', (data) => {
-            const event = logger.recordEvent('order', `✓ Complete: ${data.signal.side.toUpperCase()} ${data.signal.instId} | Stop @ ${data.stopPrice}`, data);
-            this.io.emit('execution:complete', { ...data, event });
+            const event = logger.recordEvent('order', `✓ Complete: ${data.signal.side.toUpperCase()} ${data.signal.instId} | Stop @ ${data.stopPrice} (${data.stopSource})`, data);
+            this._broadcast('execution:complete', { ...data, event });
         });
 
         engine.on('execution:failed', ({ signal, reason }) => {
             const event = logger.recordEvent('error', `✗ Failed: ${signal.instId} — ${reason}`, { signal });
-            this.io.emit('execution:failed', { signal, reason, event });
+            this._broadcast('execution:failed', { signal, reason, event });
+        });
+
+        engine.on('execution:partial', ({ signal, placed, total, failures }) => {
+            const event = logger.recordEvent('error', `⚠ Partial entry: ${signal.instId} — ${placed}/${total} orders placed (${failures.join('; ')})`, { signal });
+            this._broadcast('execution:partial', { signal, placed, total, failures, event });
         });
 
         engine.on('execution:skipped', ({ signal, reason }) => {
             const event = logger.recordEvent('order', `Skipped: ${signal.instId} — ${reason}`);
-            this.io.emit('execution:skipped', { signal, reason, event });
+            this._broadcast('execution:skipped', { signal, reason, event });
         });
 
         engine.on('execution:stopFailed', ({ signal, orderId, reason }) => {
             const event = logger.recordEvent('error', `Stop-loss failed: ${signal.instId} — ${reason}`, { orderId });
-            this.io.emit('execution:stopFailed', { signal, orderId, reason, event });
+            this._broadcast('execution:stopFailed', { signal, orderId, reason, event });
+        });
+
+        engine.on('stop:moved', (data) => {
+            const event = logger.recordEvent('order', `Stop ${data.reason}: ${data.instId} ${data.oldStop.toPrecision(6)} → ${data.newStop.toPrecision(6)} (best ${data.bestPrice})`, data);
+            this._broadcast('stop:moved', { ...data, event });
+        });
+
+        engine.on('stop:moveFailed', (data) => {
+            const event = logger.recordEvent('error', `Stop ${data.reason} failed: ${data.instId} stays at ${data.stopPrice} (wanted ${data.targetPrice}) — ${data.error}`, data);
+            this._broadcast('stop:moveFailed', { ...data, event });
+        });
+
+        engine.on('position:closed', (data) => {
+            const pnl = data.realizedPnl !== null ? `$${data.realizedPnl.toFixed(2)}` : 'N/A';
+            const event = logger.recordEvent('order', `Position closed: ${data.instId} | Realized ${pnl}`, data);
+            this._broadcast('position:closed', { ...data, event });
+        });
+
+        engine.on('risk:halted', (data) => {
+            const event = logger.recordEvent('error', `⛔ Risk halted: ${data.reason}`, data);
+            this._broadcast('risk:halted', { ...getRiskState(), event });
+        });
+
+        engine.on('risk:resumed', (data) => {
+            const event = logger.recordEvent('system', `Trading resumed by ${data.resumedBy}`, data);
+            this._broadcast('risk:resumed', { ...getRiskState(), event });
+        });
+
+        engine.on('trader:demoted', (data) => {
+            const event = logger.recordEvent('error', `⬇ ${data.traderName} demoted to confirm-only: ${data.detail}`, { rule: data.rule });
+            this._broadcast('trader:demoted', { ...data, event });
+            this._broadcast('traders:updated', getTraderWhitelist());
         });
 
         engine.on('emergencyClose', ({ instId }) => {
             const event = logger.recordEvent('order', `⚠ Emergency close: ${instId}`);
-            this.io.emit('emergencyClose', { instId, event });
+            this._broadcast('emergencyClose', { instId, event });
         });
 
         // --- New edit-tracking events ---
         engine.on('signal:dcaDetected', ({ signal, dcaLevels, prefs }) => {
             const dcaStr = dcaLevels.map(d => `DCA${d.level}: $${d.price}`).join(', ');
             const event = logger.recordEvent('signal', `DCA levels detected: ${dcaStr}`, { instId: signal.instId, useDca: prefs.useDca });
-            this.io.emit('signal:dcaDetected', { signal, dcaLevels, prefs, event });
+            this._broadcast('signal:dcaDetected', { signal, dcaLevels, prefs, event });
         });
 
         engine.on('signal:tpHit', ({ signal, tpHits, messageId, version }) => {
             const event = logger.recordEvent('signal', `TP${tpHits.join(', TP')} HIT — ${signal.instId}`, { messageId, version });
-            this.io.emit('signal:tpHit', { signal, tpHits, messageId, version, event });
+            this._broadcast('signal:tpHit', { signal, tpHits, messageId, version, event });
         });
 
         engine.on('signal:closed', ({ signal, finalPnl, messageId, version }) => {
             const event = logger.recordEvent('order', `Trade closed: ${signal.instId} | P&L: ${finalPnl || 'N/A'}`, { messageId, version });
-            this.io.emit('signal:closed', { signal, finalPnl, messageId, version, event });
+            this._broadcast('signal:closed', { signal, finalPnl, messageId, version, event });
+        });
+
+        engine.on('signal:mirrorClosed', (data) => {
+            const ours = data.realizedPnlPercent !== null ? `${data.realizedPnlPercent.toFixed(2)}%` : 'N/A';
+            const message = data.hadPosition
+                ? `Mirrored caller close: ${data.instId} | Ours: ${ours} | Caller: ${data.callerPnl || 'N/A'}${data.pnlDiff !== null ? ` | Δ ${data.pnlDiff.toFixed(2)}%` : ''}`
+                : `Caller closed ${data.instId} — resting orders cancelled (no open position)`;
+            const event = logger.recordEvent('order', message, data);
+            this._broadcast('signal:mirrorClosed', { ...data, event });
         });
 
         engine.on('signal:edit', ({ signal, diff, messageId, version }) => {
             const event = logger.recordEvent('signal', `Signal edit v${version}: ${signal.instId}`, { diff });
-            this.io.emit('signal:edit', { signal, diff, messageId, version, event });
+            this._broadcast('signal:edit', { signal, diff, messageId, version, event });
         });
     }
 
+    /** Push the channel list to the signal providers and the dashboard clients. */
+    _channelsUpdated() {
+        const monitored = getMonitoredChannels();
+        for (const provider of [this.discordProvider, this.telegramProvider]) provider?.setChannels?.(monitored);
+        const channels = getChannelConfigs();
+        this._broadcast('channels:updated', channels);
+        return channels;
+    }
+
+    /** Emit to dashboard clients and publish to the outbound webhooks. */
+    _broadcast(event, payload) {
+        this.io.emit(event, payload);
+        this.webhooks?.publish(event, payload);
+    }
+
+    _status() {
+        return {
+            discord: this.discordProvider?.isConnected() || false,
+            telegram: this.telegramProvider ? this.telegramProvider.isConnected() : null,
+            exchange: this.exchange?.name || null,
+            exchangeWs: this.exchange?.isStreamConnected() || false,
+            exchangeMode: this.exchangeMode,
+            uptime: process.uptime(),
+        };
+    }
+
     start(port = 3000) {
         this.httpServer.listen(port, () => {
             logger.info('Dashboard', `Dashboard running at http://localhost:${port}`);
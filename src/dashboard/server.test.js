@@ -0,0 +1,147 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { initDatabase, getDb, saveSignalSource, getSignalSource } from '../config/preferenceManager.js';
+import { DashboardServer } from './server.js';
+
+// ============================================================
+// Stub engine
+// ============================================================
+
+/** Records processed messages and answers each with `verdict` ('accepted', 'rejected' or 'unparsed'). */
+class StubEngine extends EventEmitter {
+    constructor() {
+        super();
+        this.processedMessages = new Set();
+        this.messages = [];
+        this.verdict = 'accepted';
+    }
+
+    async processMessage(msg) {
+        this.messages.push(msg);
+        this.processedMessages.add(msg.messageId);
+        const signal = {
+            messageId: msg.messageId, signalId: `sig-${this.messages.length}`, instId: 'SOL-USDT', side: 'long',
+            traderName: msg.traderName, format: msg.formats?.[0] ?? 'standard', entryPrice: 100, leverage: 10, source: msg.source,
+        };
+        if (this.verdict === 'accepted') this.emit('signalAccepted', { signal, prefs: {} });
+        if (this.verdict === 'rejected') this.emit('signalRejected', { signal, reason: 'Trader not whitelisted' });
+    }
+}
+
+const SECRET = 'tv-secret-0123456789';
+
+// ============================================================
+// Ingest
+// ============================================================
+
+describe('POST /api/signals/ingest', () => {
+    let engine;
+    let server;
+    let url;
+
+    beforeEach(async () => {
+        initDatabase(':memory:');
+        saveSignalSource('tv', { secret: SECRET, traderName: 'Desk' });
+        saveSignalSource('old', { secret: SECRET, enabled: false });
+        engine = new StubEngine();
+        server = new DashboardServer({ orderEngine: engine, discordProvider: null, exchange: null });
+        await new Promise(resolve => server.httpServer.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${server.httpServer.address().port}/api/signals/ingest`;
+    });
+
+    afterEach(async () => {
+        server.httpServer.closeAllConnections();
+        await new Promise(resolve => server.io.close(resolve));
+        getDb().close();
+    });
+
+    /** POST a JSON object (or a raw string as text/plain); resolves to { status, body }. */
+    async function ingest(payload, { headers = {}, query = '' } = {}) {
+        const raw = typeof payload === 'string';
+        const res = await fetch(url + query, {
+            method: 'POST',
+            headers: { 'content-type': raw ? 'text/plain' : 'application/json', ...headers },
+            body: raw ? payload : JSON.stringify(payload),
+        });
+        return { status: res.status, body: await res.json() };
+    }
+
+    test('rejects a missing or wrong secret and an unknown source', async () => {
+        const unauthorized = { status: 401, body: { success: false, error: 'Unknown source or bad secret' } };
+        assert.deepEqual(await ingest({ source: 'tv', text: 'LONG SOL 100' }), unauthorized);
+        assert.deepEqual(await ingest({ source: 'tv', secret: 'tv-secret-9876543210', text: 'LONG SOL 100' }), unauthorized);
+        assert.deepEqual(await ingest({ source: 'nope', secret: SECRET, text: 'LONG SOL 100' }), unauthorized);
+        assert.deepEqual(engine.messages, []);
+        assert.equal(getSignalSource('tv').last_ingest_at, null);
+    });
+
+    test('refuses a disabled source', async () => {
+        assert.deepEqual(await ingest({ source: 'old', secret: SECRET, text: 'LONG SOL 100' }), {
+            status: 403, body: { success: false, error: 'Source old is disabled' },
+        });
+        assert.deepEqual(engine.messages, []);
+    });
+
+    test('takes the secret from a header, a bearer token or the body', async () => {
+        const viaHeader = await ingest('LONG SOL 100', { headers: { 'x-signal-source': 'tv', 'x-signal-secret': SECRET } });
+        const viaBearer = await ingest('LONG SOL 100', { headers: { authorization: `Bearer ${SECRET}` }, query: '?source=tv' });
+        const viaBody = await ingest({ source: 'tv', secret: SECRET, text: 'LONG SOL 100' });
+
+        for (const { status, body } of [viaHeader, viaBearer, viaBody]) {
+            assert.equal(status, 200);
+            assert.equal(body.data.status, 'accepted');
+            assert.equal(body.data.signal.traderName, 'Desk');
+        }
+        assert.deepEqual(engine.messages.map(m => [m.channelId, m.author, m.source]), Array(3).fill(['ingest:tv', 'tv', 'tv']));
+        assert.ok(getSignalSource('tv').last_ingest_at);
+    });
+
+    test('rejects a duplicate id', async () => {
+        const first = await ingest({ source: 'tv', secret: SECRET, id: 42, text: 'LONG SOL 100' });
+        assert.equal(first.body.data.messageId, 'tv:42');
+
+        assert.deepEqual(await ingest({ source: 'tv', secret: SECRET, id: 42, text: 'LONG SOL 100' }), {
+            status: 409, body: { success: false, error: 'Signal tv:42 already processed' },
+        });
+        assert.equal(engine.messages.length, 1);
+    });
+
+    test('parses raw text and a text field as text, other JSON fields as a JSON signal', async () => {
+        const auth = { headers: { 'x-signal-source': 'tv', 'x-signal-secret': SECRET } };
+        await ingest('LONG SOL 100\nSL 95', auth);
+        await ingest({ text: 'SHORT ETH 3000', id: 'a' }, auth);
+        await ingest({ source: 'tv', secret: SECRET, id: 'b', symbol: 'SOLUSDT', side: 'buy', price: 100 });
+        // A JSON body sent as text/plain is still read as JSON
+        await ingest(JSON.stringify({ source: 'tv', secret: SECRET, symbol: 'ETHUSDT', side: 'sell' }));
+
+        assert.deepEqual(engine.messages.map(m => [m.content, m.formats]), [
+            ['LONG SOL 100\nSL 95', null],
+            ['SHORT ETH 3000', null],
+            ['{"symbol":"SOLUSDT","side":"buy","price":100}', ['json']],
+            ['{"symbol":"ETHUSDT","side":"sell"}', ['json']],
+        ]);
+        assert.equal(engine.messages[2].messageId, 'tv:b');
+    });
+
+    test('rejects an empty signal', async () => {
+        assert.deepEqual(await ingest({ source: 'tv', secret: SECRET, text: '  ' }), {
+            status: 400, body: { success: false, error: 'Empty signal' },
+        });
+        assert.deepEqual(engine.messages, []);
+    });
+
+    test('reports rejected and unrecognised signals as 422', async () => {
+        const auth = { headers: { 'x-signal-source': 'tv', 'x-signal-secret': SECRET } };
+        engine.verdict = 'rejected';
+        const rejected = await ingest('LONG SOL 100', auth);
+        assert.equal(rejected.status, 422);
+        assert.equal(rejected.body.error, 'Trader not whitelisted');
+        assert.equal(rejected.body.data.status, 'rejected');
+
+        engine.verdict = 'unparsed';
+        assert.deepEqual((await ingest('hello', auth)).body, {
+            success: false, error: 'No signal recognised', data: { messageId: engine.messages[1].messageId, status: 'unparsed' },
+        });
+    });
+});
@@ -0,0 +1,150 @@
+import { EmbedBuilder } from 'discord.js';
+import { logger } from '../utils/logger.js';
+import { getPreferences } from '../config/preferenceManager.js';
+
+/** Engine events posted to Discord, with their labels. Toggle each in `prefs.notifyEvents`. */
+export const NOTIFY_EVENTS = {
+    'execution:complete': 'Fills & stops',
+    'execution:failed': 'Execution failures',
+    'execution:partial': 'Partial entries',
+    'execution:stopFailed': 'Stop failures',
+    'emergencyClose': 'Emergency closes',
+    'signal:closed': 'Caller closes',
+};
+
+const COLORS = { success: 0x34d399, error: 0xfb7185, warning: 0xfbbf24, info: 0x818cf8 };
+
+/**
+ * Posts what the engine did to a Discord channel as embeds, so the team sees
+ * fills and failures without opening the dashboard.
+ *
+ * Every event type is on unless `prefs.notifyEvents[type] === false`. At most
+ * `prefs.notifyMaxPerMinute` embeds go out per rolling minute (0 = unlimited);
+ * anything over the limit is counted and reported in one summary embed once
+ * the window frees up.
+ */
+export class DiscordNotifier {
+    /**
+     * @param {{ send: (channelId: string, payload: object) => Promise<unknown> }} provider - Usually the DiscordProvider
+     * @param {string} channelId - Channel to post to
+     */
+    constructor(provider, channelId) {
+        this.provider = provider;
+        this.channelId = channelId;
+
+        /** @type {number[]} Post times within the last minute */
+        this.sentAt = [];
+        /** @type {Map<string, number>} Events dropped by the rate limit, by type */
+        this.suppressed = new Map();
+        this.flushTimer = null;
+    }
+
+    /**
+     * Subscribe to the engine's events.
+     * @param {import('../engine/orderEngine.js').OrderEngine} orderEngine
+     */
+    attach(orderEngine) {
+        for (const event of Object.keys(NOTIFY_EVENTS)) {
+            orderEngine.on(event, (data) => this.notify(event, data));
+        }
+        logger.info('Notifier', `Posting engine events to Discord channel ${this.channelId}`);
+    }
+
+    /**
+     * @param {string} event - One of NOTIFY_EVENTS
+     * @param {object} data - The engine event payload
+     */
+    notify(event, data) {
+        const prefs = getPreferences();
+        if (prefs.notifyEvents[event] === false) return;
+
+        if (!this._takeSlot(prefs.notifyMaxPerMinute)) {
+            this.suppressed.set(event, (this.suppressed.get(event) || 0) + 1);
+            this._scheduleFlush();
+            return;
+        }
+        this._post(this._buildEmbed(event, data));
+    }
+
+    _takeSlot(maxPerMinute) {
+        const now = Date.now();
+        this.sentAt = this.sentAt.filter(t => now - t < 60_000);
+        if (maxPerMinute > 0 && this.sentAt.length >= maxPerMinute) return false;
+        this.sentAt.push(now);
+        return true;
+    }
+
+    _scheduleFlush() {
+        if (this.flushTimer) return;
+        const delay = Math.max(60_000 - (Date.now() - this.sentAt[0]), 1000);
+        this.flushTimer = setTimeout(() => this._flushSuppressed(), delay);
+        this.flushTimer.unref?.();
+    }
+
+    _flushSuppressed() {
+        this.flushTimer = null;
+        if (this.suppressed.size === 0) return;
+        if (!this._takeSlot(getPreferences().notifyMaxPerMinute)) {
+            this._scheduleFlush();
+            return;
+        }
+
+        const skipped = [...this.suppressed].map(([event, count]) => `${count}× ${NOTIFY_EVENTS[event]}`).join(', ');
+        this.suppressed.clear();
+        this._post(new EmbedBuilder()
+            .setColor(COLORS.info)
+            .setTitle('🔕 Notifications rate-limited')
+            .setDescription(`Skipped ${skipped} — see the dashboard event log.`)
+            .setTimestamp());
+    }
+
+    _post(embed) {
+        this.provider.send(this.channelId, { embeds: [embed] }).catch(err => {
+            logger.warn('Notifier', `Discord notification failed: ${err.message}`);
+        });
+    }
+
+    _buildEmbed(event, data) {
+        const signal = data.signal;
+        const label = signal ? `${signal.side?.toUpperCase()} ${signal.instId}` : data.instId;
+        const embed = new EmbedBuilder().setTimestamp();
+        const trader = () => signal?.traderName && embed.addFields({ name: 'Trader', value: signal.traderName, inline: true });
+
+        switch (event) {
+            case 'execution:complete':
+                embed.setColor(COLORS.success).setTitle(`✅ Filled: ${label}`).addFields(
+                    { name: 'Fill', value: String(data.fillPrice ?? '—'), inline: true },
+                    { name: 'Size', value: `${data.size ?? '—'} @ ${data.leverage ?? '—'}x`, inline: true },
+                    { name: 'Stop', value: `${data.stopPrice} (${data.stopSource})${data.trailing ? ' · trailing' : ''}`, inline: true },
+                );
+                trader();
+                break;
+            case 'execution:failed':
+                embed.setColor(COLORS.error).setTitle(`❌ Execution failed: ${label}`).setDescription(String(data.reason));
+                trader();
+                break;
+            case 'execution:partial':
+                embed.setColor(COLORS.warning).setTitle(`⚠ Partial entry: ${label}`)
+                    .setDescription(`${data.placed}/${data.total} orders placed — the rest failed:\n${data.failures.join('\n')}`);
+                trader();
+                break;
+            case 'execution:stopFailed':
+                embed.setColor(COLORS.error).setTitle(`⚠ Stop-loss not placed: ${label}`)
+                    .setDescription(`${data.reason}\nThe position is open without a protective stop.`)
+                    .addFields({ name: 'Order', value: String(data.orderId), inline: true });
+                break;
+            case 'emergencyClose':
+                embed.setColor(COLORS.warning).setTitle(`🛑 Emergency close: ${data.instId}`);
+                break;
+            case 'signal:closed': {
+                const pnl = parseFloat(data.finalPnl);
+                embed.setColor(pnl < 0 ? COLORS.error : pnl > 0 ? COLORS.success : COLORS.info)
+                    .setTitle(`🏁 Caller closed ${label}`)
+                    .addFields({ name: 'Caller P&L', value: data.finalPnl != null ? String(data.finalPnl) : '—', inline: true });
+                trader();
+                break;
+            }
+        }
+        return embed;
+    }
+}
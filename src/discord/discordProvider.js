@@ -1,26 +1,47 @@
-import { Client, GatewayIntentBits, Events } from 'discord.js';
+import {
+    Client, GatewayIntentBits, Events, ActionRowBuilder, ButtonBuilder, ButtonStyle, MessageFlags,
+} from 'discord.js';
 import { logger } from '../utils/logger.js';
-import { EventEmitter } from 'events';
+import { OPS_COMMANDS, confirmationButtonId } from './opsCommands.js';
+import { SignalProvider } from '../providers/signalProvider.js';
 
-export class DiscordProvider extends EventEmitter {
+export class DiscordProvider extends SignalProvider {
     /**
      * @param {object} config
      * @param {string} config.token - Discord bot token
-     * @param {string} config.channelId - Channel ID to monitor
-     * @param {string[]} [config.allowedBotNames] - Bot/webhook names to allow (e.g., ['AO Trades'])
+     * @param {object[]} [config.channels] - Channels to monitor (see setChannels)
+     * @param {string[]} [config.allowedBotNames] - Bot/webhook names to allow where a channel lists none (e.g., ['AO Trades'])
+     * @param {(channelId: string) => string|null} [config.getLastMessageId] - Where to resume each channel's history backfill
+     * @param {number} [config.backfillLimit=500] - Max missed messages to fetch per channel
+     * @param {number} [config.editLookback=50] - Recent messages checked for edits made while offline
+     * @param {string} [config.opsChannelId] - Private channel for confirmation buttons; its guild gets the slash commands
+     * @param {string} [config.opsRoleId] - Role allowed to press the buttons and run the commands (unset = nobody)
      */
-    constructor({ token, channelId, allowedBotNames = [] }) {
-        super();
+    constructor({
+        token, channels = [], allowedBotNames = [], getLastMessageId = null, backfillLimit = 500, editLookback = 50,
+        opsChannelId = null, opsRoleId = null,
+    }) {
+        super('Discord');
         this.token = token;
-        this.channelId = channelId;
-        this.connected = false;
         this.client = null;
+        this.getLastMessageId = getLastMessageId;
+        this.backfillLimit = backfillLimit;
+        this.editLookback = editLookback;
+        this.disconnectedAt = null;
+        this.backfilling = false;
 
-        // Allowed bot/app names (case-insensitive) — these are NOT filtered out
-        this.allowedBotNames = new Set(
+        this.opsChannelId = opsChannelId;
+        this.opsRoleId = opsRoleId;
+        this.opsChannel = null;
+        /** @type {Map<string, import('discord.js').Message>} Posted confirmation messages by signal ID */
+        this.confirmationMessages = new Map();
+
+        // Default allowed bot/app names (case-insensitive) — these are NOT filtered out
+        this.defaultBotNames = new Set(
             (allowedBotNames.length > 0 ? allowedBotNames : ['AO Trades'])
                 .map(n => n.toLowerCase())
         );
+        this.setChannels(channels);
     }
 
     async connect() {
@@ -34,10 +55,18 @@ export class DiscordProvider extends EventEmitter {
 
         this.client.on(Events.ClientReady, () => {
             logger.info('Discord', `Logged in as ${this.client.user.tag}`);
-            logger.info('Discord', `Monitoring channel: ${this.channelId}`);
-            logger.info('Discord', `Allowed bot sources: ${[...this.allowedBotNames].join(', ')}`);
+            logger.info('Discord', `Monitoring ${this.channels.size} channel(s): ${this._describeChannels()}`);
             this.connected = true;
             this.emit('connected', this.client.user.tag);
+            this._setupOps();
+            this.backfill();
+        });
+
+        // --- Ops buttons & slash commands ---
+        this.client.on(Events.InteractionCreate, (interaction) => {
+            this._onInteraction(interaction).catch(err => {
+                logger.error('Discord', `Interaction failed: ${err.message}`);
+            });
         });
 
         // --- New message ---
@@ -52,7 +81,7 @@ export class DiscordProvider extends EventEmitter {
         // --- Message edit ---
         this.client.on(Events.MessageUpdate, (oldMessage, newMessage) => {
             // oldMessage may be partial (uncached) — that's OK
-            if (!newMessage.channel || newMessage.channel.id !== this.channelId) return;
+            if (!newMessage.channel || !this._channelFor(newMessage)) return;
 
             // Fetch full message if partial
             const msg = newMessage.partial ? null : newMessage;
@@ -97,13 +126,28 @@ export class DiscordProvider extends EventEmitter {
         this.client.on(Events.ShardDisconnect, () => {
             logger.warn('Discord', 'Disconnected from gateway');
             this.connected = false;
+            if (!this.disconnectedAt) this.disconnectedAt = Date.now();
             this.emit('disconnected');
         });
 
         this.client.on(Events.ShardReconnecting, () => {
             logger.info('Discord', 'Reconnecting to gateway...');
+            if (!this.disconnectedAt) this.disconnectedAt = Date.now();
         });
 
+        // Fresh session (ShardReady) or resumed one — catch up on what we missed
+        const onReconnect = () => {
+            if (!this.disconnectedAt || !this.client.isReady()) return;
+            const since = this.disconnectedAt;
+            this.disconnectedAt = null;
+            logger.info('Discord', `Reconnected to gateway after ${((Date.now() - since) / 1000).toFixed(0)}s`);
+            this.connected = true;
+            this.emit('reconnected');
+            this.backfill(since);
+        };
+        this.client.on(Events.ShardReady, onReconnect);
+        this.client.on(Events.ShardResume, onReconnect);
+
         try {
             await this.client.login(this.token);
         } catch (error) {
@@ -112,21 +156,230 @@ export class DiscordProvider extends EventEmitter {
         }
     }
 
+    // ============================================================
+    // History Backfill
+    // ============================================================
+
+    /**
+     * Replay what was posted while we were offline, for every monitored channel:
+     * messages after the last one we logged go out as `message`, and recent
+     * messages edited since the disconnect as `messageEdit` — both flagged
+     * `backfilled: true` so the engine can apply its staleness policy.
+     * @param {number|null} [offlineSince] - When we lost the gateway (null = unknown, e.g. after a restart)
+     * @returns {Promise<{ channelId: string, messages: number, edits: number }[]>}
+     */
+    async backfill(offlineSince = null) {
+        if (this.backfilling || !this.client?.isReady()) return [];
+        this.backfilling = true;
+        const results = [];
+        try {
+            for (const channel of this.channels.values()) {
+                try {
+                    const result = await this._backfillChannel(channel, offlineSince);
+                    results.push(result);
+                    if (result.messages > 0 || result.edits > 0) this.emit('backfill', result);
+                } catch (err) {
+                    logger.warn('Discord', `Backfill failed for ${channel.name || channel.channelId}: ${err.message}`);
+                }
+            }
+        } finally {
+            this.backfilling = false;
+        }
+        return results;
+    }
+
+    async _backfillChannel(channel, offlineSince) {
+        const textChannel = await this.client.channels.fetch(channel.channelId);
+        if (!textChannel?.messages) throw new Error('not a text channel');
+        const result = { channelId: channel.channelId, name: channel.name, messages: 0, edits: 0 };
+        const byId = (a, b) => (BigInt(a.id) < BigInt(b.id) ? -1 : 1);
+
+        // 1. Messages posted after the last one we logged
+        const since = this.getLastMessageId?.(channel.channelId) || null;
+        if (!since) {
+            logger.info('Discord', `No history cursor for ${channel.name || channel.channelId} — skipping message backfill`);
+        } else {
+            let after = since;
+            while (result.messages < this.backfillLimit) {
+                const batch = [...(await textChannel.messages.fetch({ after, limit: 100 })).values()].sort(byId);
+                if (batch.length === 0) break;
+                for (const message of batch) {
+                    if (!this._shouldProcess(message)) continue;
+                    this.emit('message', { ...this._extractPayload(message), backfilled: true });
+                    result.messages++;
+                }
+                after = batch[batch.length - 1].id;
+                if (batch.length < 100) break;
+            }
+        }
+
+        // 2. Earlier messages edited while we were away (TP hits, closes)
+        const editedSince = offlineSince ? offlineSince - 60_000 : 0;
+        const recent = [...(await textChannel.messages.fetch({ limit: this.editLookback })).values()].sort(byId);
+        for (const message of recent) {
+            if (!message.editedTimestamp || message.editedTimestamp < editedSince) continue;
+            if (since && BigInt(message.id) > BigInt(since)) continue; // sent above with its edited content
+            if (!this._channelFor(message)) continue;
+            this.emit('messageEdit', { ...this._extractPayload(message), oldContent: null, isEdit: true, backfilled: true });
+            result.edits++;
+        }
+
+        logger.info('Discord', `Backfilled ${channel.name || channel.channelId}: ${result.messages} message(s), ${result.edits} edit(s)`);
+        return result;
+    }
+
+    // ============================================================
+    // Ops Channel (confirmation buttons & slash commands)
+    // ============================================================
+
+    /** Resolve the ops channel and register the slash commands in its guild. */
+    async _setupOps() {
+        if (!this.opsChannelId) return;
+        try {
+            this.opsChannel = await this.client.channels.fetch(this.opsChannelId);
+            if (!this.opsChannel?.guild) throw new Error('not a guild text channel');
+            await this.opsChannel.guild.commands.set(OPS_COMMANDS);
+            logger.info('Discord', `Ops channel #${this.opsChannel.name}: ${OPS_COMMANDS.length} slash command(s) registered`);
+            if (!this.opsRoleId) logger.warn('Discord', 'No ops role configured — buttons and commands will refuse everyone');
+        } catch (err) {
+            this.opsChannel = null;
+            logger.error('Discord', `Ops channel ${this.opsChannelId} unavailable: ${err.message}`);
+        }
+    }
+
+    /**
+     * Send a message to any channel the bot can post in.
+     * @param {string} channelId
+     * @param {import('discord.js').MessageCreateOptions} payload
+     */
+    async send(channelId, payload) {
+        if (!this.client?.isReady()) throw new Error('Discord is not connected');
+        const channel = await this.client.channels.fetch(channelId);
+        if (!channel?.isTextBased()) throw new Error(`${channelId} is not a text channel`);
+        return channel.send(payload);
+    }
+
+    /**
+     * Post a queued signal to the ops channel with Approve / Reject buttons.
+     * @param {object} confirmation - Confirmation queue entry
+     */
+    async postConfirmation(confirmation) {
+        if (!this.opsChannel) return;
+        const row = new ActionRowBuilder().addComponents(
+            new ButtonBuilder().setCustomId(confirmationButtonId('approve', confirmation.signal_id))
+                .setLabel('Approve').setStyle(ButtonStyle.Success),
+            new ButtonBuilder().setCustomId(confirmationButtonId('reject', confirmation.signal_id))
+                .setLabel('Reject').setStyle(ButtonStyle.Danger),
+        );
+        try {
+            const message = await this.opsChannel.send({
+                content: this._confirmationText(confirmation),
+                components: [row],
+            });
+            this.confirmationMessages.set(confirmation.signal_id, message);
+        } catch (err) {
+            logger.warn('Discord', `Failed to post confirmation for ${confirmation.inst_id}: ${err.message}`);
+        }
+    }
+
+    /**
+     * Show the decision on a posted confirmation and remove its buttons.
+     * @param {object} confirmation - Decided queue entry
+     */
+    async updateConfirmation(confirmation) {
+        const message = this.confirmationMessages.get(confirmation.signal_id);
+        if (!message) return;
+        this.confirmationMessages.delete(confirmation.signal_id);
+        try {
+            await message.edit({ content: this._confirmationText(confirmation), components: [] });
+        } catch (err) {
+            logger.warn('Discord', `Failed to update confirmation for ${confirmation.inst_id}: ${err.message}`);
+        }
+    }
+
+    _confirmationText(confirmation) {
+        const { signal } = confirmation;
+        const entry = signal.entryLow ? `${signal.entryLow}–${signal.entryHigh}` : (signal.entryPrice || 'MARKET');
+        const lines = [
+            `**${signal.side?.toUpperCase()} ${signal.instId}** · entry ${entry} · SL ${signal.stopLoss || '—'} · ${signal.leverage ? `${signal.leverage}x` : 'default leverage'}`,
+            `Trader: ${signal.traderName || 'Unknown'} · ${confirmation.reason || 'Confirmation required'}`,
+        ];
+        if (signal.tpLevels?.length) lines.push(`TPs: ${signal.tpLevels.map(t => t.price).join(', ')}`);
+
+        if (confirmation.status === 'pending') {
+            const expires = confirmation.expires_at ? `expires <t:${Math.floor(Date.parse(confirmation.expires_at) / 1000)}:R>` : 'no expiry';
+            lines.unshift(`⏳ Awaiting confirmation — ${expires}`);
+        } else {
+            const icon = confirmation.status === 'approved' ? '✅' : '✖';
+            lines.unshift(`${icon} ${confirmation.status.toUpperCase()} by ${confirmation.decided_by}${confirmation.decision_note ? ` — ${confirmation.decision_note}` : ''}`);
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Route a button press or slash command. Only members with the ops role may
+     * use them; the work is handed off as 'confirmationAction' / 'command' events
+     * whose `reply(text)` answers the user privately.
+     */
+    async _onInteraction(interaction) {
+        const isButton = interaction.isButton() && interaction.customId.startsWith('confirm:');
+        const isCommand = interaction.isChatInputCommand() && OPS_COMMANDS.some(c => c.name === interaction.commandName);
+        if (!isButton && !isCommand) return;
+
+        const operator = interaction.user.username;
+        if (!this._hasOpsRole(interaction.member)) {
+            logger.warn('Discord', `${operator} tried ${isButton ? interaction.customId : `/${interaction.commandName}`} without the ops role`);
+            await interaction.reply({ content: '⛔ You need the ops role to do that.', flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+        const reply = (content) => interaction.editReply({ content: content.slice(0, 2000) });
+
+        if (isButton) {
+            const [, action, signalId] = interaction.customId.split(':');
+            this.emit('confirmationAction', { action, signalId, operator, reply });
+        } else {
+            const options = Object.fromEntries(interaction.options.data.map(o => [o.name, o.value]));
+            this.emit('command', { name: interaction.commandName, options, operator, reply });
+        }
+    }
+
+    /** @param {import('discord.js').GuildMember|object|null} member */
+    _hasOpsRole(member) {
+        if (!this.opsRoleId || !member) return false;
+        const roles = member.roles;
+        return Array.isArray(roles) ? roles.includes(this.opsRoleId) : Boolean(roles?.cache?.has(this.opsRoleId));
+    }
+
+    /**
+     * Look up the monitored channel a message belongs to.
+     * A channel pinned to a guild only matches messages from that guild.
+     * @returns {object|null}
+     */
+    _channelFor(message) {
+        const channel = this.channels.get(message.channel?.id);
+        if (!channel) return null;
+        if (channel.guildId && message.guildId !== channel.guildId) return null;
+        return channel;
+    }
+
     /**
      * Determine if a message should be processed.
-     * Allows whitelisted bot/webhook names, filters out all other bots.
+     * Allows the channel's whitelisted bot/webhook names, filters out all other bots.
      */
     _shouldProcess(message) {
-        if (message.channel.id !== this.channelId) return false;
+        const channel = this._channelFor(message);
+        if (!channel) return false;
 
         if (message.author.bot || message.webhookId) {
             // Allow whitelisted bot names
             const authorName = (message.author.username || message.author.tag || '').toLowerCase();
-            if (this.allowedBotNames.has(authorName)) {
+            if (channel.allowedBotNames.has(authorName)) {
                 return true;
             }
             // Also check if any allowed name is a substring (for "AO Trades [APP]")
-            for (const allowed of this.allowedBotNames) {
+            for (const allowed of channel.allowedBotNames) {
                 if (authorName.includes(allowed)) return true;
             }
             return false;
@@ -138,6 +391,7 @@ export class DiscordProvider extends EventEmitter {
     /**
      * Extract a standardized payload from a Discord message.
      * Handles embeds (the signal body is usually in an embed).
+     * @returns {import('../providers/signalProvider.js').MessagePayload}
      */
     _extractPayload(message) {
         // Concatenate all text: message content + embed descriptions
@@ -168,18 +422,15 @@ export class DiscordProvider extends EventEmitter {
             content: fullContent.trim(),
             messageId: message.id,
             channelId: message.channel.id,
+            channelName: message.channel.name || null,
+            guildId: message.guildId || null,
             author: message.author?.username || message.author?.tag || 'unknown',
             timestamp: message.createdTimestamp,
             editedTimestamp: message.editedTimestamp || null,
+            source: 'discord',
         };
     }
 
-    /** Update the channel being monitored. */
-    setChannel(channelId) {
-        this.channelId = channelId;
-        logger.info('Discord', `Now monitoring channel: ${channelId}`);
-    }
-
     /** Check if connected. */
     isConnected() {
         return this.connected && this.client?.ws?.status === 0;
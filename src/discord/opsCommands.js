@@ -0,0 +1,106 @@
+import { ApplicationCommandOptionType } from 'discord.js';
+import { logger } from '../utils/logger.js';
+
+// ============================================================
+// Discord Ops — slash commands & confirmation buttons
+// ============================================================
+
+/** Slash commands registered in the ops channel's guild. */
+export const OPS_COMMANDS = [
+    {
+        name: 'positions',
+        description: 'List open positions',
+    },
+    {
+        name: 'close',
+        description: 'Market-close a position (both sides)',
+        options: [{
+            name: 'inst_id', description: 'Instrument, e.g. BTC-USDT or BTC',
+            type: ApplicationCommandOptionType.String, required: true,
+        }],
+    },
+    {
+        name: 'pause',
+        description: 'Halt all new executions until /resume',
+        options: [{
+            name: 'reason', description: 'Why trading is paused',
+            type: ApplicationCommandOptionType.String, required: false,
+        }],
+    },
+    {
+        name: 'resume',
+        description: 'Clear the kill switch and resume trading',
+    },
+];
+
+/** Custom ID of a confirmation button: `confirm:<approve|reject>:<signalId>` */
+export function confirmationButtonId(action, signalId) {
+    return `confirm:${action}:${signalId}`;
+}
+
+/**
+ * Run a slash command against the engine.
+ * @param {import('../engine/orderEngine.js').OrderEngine} orderEngine
+ * @param {{ name: string, options: object, operator: string }} command
+ * @returns {Promise<string>} Reply text
+ */
+export async function runOpsCommand(orderEngine, { name, options, operator }) {
+    logger.audit('OPS_COMMAND', 'Discord', { name, options, operator });
+    try {
+        switch (name) {
+            case 'positions': return await formatPositions(orderEngine);
+            case 'close': {
+                const raw = String(options.inst_id || '').trim().toUpperCase();
+                const instId = raw.includes('-') ? raw : `${raw}-USDT`;
+                await orderEngine.emergencyClose(instId);
+                return `⚠ Closing ${instId}`;
+            }
+            case 'pause': {
+                if (orderEngine.riskGuard.isHalted()) return `Already halted: ${orderEngine.riskGuard.state.haltReason}`;
+                orderEngine.pauseTrading(operator, options.reason || null);
+                return '⛔ Trading paused — new signals will not execute until /resume';
+            }
+            case 'resume': {
+                if (!orderEngine.riskGuard.isHalted()) return 'Trading is not halted';
+                orderEngine.resumeTrading(operator);
+                return '✅ Trading resumed';
+            }
+            default: return `Unknown command /${name}`;
+        }
+    } catch (err) {
+        logger.error('Discord', `/${name} failed: ${err.message}`);
+        return `❌ /${name} failed: ${err.message}`;
+    }
+}
+
+/**
+ * Apply an Approve / Reject button press to the confirmation queue.
+ * @param {import('../engine/orderEngine.js').OrderEngine} orderEngine
+ * @param {{ action: 'approve'|'reject', signalId: string, operator: string }} press
+ * @returns {Promise<string>} Reply text
+ */
+export async function runConfirmationAction(orderEngine, { action, signalId, operator }) {
+    try {
+        if (action === 'reject') {
+            const entry = orderEngine.rejectConfirmation(signalId, operator);
+            return `Rejected ${entry.side?.toUpperCase()} ${entry.inst_id}`;
+        }
+        const entry = await orderEngine.approveConfirmation(signalId, operator);
+        return entry.status === 'failed'
+            ? `❌ Not executed: ${entry.decision_note}`
+            : `✅ Approved ${entry.side?.toUpperCase()} ${entry.inst_id}`;
+    } catch (err) {
+        return `❌ ${err.message}`;
+    }
+}
+
+async function formatPositions(orderEngine) {
+    if (!orderEngine.exchange) return 'Trading is disabled (no exchange configured)';
+    const positions = await orderEngine.exchange.getPositions();
+    if (positions.length === 0) return 'No open positions';
+
+    return positions.map(p => {
+        const upl = p.unrealizedPnl;
+        return `**${p.instId}** ${p.positionSide} · ${p.size} @ ${p.averagePrice} · ${p.leverage}x · mark ${p.markPrice} · uPnL ${upl >= 0 ? '+' : ''}${upl.toFixed(2)}`;
+    }).join('\n');
+}
@@ -0,0 +1,119 @@
+import { logger } from '../utils/logger.js';
+import {
+    addConfirmation, getConfirmation, getPendingConfirmations, getConfirmationHistory, decideConfirmation,
+} from '../config/preferenceManager.js';
+import { EventEmitter } from 'events';
+
+/**
+ * Signals waiting for an operator to approve or reject them.
+ *
+ * Entries are persisted by signal ID, so the queue survives restarts. Each
+ * expires after `prefs.confirmTimeout` seconds (0 = never); an expired entry
+ * can no longer be approved. Every decision is stored with who made it, when,
+ * and any edits — the queue doubles as the confirmation audit trail.
+ *
+ * Events: 'added' entry, 'decided' entry
+ */
+export class ConfirmationQueue extends EventEmitter {
+    constructor() {
+        super();
+        /** @type {Map<string, NodeJS.Timeout>} Expiry timers by signal ID */
+        this.timers = new Map();
+    }
+
+    /**
+     * Re-arm expiry for entries left pending by a previous run; expires overdue ones.
+     * @returns {number} Entries still pending
+     */
+    restore() {
+        for (const entry of getPendingConfirmations()) this._scheduleExpiry(entry);
+        const pending = this.pending().length;
+        if (pending > 0) logger.info('ConfirmationQueue', `Restored ${pending} pending confirmation(s)`);
+        return pending;
+    }
+
+    /**
+     * Queue a signal for confirmation.
+     * @param {object} signal - Parsed signal
+     * @param {object} prefs - Effective preferences (`confirmTimeout` seconds)
+     * @param {string} reason - Why the signal needs confirming
+     * @returns {object} The stored entry
+     */
+    add(signal, prefs, reason) {
+        const expiresAt = prefs.confirmTimeout > 0
+            ? new Date(Date.now() + prefs.confirmTimeout * 1000).toISOString()
+            : null;
+        const entry = addConfirmation(signal, { reason, expiresAt });
+        this._scheduleExpiry(entry);
+        logger.info('ConfirmationQueue', `Awaiting confirmation: ${signal.side} ${signal.instId} (${reason})`, { signalId: signal.signalId, expiresAt });
+        this.emit('added', entry);
+        return entry;
+    }
+
+    /**
+     * @param {string} signalId
+     * @returns {object|null}
+     */
+    get(signalId) {
+        return getConfirmation(signalId);
+    }
+
+    /** @returns {object[]} Pending entries, oldest first */
+    pending() {
+        return getPendingConfirmations();
+    }
+
+    /**
+     * @param {number} [limit=50]
+     * @returns {object[]} Decided entries, newest first
+     */
+    history(limit = 50) {
+        return getConfirmationHistory(limit);
+    }
+
+    /**
+     * Record a decision on a pending entry.
+     * @param {string} signalId
+     * @param {{ status: string, decidedBy: string, edits?: object, note?: string }} decision
+     * @returns {object|null} The decided entry, or null if it was no longer pending
+     */
+    decide(signalId, decision) {
+        if (!decideConfirmation(signalId, decision)) return null;
+        this._clearTimer(signalId);
+
+        const entry = getConfirmation(signalId);
+        logger.info('ConfirmationQueue', `${entry.side} ${entry.inst_id} ${decision.status} by ${decision.decidedBy}`, { signalId, note: decision.note });
+        logger.audit('CONFIRMATION_DECIDED', 'ConfirmationQueue', {
+            signalId, instId: entry.inst_id, traderName: entry.trader_name, ...decision,
+        });
+        this.emit('decided', entry);
+        return entry;
+    }
+
+    /** Clear all expiry timers (shutdown). Entries stay pending in the database. */
+    stop() {
+        for (const signalId of [...this.timers.keys()]) this._clearTimer(signalId);
+    }
+
+    _scheduleExpiry(entry) {
+        this._clearTimer(entry.signal_id);
+        if (!entry.expires_at) return;
+
+        const expire = () => this.decide(entry.signal_id, {
+            status: 'expired', decidedBy: 'system', note: 'Confirmation window elapsed',
+        });
+        const delay = Date.parse(entry.expires_at) - Date.now();
+        if (delay <= 0) {
+            expire();
+            return;
+        }
+        const timer = setTimeout(expire, delay);
+        timer.unref?.();
+        this.timers.set(entry.signal_id, timer);
+    }
+
+    _clearTimer(signalId) {
+        clearTimeout(this.timers.get(signalId));
+        this.timers.delete(signalId);
+    }
+}
@@ -0,0 +1,128 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { initDatabase, getDb, addConfirmation, logSignal } from '../config/preferenceManager.js';
+import { ConfirmationQueue } from './confirmationQueue.js';
+import { OrderEngine } from './orderEngine.js';
+
+// ============================================================
+// Helpers
+// ============================================================
+
+function signal(signalId, overrides = {}) {
+    return {
+        signalId, traderName: 'Desk', instId: 'SOL-USDT', ticker: 'SOL', side: 'long',
+        entryPrice: 100, stopLoss: 95, tpLevels: [], dcaLevels: [], rawContent: 'LONG SOL 100', isValid: true,
+        ...overrides,
+    };
+}
+
+async function until(condition) {
+    while (!condition()) await new Promise(resolve => setTimeout(resolve, 5));
+}
+
+const inMs = (ms) => new Date(Date.now() + ms).toISOString();
+
+// ============================================================
+// Queue
+// ============================================================
+
+describe('ConfirmationQueue', () => {
+    let queue;
+    let decided;
+
+    beforeEach(() => {
+        initDatabase(':memory:');
+        queue = new ConfirmationQueue();
+        decided = [];
+        queue.on('decided', e => decided.push([e.signal_id, e.status, e.decided_by]));
+    });
+
+    afterEach(() => {
+        queue.stop();
+        getDb().close();
+    });
+
+    test('expires an entry once its window elapses', async () => {
+        const entry = queue.add(signal('s1'), { confirmTimeout: 0.05 }, 'Confirm before order');
+        assert.equal(entry.status, 'pending');
+        assert.ok(entry.expires_at);
+
+        await until(() => decided.length > 0);
+        assert.deepEqual(decided, [['s1', 'expired', 'system']]);
+        assert.equal(queue.get('s1').decision_note, 'Confirmation window elapsed');
+        assert.equal(queue.timers.size, 0);
+        assert.deepEqual(queue.pending(), []);
+    });
+
+    test('never expires without a timeout', () => {
+        const entry = queue.add(signal('s1'), { confirmTimeout: 0 }, 'Confirm before order');
+        assert.equal(entry.expires_at, null);
+        assert.equal(queue.timers.size, 0);
+    });
+
+    test('keeps only the first decision', () => {
+        queue.add(signal('s1'), { confirmTimeout: 60 }, 'Confirm before order');
+        assert.equal(queue.decide('s1', { status: 'rejected', decidedBy: 'alice' }).status, 'rejected');
+        assert.equal(queue.decide('s1', { status: 'approved', decidedBy: 'bob' }), null);
+        assert.equal(queue.get('s1').decided_by, 'alice');
+        assert.equal(queue.timers.has('s1'), false);
+    });
+
+    test('restores pending entries on boot and expires overdue ones', async () => {
+        addConfirmation(signal('overdue'), { reason: 'Backfill', expiresAt: inMs(-1000) });
+        addConfirmation(signal('later'), { reason: 'Backfill', expiresAt: inMs(50) });
+        addConfirmation(signal('open'), { reason: 'Backfill' });
+
+        assert.equal(queue.restore(), 2);
+        assert.deepEqual(decided, [['overdue', 'expired', 'system']]);
+        assert.deepEqual([...queue.timers.keys()], ['later']);
+
+        await until(() => decided.length > 1);
+        assert.deepEqual(decided[1], ['later', 'expired', 'system']);
+        assert.deepEqual(queue.pending().map(e => e.signal_id), ['open']);
+    });
+});
+
+// ============================================================
+// Engine decisions
+// ============================================================
+
+describe('OrderEngine confirmations', () => {
+    let engine;
+
+    beforeEach(() => {
+        initDatabase(':memory:');
+        engine = new OrderEngine(null);
+    });
+
+    afterEach(() => {
+        engine.confirmations.stop();
+        getDb().close();
+    });
+
+    test('refuses to approve an entry decided while it was being validated', async () => {
+        engine.confirmations.add(signal('s1'), { confirmTimeout: 60 }, 'Confirm before order');
+        let executed = false;
+        engine.executeSignal = async () => { executed = true; };
+
+        // The rejection lands while the approval awaits its price re-check
+        const approval = engine.approveConfirmation('s1', 'alice');
+        engine.rejectConfirmation('s1', 'bob', 'too late');
+
+        await assert.rejects(approval, { message: 'Signal s1 was decided meanwhile' });
+        assert.equal(executed, false);
+        const entry = engine.confirmations.get('s1');
+        assert.equal(entry.status, 'rejected');
+        assert.equal(entry.decided_by, 'bob');
+    });
+
+    test('refuses to approve an expired entry and records why it was dropped', async () => {
+        logSignal(signal('s1'));
+        engine.confirmations.add(signal('s1'), { confirmTimeout: 0.02 }, 'Confirm before order');
+        await until(() => engine.confirmations.get('s1').status === 'expired');
+
+        await assert.rejects(engine.approveConfirmation('s1', 'alice'), { message: 'Signal s1 is already expired' });
+        const { rejection_reason: reason } = getDb().prepare('SELECT rejection_reason FROM signal_log WHERE signal_id = ?').get('s1');
+        assert.equal(reason, 'Confirmation expired');
+    });
+});
@@ -2,22 +2,34 @@ import { logger } from '../utils/logger.js';
 import { parseSignal, parseEditDiff, validateSignal } from '../parser/signalParser.js';
 import {
     logSignal, logSignalEdit, recordOrder, updateOrder,
-    getPreferences, isMessageProcessed, isTraderWhitelisted, isWhitelistEmpty,
+    getPreferences, getTraderPreferences, applyTraderProfile, isMessageProcessed, isTraderWhitelisted, isWhitelistEmpty, getChannelFormats,
+    getOrdersBySignalId, getOpenOrders, getProcessedMessageIds,
+    savePendingFill, deletePendingFill, getPendingFills,
+    saveActiveSignal, deleteActiveSignal, getActiveSignals, getOrdersByStatus, getUnclosedOrders,
+    getLatestMessageContent, setSignalRejection,
 } from '../config/preferenceManager.js';
+import { TrailingStopManager } from './trailingStopManager.js';
+import { RiskGuard } from './riskGuard.js';
+import { ConfirmationQueue } from './confirmationQueue.js';
+import { evaluateDemotion } from './traderScorecard.js';
+import { roundPrice, roundSize, checkMinSize } from '../exchange/instruments.js';
+import {
+    computeTpSplit, tpLadderSize, resolveLeverage, planEntries, resolveStopPrice,
+} from './tradePlan.js';
 import { EventEmitter } from 'events';
 
 export class OrderEngine extends EventEmitter {
     /**
-     * @param {import('../exchange/blofinClient.js').BlofinClient} blofinClient
-     * @param {import('../exchange/blofinWebSocket.js').BlofinWebSocket} blofinWs
+     * @param {import('../exchange/exchangeAdapter.js').ExchangeAdapter|null} exchange - Null when trading is disabled
      */
-    constructor(blofinClient, blofinWs) {
+    constructor(exchange) {
         super();
-        this.client = blofinClient;
-        this.ws = blofinWs;
+        this.exchange = exchange;
+
+        /** @type {Map<string, import('../exchange/instruments.js').Instrument>} Instrument metadata by instId */
+        this.instruments = new Map();
 
-        /** @type {Set<string>} Known instrument IDs */
-        this.instruments = new Set();
+        // In-memory views of state persisted in SQLite (restored by initialize())
 
         /** @type {Set<string>} Processed Discord message IDs (dedup) */
         this.processedMessages = new Set();
@@ -28,19 +40,37 @@ export class OrderEngine extends EventEmitter {
         /** @type {Map<string, object>} Active signal tracking by messageId */
         this.activeSignals = new Map();
 
-        this._setupWebSocketListeners();
+        /** Protective stops of filled entries (ratcheted on live price when trailing is enabled) */
+        this.trailingStops = new TrailingStopManager(exchange, this.instruments);
+        this.trailingStops.on('stopMoved', (data) => this.emit('stop:moved', data));
+        this.trailingStops.on('stopMoveFailed', (data) => this.emit('stop:moveFailed', data));
+
+        /** Account-level guardrails and kill switch */
+        this.riskGuard = new RiskGuard(exchange, this.instruments);
+        this.riskGuard.on('halted', (data) => this.emit('risk:halted', data));
+        this.riskGuard.on('resumed', (data) => this.emit('risk:resumed', data));
+
+        /** Signals awaiting operator approval (persisted, with expiry) */
+        this.confirmations = new ConfirmationQueue();
+        this.confirmations.on('decided', (entry) => {
+            if (entry.status === 'expired') setSignalRejection(entry.signal_id, 'Confirmation expired');
+            this.emit('confirmation:decided', entry);
+        });
+
+        if (exchange) this._setupExchangeListeners();
     }
 
     /**
-     * Initialize: load instrument list from Blofin.
+     * Initialize: restore persisted engine state and load instrument metadata
+     * (contract value, lot/tick/min size, max leverage) from the exchange.
      */
     async initialize() {
+        this._restoreState();
+        this.confirmations.restore();
+
         try {
-            const instruments = await this.client.getInstruments();
-            if (Array.isArray(instruments)) {
-                for (const inst of instruments) {
-                    this.instruments.add(inst.instId);
-                }
+            for (const inst of await this.exchange.getInstruments()) {
+                this.instruments.set(inst.instId, inst);
             }
             logger.info('OrderEngine', `Loaded ${this.instruments.size} instruments`);
         } catch (error) {
@@ -48,18 +78,198 @@ export class OrderEngine extends EventEmitter {
         }
     }
 
+    // ============================================================
+    // Restart Recovery
+    // ============================================================
+
+    _setPendingFill(orderId, context) {
+        this.pendingFills.set(orderId, context);
+        savePendingFill(orderId, context);
+    }
+
+    _clearPendingFill(orderId) {
+        this.pendingFills.delete(orderId);
+        deletePendingFill(orderId);
+    }
+
+    /** Load processed message IDs, pending fills and active signals from SQLite. */
+    _restoreState() {
+        for (const id of getProcessedMessageIds()) this.processedMessages.add(id);
+        for (const { orderId, context } of getPendingFills()) this.pendingFills.set(orderId, context);
+        for (const { messageId, ...tracked } of getActiveSignals()) this.activeSignals.set(messageId, tracked);
+
+        logger.info('OrderEngine', `Restored state: ${this.processedMessages.size} processed messages, ${this.pendingFills.size} pending fills, ${this.activeSignals.size} active signals`);
+    }
+
+    /**
+     * Reconcile restored state against the exchange after a restart:
+     *   - pending entries that filled while we were down get their stop (and TP ladder);
+     *     cancelled ones are dropped
+     *   - filled orders whose position is gone are marked closed
+     *   - live positions get their recorded stop re-tracked, re-placed if it is
+     *     missing, or are flagged when the engine has no record of them
+     * @returns {Promise<{ lines: string[], warnings: string[] }>} Report for the event log
+     */
+    async reconcile() {
+        const lines = [];
+        const warnings = [];
+        const prefs = getPreferences();
+
+        const positions = await this.exchange.getPositions();
+        const restingOrders = await this.exchange.getActiveOrders();
+        let liveStopIds = null;
+        try {
+            liveStopIds = new Set((await this.exchange.getActiveStops()).map(s => s.stopId));
+        } catch (err) {
+            warnings.push(`Could not list live stop orders (${err.message}) — assuming recorded stops are live`);
+        }
+
+        // 1. Entries that were awaiting fill
+        for (const [orderId, context] of [...this.pendingFills]) {
+            try {
+                const detail = await this.exchange.getOrder(orderId, context.instId);
+                const state = detail.state;
+                if (state === 'filled') {
+                    await this._placeTrailingStop(orderId, detail);
+                    lines.push(`${context.instId} entry ${orderId} filled while offline — stop placed`);
+                } else if (state === 'canceled') {
+                    this._clearPendingFill(orderId);
+                    updateOrder(context.dbOrderId, { status: 'cancelled', closedAt: new Date().toISOString() });
+                    lines.push(`${context.instId} entry ${orderId} was cancelled — dropped`);
+                } else {
+                    lines.push(`${context.instId} entry ${orderId} still ${state} — awaiting fill`);
+                }
+            } catch (err) {
+                warnings.push(`${context.instId} entry ${orderId}: could not read order (${err.message})`);
+            }
+        }
+
+        // 2. Filled orders whose position no longer exists
+        const positionKey = (instId, side) => `${instId}:${side}`;
+        const openKeys = new Set(positions.map(p => positionKey(p.instId, p.positionSide)));
+        const flat = new Map();
+        for (const row of getOrdersByStatus('active')) {
+            if (!openKeys.has(positionKey(row.inst_id, row.position_side)) && !openKeys.has(positionKey(row.inst_id, 'net'))) {
+                flat.set(positionKey(row.inst_id, row.position_side), row);
+            }
+        }
+        for (const row of flat.values()) {
+            await this._recordPositionClose(row.inst_id, row.position_side);
+            lines.push(`${row.inst_id} ${row.position_side} closed while offline — orders marked closed`);
+        }
+
+        // 3. Live positions: re-track or restore their stop
+        for (const pos of positions) {
+            const positionSide = pos.positionSide === 'net' ? undefined : pos.positionSide;
+            const rows = getOpenOrders(pos.instId, positionSide).filter(o => o.status === 'active');
+            const label = `${pos.instId} ${pos.positionSide} (${pos.size})`;
+
+            if (rows.length === 0) {
+                // A just-filled entry gets its stop from step 1 / the fill listener
+                if ([...this.pendingFills.values()].some(c => c.instId === pos.instId)) continue;
+
+                if (liveStopIds === null || await this._hasAnyStop(pos.instId)) {
+                    lines.push(`${label} is not managed by the engine (has a stop)`);
+                } else {
+                    warnings.push(`${label} has NO stop and is not managed by the engine — manual action required`);
+                }
+                continue;
+            }
+
+            for (const row of rows) {
+                if (this.trailingStops.stops.has(row.order_id)) continue; // stop placed in step 1
+                const rowPrefs = applyTraderProfile(prefs, row.trader_name);
+                const stopType = row.tpsl_id ? 'tpsl'
+                    : row.algo_id ? 'algo'
+                        : (rowPrefs.trailingStopType === 'algo' ? 'algo' : 'tpsl');
+                let stopId = row.tpsl_id || row.algo_id;
+                let stopSize = row.size;
+                const stopPrice = row.stop_price
+                    ?? resolveStopPrice({ instId: row.inst_id }, row.entry_price, row.position_side, rowPrefs).price;
+
+                if (!stopId || (liveStopIds && !liveStopIds.has(stopId))) {
+                    // Cover what is live now — DCA fills or partial exits may have changed it
+                    stopSize = pos.size;
+                    try {
+                        stopId = await this.trailingStops.placeStop({
+                            instId: row.inst_id,
+                            marginMode: row.margin_mode,
+                            positionSide: row.position_side,
+                            size: stopSize,
+                            triggerPrice: stopPrice,
+                            type: stopType,
+                        });
+                        updateOrder(row.id, { [stopType === 'tpsl' ? 'tpslId' : 'algoId']: stopId, stopPrice });
+                        lines.push(`${label}: stop missing — re-placed @ ${stopPrice}`);
+                    } catch (err) {
+                        warnings.push(`${label}: stop missing and re-placing failed (${err.message}) — manual action required`);
+                        continue;
+                    }
+                }
+
+                this.trailingStops.track(row.order_id, {
+                    instId: row.inst_id,
+                    marginMode: row.margin_mode,
+                    positionSide: row.position_side,
+                    size: stopSize,
+                    entryPrice: row.entry_price,
+                    stopPrice,
+                    stopId,
+                    stopType,
+                    dbOrderId: row.id,
+                    trailing: {
+                        enabled: rowPrefs.trailingEnabled,
+                        activationPercent: rowPrefs.trailingActivationPercent,
+                        stepPercent: rowPrefs.trailingStepPercent,
+                        distancePercent: rowPrefs.trailingStopVariance,
+                    },
+                });
+            }
+            lines.push(`${label}: managing ${rows.length} stop${rows.length > 1 ? 's' : ''}`);
+        }
+
+        // 4. Resting orders the engine has no record of
+        const knownOrderIds = new Set();
+        for (const row of getUnclosedOrders()) {
+            knownOrderIds.add(row.order_id);
+            for (const o of [...JSON.parse(row.dca_orders || '[]'), ...JSON.parse(row.tp_orders || '[]')]) knownOrderIds.add(o.orderId);
+        }
+        const unknown = restingOrders.filter(o => !knownOrderIds.has(o.orderId));
+        if (unknown.length > 0) {
+            lines.push(`${unknown.length} resting order(s) not placed by the engine: ${unknown.map(o => `${o.instId} ${o.side} ${o.size} @ ${o.price}`).join(', ')}`);
+        }
+
+        const summary = `Reconciled ${positions.length} position(s), ${this.pendingFills.size} pending fill(s), ${this.activeSignals.size} active signal(s)${warnings.length ? ` — ${warnings.length} warning(s)` : ''}`;
+        logger.info('OrderEngine', summary, { lines, warnings });
+        logger.audit('RECONCILE', 'OrderEngine', { lines, warnings });
+        this.emit('reconcile:complete', { summary, lines, warnings });
+        return { summary, lines, warnings };
+    }
+
+    async _hasAnyStop(instId) {
+        return (await this.exchange.getActiveStops(instId)).length > 0;
+    }
+
     // ============================================================
     // Message Processing (New Signals)
     // ============================================================
 
     /**
-     * Process an incoming Discord message — the main entry point.
-     * @param {object} msg - { content, messageId, channelId, author, timestamp }
+     * Process an incoming message — the main entry point for every signal source.
+     * @param {object} msg - { content, messageId, channelId, author, timestamp, source, backfilled? }
+     *   plus, for HTTP ingest, `formats` (overrides the channel's) and `traderName`
+     *   (caller when the content names none)
      */
     async processMessage(msg) {
-        // Step 1: Parse signal
-        const signal = parseSignal(msg.content, msg.messageId, this.processedMessages);
+        // Step 1: Parse signal with the formats enabled for this channel
+        const formats = msg.formats || getChannelFormats(msg.channelId);
+        const signal = parseSignal(msg.content, msg.messageId, this.processedMessages, formats);
         if (!signal) return;
+        signal.channelId = msg.channelId;
+        signal.messageId = msg.messageId;
+        signal.postedAt = msg.timestamp || null;
+        signal.source = msg.source || 'discord';
+        if (!signal.traderName && msg.traderName) signal.traderName = msg.traderName;
 
         // Step 2: Message-level dedup (by Discord message ID)
         if (this.processedMessages.has(msg.messageId)) {
@@ -89,8 +299,11 @@ export class OrderEngine extends EventEmitter {
             return;
         }
 
-        // Step 5: Validate instrument
-        const validation = validateSignal(signal, this.instruments);
+        // Preferences (global, with the channel's and trader's profiles merged over them)
+        let prefs = getTraderPreferences(signal.traderName, msg.channelId);
+
+        // Step 5: Validate instrument, message age and price drift
+        const validation = await this.validateForExecution(signal, prefs);
         if (!validation.valid) {
             logger.warn('OrderEngine', `Invalid signal: ${validation.reason}`, signal);
             logSignal({
@@ -111,14 +324,11 @@ export class OrderEngine extends EventEmitter {
         });
 
         // Track active signal
-        this.activeSignals.set(msg.messageId, {
-            signal,
-            channelId: msg.channelId,
-            version: 1,
-        });
+        const tracked = { signal, channelId: msg.channelId, version: 1 };
+        this.activeSignals.set(msg.messageId, tracked);
+        saveActiveSignal(msg.messageId, tracked);
 
-        // Check preferences
-        const prefs = getPreferences();
+        if (msg.backfilled) prefs = this._applyBackfillPolicy(signal, msg, prefs);
 
         // Emit DCA info if DCA levels present
         if (signal.dcaLevels.length > 0) {
@@ -127,10 +337,18 @@ export class OrderEngine extends EventEmitter {
 
         this.emit('signalAccepted', { signal, prefs });
 
-        // Check auto-execute vs confirm
+        // Check auto-execute vs confirm vs log-only
+        if (!prefs.autoExecute) {
+            const reason = prefs.backfillReason || 'Log-only (auto-execute off)';
+            logger.info('OrderEngine', `${reason}${prefs.traderProfile ? ` for ${signal.traderName}` : ''} — logging only`, { instId: signal.instId });
+            this.emit('execution:skipped', { signal, reason });
+            return;
+        }
         if (prefs.confirmBeforeOrder) {
-            logger.info('OrderEngine', 'Signal requires confirmation', signal);
-            this.emit('confirmRequired', { signal, prefs });
+            const reason = prefs.backfillReason
+                || (prefs.traderProfile ? `Confirm-only profile (${signal.traderName})` : 'Confirm before order');
+            const confirmation = this.confirmations.add(signal, prefs, reason);
+            this.emit('confirmRequired', { signal, prefs, confirmation });
             return;
         }
 
@@ -138,23 +356,101 @@ export class OrderEngine extends EventEmitter {
         await this.executeSignal(signal, prefs);
     }
 
+    /**
+     * Pre-trade checks: known instrument, message age (`signalMaxAge` seconds,
+     * 0 = off) and, when a price rule is on, the current price against the entry
+     * (`signalMaxDrift` %) and TP1 / stop (`rejectPastTargets`).
+     * @param {object} signal - Parsed signal (`postedAt` = message time, ms)
+     * @param {object} prefs
+     * @param {object} [options]
+     * @param {boolean} [options.checkAge=true] - False when an operator approves a queued signal
+     * @returns {Promise<{ valid: boolean, reason?: string, currentPrice?: number|null }>}
+     */
+    async validateForExecution(signal, prefs, { checkAge = true } = {}) {
+        if (checkAge && prefs.signalMaxAge > 0 && signal.postedAt) {
+            const ageSeconds = (Date.now() - signal.postedAt) / 1000;
+            if (ageSeconds > prefs.signalMaxAge) {
+                return { valid: false, reason: `Signal is ${ageSeconds.toFixed(0)}s old (max ${prefs.signalMaxAge}s)` };
+            }
+        }
+
+        const needsPrice = this.instruments.has(signal.instId) && (prefs.signalMaxDrift > 0 || prefs.rejectPastTargets);
+        const currentPrice = needsPrice ? await this._getMarketPrice(signal.instId) : null;
+        const validation = validateSignal(signal, this.instruments, currentPrice, {
+            maxDriftPercent: prefs.signalMaxDrift,
+            rejectPastTargets: prefs.rejectPastTargets,
+        });
+        return { ...validation, currentPrice };
+    }
+
+    /**
+     * Current mark price, falling back to the last trade.
+     * @param {string} instId
+     * @returns {Promise<number|null>}
+     */
+    async _getMarketPrice(instId) {
+        try {
+            const mark = await this.exchange.getMarkPrice(instId);
+            if (mark > 0) return mark;
+        } catch {
+            /* fall back to the ticker */
+        }
+        try {
+            const last = await this.exchange.getLastPrice(instId);
+            return last > 0 ? last : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Staleness policy for signals recovered from channel history after downtime:
+     * older than `backfillMaxAge` minutes (0 = no limit) → log only; otherwise
+     * `backfillMode` decides — 'execute' as usual, 'confirm' or 'log'.
+     * Only ever tightens the trader's own mode.
+     * @returns {object} prefs, with `backfillReason` when the policy changed the mode
+     */
+    _applyBackfillPolicy(signal, msg, prefs) {
+        const ageMinutes = msg.timestamp ? (Date.now() - msg.timestamp) / 60_000 : 0;
+        const age = `${ageMinutes.toFixed(0)}m old`;
+        logger.info('OrderEngine', `Backfilled signal (${age}) — policy: ${prefs.backfillMode}, max age ${prefs.backfillMaxAge || '∞'}m`, { instId: signal.instId, messageId: msg.messageId });
+
+        if (prefs.backfillMaxAge > 0 && ageMinutes > prefs.backfillMaxAge) {
+            return { ...prefs, autoExecute: false, backfillReason: `Stale backfill (${age})` };
+        }
+        if (prefs.backfillMode === 'log') {
+            return { ...prefs, autoExecute: false, backfillReason: `Backfilled (${age}) — log only` };
+        }
+        if (prefs.backfillMode === 'confirm' && prefs.autoExecute && !prefs.confirmBeforeOrder) {
+            return { ...prefs, confirmBeforeOrder: true, backfillReason: `Backfilled (${age}) — confirm` };
+        }
+        return prefs;
+    }
+
     // ============================================================
     // Message Edit Processing
     // ============================================================
 
     /**
      * Process a message edit — detect TP hits, closures, P&L updates.
-     * @param {object} msg - { content, messageId, oldContent, isEdit, ... }
+     * Without the pre-edit content (uncached or backfilled edits) the diff is
+     * taken against the last content we processed, so a re-delivered edit is a no-op.
+     * @param {object} msg - { content, messageId, oldContent, isEdit, backfilled?, ... }
      */
     async processMessageEdit(msg) {
-        const { messageId, content, oldContent } = msg;
+        const { messageId, content } = msg;
+        const oldContent = msg.oldContent || getLatestMessageContent(messageId);
+        if (oldContent === content) return;
+        if (msg.backfilled && !oldContent) return; // never seen as a signal — nothing to update
 
         // Parse the new content
-        const updated = parseSignal(content, messageId, this.processedMessages);
+        const formats = getChannelFormats(msg.channelId);
+        const updated = parseSignal(content, messageId, this.processedMessages, formats);
         if (!updated) return;
+        updated.channelId = msg.channelId;
 
         // Determine what changed
-        const diff = oldContent ? parseEditDiff(oldContent, content) : {
+        const diff = oldContent ? parseEditDiff(oldContent, content, formats) : {
             tpHits: updated.tpLevels.filter(t => t.hit).map(t => t.level),
             isClosed: updated.isClosed,
             finalPnl: updated.finalPnl,
@@ -171,6 +467,7 @@ export class OrderEngine extends EventEmitter {
         const tracked = this.activeSignals.get(messageId);
         if (tracked) {
             tracked.version++;
+            saveActiveSignal(messageId, tracked);
         }
 
         // Emit events for each change
@@ -182,6 +479,8 @@ export class OrderEngine extends EventEmitter {
                 messageId,
                 version: tracked?.version || 1,
             });
+
+            await this._reactToTpHits(updated, diff.tpHits);
         }
 
         if (diff.isClosed) {
@@ -195,6 +494,15 @@ export class OrderEngine extends EventEmitter {
 
             // Remove from active tracking
             this.activeSignals.delete(messageId);
+            deleteActiveSignal(messageId);
+            this.confirmations.decide(updated.signalId, {
+                status: 'cancelled', decidedBy: 'system', note: 'Closed by caller before confirmation',
+            });
+
+            if (getTraderPreferences(updated.traderName, msg.channelId).mirrorClose) {
+                await this._mirrorClose(updated, diff.finalPnl);
+            }
+            this._checkTraderDemotion(updated.traderName);
         }
 
         // General edit event
@@ -206,36 +514,335 @@ export class OrderEngine extends EventEmitter {
         });
     }
 
+    /**
+     * Apply the configured reactions (`prefs.tpHitActions`) to the orders of a signal
+     * whose caller just marked TP level(s) as hit:
+     *   { "1": { stop: 'breakeven', closePercent: 50 }, "2": { stop: 'previous_tp' } }
+     * `stop` moves the protective stop to entry or to the previous TP (entry for TP1);
+     * `closePercent` market-closes that share of the size this signal holds, reduce-only.
+     * @param {object} signal - Parsed edit
+     * @param {number[]} tpHits - Newly hit levels
+     */
+    async _reactToTpHits(signal, tpHits) {
+        const prefs = getTraderPreferences(signal.traderName, signal.channelId);
+        const orders = getOrdersBySignalId(signal.signalId).filter(o => o.status === 'active');
+        if (orders.length === 0) return;
+
+        for (const level of [...tpHits].sort((a, b) => a - b)) {
+            const action = prefs.tpHitActions?.[level];
+            if (!action) continue;
+
+            if (action.stop === 'breakeven' || action.stop === 'previous_tp') {
+                for (const order of orders) {
+                    const isLong = order.position_side === 'long';
+                    const prevTp = signal.tpLevels.find(t => t.level === level - 1);
+                    const target = action.stop === 'previous_tp' && prevTp ? prevTp.price : order.entry_price;
+                    let stop = this.trailingStops.stops.get(order.order_id);
+                    if (stop?.busy) {
+                        // A ratchet is replacing the stop — move from wherever it lands
+                        logger.info('OrderEngine', `TP${level} hit: stop for order ${order.order_id} is being moved — waiting to move it to ${target}`, { instId: order.inst_id });
+                        await this.trailingStops.whenIdle(order.order_id);
+                        stop = this.trailingStops.stops.get(order.order_id);
+                    }
+
+                    if (!stop) {
+                        logger.warn('OrderEngine', `TP${level} hit: no managed stop for order ${order.order_id} — cannot move to ${target}`, { instId: order.inst_id });
+                        continue;
+                    }
+                    // Only ever tighten
+                    if (isLong ? target <= stop.stopPrice : target >= stop.stopPrice) {
+                        logger.info('OrderEngine', `TP${level} hit: stop for order ${order.order_id} already at ${stop.stopPrice} — not moving it to ${target}`, { instId: order.inst_id });
+                        continue;
+                    }
+
+                    const moved = await this.trailingStops.moveStop(order.order_id, target, `TP${level} ${action.stop}`);
+                    if (moved) {
+                        this.emit('execution:progress', { signal, step: `TP${level} hit — stop moved to ${action.stop === 'breakeven' ? 'breakeven' : `TP${level - 1}`} @ $${target}` });
+                    } else {
+                        logger.warn('OrderEngine', `TP${level} hit: stop for order ${order.order_id} not moved to ${target}`, { instId: order.inst_id });
+                    }
+                }
+            }
+
+            if (action.closePercent > 0) {
+                await this._closePercent(signal, orders, Math.min(action.closePercent, 100), `TP${level} hit`);
+            }
+        }
+    }
+
+    /**
+     * Market-close a percentage of the size a signal holds — never more than
+     * the live position, which other signals may share.
+     * @param {object} signal
+     * @param {object[]} orders - Active order_history rows of the signal
+     * @param {number} percent
+     * @param {string} reason
+     */
+    async _closePercent(signal, orders, percent, reason) {
+        const order = orders[0];
+        const instId = order.inst_id;
+        const positionSide = order.position_side;
+
+        try {
+            const positions = await this.exchange.getPositions(instId);
+            const pos = positions.find(p => p.positionSide === positionSide || p.positionSide === 'net');
+            const liveSize = pos?.size || 0;
+            if (!liveSize) {
+                logger.warn('OrderEngine', `${reason}: no open ${positionSide} position on ${instId} to scale out of`);
+                return;
+            }
+
+            const signalSize = Math.min(await this._signalOpenSize(orders), liveSize);
+            const closeSize = roundSize(this.instruments.get(instId), signalSize * percent / 100);
+            const sizeCheck = checkMinSize(this.instruments.get(instId), closeSize);
+            if (!sizeCheck.valid) {
+                logger.warn('OrderEngine', `${reason}: ${percent}% of ${signalSize} not closable — ${sizeCheck.reason}`, { instId });
+                this.emit('execution:progress', { signal, step: `${reason} — skipped scale-out: ${sizeCheck.reason}` });
+                return;
+            }
+
+            const closeOrderId = await this.exchange.placeOrder({
+                instId,
+                marginMode: order.margin_mode,
+                positionSide,
+                side: positionSide === 'long' ? 'sell' : 'buy',
+                orderType: 'market',
+                size: closeSize,
+                reduceOnly: true,
+            });
+
+            logger.info('OrderEngine', `${reason}: closed ${percent}% (${closeSize}) of ${instId} ${positionSide}`, { closeOrderId });
+            logger.audit('SCALE_OUT', 'OrderEngine', { reason, instId, positionSide, percent, closeSize, closeOrderId, signalId: signal.signalId });
+            this.emit('execution:progress', { signal, step: `${reason} — closed ${percent}% (${closeSize}) of ${instId}` });
+        } catch (err) {
+            logger.error('OrderEngine', `${reason}: scale-out failed: ${err.message}`, { instId });
+            this.emit('execution:progress', { signal, step: `${reason} — scale-out failed: ${err.message}` });
+        }
+    }
+
+    /**
+     * Mirror a caller's "TRADE CLOSED" edit: cancel every resting order of the
+     * signal (unfilled entries, DCA, TP exits, stops), market-close the size
+     * this signal still holds — reduce-only, on its own position side, so size
+     * from other signals stays open — and record our realized outcome next to
+     * the caller's reported P&L.
+     * @param {object} signal - Parsed edit
+     * @param {string|null} callerPnl - e.g. "+42.5%"
+     */
+    async _mirrorClose(signal, callerPnl) {
+        const orders = getOrdersBySignalId(signal.signalId).filter(o => o.status !== 'closed');
+        if (orders.length === 0) {
+            logger.debug('OrderEngine', `Mirror close: no open orders for signal ${signal.signalId}`);
+            return;
+        }
+
+        const { inst_id: instId, position_side: positionSide, margin_mode: marginMode } = orders[0];
+        const instrument = this.instruments.get(instId);
+        logger.info('OrderEngine', `Mirror close: caller closed ${instId} (${callerPnl || 'no P&L'}) — closing our position`);
+
+        await this._cancelSignalOrders(orders);
+
+        let position = null;
+        let closeSize = 0;
+        try {
+            const positions = await this.exchange.getPositions(instId);
+            position = positions.find(p => p.positionSide === positionSide || p.positionSide === 'net') || null;
+            if (position) {
+                // Never more than is open — a stop or manual close may have taken some already
+                closeSize = roundSize(instrument, Math.min(await this._signalOpenSize(orders), position.size));
+            }
+        } catch (err) {
+            logger.warn('OrderEngine', `Mirror close: could not read position: ${err.message}`, { instId });
+        }
+
+        let closeOrderId = null;
+        if (closeSize > 0) {
+            try {
+                closeOrderId = await this.exchange.placeOrder({
+                    instId,
+                    marginMode,
+                    positionSide,
+                    side: positionSide === 'long' ? 'sell' : 'buy',
+                    orderType: 'market',
+                    size: closeSize,
+                    reduceOnly: true,
+                });
+            } catch (err) {
+                logger.error('OrderEngine', `Mirror close failed for ${instId}: ${err.message}`);
+                this.emit('execution:failed', { signal, reason: `Mirror close failed: ${err.message}` });
+                return;
+            }
+        }
+        this.trailingStops.untrackPosition(instId, positionSide);
+
+        const hadPosition = closeOrderId !== null;
+        const realizedPnl = hadPosition
+            ? await this._mirrorClosePnl({ instId, positionSide, position, closeSize, closeOrderId })
+            : null;
+        const margin = hadPosition
+            ? position.averagePrice * closeSize * (instrument?.contractValue || 1) / (position.leverage || orders[0].leverage || 1)
+            : 0;
+        const realizedPnlPercent = realizedPnl !== null && margin > 0 ? realizedPnl / margin * 100 : null;
+        const callerPnlPercent = callerPnl ? parseFloat(callerPnl) : null;
+        const pnlDiff = realizedPnlPercent !== null && callerPnlPercent !== null
+            ? realizedPnlPercent - callerPnlPercent
+            : null;
+
+        for (const order of orders) {
+            updateOrder(order.id, {
+                status: 'closed',
+                closeReason: 'caller_closed',
+                callerPnl: callerPnl || null,
+                closedAt: new Date().toISOString(),
+            });
+        }
+        // Position-level outcome lives on the first (primary) order row
+        updateOrder(orders[0].id, {
+            pnl: realizedPnl,
+            realizedPnlPercent,
+        });
+
+        this._checkLossLimits();
+
+        logger.audit('MIRROR_CLOSE', 'OrderEngine', {
+            signalId: signal.signalId, instId, positionSide, hadPosition, closeSize, closeOrderId,
+            realizedPnl, realizedPnlPercent, callerPnl, pnlDiff,
+        });
+        this.emit('signal:mirrorClosed', {
+            signal, instId, hadPosition, closedSize: closeSize,
+            realizedPnl, realizedPnlPercent, callerPnl, pnlDiff,
+        });
+    }
+
+    /**
+     * Contracts a signal still holds: its filled entries plus filled DCA
+     * orders, less filled TP exits. For a final figure, call after the
+     * resting orders are cancelled so the fills can no longer change.
+     * @param {object[]} orders - order_history rows of the signal
+     * @returns {Promise<number>}
+     */
+    async _signalOpenSize(orders) {
+        const filledSize = async (orderId, instId) => {
+            try {
+                return (await this.exchange.getOrder(orderId, instId)).filledSize;
+            } catch (err) {
+                logger.warn('OrderEngine', `Could not read fills of ${orderId}: ${err.message}`, { instId });
+                return 0;
+            }
+        };
+
+        let size = 0;
+        for (const order of orders) {
+            // Unfilled entries hold nothing
+            if (order.status !== 'active') continue;
+            size += order.size;
+            for (const dca of JSON.parse(order.dca_orders || '[]')) {
+                if (dca.orderId) size += await filledSize(dca.orderId, order.inst_id);
+            }
+            for (const tp of JSON.parse(order.tp_orders || '[]')) {
+                if (tp.orderId) size -= await filledSize(tp.orderId, order.inst_id);
+            }
+        }
+        return Math.max(size, 0);
+    }
+
+    /**
+     * Realized P&L of a mirror close. If it flattened the position, the
+     * exchange's closed-position record (as in _recordPositionClose);
+     * otherwise the close fill against the position's average entry.
+     * @returns {Promise<number|null>}
+     */
+    async _mirrorClosePnl({ instId, positionSide, position, closeSize, closeOrderId }) {
+        if (closeSize >= position.size) return this._lastRealizedPnl(instId, positionSide);
+
+        try {
+            const fill = await this.exchange.getOrder(closeOrderId, instId);
+            if (!(fill.averagePrice > 0)) return null;
+            const move = positionSide === 'short'
+                ? position.averagePrice - fill.averagePrice
+                : fill.averagePrice - position.averagePrice;
+            return move * fill.filledSize * (this.instruments.get(instId)?.contractValue || 1);
+        } catch (err) {
+            logger.warn('OrderEngine', `Could not read mirror close fill ${closeOrderId}: ${err.message}`, { instId });
+            return null;
+        }
+    }
+
+    /**
+     * Cancel every resting order attached to a signal's order_history rows:
+     * unfilled entries, DCA limits, TP exits and protective stops.
+     * @param {object[]} orders - order_history rows
+     */
+    async _cancelSignalOrders(orders) {
+        const cancel = async (label, fn) => {
+            try {
+                await fn();
+            } catch (err) {
+                // Already filled / cancelled orders are expected here
+                logger.debug('OrderEngine', `Cancel ${label}: ${err.message}`);
+            }
+        };
+
+        for (const order of orders) {
+            const instId = order.inst_id;
+
+            if (order.status === 'placed' && order.order_id) {
+                this._clearPendingFill(order.order_id);
+                await cancel(`entry ${order.order_id}`, () => this.exchange.cancelOrder(order.order_id, instId));
+            }
+            for (const dca of JSON.parse(order.dca_orders || '[]')) {
+                if (dca.orderId) await cancel(`DCA${dca.level}`, () => this.exchange.cancelOrder(dca.orderId, instId));
+            }
+            for (const tp of JSON.parse(order.tp_orders || '[]')) {
+                if (tp.orderId) await cancel(`TP${tp.level}`, () => this.exchange.cancelOrder(tp.orderId, instId));
+            }
+            if (order.tpsl_id || order.algo_id) {
+                const stop = order.tpsl_id
+                    ? { instId, stopId: order.tpsl_id, type: 'tpsl' }
+                    : { instId, stopId: order.algo_id, type: 'algo' };
+                await cancel(`stop ${stop.stopId}`, () => this.trailingStops.cancelStop(stop));
+            }
+            this.trailingStops.untrack(order.order_id);
+        }
+    }
+
     // ============================================================
     // Order Execution
     // ============================================================
 
     /**
      * Execute a parsed signal with the given preferences.
+     * The channel's and trader's profiles (if any) are merged over `prefs` first.
      * @param {object} signal
      * @param {object} prefs
      */
     async executeSignal(signal, prefs) {
+        if (!prefs.traderProfile) prefs = applyTraderProfile(prefs, signal.traderName, signal.channelId);
         const instId = signal.instId;
         const isLong = signal.side === 'long';
 
         try {
             this.emit('execution:start', { signal, step: 'pre-trade' });
 
+            // 0. Account guardrails / kill switch
+            const risk = await this.riskGuard.checkAccount(prefs);
+            if (!risk.ok) {
+                logger.warn('OrderEngine', `${risk.reason} — not executing ${instId}`);
+                this.emit('execution:skipped', { signal, reason: risk.reason });
+                return;
+            }
+
             // 1. Check for existing position
-            const positions = await this.client.getPositions(instId);
-            if (Array.isArray(positions) && positions.length > 0) {
-                const hasPosition = positions.some(p => parseFloat(p.positions) !== 0);
-                if (hasPosition) {
-                    logger.warn('OrderEngine', `Already in position for ${instId}. Skipping.`);
-                    this.emit('execution:skipped', { signal, reason: 'Already in position' });
-                    return;
-                }
+            const positions = await this.exchange.getPositions(instId);
+            if (positions.length > 0) {
+                logger.warn('OrderEngine', `Already in position for ${instId}. Skipping.`);
+                this.emit('execution:skipped', { signal, reason: 'Already in position' });
+                return;
             }
 
             // 2. Set margin mode
             try {
-                await this.client.setMarginMode(prefs.marginMode);
+                await this.exchange.setMarginMode(prefs.marginMode);
             } catch (err) {
                 if (!err.message?.includes('already')) {
                     logger.warn('OrderEngine', `Set margin mode warning: ${err.message}`);
@@ -244,142 +851,112 @@ export class OrderEngine extends EventEmitter {
             this.emit('execution:progress', { signal, step: 'Margin mode set' });
 
             // 3. Determine leverage
-            let effectiveLeverage = prefs.leverage;
-            if (prefs.leverageSource === 'signal' && signal.leverage) {
-                effectiveLeverage = signal.leverage;
-            } else if (prefs.leverageSource === 'max' && signal.leverage) {
-                effectiveLeverage = Math.max(prefs.leverage, signal.leverage);
-            }
+            const instrument = this.instruments.get(instId);
+            const effectiveLeverage = resolveLeverage(signal, prefs, instrument);
 
             // 4. Set leverage
             const positionSide = isLong ? 'long' : 'short';
             try {
-                await this.client.setLeverage(instId, effectiveLeverage, prefs.marginMode, positionSide);
+                await this.exchange.setLeverage(instId, effectiveLeverage, prefs.marginMode, positionSide);
             } catch (err) {
                 logger.warn('OrderEngine', `Set leverage warning: ${err.message}`);
             }
             this.emit('execution:progress', { signal, step: `Leverage set to ${effectiveLeverage}x` });
 
-            // 5. Check balance
-            const balance = await this.client.getBalance();
-            const available = parseFloat(balance?.details?.[0]?.available || '0');
-            if (available < prefs.orderAmount) {
-                logger.error('OrderEngine', `Insufficient balance: ${available} < ${prefs.orderAmount}`);
-                this.emit('execution:failed', { signal, reason: `Insufficient balance: $${available.toFixed(2)}` });
-                return;
-            }
+            // 5. Fetch balance (checked against the sized margin below)
+            const { available, equity } = await this.exchange.getBalance();
 
-            // --- Calculate size ---
-            let entryPrice = signal.entryPrice;
-
-            // Fetch current market price
-            let currentMarketPrice = null;
-            try {
-                const markData = await this.client.getMarkPrice(instId);
-                currentMarketPrice = parseFloat(Array.isArray(markData) ? markData[0]?.markPrice : markData?.markPrice);
-            } catch {
-                try {
-                    const tickerData = await this.client.getTicker(instId);
-                    currentMarketPrice = parseFloat(Array.isArray(tickerData) ? tickerData[0]?.last : tickerData?.last);
-                } catch {
-                    /* will handle below */
-                }
+            // --- Plan: slippage fallback, stop, sizing, entry and DCA orders ---
+            const currentMarketPrice = await this._getMarketPrice(instId);
+            const plan = planEntries({ signal, prefs, instrument, equity, marketPrice: currentMarketPrice, leverage: effectiveLeverage });
+            if (plan.error) {
+                logger.error('OrderEngine', `Entry rejected: ${plan.error}`, { instId, entryPrice: signal.entryPrice, currentMarketPrice });
+                this.emit('execution:failed', { signal, reason: plan.error });
+                return;
             }
+            const { orderType, sizing, stopBasisPrice } = plan;
 
-            // If no entry price, use market price
-            if (!entryPrice) {
-                entryPrice = currentMarketPrice;
+            if (plan.marketFallback) {
+                logger.warn('OrderEngine', `Price slippage ${plan.slippagePercent.toFixed(2)}% > threshold ${prefs.slippagePercent}% — falling back to MARKET`, { entryPrice: signal.entryPrice, currentMarketPrice });
+                this.emit('execution:progress', { signal, step: `Slippage ${plan.slippagePercent.toFixed(2)}% exceeded — using market order` });
             }
 
-            if (!entryPrice || isNaN(entryPrice)) {
-                logger.error('OrderEngine', 'Could not determine entry price');
-                this.emit('execution:failed', { signal, reason: 'Could not determine entry price' });
+            if (available < sizing.margin) {
+                logger.error('OrderEngine', `Insufficient balance: ${available} < ${sizing.margin}`);
+                this.emit('execution:failed', { signal, reason: `Insufficient balance: $${available.toFixed(2)} < $${sizing.margin.toFixed(2)} margin` });
                 return;
             }
 
-            // --- Slippage check: limit → market fallback ---
-            let orderType = prefs.orderType;
-            if (orderType === 'limit' && currentMarketPrice && entryPrice) {
-                const slippagePct = Math.abs(currentMarketPrice - entryPrice) / entryPrice * 100;
-                if (slippagePct > prefs.slippagePercent) {
-                    logger.warn('OrderEngine', `Price slippage ${slippagePct.toFixed(2)}% > threshold ${prefs.slippagePercent}% — falling back to MARKET`, { entryPrice, currentMarketPrice });
-                    orderType = 'market';
-                    entryPrice = currentMarketPrice;
-                    this.emit('execution:progress', { signal, step: `Slippage ${slippagePct.toFixed(2)}% exceeded — using market order` });
-                }
-            }
-
-            // Contract size
-            const notional = prefs.orderAmount * effectiveLeverage;
-            const rawSize = notional / entryPrice;
-            const size = parseFloat(rawSize.toPrecision(4));
-
-            this.emit('execution:progress', { signal, step: `Size: ${size} | Notional: $${notional} | Lev: ${effectiveLeverage}x` });
-
-            // --- Place Entry Order ---
-            const side = isLong ? 'buy' : 'sell';
-
-            const orderResult = await this.client.placeOrder({
-                instId,
-                marginMode: prefs.marginMode,
-                positionSide,
-                side,
-                orderType,
-                size: String(size),
-                price: orderType === 'limit' ? String(entryPrice) : undefined,
-                reduceOnly: false,
+            this.emit('execution:progress', {
+                signal,
+                step: `Sizing [${sizing.mode}]: margin $${sizing.margin.toFixed(2)} | risk $${sizing.riskAmount.toFixed(2)} (${sizing.riskPercent.toFixed(2)}% of $${equity.toFixed(2)}) | stop ${sizing.stopDistancePercent.toFixed(2)}% away`,
+                sizing,
             });
 
-            const orderId = Array.isArray(orderResult) ? orderResult[0]?.orderId : orderResult?.orderId;
-
-            if (!orderId) {
-                logger.error('OrderEngine', 'Order placement returned no orderId', orderResult);
-                this.emit('execution:failed', { signal, reason: 'No orderId returned' });
+            const exposure = await this.riskGuard.checkExposure(prefs, instId, sizing.notional);
+            if (!exposure.ok) {
+                logger.warn('OrderEngine', `${exposure.reason} — not executing ${instId}`);
+                this.emit('execution:skipped', { signal, reason: exposure.reason });
                 return;
             }
 
-            logger.info('OrderEngine', `Order placed: ${orderId}`, { instId, side, size, orderType, leverage: effectiveLeverage });
-            this.emit('execution:progress', { signal, step: `Order placed: ${orderId}` });
-
-            // Record order
-            const dbOrder = recordOrder({
-                signalId: signal.signalId,
-                instId,
-                side,
-                positionSide,
-                orderType,
-                entryPrice,
-                size,
-                leverage: effectiveLeverage,
-                marginMode: prefs.marginMode,
-                orderId,
-                status: 'placed',
-                traderName: signal.traderName,
-                tpLevels: signal.tpLevels,
-                dcaLevels: signal.dcaLevels,
-            });
+            const side = isLong ? 'buy' : 'sell';
+            const notional = sizing.notional;
+            let primaryDbOrderId = null;
+
+            if (plan.isZone && orderType === 'limit') {
+                // --- Place zone ladder ---
+                const count = plan.entries.length;
+                this.emit('execution:progress', { signal, step: `Zone entry: ${count} limit orders ${signal.entryLow}–${signal.entryHigh} | Notional: $${notional.toFixed(2)} | Lev: ${effectiveLeverage}x` });
+
+                // Children settle on their own — failures are summarized once the ladder is done
+                let placed = 0;
+                const failures = [];
+                for (const { label, price, size } of plan.entries) {
+                    try {
+                        const entry = await this._placeEntryOrder({
+                            signal, prefs, instId, positionSide, side,
+                            orderType: 'limit', price, size,
+                            leverage: effectiveLeverage, stopBasisPrice, label,
+                        });
+                        placed++;
+                        primaryDbOrderId ??= entry.dbOrderId;
+                    } catch (err) {
+                        logger.error('OrderEngine', `${label} order failed: ${err.message}`, { instId, price });
+                        this.emit('execution:progress', { signal, step: `${label} @ $${price} failed: ${err.message}` });
+                        failures.push(`${label} @ $${price}: ${err.message}`);
+                    }
+                }
 
-            // Store pending fill context
-            this.pendingFills.set(orderId, {
-                signal,
-                prefs,
-                instId,
-                positionSide,
-                side,
-                size,
-                entryPrice,
-                leverage: effectiveLeverage,
-                dbOrderId: dbOrder.lastInsertRowid,
-            });
+                if (placed === 0) {
+                    this.emit('execution:failed', { signal, reason: `No zone entry orders were placed (${failures.join('; ')})` });
+                    return;
+                }
+                if (failures.length > 0) {
+                    this.emit('execution:partial', { signal, placed, total: count, failures });
+                }
+            } else {
+                const [{ price: entryPrice, size }] = plan.entries;
+                this.emit('execution:progress', { signal, step: `Size: ${size} contracts | Notional: $${notional.toFixed(2)} | Lev: ${effectiveLeverage}x` });
+
+                // --- Place Entry Order ---
+                const entry = await this._placeEntryOrder({
+                    signal, prefs, instId, positionSide, side,
+                    orderType, price: entryPrice, size,
+                    leverage: effectiveLeverage,
+                });
+                primaryDbOrderId = entry.dbOrderId;
 
-            // For market orders, try placing stop immediately
-            if (orderType === 'market') {
-                setTimeout(() => this._tryPlaceTrailingStop(orderId), 500);
+                // For market orders, try placing stop immediately
+                if (orderType === 'market') {
+                    setTimeout(() => this._tryPlaceTrailingStop(entry.orderId), 500);
+                }
             }
 
             // --- DCA orders (if enabled and DCA levels present) ---
-            if (prefs.useDca && prefs.dcaMode === 'auto' && signal.dcaLevels.length > 0) {
-                await this._placeDcaOrders(signal, prefs, instId, positionSide, effectiveLeverage);
+            if (plan.dcaOrders.length > 0) {
+                const dcaOrders = await this._placeDcaOrders(signal, prefs, instId, positionSide, plan.dcaOrders);
+                if (primaryDbOrderId) updateOrder(primaryDbOrderId, { dcaOrders });
             }
 
         } catch (error) {
@@ -388,52 +965,184 @@ export class OrderEngine extends EventEmitter {
         }
     }
 
+    /**
+     * Place one entry order, record it in order_history and register it for fill tracking.
+     * @param {object} params
+     * @param {number} [params.stopBasisPrice] - Price the stop is computed from (defaults to the order price)
+     * @param {string} [params.label] - Progress label (e.g. "Zone 2/3")
+     * @returns {Promise<{ orderId: string, dbOrderId: number }>}
+     */
+    async _placeEntryOrder({ signal, prefs, instId, positionSide, side, orderType, price, size, leverage, stopBasisPrice, label }) {
+        const orderId = await this.exchange.placeOrder({
+            instId,
+            marginMode: prefs.marginMode,
+            positionSide,
+            side,
+            orderType,
+            size,
+            price: orderType === 'limit' ? price : undefined,
+            reduceOnly: false,
+        });
+
+        const prefix = label ? `${label} ` : '';
+        logger.info('OrderEngine', `${prefix}Order placed: ${orderId}`, { instId, side, size, orderType, price, leverage });
+        this.emit('execution:progress', { signal, step: `${prefix}Order placed: ${orderId}${orderType === 'limit' ? ` @ $${price}` : ''}` });
+
+        // Record order
+        const dbOrder = recordOrder({
+            signalId: signal.signalId,
+            instId,
+            side,
+            positionSide,
+            orderType,
+            entryPrice: price,
+            size,
+            leverage,
+            marginMode: prefs.marginMode,
+            orderId,
+            status: 'placed',
+            traderName: signal.traderName,
+            tpLevels: signal.tpLevels,
+            dcaLevels: signal.dcaLevels,
+        });
+
+        // Store pending fill context
+        this._setPendingFill(orderId, {
+            signal,
+            prefs,
+            instId,
+            positionSide,
+            side,
+            size,
+            entryPrice: price,
+            stopBasisPrice: stopBasisPrice ?? price,
+            leverage,
+            dbOrderId: dbOrder.lastInsertRowid,
+        });
+
+        return { orderId, dbOrderId: dbOrder.lastInsertRowid };
+    }
+
     // ============================================================
     // DCA Orders
     // ============================================================
 
     /**
      * Place DCA (Dollar-Cost Averaging) limit orders at signal-specified levels.
+     * @param {object[]} levels - Planned DCA orders from planEntries(): { level, price, size, skipped }
+     * @returns {Promise<object[]>} Placed DCA orders: { level, price, size, orderId }
      */
-    async _placeDcaOrders(signal, prefs, instId, positionSide, leverage) {
+    async _placeDcaOrders(signal, prefs, instId, positionSide, levels) {
         const side = signal.side === 'long' ? 'buy' : 'sell';
-        const dcaAmount = prefs.orderAmount; // Same amount per DCA level
+        const dcaOrders = [];
 
-        for (const dca of signal.dcaLevels) {
+        for (const { level, price, size, skipped } of levels) {
+            if (skipped) {
+                logger.warn('OrderEngine', `DCA${level} skipped: ${skipped}`, { instId, price });
+                this.emit('execution:progress', { signal, step: `DCA${level} skipped: ${skipped}` });
+                continue;
+            }
             try {
-                const dcaSize = parseFloat(((dcaAmount * leverage) / dca.price).toPrecision(4));
-                const result = await this.client.placeOrder({
+                const dcaOrderId = await this.exchange.placeOrder({
                     instId,
                     marginMode: prefs.marginMode,
                     positionSide,
                     side,
                     orderType: 'limit',
-                    size: String(dcaSize),
-                    price: String(dca.price),
+                    size,
+                    price,
                     reduceOnly: false,
                 });
-
-                const dcaOrderId = Array.isArray(result) ? result[0]?.orderId : result?.orderId;
-                logger.info('OrderEngine', `DCA${dca.level} order placed: ${dcaOrderId} @ ${dca.price}`, { instId });
-                this.emit('execution:progress', { signal, step: `DCA${dca.level} limit order @ $${dca.price}` });
+                dcaOrders.push({ level, price, size, orderId: dcaOrderId });
+                logger.info('OrderEngine', `DCA${level} order placed: ${dcaOrderId} @ ${price}`, { instId });
+                this.emit('execution:progress', { signal, step: `DCA${level} limit order @ $${price}` });
             } catch (err) {
-                logger.error('OrderEngine', `DCA${dca.level} order failed: ${err.message}`, { instId, price: dca.price });
+                logger.error('OrderEngine', `DCA${level} order failed: ${err.message}`, { instId, price });
             }
         }
+
+        return dcaOrders;
     }
 
     // ============================================================
     // Trailing Stop
     // ============================================================
 
-    _setupWebSocketListeners() {
-        this.ws.on('orderFilled', (order) => {
+    _setupExchangeListeners() {
+        this.exchange.on('orderFilled', (order) => {
             const orderId = order.orderId;
             if (this.pendingFills.has(orderId)) {
                 logger.info('OrderEngine', `Order ${orderId} filled — placing trailing stop`);
                 this._placeTrailingStop(orderId, order);
             }
         });
+
+        this.exchange.on('position', (pos) => {
+            if (pos.size === 0) {
+                const positionSide = pos.positionSide === 'net' ? undefined : pos.positionSide;
+                this.trailingStops.untrackPosition(pos.instId, positionSide);
+                this._recordPositionClose(pos.instId, positionSide).catch(err => {
+                    logger.error('OrderEngine', `Recording close of ${pos.instId} failed: ${err.message}`);
+                });
+            }
+        });
+    }
+
+    /**
+     * A position went flat (stop, TP ladder or manual close): mark its filled
+     * orders closed, record realized P&L from position history and re-check
+     * the loss limits.
+     * @param {string} instId
+     * @param {'long'|'short'} [positionSide]
+     */
+    async _recordPositionClose(instId, positionSide) {
+        const orders = getOpenOrders(instId, positionSide).filter(o => o.status === 'active');
+        if (orders.length === 0) return;
+
+        const realizedPnl = await this._lastRealizedPnl(instId, positionSide);
+
+        const closedAt = new Date().toISOString();
+        for (const order of orders) {
+            updateOrder(order.id, { status: 'closed', closeReason: 'position_closed', closedAt });
+        }
+        if (realizedPnl !== null) updateOrder(orders[0].id, { pnl: realizedPnl });
+
+        logger.info('OrderEngine', `Position closed: ${instId}${positionSide ? ` ${positionSide}` : ''} | realized ${realizedPnl ?? 'N/A'}`);
+        this.emit('position:closed', { instId, positionSide, realizedPnl });
+
+        this._checkLossLimits();
+        this._checkTraderDemotion(orders[0].trader_name);
+    }
+
+    /**
+     * Realized P&L of the most recent closed position on an instrument side.
+     * @returns {Promise<number|null>} null if the history can't be read
+     */
+    async _lastRealizedPnl(instId, positionSide) {
+        try {
+            const history = await this.exchange.getPositionsHistory(instId, 5);
+            const last = history.find(h => !positionSide || h.positionSide === positionSide || h.positionSide === 'net');
+            return last ? last.realizedPnl : null;
+        } catch (err) {
+            logger.warn('OrderEngine', `Could not read position history for ${instId}: ${err.message}`);
+            return null;
+        }
+    }
+
+    /** Move a trader to confirm-only if their rolling scorecard breaches a demotion rule. */
+    _checkTraderDemotion(traderName) {
+        try {
+            const demotion = evaluateDemotion(traderName);
+            if (demotion) this.emit('trader:demoted', demotion);
+        } catch (err) {
+            logger.error('OrderEngine', `Demotion check failed for ${traderName}: ${err.message}`);
+        }
+    }
+
+    /** Trip the kill switch if realized losses breach the daily / streak limits. */
+    _checkLossLimits() {
+        const breach = this.riskGuard.checkLosses(getPreferences());
+        if (breach) this.riskGuard.halt(breach);
     }
 
     async _tryPlaceTrailingStop(orderId) {
@@ -441,9 +1150,8 @@ export class OrderEngine extends EventEmitter {
         if (!context) return;
 
         try {
-            const orderDetail = await this.client.getOrderDetail(orderId);
-            const detail = Array.isArray(orderDetail) ? orderDetail[0] : orderDetail;
-            if (detail?.state === 'filled') {
+            const detail = await this.exchange.getOrder(orderId, context.instId);
+            if (detail.state === 'filled') {
                 await this._placeTrailingStop(orderId, detail);
             }
         } catch (err) {
@@ -455,82 +1163,227 @@ export class OrderEngine extends EventEmitter {
         const context = this.pendingFills.get(orderId);
         if (!context) return;
 
-        this.pendingFills.delete(orderId);
+        this._clearPendingFill(orderId);
 
-        const { signal, prefs, instId, positionSide, size, entryPrice } = context;
-        const isLong = positionSide === 'long';
-        const variance = prefs.trailingStopVariance / 100;
+        const { signal, prefs, instId, positionSide, size, entryPrice, stopBasisPrice } = context;
+        const { price: rawStop, source: stopSource } = resolveStopPrice(signal, stopBasisPrice, positionSide, prefs);
+        const slTriggerPrice = roundPrice(this.instruments.get(instId), rawStop);
+        const type = prefs.trailingStopType === 'tpsl' ? 'tpsl' : 'algo';
 
-        const slTriggerPrice = isLong
-            ? entryPrice * (1 - variance)
-            : entryPrice * (1 + variance);
+        try {
+            const stopId = await this.trailingStops.placeStop({
+                instId,
+                marginMode: prefs.marginMode,
+                positionSide,
+                size,
+                triggerPrice: slTriggerPrice,
+                type,
+            });
+            const idKey = type === 'tpsl' ? 'tpslId' : 'algoId';
 
-        const closeSide = isLong ? 'sell' : 'buy';
+            logger.info('OrderEngine', `${type === 'tpsl' ? 'TPSL' : 'Algo stop'} placed: ${stopId} (SL @ ${slTriggerPrice} from ${stopSource})`, { instId });
 
-        try {
-            if (prefs.trailingStopType === 'tpsl') {
-                const tpslResult = await this.client.placeTPSL({
-                    instId,
-                    marginMode: prefs.marginMode,
-                    positionSide,
-                    side: closeSide,
-                    size: String(size),
-                    slTriggerPrice: String(slTriggerPrice.toFixed(8)),
-                    slOrderPrice: '-1',
-                    reduceOnly: true,
-                });
+            updateOrder(context.dbOrderId, { [idKey]: stopId, stopPrice: slTriggerPrice, stopSource, status: 'active' });
 
-                const tpslId = tpslResult?.tpslId;
-                logger.info('OrderEngine', `TPSL placed: ${tpslId} (SL @ ${slTriggerPrice})`, { instId });
+            this.trailingStops.track(orderId, {
+                instId,
+                marginMode: prefs.marginMode,
+                positionSide,
+                size,
+                entryPrice,
+                stopPrice: slTriggerPrice,
+                stopId,
+                stopType: type,
+                dbOrderId: context.dbOrderId,
+                trailing: {
+                    enabled: prefs.trailingEnabled,
+                    activationPercent: prefs.trailingActivationPercent,
+                    stepPercent: prefs.trailingStepPercent,
+                    distancePercent: prefs.trailingStopVariance,
+                },
+            });
 
-                updateOrder(context.dbOrderId, { tpslId, status: 'active' });
-                this.emit('execution:complete', {
-                    signal, orderId, tpslId,
-                    stopPrice: slTriggerPrice,
-                    type: 'tpsl',
-                });
-            } else {
-                const algoResult = await this.client.placeAlgoOrder({
+            this.emit('execution:complete', {
+                signal, orderId, [idKey]: stopId,
+                size,
+                leverage: context.leverage,
+                fillPrice: fillData?.averagePrice || entryPrice,
+                stopPrice: slTriggerPrice,
+                stopSource,
+                trailing: prefs.trailingEnabled,
+                type,
+            });
+        } catch (error) {
+            logger.error('OrderEngine', `Failed to place trailing stop: ${error.message}`, { instId });
+            this.emit('execution:stopFailed', { signal, orderId, reason: error.message });
+        }
+
+        if (prefs.useTpLadder && signal.tpLevels?.length > 0) {
+            await this._placeTpLadder(orderId, context);
+        }
+    }
+
+    /**
+     * Place reduce-only limit exits at the signal's TP1..TPn, split per `prefs.tpSplitMode`
+     * (a custom split under 100% leaves the rest to the stop).
+     * Levels already hit or on the wrong side of entry are skipped; the resulting
+     * order IDs are stored in `order_history.tp_orders`.
+     * @param {string} orderId - Filled entry order
+     * @param {object} context - Pending-fill context of that order
+     * @returns {Promise<object[]>} Placed TP orders: { level, price, size, orderId }
+     */
+    async _placeTpLadder(orderId, context) {
+        const { signal, prefs, instId, positionSide, size, entryPrice } = context;
+        const isLong = positionSide === 'long';
+        const closeSide = isLong ? 'sell' : 'buy';
+
+        const levels = signal.tpLevels
+            .filter(tp => !tp.hit && (isLong ? tp.price > entryPrice : tp.price < entryPrice))
+            .sort((a, b) => a.level - b.level);
+        if (levels.length === 0) return [];
+
+        const split = computeTpSplit(prefs.tpSplitMode, levels.length, prefs.tpSplitCustom);
+        const ladder = levels.map((tp, i) => ({ tp, fraction: split[i] })).filter(l => l.fraction > 0);
+        const instrument = this.instruments.get(instId);
+        const tpOrders = [];
+        let remaining = tpLadderSize(instrument, size, split);
+
+        for (const [i, { tp, fraction }] of ladder.entries()) {
+            // Last level takes the rest of the ladder's share so rounding never leaves a
+            // sliver open; a level below min size is folded into the next one
+            const isLast = i === ladder.length - 1;
+            const tpSize = roundSize(instrument, isLast ? remaining : size * fraction);
+            if (!checkMinSize(instrument, tpSize).valid) continue;
+            remaining = roundSize(instrument, remaining - tpSize);
+            const tpPrice = roundPrice(instrument, tp.price);
+
+            try {
+                const tpOrderId = await this.exchange.placeOrder({
                     instId,
                     marginMode: prefs.marginMode,
                     positionSide,
                     side: closeSide,
-                    size: String(size),
-                    triggerPrice: String(slTriggerPrice.toFixed(8)),
-                    triggerPriceType: 'last',
-                    orderPrice: '-1',
+                    orderType: 'limit',
+                    size: tpSize,
+                    price: tpPrice,
                     reduceOnly: true,
                 });
-
-                const algoId = algoResult?.algoId;
-                logger.info('OrderEngine', `Algo stop placed: ${algoId} (trigger @ ${slTriggerPrice})`, { instId });
-
-                updateOrder(context.dbOrderId, { algoId, status: 'active' });
-                this.emit('execution:complete', {
-                    signal, orderId, algoId,
-                    stopPrice: slTriggerPrice,
-                    type: 'algo',
-                });
+                tpOrders.push({ level: tp.level, price: tpPrice, size: tpSize, orderId: tpOrderId });
+                logger.info('OrderEngine', `TP${tp.level} exit placed: ${tpOrderId} (${tpSize} @ ${tpPrice})`, { instId });
+                this.emit('execution:progress', { signal, step: `TP${tp.level} reduce-only exit: ${tpSize} @ $${tpPrice}` });
+            } catch (err) {
+                logger.error('OrderEngine', `TP${tp.level} exit failed: ${err.message}`, { instId, price: tp.price });
+                this.emit('execution:progress', { signal, step: `TP${tp.level} exit failed: ${err.message}` });
             }
-        } catch (error) {
-            logger.error('OrderEngine', `Failed to place trailing stop: ${error.message}`, { instId });
-            this.emit('execution:stopFailed', { signal, orderId, reason: error.message });
         }
+
+        updateOrder(context.dbOrderId, { tpOrders });
+        return tpOrders;
     }
 
     // ============================================================
-    // Manual Confirm & Emergency Close
+    // Operator Actions: Confirmations, Resume & Emergency Close
     // ============================================================
 
-    async confirmAndExecute(signal) {
-        const prefs = getPreferences();
+    /**
+     * Approve a queued signal and execute it. The price rules are re-checked
+     * first (the signal may have sat in the queue for minutes); if they fail,
+     * the entry is closed as 'failed' and nothing is placed.
+     * @param {string} signalId
+     * @param {string} operator
+     * @param {{ orderAmount?: number, leverage?: number }} [edits] - Margin (USDT) / leverage overrides
+     * @returns {Promise<object>} The decided entry (status 'approved' or 'failed')
+     */
+    async approveConfirmation(signalId, operator, edits = {}) {
+        const { signal } = this._pendingConfirmation(signalId);
+        const overrides = this._confirmationOverrides(signal, edits);
+        const prefs = { ...getTraderPreferences(signal.traderName, signal.channelId), ...overrides };
+
+        const check = await this.validateForExecution(signal, prefs, { checkAge: false });
+        const decision = check.valid
+            ? { status: 'approved', note: check.currentPrice ? `Price at approval: ${check.currentPrice}` : null }
+            : { status: 'failed', note: check.reason };
+        const decided = this.confirmations.decide(signalId, {
+            ...decision, decidedBy: operator, edits: Object.keys(overrides).length ? overrides : null,
+        });
+        if (!decided) throw new Error(`Signal ${signalId} was decided meanwhile`);
+
+        if (!check.valid) {
+            setSignalRejection(signalId, `Failed at confirmation: ${check.reason}`);
+            this.emit('signalRejected', { signal, reason: check.reason });
+            return decided;
+        }
         await this.executeSignal(signal, prefs);
+        return decided;
+    }
+
+    /**
+     * Reject a queued signal.
+     * @param {string} signalId
+     * @param {string} operator
+     * @param {string} [note]
+     * @returns {object} The decided entry
+     */
+    rejectConfirmation(signalId, operator, note = null) {
+        const { signal } = this._pendingConfirmation(signalId);
+        const decided = this.confirmations.decide(signalId, { status: 'rejected', decidedBy: operator, note });
+        if (!decided) throw new Error(`Signal ${signalId} was decided meanwhile`);
+        setSignalRejection(signalId, `Rejected by ${operator}${note ? `: ${note}` : ''}`);
+        this.emit('signalRejected', { signal, reason: `Rejected by ${operator}` });
+        return decided;
+    }
+
+    _pendingConfirmation(signalId) {
+        const entry = this.confirmations.get(signalId);
+        if (!entry) throw new Error(`No confirmation for signal ${signalId}`);
+        if (entry.status !== 'pending') throw new Error(`Signal ${signalId} is already ${entry.status}`);
+        return entry;
+    }
+
+    /**
+     * Validate operator edits and turn them into preference overrides.
+     * @returns {object} `{ sizingMode, orderAmount }` and/or `{ leverageSource, leverage }`
+     */
+    _confirmationOverrides(signal, edits = {}) {
+        const overrides = {};
+        if (edits.orderAmount != null && edits.orderAmount !== '') {
+            const amount = Number(edits.orderAmount);
+            if (!(amount > 0)) throw new Error('Margin must be a positive number');
+            overrides.sizingMode = 'fixed';
+            overrides.orderAmount = amount;
+        }
+        if (edits.leverage != null && edits.leverage !== '') {
+            const leverage = Number(edits.leverage);
+            const max = this.instruments.get(signal.instId)?.maxLeverage;
+            if (!Number.isInteger(leverage) || leverage < 1) throw new Error('Leverage must be a whole number ≥ 1');
+            if (max && leverage > max) throw new Error(`Leverage exceeds ${signal.instId} max ${max}x`);
+            overrides.leverageSource = 'saved';
+            overrides.leverage = leverage;
+        }
+        return overrides;
+    }
+
+    /**
+     * Trip the kill switch by hand — no new executions until resumed.
+     * @param {string} [operator='operator']
+     * @param {string|null} [reason]
+     */
+    pauseTrading(operator = 'operator', reason = null) {
+        this.riskGuard.halt(`Paused by ${operator}${reason ? `: ${reason}` : ''}`);
+    }
+
+    /**
+     * Clear the risk kill switch (explicit operator action).
+     * @param {string} [operator='operator']
+     */
+    resumeTrading(operator = 'operator') {
+        this.riskGuard.resume(operator);
     }
 
     async emergencyClose(instId) {
         try {
             const prefs = getPreferences();
-            await this.client.closePositions(instId, prefs.marginMode);
+            await this.exchange.closePosition(instId, prefs.marginMode);
             logger.info('OrderEngine', `Emergency close executed for ${instId}`);
             this.emit('emergencyClose', { instId });
         } catch (error) {
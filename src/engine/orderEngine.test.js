@@ -0,0 +1,209 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import {
+    initDatabase, getDb, getPreferences, recordOrder, updateOrder, getOrdersBySignalId,
+} from '../config/preferenceManager.js';
+import { OrderEngine } from './orderEngine.js';
+
+// ============================================================
+// Stub exchange
+// ============================================================
+
+/** Serves positions, orders and stops from plain fields and records placed orders and stops. */
+class StubExchange extends EventEmitter {
+    constructor() {
+        super();
+        this.positions = [];
+        this.orders = new Map();
+        this.stops = [];
+        this.history = [];
+        this.placedStops = [];
+        this.placedOrders = [];
+    }
+
+    async getPositions() { return this.positions; }
+    async getActiveOrders() { return []; }
+    async getActiveStops(instId) { return this.stops.filter(s => !instId || s.instId === instId); }
+    async getPositionsHistory(instId) { return this.history.filter(h => h.instId === instId); }
+
+    async getOrder(orderId) {
+        const order = this.orders.get(orderId);
+        if (!order) throw new Error(`Order ${orderId} not found`);
+        return order;
+    }
+
+    async placeOrder(params) {
+        this.placedOrders.push(params);
+        return `order-${this.placedOrders.length}`;
+    }
+
+    async placeStop(params) {
+        this.placedStops.push(params);
+        return `stop-${this.placedStops.length}`;
+    }
+
+    subscribeTicker() {}
+    unsubscribeTicker() {}
+}
+
+function position(instId, positionSide, size) {
+    return { instId, positionSide, size, averagePrice: 100, markPrice: 100, leverage: 5 };
+}
+
+/** Record an order_history row and return it as stored. */
+function recordRow({ signalId, instId, positionSide = 'long', size, status, ...updates }) {
+    const { lastInsertRowid } = recordOrder({
+        signalId, instId, side: positionSide === 'long' ? 'buy' : 'sell', positionSide, orderType: 'limit',
+        entryPrice: 100, size, leverage: 5, marginMode: 'cross', orderId: `${signalId}-entry`, status,
+    });
+    if (Object.keys(updates).length > 0) updateOrder(lastInsertRowid, updates);
+    return getOrdersBySignalId(signalId)[0];
+}
+
+// ============================================================
+// Reconcile
+// ============================================================
+
+describe('OrderEngine.reconcile', () => {
+    let exchange;
+    let engine;
+
+    beforeEach(() => {
+        initDatabase(':memory:');
+        exchange = new StubExchange();
+        engine = new OrderEngine(exchange);
+    });
+
+    afterEach(() => getDb().close());
+
+    test('places the stop of an entry that filled while offline', async () => {
+        const row = recordRow({ signalId: 'sig-fill', instId: 'BTC-USDT', size: 2, status: 'pending' });
+        const prefs = { ...getPreferences(), useTpLadder: false, trailingStopType: 'tpsl', trailingStopVariance: 5 };
+        engine._setPendingFill(row.order_id, {
+            signal: { instId: 'BTC-USDT', tpLevels: [] }, prefs, instId: 'BTC-USDT', positionSide: 'long',
+            size: 2, entryPrice: 100, stopBasisPrice: 100, dbOrderId: row.id,
+        });
+        exchange.orders.set(row.order_id, { orderId: row.order_id, state: 'filled', averagePrice: 100 });
+        exchange.positions = [position('BTC-USDT', 'long', 2)];
+
+        const { lines, warnings } = await engine.reconcile();
+
+        assert.deepEqual(exchange.placedStops, [{ instId: 'BTC-USDT', marginMode: 'cross', positionSide: 'long', size: 2, triggerPrice: 95, type: 'tpsl' }]);
+        assert.ok(lines.includes(`BTC-USDT entry ${row.order_id} filled while offline — stop placed`));
+        assert.deepEqual(warnings, []);
+        assert.equal(engine.pendingFills.size, 0);
+        assert.equal(engine.trailingStops.stops.get(row.order_id).stopId, 'stop-1');
+
+        const [stored] = getOrdersBySignalId('sig-fill');
+        assert.equal(stored.status, 'active');
+        assert.equal(stored.tpsl_id, 'stop-1');
+        assert.equal(stored.stop_price, 95);
+    });
+
+    test('drops an entry cancelled while offline', async () => {
+        const row = recordRow({ signalId: 'sig-cancel', instId: 'BTC-USDT', size: 2, status: 'pending' });
+        engine._setPendingFill(row.order_id, { instId: 'BTC-USDT', dbOrderId: row.id });
+        exchange.orders.set(row.order_id, { orderId: row.order_id, state: 'canceled' });
+
+        const { lines } = await engine.reconcile();
+
+        assert.ok(lines.includes(`BTC-USDT entry ${row.order_id} was cancelled — dropped`));
+        assert.equal(engine.pendingFills.size, 0);
+        assert.equal(getOrdersBySignalId('sig-cancel')[0].status, 'cancelled');
+    });
+
+    test('marks orders closed when their position closed while offline', async () => {
+        recordRow({ signalId: 'sig-flat', instId: 'ETH-USDT', positionSide: 'short', size: 1, status: 'active', tpslId: 't-eth', stopPrice: 3200 });
+        exchange.history = [{ instId: 'ETH-USDT', positionSide: 'short', realizedPnl: 12.5, closedAt: Date.now() }];
+        const closed = [];
+        engine.on('position:closed', e => closed.push(e));
+
+        const { lines } = await engine.reconcile();
+
+        assert.ok(lines.includes('ETH-USDT short closed while offline — orders marked closed'));
+        assert.deepEqual(closed, [{ instId: 'ETH-USDT', positionSide: 'short', realizedPnl: 12.5 }]);
+        const [stored] = getOrdersBySignalId('sig-flat');
+        assert.equal(stored.status, 'closed');
+        assert.equal(stored.close_reason, 'position_closed');
+        assert.equal(stored.pnl, 12.5);
+        assert.deepEqual(exchange.placedStops, []);
+    });
+
+    test('re-places a missing stop for the live position size', async () => {
+        // Recorded at 3 contracts; a DCA fill took the position to 5
+        const row = recordRow({ signalId: 'sig-stop', instId: 'SOL-USDT', size: 3, status: 'active', tpslId: 'gone', stopPrice: 140 });
+        exchange.positions = [position('SOL-USDT', 'long', 5)];
+        exchange.stops = [{ stopId: 'other', type: 'tpsl', instId: 'BTC-USDT', positionSide: 'long', triggerPrice: 60000 }];
+
+        const { lines, warnings } = await engine.reconcile();
+
+        assert.deepEqual(exchange.placedStops, [{ instId: 'SOL-USDT', marginMode: 'cross', positionSide: 'long', size: 5, triggerPrice: 140, type: 'tpsl' }]);
+        assert.ok(lines.includes('SOL-USDT long (5): stop missing — re-placed @ 140'));
+        assert.deepEqual(warnings, []);
+        assert.equal(getOrdersBySignalId('sig-stop')[0].tpsl_id, 'stop-1');
+
+        const tracked = engine.trailingStops.stops.get(row.order_id);
+        assert.equal(tracked.size, 5);
+        assert.equal(tracked.stopId, 'stop-1');
+    });
+
+    test('re-tracks a stop that is still live without placing another', async () => {
+        const row = recordRow({ signalId: 'sig-live', instId: 'SOL-USDT', size: 3, status: 'active', algoId: 'a-live', stopPrice: 140 });
+        exchange.positions = [position('SOL-USDT', 'long', 3)];
+        exchange.stops = [{ stopId: 'a-live', type: 'algo', instId: 'SOL-USDT', positionSide: 'long', triggerPrice: 140 }];
+
+        const { lines } = await engine.reconcile();
+
+        assert.deepEqual(exchange.placedStops, []);
+        assert.ok(lines.includes('SOL-USDT long (3): managing 1 stop'));
+        assert.equal(engine.trailingStops.stops.get(row.order_id).stopType, 'algo');
+    });
+
+    test('warns about an unmanaged position without a stop', async () => {
+        exchange.positions = [position('DOGE-USDT', 'long', 100)];
+
+        const { warnings } = await engine.reconcile();
+
+        assert.deepEqual(warnings, ['DOGE-USDT long (100) has NO stop and is not managed by the engine — manual action required']);
+    });
+});
+
+// ============================================================
+// TP ladder
+// ============================================================
+
+describe('OrderEngine._placeTpLadder', () => {
+    let exchange;
+    let engine;
+
+    beforeEach(() => {
+        initDatabase(':memory:');
+        exchange = new StubExchange();
+        engine = new OrderEngine(exchange);
+        engine.instruments.set('SOL-USDT', { instId: 'SOL-USDT', lotSize: 1, minSize: 1, tickSize: 0.01, contractValue: 1 });
+    });
+
+    afterEach(() => getDb().close());
+
+    function ladder(tpSplitMode, tpSplitCustom = null) {
+        const row = recordRow({ signalId: `sig-${tpSplitMode}`, instId: 'SOL-USDT', size: 10, status: 'active' });
+        const tpLevels = [{ level: 1, price: 102 }, { level: 2, price: 104 }, { level: 3, price: 106 }];
+        return engine._placeTpLadder(row.order_id, {
+            signal: { instId: 'SOL-USDT', tpLevels }, prefs: { marginMode: 'cross', tpSplitMode, tpSplitCustom },
+            instId: 'SOL-USDT', positionSide: 'long', size: 10, entryPrice: 100, dbOrderId: row.id,
+        });
+    }
+
+    test('gives the rounding remainder to the last level', async () => {
+        const orders = await ladder('equal');
+        assert.deepEqual(orders.map(o => [o.level, o.size]), [[1, 3], [2, 3], [3, 4]]);
+        assert.ok(exchange.placedOrders.every(o => o.reduceOnly && o.side === 'sell' && o.orderType === 'limit'));
+    });
+
+    test('leaves what a custom split does not cover open', async () => {
+        const orders = await ladder('custom', '50,30');
+        assert.deepEqual(orders.map(o => [o.level, o.price, o.size]), [[1, 102, 5], [2, 104, 3]]);
+        assert.deepEqual(JSON.parse(getOrdersBySignalId('sig-custom')[0].tp_orders).map(o => o.size), [5, 3]);
+    });
+});
@@ -0,0 +1,222 @@
+import { logger } from '../utils/logger.js';
+import {
+    getRiskState, setRiskHalted, clearRiskHalted, getClosedPnlSince,
+} from '../config/preferenceManager.js';
+import { EventEmitter } from 'events';
+
+/**
+ * Account-level guardrails checked before every execution.
+ *
+ * Limits (0 disables a limit): max concurrent open positions, max total
+ * notional, max per-instrument notional, daily realized-loss limit (USDT,
+ * UTC day) and max consecutive losing closes. When any limit trips the
+ * guard halts — the state is persisted, so it survives restarts — and every
+ * execution is refused until an operator calls resume(). Losses realized
+ * before the last resume no longer count against the loss limits.
+ *
+ * Events: 'halted' { reason, haltedAt }, 'resumed' { resumedBy, resumedAt }
+ */
+export class RiskGuard extends EventEmitter {
+    /**
+     * @param {import('../exchange/exchangeAdapter.js').ExchangeAdapter|null} exchange
+     * @param {Map<string, import('../exchange/instruments.js').Instrument>} instruments
+     */
+    constructor(exchange, instruments) {
+        super();
+        this.exchange = exchange;
+        this.instruments = instruments;
+    }
+
+    /** @returns {ReturnType<typeof getRiskState>} */
+    get state() {
+        return getRiskState();
+    }
+
+    isHalted() {
+        return getRiskState().halted;
+    }
+
+    /**
+     * Trip the kill switch. No-op if already halted.
+     * @param {string} reason
+     */
+    halt(reason) {
+        if (this.isHalted()) return;
+        setRiskHalted(reason);
+        const { haltedAt } = getRiskState();
+        logger.warn('RiskGuard', `Trading halted: ${reason}`);
+        logger.audit('RISK_HALT', 'RiskGuard', { reason });
+        this.emit('halted', { reason, haltedAt });
+    }
+
+    /**
+     * Clear the kill switch.
+     * @param {string} [resumedBy='operator']
+     */
+    resume(resumedBy = 'operator') {
+        const previous = getRiskState();
+        clearRiskHalted(resumedBy);
+        const { resumedAt } = getRiskState();
+        logger.info('RiskGuard', `Trading resumed by ${resumedBy}`, { previousReason: previous.haltReason });
+        logger.audit('RISK_RESUME', 'RiskGuard', { resumedBy, previousReason: previous.haltReason });
+        this.emit('resumed', { resumedBy, resumedAt });
+    }
+
+    // ============================================================
+    // Checks
+    // ============================================================
+
+    /**
+     * Check the kill switch, loss limits and open-position count before a trade.
+     * Trips the kill switch if a limit is breached.
+     * @param {object} prefs
+     * @returns {Promise<{ ok: boolean, reason?: string }>}
+     */
+    async checkAccount(prefs) {
+        if (this.isHalted()) return { ok: false, reason: `Risk halted: ${this.state.haltReason}` };
+
+        const reason = this.checkLosses(prefs) || await this._checkOpenPositions(prefs);
+        if (reason) {
+            this.halt(reason);
+            return { ok: false, reason: `Risk halted: ${reason}` };
+        }
+        return { ok: true };
+    }
+
+    /**
+     * Check that adding `notional` on `instId` stays within exposure limits.
+     * Trips the kill switch if it would not.
+     * @param {object} prefs
+     * @param {string} instId
+     * @param {number} notional - USDT notional of the order about to be placed
+     * @returns {Promise<{ ok: boolean, reason?: string }>}
+     */
+    async checkExposure(prefs, instId, notional) {
+        if (!(prefs.riskMaxTotalNotional > 0) && !(prefs.riskMaxInstrumentNotional > 0)) return { ok: true };
+
+        const exposure = await this._exposure();
+        let reason = null;
+        const total = exposure.total + notional;
+        const onInstrument = (exposure.byInstrument.get(instId) || 0) + notional;
+
+        if (prefs.riskMaxTotalNotional > 0 && total > prefs.riskMaxTotalNotional) {
+            reason = `Total notional $${total.toFixed(2)} would exceed limit $${prefs.riskMaxTotalNotional}`;
+        } else if (prefs.riskMaxInstrumentNotional > 0 && onInstrument > prefs.riskMaxInstrumentNotional) {
+            reason = `${instId} notional $${onInstrument.toFixed(2)} would exceed per-instrument limit $${prefs.riskMaxInstrumentNotional}`;
+        }
+
+        if (reason) {
+            this.halt(reason);
+            return { ok: false, reason: `Risk halted: ${reason}` };
+        }
+        return { ok: true };
+    }
+
+    /**
+     * Evaluate the loss limits against realized P&L. Call after a position closes.
+     * @param {object} prefs
+     * @returns {string|null} Breach reason, if any
+     */
+    checkLosses(prefs) {
+        const { dailyPnl, consecutiveLosses } = this._lossStats();
+
+        if (prefs.riskDailyLossLimit > 0 && -dailyPnl >= prefs.riskDailyLossLimit) {
+            return `Daily realized loss $${(-dailyPnl).toFixed(2)} reached limit $${prefs.riskDailyLossLimit}`;
+        }
+        if (prefs.riskMaxConsecutiveLosses > 0 && consecutiveLosses >= prefs.riskMaxConsecutiveLosses) {
+            return `${consecutiveLosses} consecutive losing trades (limit ${prefs.riskMaxConsecutiveLosses})`;
+        }
+        return null;
+    }
+
+    /**
+     * Current state, usage and limits for the dashboard.
+     * @param {object} prefs
+     * @returns {Promise<object>}
+     */
+    async snapshot(prefs) {
+        const { dailyPnl, consecutiveLosses } = this._lossStats();
+        let exposure = null;
+        try {
+            exposure = await this._exposure();
+        } catch (err) {
+            logger.debug('RiskGuard', `Exposure unavailable: ${err.message}`);
+        }
+
+        return {
+            ...this.state,
+            usage: {
+                openPositions: exposure?.count ?? null,
+                totalNotional: exposure?.total ?? null,
+                dailyPnl,
+                consecutiveLosses,
+            },
+            limits: {
+                maxOpenPositions: prefs.riskMaxOpenPositions,
+                maxTotalNotional: prefs.riskMaxTotalNotional,
+                maxInstrumentNotional: prefs.riskMaxInstrumentNotional,
+                dailyLossLimit: prefs.riskDailyLossLimit,
+                maxConsecutiveLosses: prefs.riskMaxConsecutiveLosses,
+            },
+        };
+    }
+
+    // ============================================================
+    // Internals
+    // ============================================================
+
+    async _checkOpenPositions(prefs) {
+        if (!(prefs.riskMaxOpenPositions > 0)) return null;
+        const { count } = await this._exposure();
+        if (count >= prefs.riskMaxOpenPositions) {
+            return `${count} open positions (limit ${prefs.riskMaxOpenPositions})`;
+        }
+        return null;
+    }
+
+    /**
+     * Sum live position notional (contracts × contract value × mark price).
+     * @returns {Promise<{ count: number, total: number, byInstrument: Map<string, number> }>}
+     */
+    async _exposure() {
+        const positions = await this.exchange.getPositions();
+        const byInstrument = new Map();
+        let count = 0;
+        let total = 0;
+
+        for (const pos of positions) {
+            const price = pos.markPrice || pos.averagePrice || 0;
+            const contractValue = this.instruments.get(pos.instId)?.contractValue || 1;
+            const notional = pos.size * contractValue * price;
+
+            count++;
+            total += notional;
+            byInstrument.set(pos.instId, (byInstrument.get(pos.instId) || 0) + notional);
+        }
+
+        return { count, total, byInstrument };
+    }
+
+    /**
+     * Realized P&L today (UTC) and the current losing streak, both counted
+     * from the later of midnight and the last operator resume.
+     */
+    _lossStats() {
+        const midnight = new Date();
+        midnight.setUTCHours(0, 0, 0, 0);
+        const { resumedAt } = getRiskState();
+        const dayStart = resumedAt && resumedAt > midnight.toISOString() ? resumedAt : midnight.toISOString();
+
+        const today = getClosedPnlSince(dayStart);
+        const dailyPnl = today.reduce((sum, row) => sum + row.pnl, 0);
+
+        const sinceResume = resumedAt ? getClosedPnlSince(resumedAt) : getClosedPnlSince('');
+        let consecutiveLosses = 0;
+        for (const row of sinceResume) {
+            if (row.pnl >= 0) break;
+            consecutiveLosses++;
+        }
+
+        return { dailyPnl, consecutiveLosses };
+    }
+}
@@ -0,0 +1,164 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { initDatabase, getDb, recordOrder, updateOrder } from '../config/preferenceManager.js';
+import { RiskGuard } from './riskGuard.js';
+
+// ============================================================
+// Helpers
+// ============================================================
+
+const INSTRUMENTS = new Map([
+    ['BTC-USDT', { instId: 'BTC-USDT', contractValue: 0.001 }],
+    ['SOL-USDT', { instId: 'SOL-USDT', contractValue: 1 }],
+]);
+
+function position(instId, size, markPrice) {
+    return { instId, positionSide: 'long', size, markPrice, averagePrice: markPrice };
+}
+
+/** Exchange stub serving `positions` from getPositions(). */
+function stubExchange(positions = []) {
+    return { positions, async getPositions() { return this.positions; } };
+}
+
+/** Record a closed order with realized P&L. */
+function closeTrade(pnl, closedAt = new Date().toISOString()) {
+    const { lastInsertRowid } = recordOrder({
+        instId: 'SOL-USDT', side: 'buy', positionSide: 'long', orderType: 'market', size: 1, leverage: 5, marginMode: 'cross',
+    });
+    updateOrder(lastInsertRowid, { status: 'closed', pnl, closedAt });
+}
+
+const earlier = (ms = 1000) => new Date(Date.now() - ms).toISOString();
+
+// ============================================================
+// Tests
+// ============================================================
+
+describe('RiskGuard', () => {
+    let exchange;
+    let guard;
+    let halts;
+
+    beforeEach(() => {
+        initDatabase(':memory:');
+        exchange = stubExchange();
+        guard = new RiskGuard(exchange, INSTRUMENTS);
+        halts = [];
+        guard.on('halted', e => halts.push(e.reason));
+    });
+
+    afterEach(() => getDb().close());
+
+    test('passes with every limit disabled', async () => {
+        exchange.positions = [position('BTC-USDT', 100, 65000)];
+        closeTrade(-500);
+        closeTrade(-500);
+
+        assert.deepEqual(await guard.checkAccount({}), { ok: true });
+        assert.deepEqual(await guard.checkExposure({}, 'BTC-USDT', 1e9), { ok: true });
+        assert.equal(guard.isHalted(), false);
+    });
+
+    test('the kill switch refuses everything and persists', async () => {
+        guard.halt('manual stop');
+        guard.halt('second reason');
+
+        assert.deepEqual(halts, ['manual stop']);
+        assert.deepEqual(await guard.checkAccount({}), { ok: false, reason: 'Risk halted: manual stop' });
+        assert.equal(new RiskGuard(exchange, INSTRUMENTS).state.haltReason, 'manual stop');
+        assert.ok(guard.state.haltedAt);
+    });
+
+    test('halts at the open-position limit', async () => {
+        const prefs = { riskMaxOpenPositions: 2 };
+        exchange.positions = [position('BTC-USDT', 1, 65000)];
+        assert.equal((await guard.checkAccount(prefs)).ok, true);
+
+        exchange.positions.push(position('SOL-USDT', 3, 150));
+        assert.deepEqual(await guard.checkAccount(prefs), { ok: false, reason: 'Risk halted: 2 open positions (limit 2)' });
+        assert.equal(guard.isHalted(), true);
+    });
+
+    test('halts when an order would exceed the total notional', async () => {
+        // 10 × 0.001 × 65000 = 650, plus 20 × 150 = 3000
+        exchange.positions = [position('BTC-USDT', 10, 65000), position('SOL-USDT', 20, 150)];
+        const prefs = { riskMaxTotalNotional: 4000 };
+
+        assert.equal((await guard.checkExposure(prefs, 'SOL-USDT', 350)).ok, true);
+        assert.deepEqual(await guard.checkExposure(prefs, 'SOL-USDT', 351), {
+            ok: false, reason: 'Risk halted: Total notional $4001.00 would exceed limit $4000',
+        });
+    });
+
+    test('halts when an order would exceed the per-instrument notional', async () => {
+        exchange.positions = [position('BTC-USDT', 10, 65000), position('SOL-USDT', 20, 150)];
+        const prefs = { riskMaxInstrumentNotional: 1000 };
+
+        // Other instruments don't count
+        assert.equal((await guard.checkExposure(prefs, 'BTC-USDT', 350)).ok, true);
+        assert.deepEqual(await guard.checkExposure(prefs, 'BTC-USDT', 351), {
+            ok: false, reason: 'Risk halted: BTC-USDT notional $1001.00 would exceed per-instrument limit $1000',
+        });
+    });
+
+    test('halts at the daily loss limit', async () => {
+        const prefs = { riskDailyLossLimit: 100 };
+        closeTrade(-150, '2020-01-01T00:00:00.000Z');
+        closeTrade(-60);
+        closeTrade(20);
+        assert.equal(guard.checkLosses(prefs), null);
+
+        closeTrade(-60);
+        assert.equal(guard.checkLosses(prefs), 'Daily realized loss $100.00 reached limit $100');
+        assert.deepEqual(await guard.checkAccount(prefs), { ok: false, reason: 'Risk halted: Daily realized loss $100.00 reached limit $100' });
+        assert.deepEqual(halts, ['Daily realized loss $100.00 reached limit $100']);
+    });
+
+    test('halts on a losing streak, which a win resets', async () => {
+        const prefs = { riskMaxConsecutiveLosses: 3 };
+        closeTrade(-5, earlier(4000));
+        closeTrade(-5, earlier(3000));
+        closeTrade(10, earlier(2000));
+        closeTrade(-5, earlier(1000));
+        closeTrade(-5);
+        assert.equal(guard.checkLosses(prefs), null);
+
+        closeTrade(-5);
+        assert.equal((await guard.checkAccount(prefs)).reason, 'Risk halted: 3 consecutive losing trades (limit 3)');
+    });
+
+    test('resume clears the halt and forgives earlier losses', async () => {
+        const prefs = { riskDailyLossLimit: 100, riskMaxConsecutiveLosses: 2 };
+        const resumes = [];
+        guard.on('resumed', e => resumes.push(e.resumedBy));
+        closeTrade(-80, earlier());
+        closeTrade(-80, earlier());
+        assert.equal((await guard.checkAccount(prefs)).ok, false);
+
+        guard.resume('alice');
+        assert.deepEqual(resumes, ['alice']);
+        assert.equal(guard.state.resumedBy, 'alice');
+        assert.deepEqual(await guard.checkAccount(prefs), { ok: true });
+
+        // Only losses after the resume count again
+        closeTrade(-60);
+        assert.equal(guard.checkLosses(prefs), null);
+        closeTrade(-60);
+        assert.equal(guard.checkLosses(prefs), 'Daily realized loss $120.00 reached limit $100');
+    });
+
+    test('snapshot reports usage against the limits', async () => {
+        exchange.positions = [position('SOL-USDT', 2, 150)];
+        closeTrade(-12.5);
+        const snapshot = await guard.snapshot({ riskMaxOpenPositions: 3, riskDailyLossLimit: 50 });
+
+        assert.equal(snapshot.halted, false);
+        assert.deepEqual(snapshot.usage, { openPositions: 1, totalNotional: 300, dailyPnl: -12.5, consecutiveLosses: 1 });
+        assert.equal(snapshot.limits.maxOpenPositions, 3);
+        assert.equal(snapshot.limits.dailyLossLimit, 50);
+
+        exchange.getPositions = async () => { throw new Error('offline'); };
+        assert.equal((await guard.snapshot({})).usage.openPositions, null);
+    });
+});
@@ -0,0 +1,233 @@
+import { logger } from '../utils/logger.js';
+import { roundPrice, roundSize, contractsForNotional, checkMinSize } from '../exchange/instruments.js';
+
+/**
+ * Pure trade-planning rules shared by the live OrderEngine and the backtester:
+ * leverage, position size, stop price, entry orders and TP split.
+ */
+
+/**
+ * Pick the leverage for a signal per `prefs.leverageSource`, capped at the instrument's max.
+ * @param {object} signal
+ * @param {object} prefs
+ * @param {import('../exchange/instruments.js').Instrument} [instrument]
+ * @returns {number}
+ */
+export function resolveLeverage(signal, prefs, instrument) {
+    let leverage = prefs.leverage;
+    if (prefs.leverageSource === 'signal' && signal.leverage) {
+        leverage = signal.leverage;
+    } else if (prefs.leverageSource === 'max' && signal.leverage) {
+        leverage = Math.max(prefs.leverage, signal.leverage);
+    }
+
+    if (instrument?.maxLeverage && leverage > instrument.maxLeverage) {
+        logger.warn('TradePlan', `Leverage ${leverage}x exceeds ${instrument.instId} max ${instrument.maxLeverage}x — capping`);
+        leverage = instrument.maxLeverage;
+    }
+    return leverage;
+}
+
+/**
+ * Size a position per `prefs.sizingMode`:
+ *   - 'fixed': margin = prefs.orderAmount
+ *   - 'equity_percent': margin = equity × prefs.equityPercent%
+ *   - 'risk': notional chosen so hitting the stop loses equity × prefs.riskPercent%
+ * @param {object} params
+ * @param {object} params.prefs
+ * @param {number} params.equity - Account equity (USDT)
+ * @param {number} params.entryPrice
+ * @param {number} params.stopPrice - Stop the engine will place
+ * @param {number} params.leverage
+ * @returns {{ mode: string, margin: number, notional: number, riskAmount: number, riskPercent: number, stopDistancePercent: number, stopPrice: number }}
+ */
+export function computeSizing({ prefs, equity, entryPrice, stopPrice, leverage }) {
+    const mode = prefs.sizingMode || 'fixed';
+    const stopDistance = Math.abs(entryPrice - stopPrice) / entryPrice;
+
+    let margin;
+    if (mode === 'equity_percent') {
+        margin = equity * prefs.equityPercent / 100;
+    } else if (mode === 'risk') {
+        const riskBudget = equity * prefs.riskPercent / 100;
+        margin = stopDistance > 0 ? riskBudget / stopDistance / leverage : 0;
+    } else {
+        margin = prefs.orderAmount;
+    }
+
+    const notional = margin * leverage;
+    const riskAmount = notional * stopDistance;
+    return {
+        mode,
+        margin,
+        notional,
+        riskAmount,
+        riskPercent: equity > 0 ? riskAmount / equity * 100 : 0,
+        stopDistancePercent: stopDistance * 100,
+        stopPrice,
+    };
+}
+
+/**
+ * Pick the stop-loss trigger price according to `prefs.stopLossSource`:
+ * the caller's SL, the variance-based SL, or whichever is tighter.
+ * A signal SL on the wrong side of entry is ignored.
+ * @param {object} signal
+ * @param {number} entryPrice
+ * @param {'long'|'short'} positionSide
+ * @param {object} prefs
+ * @returns {{ price: number, source: 'signal'|'variance' }}
+ */
+export function resolveStopPrice(signal, entryPrice, positionSide, prefs) {
+    const isLong = positionSide === 'long';
+    const variance = prefs.trailingStopVariance / 100;
+    const varianceStop = isLong
+        ? entryPrice * (1 - variance)
+        : entryPrice * (1 + variance);
+
+    let signalStop = signal.stopLoss || null;
+    if (signalStop && (isLong ? signalStop >= entryPrice : signalStop <= entryPrice)) {
+        logger.warn('TradePlan', `Signal SL ${signalStop} is on the wrong side of entry ${entryPrice} — ignoring`, { instId: signal.instId });
+        signalStop = null;
+    }
+
+    const source = prefs.stopLossSource || 'variance';
+    if (source === 'signal' && signalStop) {
+        return { price: signalStop, source: 'signal' };
+    }
+    if (source === 'tighter' && signalStop) {
+        const signalIsTighter = isLong ? signalStop > varianceStop : signalStop < varianceStop;
+        return signalIsTighter
+            ? { price: signalStop, source: 'signal' }
+            : { price: varianceStop, source: 'variance' };
+    }
+    return { price: varianceStop, source: 'variance' };
+}
+
+/**
+ * Plan a signal's entry orders:
+ *   - Order type: a zone (entryLow–entryHigh with prefs.zoneEntryOrders > 1)
+ *     is always laddered with limits. A limit falls back to market when the
+ *     market has slipped more than prefs.slippagePercent from the entry, or
+ *     from the nearest zone edge for zones.
+ *   - Stop and size: the stop is resolved from the entry, or from the zone's
+ *     far edge for a zone ladder, then the position is sized with computeSizing().
+ *   - Entries: one order per zone price (longs fill top-down, shorts
+ *     bottom-up), or a single order at the tick-rounded limit / market price.
+ *   - Auto DCA: one limit per signal DCA level at the entry's margin.
+ *     Levels below the minimum size carry a `skipped` reason.
+ * @param {object} params
+ * @param {object} params.signal
+ * @param {object} params.prefs
+ * @param {import('../exchange/instruments.js').Instrument} [params.instrument]
+ * @param {number} params.equity - Account equity (USDT)
+ * @param {number|null} params.marketPrice - Current market price (null if unknown)
+ * @param {number} params.leverage - From resolveLeverage()
+ * @returns {{ error?: string, orderType: 'market'|'limit', isZone: boolean, slippagePercent: number|null, marketFallback: boolean,
+ *     entryPrice: number, stopBasisPrice: number, stopPrice: number, stopSource: 'signal'|'variance', sizing: object,
+ *     entries: { label: string, price: number, size: number }[], dcaOrders: { level: number, price: number, size: number, skipped: string|null }[] }}
+ *     `error` alone when no order can be placed
+ */
+export function planEntries({ signal, prefs, instrument, equity, marketPrice, leverage }) {
+    const isLong = signal.side === 'long';
+    let entryPrice = signal.entryPrice || marketPrice;
+    if (!entryPrice || isNaN(entryPrice)) return { error: 'Could not determine entry price' };
+
+    const isZone = Boolean(signal.entryLow && signal.entryHigh && prefs.zoneEntryOrders > 1);
+    let orderType = isZone ? 'limit' : prefs.orderType;
+    let slippagePercent = null;
+    let marketFallback = false;
+    if (orderType === 'limit' && marketPrice) {
+        const reference = isZone
+            ? Math.min(Math.max(marketPrice, signal.entryLow), signal.entryHigh)
+            : entryPrice;
+        slippagePercent = Math.abs(marketPrice - reference) / reference * 100;
+        if (slippagePercent > prefs.slippagePercent) {
+            orderType = 'market';
+            entryPrice = marketPrice;
+            marketFallback = true;
+        }
+    }
+
+    const zoneLadder = isZone && orderType === 'limit';
+    const stopBasisPrice = zoneLadder ? (isLong ? signal.entryLow : signal.entryHigh) : entryPrice;
+    const { price: stopPrice, source: stopSource } = resolveStopPrice(signal, stopBasisPrice, isLong ? 'long' : 'short', prefs);
+    const sizing = computeSizing({ prefs, equity, entryPrice, stopPrice, leverage });
+    if (!(sizing.margin > 0)) return { error: `Could not size position (${sizing.mode}, equity $${equity.toFixed(2)})` };
+
+    let entries;
+    if (zoneLadder) {
+        const count = prefs.zoneEntryOrders;
+        const step = (signal.entryHigh - signal.entryLow) / (count - 1);
+        entries = Array.from({ length: count }, (_, i) => {
+            const price = roundPrice(instrument, isLong ? signal.entryHigh - step * i : signal.entryLow + step * i);
+            return { label: `Zone ${i + 1}/${count}`, price, size: contractsForNotional(instrument, sizing.notional / count, price) };
+        });
+        const undersized = entries.map(e => checkMinSize(instrument, e.size)).find(c => !c.valid);
+        if (undersized) return { error: `Zone entry rejected (${count} orders): ${undersized.reason}` };
+    } else {
+        if (orderType === 'limit') entryPrice = roundPrice(instrument, entryPrice);
+        const size = contractsForNotional(instrument, sizing.notional, entryPrice);
+        const sizeCheck = checkMinSize(instrument, size);
+        if (!sizeCheck.valid) return { error: sizeCheck.reason };
+        entries = [{ label: 'Entry', price: entryPrice, size }];
+    }
+
+    const dcaOrders = [];
+    if (prefs.useDca && prefs.dcaMode === 'auto' && signal.dcaLevels?.length > 0) {
+        for (const dca of signal.dcaLevels) {
+            const price = roundPrice(instrument, dca.price);
+            const size = contractsForNotional(instrument, sizing.margin * leverage, price);
+            const sizeCheck = checkMinSize(instrument, size);
+            dcaOrders.push({ level: dca.level, price, size, skipped: sizeCheck.valid ? null : sizeCheck.reason });
+        }
+    }
+
+    return {
+        orderType, isZone, slippagePercent, marketFallback, entryPrice, stopBasisPrice,
+        stopPrice, stopSource, sizing, entries, dcaOrders,
+    };
+}
+
+/**
+ * Split a position across N take-profit levels.
+ *
+ * Custom percentages are used as given: a split under 100% leaves the rest of
+ * the position open, one over 100% is cut off at 100%. A custom split with no
+ * usable percentage falls back to equal shares.
+ * @param {'equal'|'front'|'custom'} mode - Equal shares, front-loaded (N, N-1, …, 1) or custom percentages
+ * @param {number} count - Number of TP levels
+ * @param {string|null} custom - Comma-separated percentages for 'custom' (e.g. "50,30,20")
+ * @returns {number[]} Fractions of the position, one per level (0 for levels that get nothing)
+ */
+export function computeTpSplit(mode, count, custom) {
+    if (mode === 'custom' && custom) {
+        const pcts = custom.split(',').map(v => parseFloat(v)).slice(0, count);
+        let left = 100;
+        const fractions = Array.from({ length: count }, (_, i) => {
+            const pct = Math.min(pcts[i] > 0 ? pcts[i] : 0, left);
+            left -= pct;
+            return pct / 100;
+        });
+        if (left < 100) return fractions;
+    }
+
+    const weights = mode === 'front'
+        ? Array.from({ length: count }, (_, i) => count - i)
+        : Array(count).fill(1);
+    const total = weights.reduce((a, b) => a + b, 0);
+    return weights.map(w => w / total);
+}
+
+/**
+ * Contracts a TP ladder closes: the whole position when the split sums to
+ * 100%, else its share (rounded down to the lot), leaving the rest open.
+ * @param {import('../exchange/instruments.js').Instrument} [instrument]
+ * @param {number} size - Contracts the ladder is placed for
+ * @param {number[]} split - From computeTpSplit()
+ * @returns {number}
+ */
+export function tpLadderSize(instrument, size, split) {
+    const covered = split.reduce((a, b) => a + b, 0);
+    return covered > 1 - 1e-9 ? size : roundSize(instrument, size * covered);
+}
@@ -0,0 +1,210 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    resolveLeverage, computeSizing, resolveStopPrice, planEntries, computeTpSplit, tpLadderSize,
+} from './tradePlan.js';
+
+const round = (n) => Math.round(n * 1e6) / 1e6;
+
+describe('resolveLeverage', () => {
+    const BTC = { instId: 'BTC-USDT', maxLeverage: 50 };
+
+    test('uses the preference, the signal or the larger of both', () => {
+        const signal = { leverage: 25 };
+        assert.equal(resolveLeverage(signal, { leverage: 10, leverageSource: 'prefs' }, BTC), 10);
+        assert.equal(resolveLeverage(signal, { leverage: 10, leverageSource: 'signal' }, BTC), 25);
+        assert.equal(resolveLeverage(signal, { leverage: 10, leverageSource: 'max' }, BTC), 25);
+        assert.equal(resolveLeverage({ leverage: 5 }, { leverage: 10, leverageSource: 'max' }, BTC), 10);
+    });
+
+    test('falls back to the preference when the signal has none', () => {
+        assert.equal(resolveLeverage({ leverage: null }, { leverage: 10, leverageSource: 'signal' }, BTC), 10);
+    });
+
+    test('clamps to the instrument maximum', () => {
+        assert.equal(resolveLeverage({ leverage: 125 }, { leverage: 10, leverageSource: 'signal' }, BTC), 50);
+        assert.equal(resolveLeverage({}, { leverage: 75, leverageSource: 'prefs' }, BTC), 50);
+        assert.equal(resolveLeverage({ leverage: 125 }, { leverage: 10, leverageSource: 'signal' }, undefined), 125);
+    });
+});
+
+describe('computeSizing', () => {
+    const params = { equity: 2000, entryPrice: 100, stopPrice: 95, leverage: 10 };
+
+    test('fixed: margin is the order amount', () => {
+        const sizing = computeSizing({ ...params, prefs: { sizingMode: 'fixed', orderAmount: 50 } });
+        assert.deepEqual(sizing, {
+            mode: 'fixed', margin: 50, notional: 500, riskAmount: 25, riskPercent: 1.25, stopDistancePercent: 5, stopPrice: 95,
+        });
+    });
+
+    test('defaults to fixed', () => {
+        assert.equal(computeSizing({ ...params, prefs: { orderAmount: 50 } }).mode, 'fixed');
+    });
+
+    test('equity_percent: margin is a share of equity', () => {
+        const sizing = computeSizing({ ...params, prefs: { sizingMode: 'equity_percent', equityPercent: 5 } });
+        assert.equal(sizing.margin, 100);
+        assert.equal(sizing.notional, 1000);
+        assert.equal(round(sizing.riskPercent), 2.5);
+    });
+
+    test('risk: hitting the stop loses the risk budget', () => {
+        const sizing = computeSizing({ ...params, prefs: { sizingMode: 'risk', riskPercent: 1 } });
+        // $20 at risk over a 5% stop = $400 notional = $40 margin at 10x
+        assert.equal(round(sizing.notional), 400);
+        assert.equal(round(sizing.margin), 40);
+        assert.equal(round(sizing.riskAmount), 20);
+        assert.equal(round(sizing.riskPercent), 1);
+    });
+
+    test('risk: a stop at entry cannot be sized', () => {
+        const sizing = computeSizing({ ...params, stopPrice: 100, prefs: { sizingMode: 'risk', riskPercent: 1 } });
+        assert.equal(sizing.margin, 0);
+        assert.equal(sizing.notional, 0);
+    });
+
+    test('reports no risk share without equity', () => {
+        assert.equal(computeSizing({ ...params, equity: 0, prefs: { orderAmount: 50 } }).riskPercent, 0);
+    });
+});
+
+describe('resolveStopPrice', () => {
+    const prefs = (stopLossSource) => ({ stopLossSource, trailingStopVariance: 5 });
+
+    test('variance: a fixed distance from entry on either side', () => {
+        assert.deepEqual(resolveStopPrice({ stopLoss: 97 }, 100, 'long', prefs('variance')), { price: 95, source: 'variance' });
+        assert.deepEqual(resolveStopPrice({ stopLoss: 103 }, 100, 'short', prefs('variance')), { price: 105, source: 'variance' });
+    });
+
+    test('signal: the caller SL, or variance without one', () => {
+        assert.deepEqual(resolveStopPrice({ stopLoss: 90 }, 100, 'long', prefs('signal')), { price: 90, source: 'signal' });
+        assert.deepEqual(resolveStopPrice({ stopLoss: null }, 100, 'long', prefs('signal')), { price: 95, source: 'variance' });
+    });
+
+    test('tighter: whichever stop is closer to entry', () => {
+        assert.deepEqual(resolveStopPrice({ stopLoss: 97 }, 100, 'long', prefs('tighter')), { price: 97, source: 'signal' });
+        assert.deepEqual(resolveStopPrice({ stopLoss: 90 }, 100, 'long', prefs('tighter')), { price: 95, source: 'variance' });
+        assert.deepEqual(resolveStopPrice({ stopLoss: 103 }, 100, 'short', prefs('tighter')), { price: 103, source: 'signal' });
+        assert.deepEqual(resolveStopPrice({ stopLoss: 110 }, 100, 'short', prefs('tighter')), { price: 105, source: 'variance' });
+    });
+
+    test('ignores a signal SL on the wrong side of entry', () => {
+        assert.deepEqual(resolveStopPrice({ stopLoss: 101 }, 100, 'long', prefs('signal')), { price: 95, source: 'variance' });
+        assert.deepEqual(resolveStopPrice({ stopLoss: 100 }, 100, 'short', prefs('signal')), { price: 105, source: 'variance' });
+    });
+
+    test('defaults to variance', () => {
+        assert.equal(resolveStopPrice({ stopLoss: 90 }, 100, 'long', { trailingStopVariance: 5 }).source, 'variance');
+    });
+});
+
+describe('planEntries', () => {
+    const SOL = { instId: 'SOL-USDT', contractValue: 1, lotSize: 1, minSize: 1, tickSize: 0.01 };
+    const PREFS = {
+        orderType: 'limit', slippagePercent: 1, zoneEntryOrders: 1, sizingMode: 'fixed', orderAmount: 100,
+        stopLossSource: 'signal', trailingStopVariance: 5, useDca: false, dcaMode: 'auto',
+    };
+    const plan = ({ prefs, ...signal } = {}, marketPrice = 100.5) => planEntries({
+        signal: { instId: 'SOL-USDT', side: 'long', entryPrice: 100, stopLoss: 95, dcaLevels: [], ...signal },
+        prefs: { ...PREFS, ...prefs }, instrument: SOL, equity: 1000, marketPrice, leverage: 10,
+    });
+
+    test('rests a single limit at the entry within the slippage threshold', () => {
+        const p = plan();
+        assert.equal(p.orderType, 'limit');
+        assert.equal(p.marketFallback, false);
+        assert.equal(round(p.slippagePercent), 0.5);
+        assert.deepEqual(p.entries, [{ label: 'Entry', price: 100, size: 10 }]);
+        assert.equal(p.stopPrice, 95);
+        assert.equal(p.stopSource, 'signal');
+    });
+
+    test('falls back to market once the price has slipped too far', () => {
+        const p = plan({}, 103);
+        assert.equal(p.orderType, 'market');
+        assert.equal(p.marketFallback, true);
+        assert.equal(p.entryPrice, 103);
+        assert.equal(p.stopBasisPrice, 103);
+        assert.deepEqual(p.entries, [{ label: 'Entry', price: 103, size: 9 }]);
+    });
+
+    test('ladders a zone from the near edge and stops from the far edge', () => {
+        const zone = { entryPrice: 99, entryLow: 98, entryHigh: 100, stopLoss: null, prefs: { zoneEntryOrders: 3, stopLossSource: 'variance' } };
+        const long = plan(zone, 101);
+        assert.equal(long.orderType, 'limit');
+        assert.equal(long.slippagePercent, 1);
+        assert.equal(long.stopBasisPrice, 98);
+        assert.equal(round(long.stopPrice), 93.1);
+        assert.deepEqual(long.entries.map(e => [e.label, e.price, e.size]), [['Zone 1/3', 100, 3], ['Zone 2/3', 99, 3], ['Zone 3/3', 98, 3]]);
+
+        const short = plan({ ...zone, side: 'short' }, 99);
+        assert.equal(short.stopBasisPrice, 100);
+        assert.deepEqual(short.entries.map(e => e.price), [98, 99, 100]);
+    });
+
+    test('rejects a zone whose legs round below the minimum size', () => {
+        const p = plan({ entryLow: 98, entryHigh: 100, prefs: { zoneEntryOrders: 3, orderAmount: 1 } });
+        assert.deepEqual(p, { error: 'Zone entry rejected (3 orders): Order size rounds to 0 contracts (lot size 1)' });
+    });
+
+    test('fails without an entry or market price', () => {
+        assert.deepEqual(plan({ entryPrice: null }, null), { error: 'Could not determine entry price' });
+    });
+
+    test('sizes auto DCA levels at the entry margin and flags undersized ones', () => {
+        const dcaLevels = [{ level: 1, price: 95.004 }, { level: 2, price: 2000 }];
+        assert.deepEqual(plan({ dcaLevels, prefs: { useDca: true } }).dcaOrders, [
+            { level: 1, price: 95, size: 10, skipped: null },
+            { level: 2, price: 2000, size: 0, skipped: 'Order size rounds to 0 contracts (lot size 1)' },
+        ]);
+        assert.deepEqual(plan({ dcaLevels, prefs: { useDca: true, dcaMode: 'display' } }).dcaOrders, []);
+    });
+});
+
+describe('computeTpSplit', () => {
+    const sum = (fractions) => round(fractions.reduce((a, b) => a + b, 0));
+
+    test('equal shares sum to the whole position', () => {
+        const split = computeTpSplit('equal', 3);
+        assert.deepEqual(split.map(round), [0.333333, 0.333333, 0.333333]);
+        assert.equal(sum(split), 1);
+    });
+
+    test('front-loads N, N-1, …, 1', () => {
+        assert.deepEqual(computeTpSplit('front', 4), [0.4, 0.3, 0.2, 0.1]);
+    });
+
+    test('uses custom percentages as given', () => {
+        assert.deepEqual(computeTpSplit('custom', 3, '50,30,20'), [0.5, 0.3, 0.2]);
+        assert.deepEqual(computeTpSplit('custom', 2, '60, 20'), [0.6, 0.2]);
+    });
+
+    test('gives nothing to custom levels without a percentage', () => {
+        assert.deepEqual(computeTpSplit('custom', 3, '50,30'), [0.5, 0.3, 0]);
+        assert.deepEqual(computeTpSplit('custom', 2, 'x,100'), [0, 1]);
+    });
+
+    test('drops custom percentages beyond the level count or past 100%', () => {
+        assert.deepEqual(computeTpSplit('custom', 2, '25,25,50'), [0.25, 0.25]);
+        assert.deepEqual(computeTpSplit('custom', 3, '70,50,10'), [0.7, 0.3, 0]);
+    });
+
+    test('falls back to equal shares for an empty custom split', () => {
+        assert.deepEqual(computeTpSplit('custom', 2, ''), [0.5, 0.5]);
+        assert.deepEqual(computeTpSplit('custom', 2, '0,0'), [0.5, 0.5]);
+    });
+});
+
+describe('tpLadderSize', () => {
+    const lot = { lotSize: 1, minSize: 1 };
+
+    test('covers the whole position when the split sums to 100%', () => {
+        assert.equal(tpLadderSize(lot, 9, computeTpSplit('equal', 3)), 9);
+        assert.equal(tpLadderSize(lot, 9, computeTpSplit('custom', 3, '33.3,33.3,33.4')), 9);
+    });
+
+    test('leaves the rest of a partial split open, rounded down to the lot', () => {
+        assert.equal(tpLadderSize(lot, 9, computeTpSplit('custom', 3, '50,30')), 7);
+    });
+});
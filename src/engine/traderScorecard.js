@@ -0,0 +1,190 @@
+import { logger } from '../utils/logger.js';
+import {
+    getTraderSignalOutcomes, getTraderDemotions, recordTraderDemotion,
+    getTraderPreferences, getTraderProfile, setTraderProfile, isTraderWhitelisted,
+} from '../config/preferenceManager.js';
+
+/**
+ * Per-trader performance scorecards and the auto-demotion rules evaluated on them.
+ *
+ * A signal counts as decided once the caller closes it or reports a final P&L:
+ * a positive reported P&L is a win, zero/negative a loss; without a reported
+ * P&L a closed signal is a win if at least TP1 was hit. Our realized P&L comes
+ * from order_history and is reported alongside, not mixed into the win rate.
+ */
+
+/** 'YYYY-MM-DD HH:MM:SS' (UTC, as SQLite's datetime('now')) → epoch ms */
+function sqlTime(value) {
+    return value ? Date.parse(`${value.replace(' ', 'T')}Z`) : null;
+}
+
+/**
+ * Reduce a getTraderSignalOutcomes() row to the facts the scorecard uses.
+ * @param {object} row
+ * @returns {object}
+ */
+export function signalOutcome(row) {
+    const hits = (row.tp_hits || '').split('|').filter(Boolean).flatMap(json => JSON.parse(json));
+    const maxTp = hits.length > 0 ? Math.max(...hits) : 0;
+    const callerPnlPercent = row.caller_pnl ? parseFloat(row.caller_pnl) : null;
+    const closed = Boolean(row.closed_at) || callerPnlPercent !== null;
+
+    let result = null;
+    if (callerPnlPercent !== null && !isNaN(callerPnlPercent)) result = callerPnlPercent > 0 ? 'win' : 'loss';
+    else if (closed) result = maxTp >= 1 ? 'win' : 'loss';
+
+    const createdAt = sqlTime(row.created_at);
+    const closedAt = sqlTime(row.closed_at);
+    return {
+        signalId: row.signal_id,
+        messageId: row.message_id,
+        traderName: row.trader_name,
+        instId: row.ticker ? `${row.ticker}-USDT` : null,
+        side: row.side,
+        createdAt: row.created_at,
+        closedAt: row.closed_at,
+        maxTp,
+        callerPnlPercent: isNaN(callerPnlPercent) ? null : callerPnlPercent,
+        executed: row.order_count > 0,
+        realizedPnl: row.realized_pnl,
+        realizedPnlPercent: row.realized_pnl_percent,
+        result,
+        hoursToClose: createdAt && closedAt ? (closedAt - createdAt) / 3_600_000 : null,
+    };
+}
+
+/**
+ * Aggregate signal outcomes into a scorecard.
+ * @param {object[]} outcomes - signalOutcome() results
+ * @returns {object}
+ */
+export function summarizeOutcomes(outcomes) {
+    const decided = outcomes.filter(o => o.result);
+    const wins = decided.filter(o => o.result === 'win').length;
+    const reported = outcomes.filter(o => o.callerPnlPercent !== null);
+    const realized = outcomes.filter(o => o.realizedPnl !== null && o.realizedPnl !== undefined);
+    const realizedPct = outcomes.filter(o => o.realizedPnlPercent !== null && o.realizedPnlPercent !== undefined);
+    const timed = outcomes.filter(o => o.hoursToClose !== null);
+    const avg = (list, key) => (list.length ? list.reduce((s, o) => s + o[key], 0) / list.length : null);
+
+    return {
+        signals: outcomes.length,
+        open: outcomes.length - decided.length,
+        decided: decided.length,
+        wins,
+        losses: decided.length - wins,
+        winRate: decided.length ? wins / decided.length * 100 : null,
+        avgTpReached: avg(decided, 'maxTp'),
+        callerPnl: {
+            reported: reported.length,
+            totalPercent: reported.reduce((s, o) => s + o.callerPnlPercent, 0),
+            avgPercent: avg(reported, 'callerPnlPercent'),
+        },
+        realizedPnl: {
+            executed: outcomes.filter(o => o.executed).length,
+            trades: realized.length,
+            total: realized.reduce((s, o) => s + o.realizedPnl, 0),
+            avgPercent: avg(realizedPct, 'realizedPnlPercent'),
+        },
+        avgHoursToClose: avg(timed, 'hoursToClose'),
+        lastSignalAt: outcomes.length ? outcomes[outcomes.length - 1].createdAt : null,
+    };
+}
+
+/**
+ * Rolling stats the demotion rules look at: the trader's last `window`
+ * finished signals (decided by the caller or realized by us), counting only
+ * signals since their last demotion so a re-promoted trader starts with a
+ * clean sheet.
+ * @param {string} traderName
+ * @param {number} window
+ * @returns {object}
+ */
+export function rollingStats(traderName, window) {
+    const [lastDemotion] = getTraderDemotions(traderName, 1);
+    const outcomes = getTraderSignalOutcomes({ traderName, since: lastDemotion?.created_at })
+        .map(signalOutcome)
+        .filter(o => o.result || o.realizedPnl !== null);
+    return { ...summarizeOutcomes(outcomes.slice(-window)), window, since: lastDemotion?.created_at || null };
+}
+
+/**
+ * Scorecards for every trader that has signals (or just one).
+ * @param {object} [options]
+ * @param {string} [options.traderName]
+ * @param {boolean} [options.includeSignals=false] - Attach the per-signal outcomes
+ * @returns {object[]} Sorted by signal count, descending
+ */
+export function getScorecards({ traderName, includeSignals = false } = {}) {
+    const byTrader = new Map();
+    for (const outcome of getTraderSignalOutcomes({ traderName }).map(signalOutcome)) {
+        const key = outcome.traderName.toLowerCase();
+        if (!byTrader.has(key)) byTrader.set(key, { traderName: outcome.traderName, outcomes: [] });
+        byTrader.get(key).outcomes.push(outcome);
+    }
+
+    return [...byTrader.values()].map(({ traderName: name, outcomes }) => {
+        const prefs = getTraderPreferences(name);
+        const [lastDemotion] = getTraderDemotions(name, 1);
+        return {
+            traderName: name,
+            whitelisted: isTraderWhitelisted(name),
+            mode: !prefs.autoExecute ? 'log' : prefs.confirmBeforeOrder ? 'confirm' : 'auto',
+            ...summarizeOutcomes(outcomes),
+            rolling: rollingStats(name, prefs.demotionWindow),
+            lastDemotion: lastDemotion || null,
+            ...(includeSignals ? { signalOutcomes: outcomes.slice().reverse() } : {}),
+        };
+    }).sort((a, b) => b.signals - a.signals);
+}
+
+// ============================================================
+// Demotion Rules
+// ============================================================
+
+/**
+ * Check rolling stats against the demotion thresholds (0 disables a rule).
+ * Needs at least `prefs.demotionMinSignals` finished signals.
+ * @param {object} stats - rollingStats() result
+ * @param {object} prefs
+ * @returns {{ rule: string, detail: string }|null} The first rule that fired
+ */
+export function checkDemotionRules(stats, prefs) {
+    if (stats.signals < Math.max(prefs.demotionMinSignals, 1)) return null;
+    const scope = `last ${stats.signals} finished signals`;
+
+    if (prefs.demotionMinWinRate > 0 && stats.winRate !== null && stats.winRate < prefs.demotionMinWinRate) {
+        return { rule: 'min_win_rate', detail: `Win rate ${stats.winRate.toFixed(1)}% < ${prefs.demotionMinWinRate}% (${scope})` };
+    }
+    if (prefs.demotionMinAvgTp > 0 && stats.avgTpReached !== null && stats.avgTpReached < prefs.demotionMinAvgTp) {
+        return { rule: 'min_avg_tp', detail: `Average TP reached ${stats.avgTpReached.toFixed(2)} < ${prefs.demotionMinAvgTp} (${scope})` };
+    }
+    if (prefs.demotionMaxRealizedLoss > 0 && -stats.realizedPnl.total >= prefs.demotionMaxRealizedLoss) {
+        return { rule: 'max_realized_loss', detail: `Realized P&L $${stats.realizedPnl.total.toFixed(2)} reached loss limit $${prefs.demotionMaxRealizedLoss} (${scope})` };
+    }
+    return null;
+}
+
+/**
+ * Evaluate the demotion rules for a trader and, if one fires, switch the
+ * trader's profile from auto-execute to confirm-only and record the rule.
+ * Only whitelisted traders currently on auto are considered.
+ * @param {string} traderName
+ * @returns {{ traderName: string, rule: string, detail: string, stats: object }|null} The demotion, if any
+ */
+export function evaluateDemotion(traderName) {
+    if (!traderName) return null;
+    const prefs = getTraderPreferences(traderName);
+    if (!prefs.demotionEnabled || !prefs.autoExecute || prefs.confirmBeforeOrder) return null;
+    if (!isTraderWhitelisted(traderName)) return null; // profiles live on the whitelist
+
+    const stats = rollingStats(traderName, prefs.demotionWindow);
+    const fired = checkDemotionRules(stats, prefs);
+    if (!fired) return null;
+
+    setTraderProfile(traderName, { ...getTraderProfile(traderName), mode: 'confirm' });
+    recordTraderDemotion(traderName, { ...fired, stats });
+    logger.warn('Scorecard', `Trader "${traderName}" demoted to confirm-only: ${fired.detail}`);
+    logger.audit('TRADER_DEMOTED', 'Scorecard', { traderName, ...fired });
+    return { traderName, ...fired, stats };
+}
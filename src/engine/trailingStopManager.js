@@ -0,0 +1,295 @@
+import { logger } from '../utils/logger.js';
+import { updateOrder } from '../config/preferenceManager.js';
+import { roundPrice } from '../exchange/instruments.js';
+import { EventEmitter } from 'events';
+
+/**
+ * Owns the protective stop of every filled entry.
+ *
+ * Each tracked entry remembers its live stop (TPSL or algo). When trailing is
+ * enabled for it, the manager follows the exchange's ticker stream, keeps the
+ * best price seen since fill and — once price has moved `activationPercent`
+ * in our favour — moves the stop to `distancePercent` behind that best price
+ * whenever it improves by at least `stepPercent`.
+ *
+ * Events:
+ *   'stopMoved' { key, instId, positionSide, oldStop, newStop, bestPrice, reason }
+ *   'stopMoveFailed' { key, instId, positionSide, stopPrice, targetPrice, reason, error }
+ */
+export class TrailingStopManager extends EventEmitter {
+    /**
+     * @param {import('../exchange/exchangeAdapter.js').ExchangeAdapter|null} exchange
+     * @param {Map<string, import('../exchange/instruments.js').Instrument>} [instruments] - Metadata used to tick-round stop prices
+     */
+    constructor(exchange, instruments = new Map()) {
+        super();
+        this.exchange = exchange;
+        this.instruments = instruments;
+
+        /** @type {Map<string, object>} Tracked stops: entry orderId → stop state */
+        this.stops = new Map();
+
+        /** @type {Map<string, number>} Ticker subscription ref-counts by instId */
+        this._tickerRefs = new Map();
+
+        this.exchange?.on('ticker', (ticker) => this._onTicker(ticker));
+    }
+
+    // ============================================================
+    // Stop Orders
+    // ============================================================
+
+    /**
+     * Place a reduce-only stop for a position. The trigger is rounded to the instrument's tick size.
+     * @param {object} params
+     * @param {'tpsl'|'algo'} params.type
+     * @returns {Promise<string|undefined>} Stop ID (tpslId or algoId on Blofin)
+     */
+    async placeStop({ instId, marginMode, positionSide, size, triggerPrice, type }) {
+        return this.exchange.placeStop({
+            instId,
+            marginMode,
+            positionSide,
+            size,
+            triggerPrice: roundPrice(this.instruments.get(instId), triggerPrice),
+            type,
+        });
+    }
+
+    /**
+     * Cancel a stop placed by placeStop().
+     * @param {{ instId: string, stopId: string, type: 'tpsl'|'algo' }} stop
+     */
+    async cancelStop({ instId, stopId, type }) {
+        if (!stopId) return;
+        await this.exchange.cancelStop({ instId, stopId, type });
+    }
+
+    // ============================================================
+    // Tracking
+    // ============================================================
+
+    /**
+     * Start managing the stop of a filled entry.
+     * @param {string} key - Entry orderId
+     * @param {object} entry
+     * @param {string} entry.instId
+     * @param {string} entry.marginMode
+     * @param {'long'|'short'} entry.positionSide
+     * @param {number} entry.size
+     * @param {number} entry.entryPrice
+     * @param {number} entry.stopPrice - Current stop trigger price
+     * @param {string} entry.stopId - Current tpslId / algoId
+     * @param {'tpsl'|'algo'} entry.stopType
+     * @param {number} [entry.dbOrderId] - order_history row to keep in sync
+     * @param {object} [entry.trailing] - { enabled, activationPercent, stepPercent, distancePercent }
+     */
+    track(key, entry) {
+        const stop = {
+            ...entry,
+            bestPrice: entry.entryPrice,
+            activated: false,
+            busy: false,
+            /** Replaced stops whose cancel failed — retried on the next move and on untrack */
+            staleStops: [],
+        };
+        this.stops.set(key, stop);
+
+        if (stop.trailing?.enabled) {
+            this._retainTicker(stop.instId);
+            logger.info('TrailingStop', `Trailing ${stop.instId} ${stop.positionSide} from ${stop.entryPrice} (stop ${stop.stopPrice}, activation ${stop.trailing.activationPercent}%, step ${stop.trailing.stepPercent}%)`);
+        }
+    }
+
+    /**
+     * Stop managing an entry's stop (the stop order itself is left in place,
+     * replaced stops that failed to cancel are cancelled).
+     * @param {string} key
+     */
+    untrack(key) {
+        const stop = this.stops.get(key);
+        if (!stop) return;
+        this.stops.delete(key);
+        if (stop.trailing?.enabled) this._releaseTicker(stop.instId);
+        if (stop.staleStops.length > 0) this._cancelStaleStops(stop);
+    }
+
+    /**
+     * Stop managing every entry on an instrument side (e.g. when the position closes).
+     * @param {string} instId
+     * @param {'long'|'short'} [positionSide]
+     */
+    untrackPosition(instId, positionSide) {
+        for (const [key, stop] of this.stops) {
+            if (stop.instId === instId && (!positionSide || stop.positionSide === positionSide)) {
+                this.untrack(key);
+                logger.info('TrailingStop', `Position closed — no longer managing stop for ${instId} (${key})`);
+            }
+        }
+    }
+
+    /**
+     * Move a stop to a new trigger price. The new stop is placed before the
+     * old one is cancelled, so the position is never left unprotected: if the
+     * placement fails or returns no stop ID the old stop simply stays, and if
+     * the cancel fails the old stop is kept for another attempt (both are
+     * reduce-only).
+     * @param {string} key - Entry orderId
+     * @param {number} newPrice
+     * @param {string} reason - e.g. 'ratchet', 'breakeven'
+     * @returns {Promise<boolean>} True if the stop moved
+     */
+    async moveStop(key, newPrice, reason) {
+        const stop = this.stops.get(key);
+        if (!stop || stop.busy) return false;
+
+        newPrice = roundPrice(this.instruments.get(stop.instId), newPrice);
+        if (newPrice === stop.stopPrice) return false;
+        stop.busy = true;
+        let settle;
+        stop.settled = new Promise(resolve => { settle = resolve; });
+
+        const oldStop = stop.stopPrice;
+        const previous = { instId: stop.instId, stopId: stop.stopId, type: stop.stopType };
+
+        try {
+            await this._cancelStaleStops(stop);
+
+            let stopId;
+            try {
+                stopId = await this.placeStop({
+                    instId: stop.instId,
+                    marginMode: stop.marginMode,
+                    positionSide: stop.positionSide,
+                    size: stop.size,
+                    triggerPrice: newPrice,
+                    type: stop.stopType,
+                });
+                if (!stopId) throw new Error('Stop placement returned no id');
+            } catch (err) {
+                logger.error('TrailingStop', `Failed to move stop for ${stop.instId}: ${err.message} — stop stays at ${oldStop}`, { key, reason });
+                logger.audit('STOP_MOVE_FAILED', 'TrailingStop', { key, reason, instId: stop.instId, oldStop, newStop: newPrice, error: err.message });
+                this.emit('stopMoveFailed', {
+                    key, instId: stop.instId, positionSide: stop.positionSide,
+                    stopPrice: oldStop, targetPrice: newPrice, reason, error: err.message,
+                });
+                return false;
+            }
+
+            stop.stopId = stopId;
+            stop.stopPrice = newPrice;
+
+            if (stop.dbOrderId) {
+                updateOrder(stop.dbOrderId, {
+                    [stop.stopType === 'tpsl' ? 'tpslId' : 'algoId']: stopId,
+                    stopPrice: newPrice,
+                });
+            }
+
+            stop.staleStops.push(previous);
+            await this._cancelStaleStops(stop);
+
+            logger.info('TrailingStop', `Stop ${reason}: ${stop.instId} ${stop.positionSide} ${oldStop} → ${newPrice}`, { key, bestPrice: stop.bestPrice });
+            logger.audit('STOP_MOVED', 'TrailingStop', {
+                key, reason, instId: stop.instId, positionSide: stop.positionSide,
+                oldStop, newStop: newPrice, bestPrice: stop.bestPrice, stopId,
+            });
+            this.emit('stopMoved', {
+                key, instId: stop.instId, positionSide: stop.positionSide,
+                oldStop, newStop: newPrice, bestPrice: stop.bestPrice, reason,
+            });
+            return true;
+        } finally {
+            stop.busy = false;
+            settle();
+        }
+    }
+
+    /**
+     * Resolve once no move is in flight for an entry's stop (e.g. a ratchet
+     * that a breakeven move has to wait for).
+     * @param {string} key - Entry orderId
+     * @returns {Promise<void>}
+     */
+    async whenIdle(key) {
+        while (this.stops.get(key)?.busy) await this.stops.get(key).settled;
+    }
+
+    /**
+     * Cancel stops a move replaced. Failures stay queued on the entry.
+     * @param {object} stop - Tracked stop state
+     */
+    async _cancelStaleStops(stop) {
+        const remaining = [];
+        for (const stale of stop.staleStops) {
+            try {
+                await this.cancelStop(stale);
+            } catch (err) {
+                logger.warn('TrailingStop', `Could not cancel replaced stop ${stale.stopId} on ${stale.instId}: ${err.message} — will retry`);
+                remaining.push(stale);
+            }
+        }
+        stop.staleStops = remaining;
+    }
+
+    // ============================================================
+    // Price Handling
+    // ============================================================
+
+    _onTicker(ticker) {
+        const last = ticker?.last;
+        if (!ticker?.instId || !(last > 0)) return;
+
+        for (const [key, stop] of this.stops) {
+            if (stop.instId !== ticker.instId || !stop.trailing?.enabled || stop.busy) continue;
+            this._evaluate(key, stop, last);
+        }
+    }
+
+    _evaluate(key, stop, last) {
+        const isLong = stop.positionSide === 'long';
+        const { activationPercent, stepPercent, distancePercent } = stop.trailing;
+
+        stop.bestPrice = isLong ? Math.max(stop.bestPrice, last) : Math.min(stop.bestPrice, last);
+
+        if (!stop.activated) {
+            const activationPrice = isLong
+                ? stop.entryPrice * (1 + activationPercent / 100)
+                : stop.entryPrice * (1 - activationPercent / 100);
+            if (isLong ? stop.bestPrice < activationPrice : stop.bestPrice > activationPrice) return;
+
+            stop.activated = true;
+            logger.info('TrailingStop', `Trailing activated for ${stop.instId} at ${stop.bestPrice}`, { key });
+            logger.audit('TRAIL_ACTIVATED', 'TrailingStop', { key, instId: stop.instId, bestPrice: stop.bestPrice, entryPrice: stop.entryPrice });
+        }
+
+        const candidate = isLong
+            ? stop.bestPrice * (1 - distancePercent / 100)
+            : stop.bestPrice * (1 + distancePercent / 100);
+        const threshold = isLong
+            ? stop.stopPrice * (1 + stepPercent / 100)
+            : stop.stopPrice * (1 - stepPercent / 100);
+
+        if (isLong ? candidate >= threshold : candidate <= threshold) {
+            this.moveStop(key, candidate, 'ratchet').catch(err => {
+                logger.error('TrailingStop', `Ratchet failed for ${stop.instId}: ${err.message}`, { key });
+            });
+        }
+    }
+
+    _retainTicker(instId) {
+        const refs = this._tickerRefs.get(instId) || 0;
+        if (refs === 0) this.exchange.subscribeTicker(instId);
+        this._tickerRefs.set(instId, refs + 1);
+    }
+
+    _releaseTicker(instId) {
+        const refs = (this._tickerRefs.get(instId) || 1) - 1;
+        if (refs <= 0) {
+            this._tickerRefs.delete(instId);
+            this.exchange.unsubscribeTicker(instId);
+        } else {
+            this._tickerRefs.set(instId, refs);
+        }
+    }
+}
@@ -0,0 +1,208 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { TrailingStopManager } from './trailingStopManager.js';
+
+// ============================================================
+// Stub adapter
+// ============================================================
+
+/** Records stop calls in order; `failPlace` / `failCancel` make the next call throw. */
+class StubExchange extends EventEmitter {
+    constructor() {
+        super();
+        this.calls = [];
+        this.nextId = 1;
+        this.placeResult = undefined;
+        this.failPlace = null;
+        this.failCancel = null;
+        this.tickers = new Set();
+    }
+
+    async placeStop(params) {
+        this.calls.push(['place', params.triggerPrice, params.size]);
+        if (this.failPlace) throw this.failPlace;
+        return this.placeResult === undefined ? `stop-${++this.nextId}` : this.placeResult;
+    }
+
+    async cancelStop({ stopId }) {
+        this.calls.push(['cancel', stopId]);
+        if (this.failCancel) {
+            const err = this.failCancel;
+            this.failCancel = null;
+            throw err;
+        }
+    }
+
+    subscribeTicker(instId) { this.tickers.add(instId); }
+    unsubscribeTicker(instId) { this.tickers.delete(instId); }
+
+    tick(instId, last) { this.emit('ticker', { instId, last }); }
+}
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+function entry(overrides = {}) {
+    return {
+        instId: 'BTC-USDT',
+        marginMode: 'cross',
+        positionSide: 'long',
+        size: 2,
+        entryPrice: 100,
+        stopPrice: 95,
+        stopId: 'stop-1',
+        stopType: 'tpsl',
+        trailing: { enabled: true, activationPercent: 2, stepPercent: 1, distancePercent: 3 },
+        ...overrides,
+    };
+}
+
+// ============================================================
+// Tests
+// ============================================================
+
+describe('TrailingStopManager', () => {
+    let exchange;
+    let manager;
+    let moves;
+
+    beforeEach(() => {
+        exchange = new StubExchange();
+        manager = new TrailingStopManager(exchange);
+        moves = [];
+        manager.on('stopMoved', e => moves.push([e.oldStop, e.newStop, e.reason]));
+    });
+
+    test('does not trail before the activation threshold', async () => {
+        manager.track('e1', entry());
+        exchange.tick('BTC-USDT', 101.9);
+        await settle();
+
+        assert.equal(manager.stops.get('e1').activated, false);
+        assert.equal(manager.stops.get('e1').bestPrice, 101.9);
+        assert.deepEqual(exchange.calls, []);
+    });
+
+    test('moves the stop behind the best price once activated', async () => {
+        manager.track('e1', entry());
+        exchange.tick('BTC-USDT', 102);
+        await settle();
+
+        assert.equal(manager.stops.get('e1').activated, true);
+        assert.deepEqual(moves, [[95, 98.94, 'ratchet']]);
+        assert.equal(manager.stops.get('e1').stopPrice, 98.94);
+    });
+
+    test('only ratchets when the candidate clears the step', async () => {
+        manager.track('e1', entry());
+        exchange.tick('BTC-USDT', 102);
+        await settle();
+        // 102.5 * 0.97 = 99.425 is under 98.94 * 1.01 = 99.93
+        exchange.tick('BTC-USDT', 102.5);
+        await settle();
+        assert.equal(moves.length, 1);
+
+        exchange.tick('BTC-USDT', 103.1);
+        await settle();
+        assert.deepEqual(moves[1], [98.94, 100.007, 'ratchet']);
+    });
+
+    test('keeps the best price through pullbacks', async () => {
+        manager.track('e1', entry());
+        exchange.tick('BTC-USDT', 104);
+        await settle();
+        exchange.tick('BTC-USDT', 101);
+        await settle();
+
+        assert.equal(manager.stops.get('e1').bestPrice, 104);
+        assert.deepEqual(moves, [[95, 100.88, 'ratchet']]);
+    });
+
+    test('mirrors the ratchet for shorts', async () => {
+        manager.track('e1', entry({ positionSide: 'short', stopPrice: 105 }));
+        exchange.tick('BTC-USDT', 98.5);
+        await settle();
+        assert.deepEqual(moves, []);
+
+        exchange.tick('BTC-USDT', 98);
+        await settle();
+        assert.equal(manager.stops.get('e1').bestPrice, 98);
+        assert.deepEqual(moves, [[105, 100.94, 'ratchet']]);
+    });
+
+    test('places the new stop before cancelling the old one', async () => {
+        manager.track('e1', entry());
+        exchange.tick('BTC-USDT', 102);
+        await settle();
+
+        assert.deepEqual(exchange.calls, [['place', 98.94, 2], ['cancel', 'stop-1']]);
+        assert.equal(manager.stops.get('e1').stopId, 'stop-2');
+    });
+
+    test('keeps the old stop when placement fails', async () => {
+        const failures = [];
+        manager.on('stopMoveFailed', e => failures.push(e));
+        manager.track('e1', entry());
+        exchange.failPlace = new Error('rejected');
+
+        assert.equal(await manager.moveStop('e1', 100, 'breakeven'), false);
+        assert.deepEqual(exchange.calls, [['place', 100, 2]]);
+        assert.equal(manager.stops.get('e1').stopId, 'stop-1');
+        assert.equal(manager.stops.get('e1').stopPrice, 95);
+        assert.equal(failures[0].error, 'rejected');
+    });
+
+    test('treats a placement without a stop ID as a failure', async () => {
+        const failures = [];
+        manager.on('stopMoveFailed', e => failures.push(e));
+        manager.track('e1', entry());
+        exchange.placeResult = null;
+
+        assert.equal(await manager.moveStop('e1', 100, 'breakeven'), false);
+        assert.equal(manager.stops.get('e1').stopId, 'stop-1');
+        assert.equal(manager.stops.get('e1').stopPrice, 95);
+        assert.equal(failures[0].error, 'Stop placement returned no id');
+        assert.ok(!exchange.calls.some(([call]) => call === 'cancel'));
+    });
+
+    test('retries a failed cancel on the next move', async () => {
+        manager.track('e1', entry({ trailing: undefined }));
+        exchange.failCancel = new Error('timeout');
+
+        assert.equal(await manager.moveStop('e1', 97, 'breakeven'), true);
+        assert.deepEqual(manager.stops.get('e1').staleStops.map(s => s.stopId), ['stop-1']);
+
+        assert.equal(await manager.moveStop('e1', 100, 'breakeven'), true);
+        assert.deepEqual(exchange.calls, [
+            ['place', 97, 2], ['cancel', 'stop-1'],
+            ['cancel', 'stop-1'], ['place', 100, 2], ['cancel', 'stop-2'],
+        ]);
+        assert.deepEqual(manager.stops.get('e1').staleStops, []);
+    });
+
+    test('whenIdle waits for an in-flight move', async () => {
+        manager.track('e1', entry({ trailing: undefined }));
+        const ratchet = manager.moveStop('e1', 97, 'ratchet');
+        assert.equal(await manager.moveStop('e1', 100, 'TP1 breakeven'), false);
+
+        await manager.whenIdle('e1');
+        assert.equal(manager.stops.get('e1').busy, false);
+        assert.equal(manager.stops.get('e1').stopPrice, 97);
+        assert.equal(await manager.moveStop('e1', 100, 'TP1 breakeven'), true);
+        assert.equal(await ratchet, true);
+        assert.deepEqual(moves.map(m => m[2]), ['ratchet', 'TP1 breakeven']);
+    });
+
+    test('refcounts ticker subscriptions per instrument', () => {
+        manager.track('e1', entry());
+        manager.track('e2', entry());
+        manager.track('e3', entry({ trailing: undefined }));
+        assert.deepEqual([...exchange.tickers], ['BTC-USDT']);
+
+        manager.untrack('e1');
+        assert.deepEqual([...exchange.tickers], ['BTC-USDT']);
+        manager.untrackPosition('BTC-USDT', 'long');
+        assert.deepEqual([...exchange.tickers], []);
+        assert.equal(manager.stops.size, 0);
+    });
+});
@@ -0,0 +1,258 @@
+import { ExchangeAdapter, toNumber } from './exchangeAdapter.js';
+import { normalizeInstrument } from './instruments.js';
+
+const ORDER_STATES = {
+    live: 'live',
+    effective: 'live',
+    partially_filled: 'partially_filled',
+    filled: 'filled',
+    canceled: 'canceled',
+    cancelled: 'canceled',
+    partially_canceled: 'canceled',
+    order_failed: 'canceled',
+};
+
+/** @returns {import('./exchangeAdapter.js').Order} */
+function toOrder(raw) {
+    return {
+        orderId: raw.orderId,
+        instId: raw.instId,
+        side: raw.side,
+        positionSide: raw.positionSide || 'net',
+        orderType: raw.orderType === 'market' ? 'market' : 'limit',
+        price: toNumber(raw.price),
+        size: toNumber(raw.size) ?? 0,
+        filledSize: toNumber(raw.filledSize) ?? 0,
+        averagePrice: toNumber(raw.averagePrice) || null,
+        state: ORDER_STATES[raw.state] || 'live',
+        reduceOnly: String(raw.reduceOnly) === 'true',
+    };
+}
+
+/** @returns {import('./exchangeAdapter.js').Position} */
+function toPosition(raw) {
+    return {
+        instId: raw.instId,
+        positionSide: raw.positionSide || 'net',
+        marginMode: raw.marginMode || 'cross',
+        size: Math.abs(toNumber(raw.positions) ?? 0),
+        averagePrice: toNumber(raw.averagePrice) ?? 0,
+        markPrice: toNumber(raw.markPrice),
+        leverage: toNumber(raw.leverage),
+        unrealizedPnl: toNumber(raw.unrealizedPnl) ?? 0,
+        unrealizedPnlRatio: toNumber(raw.unrealizedPnlRatio),
+    };
+}
+
+/** @returns {import('./exchangeAdapter.js').Balance} */
+function toBalance(raw) {
+    const detail = raw?.details?.find(d => d.currency === 'USDT') || raw?.details?.[0] || {};
+    const available = toNumber(detail.available) ?? 0;
+    return {
+        currency: detail.currency || 'USDT',
+        equity: toNumber(raw?.totalEquity) || toNumber(detail.equity) || available,
+        available,
+    };
+}
+
+const list = (data) => (Array.isArray(data) ? data : []);
+const first = (data) => (Array.isArray(data) ? data[0] : data);
+
+/**
+ * Blofin behind the ExchangeAdapter interface.
+ *
+ * Also fronts PaperExchange, which implements the BlofinClient surface and
+ * returns Blofin-shaped responses. Blofin's TPSL and algo (trigger) orders
+ * map to the two stop types.
+ */
+export class BlofinAdapter extends ExchangeAdapter {
+    /**
+     * @param {object} deps
+     * @param {import('./blofinClient.js').BlofinClient|import('./paperExchange.js').PaperExchange} deps.client
+     * @param {import('./blofinWebSocket.js').BlofinWebSocket|import('./paperExchange.js').PaperWebSocket} deps.ws
+     * @param {string} [deps.name='Blofin']
+     */
+    constructor({ client, ws, name = 'Blofin' }) {
+        super(name);
+        this.client = client;
+        this.ws = ws;
+
+        this.ws.on('order', (order) => this.emit('order', toOrder(order)));
+        this.ws.on('orderFilled', (order) => this.emit('orderFilled', toOrder(order)));
+        this.ws.on('position', (pos) => this.emit('position', toPosition(pos)));
+        this.ws.on('account', (account) => this.emit('account', toBalance(account)));
+        this.ws.on('ticker', (ticker) => this.emit('ticker', {
+            instId: ticker.instId,
+            last: parseFloat(ticker.last),
+            markPrice: toNumber(ticker.markPrice),
+        }));
+    }
+
+    // ============================================================
+    // Streams
+    // ============================================================
+
+    async connectPrivate() {
+        await this.ws.connectPrivate();
+        this.ws.subscribeOrders();
+        this.ws.subscribePositions();
+        this.ws.subscribeAccount();
+    }
+
+    async connectPublic() {
+        await this.ws.connectPublic();
+    }
+
+    isStreamConnected() {
+        return this.ws.privateWs?.readyState === 1;
+    }
+
+    subscribeTicker(instId) {
+        this.ws.subscribeTicker(instId);
+    }
+
+    unsubscribeTicker(instId) {
+        this.ws.unsubscribeTicker(instId);
+    }
+
+    close() {
+        this.ws.close();
+    }
+
+    // ============================================================
+    // Account
+    // ============================================================
+
+    async getInstruments() {
+        return list(await this.client.getInstruments()).map(normalizeInstrument);
+    }
+
+    async getBalance() {
+        return toBalance(await this.client.getBalance());
+    }
+
+    async getPositions(instId) {
+        return list(await this.client.getPositions(instId || null))
+            .map(toPosition)
+            .filter(p => p.size > 0);
+    }
+
+    async getPositionsHistory(instId, limit = 10) {
+        return list(await this.client.getPositionsHistory(instId || null, limit)).map(h => ({
+            instId: h.instId,
+            positionSide: h.positionSide || 'net',
+            realizedPnl: toNumber(h.realizedPnl) ?? 0,
+            closedAt: toNumber(h.updateTime),
+        }));
+    }
+
+    async setMarginMode(marginMode) {
+        await this.client.setMarginMode(marginMode);
+    }
+
+    async setLeverage(instId, leverage, marginMode, positionSide = 'net') {
+        await this.client.setLeverage(instId, leverage, marginMode, positionSide);
+    }
+
+    // ============================================================
+    // Trading
+    // ============================================================
+
+    async placeOrder({ instId, marginMode, positionSide, side, orderType, size, price, reduceOnly = false, clientOrderId }) {
+        const result = first(await this.client.placeOrder({
+            instId,
+            marginMode,
+            positionSide,
+            side,
+            orderType,
+            size: String(size),
+            price: orderType === 'limit' ? String(price) : undefined,
+            reduceOnly,
+            clientOrderId,
+        }));
+        if (!result?.orderId) throw new Error(`Order placement returned no orderId${result?.msg ? `: ${result.msg}` : ''}`);
+        return result.orderId;
+    }
+
+    async cancelOrder(orderId, instId) {
+        await this.client.cancelOrder(orderId, instId);
+    }
+
+    async placeStop({ instId, marginMode, positionSide, size, triggerPrice, type }) {
+        const params = {
+            instId,
+            marginMode,
+            positionSide,
+            side: positionSide === 'long' ? 'sell' : 'buy',
+            size: String(size),
+            reduceOnly: true,
+        };
+
+        if (type === 'tpsl') {
+            const result = first(await this.client.placeTPSL({
+                ...params,
+                slTriggerPrice: String(triggerPrice),
+                slOrderPrice: '-1',
+            }));
+            if (!result?.tpslId) throw new Error(`Stop placement returned no id${result?.msg ? `: ${result.msg}` : ''}`);
+            return result.tpslId;
+        }
+
+        const result = first(await this.client.placeAlgoOrder({
+            ...params,
+            triggerPrice: String(triggerPrice),
+            triggerPriceType: 'last',
+            orderPrice: '-1',
+        }));
+        if (!result?.algoId) throw new Error(`Stop placement returned no id${result?.msg ? `: ${result.msg}` : ''}`);
+        return result.algoId;
+    }
+
+    async cancelStop({ instId, stopId, type }) {
+        if (type === 'tpsl') await this.client.cancelTPSL(stopId, instId);
+        else await this.client.cancelAlgoOrder(stopId, instId);
+    }
+
+    async getActiveOrders(instId) {
+        return list(await this.client.getActiveOrders(instId || null)).map(toOrder);
+    }
+
+    async getActiveStops(instId) {
+        const [tpsl, algo] = await Promise.all([
+            this.client.getActiveTpsl(instId || null),
+            this.client.getActiveAlgoOrders(instId || null),
+        ]);
+        return [
+            ...list(tpsl).map(s => ({
+                stopId: s.tpslId, type: 'tpsl', instId: s.instId, positionSide: s.positionSide || 'net',
+                triggerPrice: toNumber(s.slTriggerPrice) ?? toNumber(s.tpTriggerPrice),
+            })),
+            ...list(algo).map(s => ({
+                stopId: s.algoId, type: 'algo', instId: s.instId, positionSide: s.positionSide || 'net',
+                triggerPrice: toNumber(s.triggerPrice),
+            })),
+        ];
+    }
+
+    async getOrder(orderId, instId) {
+        const detail = first(await this.client.getOrderDetail(orderId, instId));
+        if (!detail) throw new Error(`Order ${orderId} not found`);
+        return toOrder(detail);
+    }
+
+    async closePosition(instId, marginMode) {
+        await this.client.closePositions(instId, marginMode);
+    }
+
+    // ============================================================
+    // Market Data
+    // ============================================================
+
+    async getMarkPrice(instId) {
+        return toNumber(first(await this.client.getMarkPrice(instId))?.markPrice);
+    }
+
+    async getLastPrice(instId) {
+        return toNumber(first(await this.client.getTicker(instId))?.last);
+    }
+}
@@ -0,0 +1,278 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { BlofinClient } from './blofinClient.js';
+import { BlofinAdapter } from './blofinAdapter.js';
+
+const KEY = 'key';
+const SECRET = 'secret';
+const PASSPHRASE = 'phrase';
+
+// ============================================================
+// REST and stream stubs
+// ============================================================
+
+const ok = (data) => ({ status: 200, data: { code: '0', msg: '', data } });
+const fail = (code, msg) => ({ status: 200, data: { code, msg, data: null } });
+
+function assertSigned(headers, method, path, body = '') {
+    const expected = crypto.createHmac('sha256', SECRET)
+        .update(headers['ACCESS-TIMESTAMP'] + method + path + body + headers['ACCESS-NONCE'])
+        .digest('base64');
+    assert.equal(headers['ACCESS-SIGN'], expected, 'request signature');
+    assert.equal(headers['ACCESS-KEY'], KEY);
+    assert.equal(headers['ACCESS-PASSPHRASE'], PASSPHRASE);
+}
+
+/**
+ * Adapter over a BlofinClient whose transport answers from `routes`
+ * (keyed "GET /api/v1/..." / "POST /api/v1/...", called with the query or body),
+ * and a stand-in socket that tests push raw Blofin frames through.
+ */
+function stubAdapter(routes = {}) {
+    const calls = [];
+    const http = {
+        async get(fullPath, { headers }) {
+            assertSigned(headers, 'GET', fullPath);
+            const [path, query = ''] = fullPath.split('?');
+            const params = Object.fromEntries(new URLSearchParams(query));
+            calls.push(['GET', path, params]);
+            const route = routes[`GET ${path}`];
+            if (!route) throw new Error(`Unexpected GET ${path}`);
+            return route(params);
+        },
+        async post(path, body, { headers }) {
+            assertSigned(headers, 'POST', path, JSON.stringify(body));
+            calls.push(['POST', path, body]);
+            const route = routes[`POST ${path}`];
+            if (!route) throw new Error(`Unexpected POST ${path}`);
+            return route(body);
+        },
+    };
+    const client = new BlofinClient({ apiKey: KEY, apiSecret: SECRET, passphrase: PASSPHRASE, http });
+    const ws = new EventEmitter();
+    return { adapter: new BlofinAdapter({ client, ws }), ws, calls };
+}
+
+// ============================================================
+// Instruments
+// ============================================================
+
+describe('BlofinAdapter instruments', () => {
+    test('keeps Blofin instrument IDs and parses contract metadata', async () => {
+        const { adapter, calls } = stubAdapter({
+            'GET /api/v1/market/instruments': () => ok([
+                { instId: 'BTC-USDT', instType: 'SWAP', contractValue: '0.001', lotSize: '0.1', minSize: '0.1', tickSize: '0.1', maxLeverage: '150' },
+                { instId: 'FOGO-USDT', instType: 'SWAP', contractValue: '10', lotSize: '1', minSize: '1', tickSize: '0.00001', maxLeverage: '25' },
+            ]),
+        });
+
+        assert.deepEqual(await adapter.getInstruments(), [
+            { instId: 'BTC-USDT', contractValue: 0.001, lotSize: 0.1, minSize: 0.1, tickSize: 0.1, maxLeverage: 150 },
+            { instId: 'FOGO-USDT', contractValue: 10, lotSize: 1, minSize: 1, tickSize: 0.00001, maxLeverage: 25 },
+        ]);
+        assert.deepEqual(calls[0][2], { instType: 'SWAP' });
+    });
+
+    test('reads mark and last prices', async () => {
+        const { adapter, calls } = stubAdapter({
+            'GET /api/v1/market/mark-price': () => ok([{ instId: 'FOGO-USDT', markPrice: '0.02936' }]),
+            'GET /api/v1/market/tickers': () => ok([{ instId: 'FOGO-USDT', last: '0.02941' }]),
+        });
+        assert.equal(await adapter.getMarkPrice('FOGO-USDT'), 0.02936);
+        assert.equal(await adapter.getLastPrice('FOGO-USDT'), 0.02941);
+        assert.deepEqual(calls.map(c => c[2].instId), ['FOGO-USDT', 'FOGO-USDT']);
+    });
+});
+
+// ============================================================
+// Order placement
+// ============================================================
+
+describe('BlofinAdapter order placement', () => {
+    test('places a limit order with string sizes and flags', async () => {
+        const { adapter, calls } = stubAdapter({
+            'POST /api/v1/trade/order': () => ok([{ orderId: '1001', clientOrderId: 'sig-1', code: '0', msg: '' }]),
+        });
+        const orderId = await adapter.placeOrder({
+            instId: 'FOGO-USDT', marginMode: 'cross', positionSide: 'short', side: 'sell', orderType: 'limit', size: 341, price: 0.02936, clientOrderId: 'sig-1',
+        });
+
+        assert.equal(orderId, '1001');
+        assert.deepEqual(calls[0][2], {
+            instId: 'FOGO-USDT', marginMode: 'cross', positionSide: 'short', side: 'sell', orderType: 'limit',
+            size: '341', reduceOnly: 'false', price: '0.02936', clientOrderId: 'sig-1',
+        });
+    });
+
+    test('sends market orders without a price', async () => {
+        const { adapter, calls } = stubAdapter({ 'POST /api/v1/trade/order': () => ok([{ orderId: '1002' }]) });
+        await adapter.placeOrder({ instId: 'BTC-USDT', marginMode: 'isolated', positionSide: 'long', side: 'sell', orderType: 'market', size: 1.5, price: 65000, reduceOnly: true });
+
+        assert.deepEqual(calls[0][2], {
+            instId: 'BTC-USDT', marginMode: 'isolated', positionSide: 'long', side: 'sell', orderType: 'market', size: '1.5', reduceOnly: 'true',
+        });
+    });
+
+    test('places TPSL and trigger stops on the closing side', async () => {
+        const { adapter, calls } = stubAdapter({
+            'POST /api/v1/trade/order-tpsl': () => ok({ tpslId: 't1', code: '0', msg: '' }),
+            'POST /api/v1/trade/order-algo': () => ok({ algoId: 'a1', code: '0', msg: '' }),
+        });
+
+        assert.equal(await adapter.placeStop({ instId: 'BTC-USDT', marginMode: 'cross', positionSide: 'long', size: 2, triggerPrice: 63500, type: 'tpsl' }), 't1');
+        assert.equal(await adapter.placeStop({ instId: 'BTC-USDT', marginMode: 'cross', positionSide: 'short', size: 2, triggerPrice: 66500, type: 'algo' }), 'a1');
+
+        assert.deepEqual(calls.map(c => [c[1], c[2]]), [
+            ['/api/v1/trade/order-tpsl', {
+                instId: 'BTC-USDT', marginMode: 'cross', positionSide: 'long', side: 'sell', size: '2', reduceOnly: 'true',
+                slTriggerPrice: '63500', slOrderPrice: '-1',
+            }],
+            ['/api/v1/trade/order-algo', {
+                instId: 'BTC-USDT', marginMode: 'cross', positionSide: 'short', side: 'buy', size: '2', orderType: 'trigger',
+                triggerPrice: '66500', triggerPriceType: 'last', orderPrice: '-1',
+            }],
+        ]);
+    });
+
+    test('cancels each kind of order on its own endpoint', async () => {
+        const { adapter, calls } = stubAdapter({
+            'POST /api/v1/trade/cancel-order': () => ok([{ orderId: '1001', code: '0' }]),
+            'POST /api/v1/trade/cancel-order-tpsl': () => ok([{ tpslId: 't1', code: '0' }]),
+            'POST /api/v1/trade/cancel-order-algo': () => ok([{ algoId: 'a1', code: '0' }]),
+        });
+        await adapter.cancelOrder('1001', 'BTC-USDT');
+        await adapter.cancelStop({ instId: 'BTC-USDT', stopId: 't1', type: 'tpsl' });
+        await adapter.cancelStop({ instId: 'BTC-USDT', stopId: 'a1', type: 'algo' });
+
+        assert.deepEqual(calls.map(c => [c[1], c[2]]), [
+            ['/api/v1/trade/cancel-order', { orderId: '1001', instId: 'BTC-USDT' }],
+            ['/api/v1/trade/cancel-order-tpsl', { tpslId: 't1', instId: 'BTC-USDT' }],
+            ['/api/v1/trade/cancel-order-algo', { algoId: 'a1', instId: 'BTC-USDT' }],
+        ]);
+    });
+});
+
+// ============================================================
+// Normalisation
+// ============================================================
+
+describe('BlofinAdapter normalisation', () => {
+    test('normalises positions and skips flat ones', async () => {
+        const { adapter } = stubAdapter({
+            'GET /api/v1/account/positions': () => ok([
+                { instId: 'BTC-USDT', positionSide: 'net', marginMode: 'isolated', positions: '-3', averagePrice: '65000', markPrice: '64000', leverage: '20', unrealizedPnl: '3', unrealizedPnlRatio: '0.3077' },
+                { instId: 'ETH-USDT', positionSide: 'long', marginMode: 'cross', positions: '0', averagePrice: '0', markPrice: '3000', leverage: '10', unrealizedPnl: '0', unrealizedPnlRatio: '0' },
+            ]),
+        });
+
+        assert.deepEqual(await adapter.getPositions(), [{
+            instId: 'BTC-USDT', positionSide: 'net', marginMode: 'isolated', size: 3, averagePrice: 65000,
+            markPrice: 64000, leverage: 20, unrealizedPnl: 3, unrealizedPnlRatio: 0.3077,
+        }]);
+    });
+
+    test('reads closed positions and the balance', async () => {
+        const { adapter, calls } = stubAdapter({
+            'GET /api/v1/account/positions-history': () => ok([{ instId: 'BTC-USDT', positionSide: 'long', realizedPnl: '-4.2', updateTime: '1700000000000' }]),
+            'GET /api/v1/account/balance': () => ok({ totalEquity: '1050.5', details: [{ currency: 'USDT', equity: '1050.5', available: '900.25' }] }),
+        });
+
+        assert.deepEqual(await adapter.getPositionsHistory('BTC-USDT', 3), [
+            { instId: 'BTC-USDT', positionSide: 'long', realizedPnl: -4.2, closedAt: 1700000000000 },
+        ]);
+        assert.deepEqual(calls[0][2], { instId: 'BTC-USDT', limit: '3' });
+        assert.deepEqual(await adapter.getBalance(), { currency: 'USDT', equity: 1050.5, available: 900.25 });
+    });
+
+    test('maps order states and merges both stop lists', async () => {
+        const { adapter, calls } = stubAdapter({
+            'GET /api/v1/trade/order': () => ok([{ orderId: '1001', instId: 'BTC-USDT', side: 'buy', positionSide: 'long', orderType: 'limit', price: '64000', size: '2', filledSize: '1', averagePrice: '64000', state: 'partially_canceled', reduceOnly: 'false' }]),
+            'GET /api/v1/trade/orders-tpsl-pending': () => ok([{ tpslId: 't1', instId: 'BTC-USDT', positionSide: 'long', slTriggerPrice: '63500', tpTriggerPrice: '' }]),
+            'GET /api/v1/trade/orders-algo-pending': () => ok([{ algoId: 'a1', instId: 'BTC-USDT', positionSide: 'short', triggerPrice: '66500' }]),
+        });
+
+        assert.deepEqual(await adapter.getOrder('1001', 'BTC-USDT'), {
+            orderId: '1001', instId: 'BTC-USDT', side: 'buy', positionSide: 'long', orderType: 'limit', price: 64000,
+            size: 2, filledSize: 1, averagePrice: 64000, state: 'canceled', reduceOnly: false,
+        });
+        assert.deepEqual(calls[0][2], { orderId: '1001', instId: 'BTC-USDT' });
+        assert.deepEqual(await adapter.getActiveStops('BTC-USDT'), [
+            { stopId: 't1', type: 'tpsl', instId: 'BTC-USDT', positionSide: 'long', triggerPrice: 63500 },
+            { stopId: 'a1', type: 'algo', instId: 'BTC-USDT', positionSide: 'short', triggerPrice: 66500 },
+        ]);
+    });
+
+    test('normalises stream pushes', async () => {
+        const { adapter, ws } = stubAdapter();
+        const seen = {};
+        for (const event of ['order', 'orderFilled', 'position', 'account', 'ticker']) adapter.on(event, (data) => { seen[event] = data; });
+
+        const raw = { orderId: '1001', instId: 'BTC-USDT', side: 'sell', positionSide: 'short', orderType: 'market', price: '', size: '2', filledSize: '2', averagePrice: '65010.5', state: 'filled', reduceOnly: 'true' };
+        ws.emit('order', raw);
+        ws.emit('orderFilled', raw);
+        ws.emit('position', { instId: 'BTC-USDT', positionSide: 'short', positions: '0', averagePrice: '65000', markPrice: '65010', leverage: '10', unrealizedPnl: '0' });
+        ws.emit('account', { totalEquity: '', details: [{ currency: 'USDT', equity: '980', available: '975' }] });
+        ws.emit('ticker', { instId: 'BTC-USDT', last: '65011.2', markPrice: '65010.9' });
+
+        assert.deepEqual(seen.orderFilled, {
+            orderId: '1001', instId: 'BTC-USDT', side: 'sell', positionSide: 'short', orderType: 'market', price: null,
+            size: 2, filledSize: 2, averagePrice: 65010.5, state: 'filled', reduceOnly: true,
+        });
+        assert.deepEqual(seen.order, seen.orderFilled);
+        assert.equal(seen.position.size, 0);
+        assert.equal(seen.position.marginMode, 'cross');
+        assert.equal(seen.position.unrealizedPnlRatio, null);
+        assert.deepEqual(seen.account, { currency: 'USDT', equity: 980, available: 975 });
+        assert.deepEqual(seen.ticker, { instId: 'BTC-USDT', last: 65011.2, markPrice: 65010.9 });
+    });
+});
+
+// ============================================================
+// Errors
+// ============================================================
+
+describe('BlofinAdapter error mapping', () => {
+    test('throws the code and message of a rejected request', async () => {
+        const { adapter } = stubAdapter({ 'POST /api/v1/account/set-leverage': () => fail('152003', 'Leverage exceeds the maximum') });
+        await assert.rejects(adapter.setLeverage('BTC-USDT', 200, 'cross', 'long'), (err) => {
+            assert.equal(err.code, '152003');
+            assert.equal(err.apiMsg, 'Leverage exceeds the maximum');
+            assert.equal(err.message, 'Blofin API error on /api/v1/account/set-leverage: [152003] Leverage exceeds the maximum');
+            return true;
+        });
+    });
+
+    test('surfaces a per-order rejection without an orderId', async () => {
+        const { adapter } = stubAdapter({
+            'POST /api/v1/trade/order': () => ok([{ orderId: '', code: '102002', msg: 'Insufficient balance' }]),
+        });
+        await assert.rejects(
+            adapter.placeOrder({ instId: 'BTC-USDT', marginMode: 'cross', positionSide: 'long', side: 'buy', orderType: 'market', size: 1 }),
+            { message: 'Order placement returned no orderId: Insufficient balance' },
+        );
+    });
+
+    test('surfaces a stop rejection without an id', async () => {
+        const { adapter } = stubAdapter({
+            'POST /api/v1/trade/order-tpsl': () => ok({ tpslId: '', code: '102052', msg: 'Trigger price is invalid' }),
+            'POST /api/v1/trade/order-algo': () => ok([]),
+        });
+        const stop = { instId: 'BTC-USDT', marginMode: 'cross', positionSide: 'long', size: 2, triggerPrice: 63500 };
+        await assert.rejects(adapter.placeStop({ ...stop, type: 'tpsl' }), { message: 'Stop placement returned no id: Trigger price is invalid' });
+        await assert.rejects(adapter.placeStop({ ...stop, type: 'algo' }), { message: 'Stop placement returned no id' });
+    });
+
+    test('reports an unknown order', async () => {
+        const { adapter } = stubAdapter({ 'GET /api/v1/trade/order': () => ok([]) });
+        await assert.rejects(adapter.getOrder('404', 'BTC-USDT'), /Order 404 not found/);
+    });
+
+    test('passes transport errors through', async () => {
+        const { adapter } = stubAdapter({
+            'GET /api/v1/account/balance': () => { throw Object.assign(new Error('Request failed with status code 503'), { response: { status: 503, data: {} } }); },
+        });
+        await assert.rejects(adapter.getBalance(), /status code 503/);
+    });
+});
@@ -13,15 +13,17 @@ export class BlofinClient {
      * @param {string} config.apiSecret
      * @param {string} config.passphrase
      * @param {boolean} [config.demoTrading=false]
+     * @param {string} [config.baseUrl] - REST host (defaults to live / demo by `demoTrading`)
+     * @param {import('axios').AxiosInstance} [config.http] - Transport with axios' get/post (a mock in tests)
      */
-    constructor({ apiKey, apiSecret, passphrase, demoTrading = false }) {
+    constructor({ apiKey, apiSecret, passphrase, demoTrading = false, baseUrl, http }) {
         this.apiKey = apiKey;
         this.apiSecret = apiSecret;
         this.passphrase = passphrase;
-        this.baseUrl = demoTrading ? DEMO_BASE_URL : BASE_URL;
+        this.baseUrl = baseUrl || (demoTrading ? DEMO_BASE_URL : BASE_URL);
         this.demoTrading = demoTrading;
 
-        this.http = axios.create({
+        this.http = http || axios.create({
             baseURL: this.baseUrl,
             timeout: 10000,
             headers: { 'Content-Type': 'application/json' },
@@ -77,7 +79,8 @@ export class BlofinClient {
             .join('&');
 
         const fullPath = queryString ? `${path}?${queryString}` : path;
-        const headers = this._signRequest('GET', fullPath);
+        // Public market data works without keys (e.g. candle fetches for backtests)
+        const headers = this.apiSecret ? this._signRequest('GET', fullPath) : {};
 
         logger.audit('API_REQUEST', 'BlofinClient', { method: 'GET', path: fullPath, params });
 
@@ -160,6 +163,13 @@ export class BlofinClient {
         return res.data;
     }
 
+    /** Get closed positions (most recent first), optionally filtered by instrument. */
+    async getPositionsHistory(instId = null, limit = 10) {
+        const params = instId ? { instId, limit } : { limit };
+        const res = await this.get('/api/v1/account/positions-history', params, true);
+        return res.data;
+    }
+
     /** Get current margin mode. */
     async getMarginMode() {
         const res = await this.get('/api/v1/account/margin-mode');
@@ -331,9 +341,23 @@ export class BlofinClient {
         return res.data;
     }
 
+    /** Get pending TP/SL orders. */
+    async getActiveTpsl(instId = null) {
+        const params = instId ? { instId } : {};
+        const res = await this.get('/api/v1/trade/orders-tpsl-pending', params, true);
+        return res.data;
+    }
+
+    /** Get pending algo (trigger) orders. */
+    async getActiveAlgoOrders(instId = null) {
+        const params = { orderType: 'trigger', ...(instId ? { instId } : {}) };
+        const res = await this.get('/api/v1/trade/orders-algo-pending', params, true);
+        return res.data;
+    }
+
     /** Get order detail by orderId. */
-    async getOrderDetail(orderId) {
-        const res = await this.get('/api/v1/trade/order', { orderId }, true);
+    async getOrderDetail(orderId, instId) {
+        const res = await this.get('/api/v1/trade/order', { orderId, instId }, true);
         return res.data;
     }
 
@@ -359,6 +383,20 @@ export class BlofinClient {
         return res.data;
     }
 
+    /**
+     * Get candles, newest first. Each row is [ts, open, high, low, close, vol, volCurrency, volCurrencyQuote, confirm].
+     * @param {string} instId
+     * @param {string} [bar='1m'] - 1m, 5m, 15m, 1H, 4H, 1D, ...
+     * @param {object} [range]
+     * @param {number} [range.after] - Return candles older than this ts (ms)
+     * @param {number} [range.before] - Return candles newer than this ts (ms)
+     * @param {number} [range.limit=100] - Max 1440
+     */
+    async getCandles(instId, bar = '1m', { after, before, limit = 100 } = {}) {
+        const res = await this.get('/api/v1/market/candles', { instId, bar, after, before, limit }, false);
+        return res.data;
+    }
+
     /** Get mark price. */
     async getMarkPrice(instId) {
         const res = await this.get('/api/v1/market/mark-price', { instId }, false);
@@ -27,6 +27,9 @@ export class BlofinWebSocket extends EventEmitter {
         /** @type {WebSocket|null} */
         this.publicWs = null;
 
+        /** @type {{ private: Map<string, object>, public: Map<string, object> }} Active subscriptions, replayed on reconnect */
+        this._subscriptions = { private: new Map(), public: new Map() };
+
         this._reconnectDelay = 1000;
         this._maxReconnectDelay = 30000;
         this._heartbeatInterval = null;
@@ -58,11 +61,13 @@ export class BlofinWebSocket extends EventEmitter {
                 if (authenticate) {
                     try {
                         await this._authenticate(ws);
+                        this._resubscribe(type);
                         resolve();
                     } catch (err) {
                         reject(err);
                     }
                 } else {
+                    this._resubscribe(type);
                     resolve();
                 }
             });
@@ -148,42 +153,73 @@ export class BlofinWebSocket extends EventEmitter {
     subscribeOrders(instId) {
         const args = { channel: 'orders' };
         if (instId) args.instId = instId;
-        this._subscribe(this.privateWs, [args]);
+        this._subscribe('private', [args]);
     }
 
     /** Subscribe to position updates (private). */
     subscribePositions(instId) {
         const args = { channel: 'positions' };
         if (instId) args.instId = instId;
-        this._subscribe(this.privateWs, [args]);
+        this._subscribe('private', [args]);
     }
 
     /** Subscribe to account updates (private). */
     subscribeAccount() {
-        this._subscribe(this.privateWs, [{ channel: 'account' }]);
+        this._subscribe('private', [{ channel: 'account' }]);
     }
 
     /** Subscribe to algo order updates (private). */
     subscribeAlgoOrders(instId) {
         const args = { channel: 'orders-algo' };
         if (instId) args.instId = instId;
-        this._subscribe(this.privateWs, [args]);
+        this._subscribe('private', [args]);
     }
 
     /** Subscribe to ticker updates (public). */
     subscribeTicker(instId) {
-        this._subscribe(this.publicWs, [{ channel: 'tickers', instId }]);
+        this._subscribe('public', [{ channel: 'tickers', instId }]);
+    }
+
+    /** Unsubscribe from ticker updates (public). */
+    unsubscribeTicker(instId) {
+        this._unsubscribe('public', [{ channel: 'tickers', instId }]);
     }
 
-    _subscribe(ws, args) {
+    /**
+     * Record a subscription and send it if the socket is open.
+     * Recorded subscriptions are replayed whenever the socket (re)connects.
+     * @param {'private'|'public'} type
+     * @param {object[]} args
+     */
+    _subscribe(type, args) {
+        for (const arg of args) this._subscriptions[type].set(JSON.stringify(arg), arg);
+
+        const ws = type === 'private' ? this.privateWs : this.publicWs;
         if (!ws || ws.readyState !== WebSocket.OPEN) {
-            logger.warn('BlofinWS', 'Cannot subscribe: WebSocket not connected');
+            logger.warn('BlofinWS', `${type} WebSocket not connected — subscription queued`, args);
             return;
         }
         ws.send(JSON.stringify({ op: 'subscribe', args }));
         logger.debug('BlofinWS', 'Subscribed', args);
     }
 
+    _unsubscribe(type, args) {
+        for (const arg of args) this._subscriptions[type].delete(JSON.stringify(arg));
+
+        const ws = type === 'private' ? this.privateWs : this.publicWs;
+        if (!ws || ws.readyState !== WebSocket.OPEN) return;
+        ws.send(JSON.stringify({ op: 'unsubscribe', args }));
+        logger.debug('BlofinWS', 'Unsubscribed', args);
+    }
+
+    _resubscribe(type) {
+        const args = [...this._subscriptions[type].values()];
+        if (args.length === 0) return;
+        const ws = type === 'private' ? this.privateWs : this.publicWs;
+        ws.send(JSON.stringify({ op: 'subscribe', args }));
+        logger.info('BlofinWS', `Restored ${args.length} ${type} subscription(s)`);
+    }
+
     // ============================================================
     // Message Handling
     // ============================================================
@@ -0,0 +1,302 @@
+import { ExchangeAdapter, toNumber } from './exchangeAdapter.js';
+import { normalizeInstrument } from './instruments.js';
+
+const ORDER_STATES = {
+    New: 'live',
+    Created: 'live',
+    Untriggered: 'live',
+    Triggered: 'live',
+    Active: 'live',
+    PartiallyFilled: 'partially_filled',
+    Filled: 'filled',
+    Cancelled: 'canceled',
+    Rejected: 'canceled',
+    Deactivated: 'canceled',
+    PartiallyFilledCanceled: 'canceled',
+};
+
+/** "BTC-USDT" → "BTCUSDT" */
+function toSymbol(instId) {
+    return instId.replace('-', '');
+}
+
+/** "BTCUSDT" → "BTC-USDT" */
+function toInstId(symbol) {
+    return symbol.endsWith('USDT') ? `${symbol.slice(0, -4)}-USDT` : symbol;
+}
+
+/** Hedge-mode position index: 1 long, 2 short (0 is one-way mode). */
+function positionIdxFor(positionSide) {
+    return positionSide === 'long' ? 1 : positionSide === 'short' ? 2 : 0;
+}
+
+function positionSideOf(raw) {
+    const idx = parseInt(raw.positionIdx);
+    return idx === 1 ? 'long' : idx === 2 ? 'short' : 'net';
+}
+
+/** @returns {import('./exchangeAdapter.js').Order} */
+function toOrder(raw) {
+    return {
+        orderId: raw.orderId,
+        instId: toInstId(raw.symbol),
+        side: raw.side === 'Buy' ? 'buy' : 'sell',
+        positionSide: positionSideOf(raw),
+        orderType: raw.orderType === 'Market' ? 'market' : 'limit',
+        price: toNumber(raw.price) || null,
+        size: toNumber(raw.qty) ?? 0,
+        filledSize: toNumber(raw.cumExecQty) ?? 0,
+        averagePrice: toNumber(raw.avgPrice) || null,
+        state: ORDER_STATES[raw.orderStatus] || 'live',
+        reduceOnly: raw.reduceOnly === true || raw.reduceOnly === 'true',
+    };
+}
+
+/** @returns {import('./exchangeAdapter.js').Position} */
+function toPosition(raw) {
+    const unrealizedPnl = toNumber(raw.unrealisedPnl) ?? 0;
+    const margin = toNumber(raw.positionIM);
+    return {
+        instId: toInstId(raw.symbol),
+        positionSide: positionSideOf(raw),
+        marginMode: parseInt(raw.tradeMode) === 1 ? 'isolated' : 'cross',
+        size: Math.abs(toNumber(raw.size) ?? 0),
+        // REST reports avgPrice, the position stream entryPrice
+        averagePrice: toNumber(raw.avgPrice ?? raw.entryPrice) ?? 0,
+        markPrice: toNumber(raw.markPrice),
+        leverage: toNumber(raw.leverage),
+        unrealizedPnl,
+        unrealizedPnlRatio: margin > 0 ? unrealizedPnl / margin : null,
+    };
+}
+
+/** @returns {import('./exchangeAdapter.js').Balance} */
+function toBalance(raw) {
+    const usdt = raw?.coin?.find(c => c.coin === 'USDT') || {};
+    const available = toNumber(raw?.totalAvailableBalance) ?? toNumber(usdt.availableToWithdraw) ?? 0;
+    return {
+        currency: 'USDT',
+        equity: toNumber(raw?.totalEquity) || toNumber(usdt.equity) || available,
+        available,
+    };
+}
+
+/** @returns {import('./instruments.js').Instrument} */
+function toInstrument(raw) {
+    return normalizeInstrument({
+        instId: `${raw.baseCoin}-${raw.quoteCoin}`,
+        contractValue: '1', // Bybit sizes linear contracts in base coin
+        lotSize: raw.lotSizeFilter?.qtyStep,
+        minSize: raw.lotSizeFilter?.minOrderQty,
+        tickSize: raw.priceFilter?.tickSize,
+        maxLeverage: raw.leverageFilter?.maxLeverage,
+    });
+}
+
+const isConditional = (raw) => raw.orderStatus === 'Untriggered';
+
+/**
+ * Bybit USDT perpetuals (v5, unified trading account) behind the ExchangeAdapter interface.
+ *
+ * The account must be in hedge mode for USDT perpetuals — long and short
+ * legs are addressed by positionIdx 1 / 2, like Blofin's long/short mode.
+ * Sizes are in base coin, so instruments report a contract value of 1.
+ * Bybit has no separate TP/SL order object with its own ID, so both stop
+ * types are placed as conditional reduce-only market orders.
+ */
+export class BybitAdapter extends ExchangeAdapter {
+    /**
+     * @param {object} deps
+     * @param {import('./bybitClient.js').BybitClient} deps.client
+     * @param {import('./bybitWebSocket.js').BybitWebSocket} deps.ws
+     */
+    constructor({ client, ws }) {
+        super('Bybit');
+        this.client = client;
+        this.ws = ws;
+
+        this.ws.on('order', (raw) => {
+            const order = toOrder(raw);
+            this.emit('order', order);
+            if (order.state === 'filled') this.emit('orderFilled', order);
+        });
+        this.ws.on('position', (raw) => this.emit('position', toPosition(raw)));
+        this.ws.on('wallet', (raw) => this.emit('account', toBalance(raw)));
+        this.ws.on('ticker', (raw) => this.emit('ticker', {
+            instId: toInstId(raw.symbol),
+            last: parseFloat(raw.lastPrice),
+            markPrice: toNumber(raw.markPrice),
+        }));
+    }
+
+    // ============================================================
+    // Streams
+    // ============================================================
+
+    async connectPrivate() {
+        await this.ws.connectPrivate();
+        this.ws.subscribeOrders();
+        this.ws.subscribePositions();
+        this.ws.subscribeWallet();
+    }
+
+    async connectPublic() {
+        await this.ws.connectPublic();
+    }
+
+    isStreamConnected() {
+        return this.ws.privateWs?.readyState === 1;
+    }
+
+    subscribeTicker(instId) {
+        this.ws.subscribeTicker(toSymbol(instId));
+    }
+
+    unsubscribeTicker(instId) {
+        this.ws.unsubscribeTicker(toSymbol(instId));
+    }
+
+    close() {
+        this.ws.close();
+    }
+
+    // ============================================================
+    // Account
+    // ============================================================
+
+    async getInstruments() {
+        return (await this.client.getInstruments())
+            .filter(i => i.contractType === 'LinearPerpetual' && i.quoteCoin === 'USDT' && i.status === 'Trading')
+            .map(toInstrument);
+    }
+
+    async getBalance() {
+        return toBalance(await this.client.getWalletBalance());
+    }
+
+    async getPositions(instId) {
+        return (await this.client.getPositions(instId ? toSymbol(instId) : null))
+            .map(toPosition)
+            .filter(p => p.size > 0);
+    }
+
+    async getPositionsHistory(instId, limit = 10) {
+        return (await this.client.getClosedPnl(instId ? toSymbol(instId) : null, limit)).map(h => ({
+            instId: toInstId(h.symbol),
+            // `side` is the closing order's: a Sell closed a long
+            positionSide: h.side === 'Sell' ? 'long' : 'short',
+            realizedPnl: toNumber(h.closedPnl) ?? 0,
+            closedAt: toNumber(h.updatedTime),
+        }));
+    }
+
+    async setMarginMode(marginMode) {
+        await this.client.setMarginMode(marginMode === 'isolated' ? 'ISOLATED_MARGIN' : 'REGULAR_MARGIN');
+    }
+
+    async setLeverage(instId, leverage) {
+        await this.client.setLeverage(toSymbol(instId), leverage);
+    }
+
+    // ============================================================
+    // Trading
+    // ============================================================
+
+    async placeOrder({ instId, positionSide, side, orderType, size, price, reduceOnly = false, clientOrderId }) {
+        const params = {
+            symbol: toSymbol(instId),
+            side: side === 'buy' ? 'Buy' : 'Sell',
+            orderType: orderType === 'market' ? 'Market' : 'Limit',
+            qty: String(size),
+            positionIdx: positionIdxFor(positionSide),
+            reduceOnly,
+        };
+        if (orderType === 'limit') {
+            params.price = String(price);
+            params.timeInForce = 'GTC';
+        }
+        if (clientOrderId) params.orderLinkId = clientOrderId;
+
+        const result = await this.client.placeOrder(params);
+        if (!result?.orderId) throw new Error('Order placement returned no orderId');
+        return result.orderId;
+    }
+
+    async cancelOrder(orderId, instId) {
+        await this.client.cancelOrder(toSymbol(instId), orderId);
+    }
+
+    async placeStop({ instId, positionSide, size, triggerPrice }) {
+        const isLong = positionSide === 'long';
+        const result = await this.client.placeOrder({
+            symbol: toSymbol(instId),
+            side: isLong ? 'Sell' : 'Buy',
+            orderType: 'Market',
+            qty: String(size),
+            positionIdx: positionIdxFor(positionSide),
+            triggerPrice: String(triggerPrice),
+            // A long's stop fires on the way down, a short's on the way up
+            triggerDirection: isLong ? 2 : 1,
+            triggerBy: 'LastPrice',
+            reduceOnly: true,
+            closeOnTrigger: true,
+        });
+        if (!result?.orderId) throw new Error('Stop placement returned no id');
+        return result.orderId;
+    }
+
+    async cancelStop({ instId, stopId }) {
+        await this.client.cancelOrder(toSymbol(instId), stopId);
+    }
+
+    async getActiveOrders(instId) {
+        return (await this.client.getOpenOrders(instId ? toSymbol(instId) : null))
+            .filter(o => !isConditional(o))
+            .map(toOrder);
+    }
+
+    async getActiveStops(instId) {
+        return (await this.client.getOpenOrders(instId ? toSymbol(instId) : null))
+            .filter(isConditional)
+            .map(o => ({
+                stopId: o.orderId,
+                type: 'algo',
+                instId: toInstId(o.symbol),
+                positionSide: positionSideOf(o),
+                triggerPrice: toNumber(o.triggerPrice),
+            }));
+    }
+
+    async getOrder(orderId, instId) {
+        const raw = await this.client.getOrder(toSymbol(instId), orderId);
+        if (!raw) throw new Error(`Order ${orderId} not found`);
+        return toOrder(raw);
+    }
+
+    async closePosition(instId) {
+        const symbol = toSymbol(instId);
+        for (const pos of await this.client.getPositions(symbol)) {
+            if (!(parseFloat(pos.size) > 0)) continue;
+            await this.client.placeOrder({
+                symbol,
+                side: pos.side === 'Buy' ? 'Sell' : 'Buy',
+                orderType: 'Market',
+                qty: pos.size,
+                positionIdx: parseInt(pos.positionIdx) || 0,
+                reduceOnly: true,
+            });
+        }
+    }
+
+    // ============================================================
+    // Market Data
+    // ============================================================
+
+    async getMarkPrice(instId) {
+        return toNumber((await this.client.getTicker(toSymbol(instId)))?.markPrice);
+    }
+
+    async getLastPrice(instId) {
+        return toNumber((await this.client.getTicker(toSymbol(instId)))?.lastPrice);
+    }
+}
@@ -0,0 +1,434 @@
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { WebSocketServer } from 'ws';
+import { BybitClient } from './bybitClient.js';
+import { BybitWebSocket } from './bybitWebSocket.js';
+import { BybitAdapter } from './bybitAdapter.js';
+
+const KEY = 'key';
+const SECRET = 'secret';
+
+// ============================================================
+// REST stub
+// ============================================================
+
+const ok = (result) => ({ status: 200, data: { retCode: 0, retMsg: 'OK', result, time: Date.now() } });
+const fail = (retCode, retMsg) => ({ status: 200, data: { retCode, retMsg, result: {}, time: Date.now() } });
+
+function assertSigned(headers, payload) {
+    const expected = crypto.createHmac('sha256', SECRET)
+        .update(headers['X-BAPI-TIMESTAMP'] + KEY + headers['X-BAPI-RECV-WINDOW'] + payload)
+        .digest('hex');
+    assert.equal(headers['X-BAPI-SIGN'], expected, 'request signature');
+}
+
+/**
+ * Adapter over a BybitClient whose transport answers from `routes`
+ * (keyed "GET /v5/..." / "POST /v5/...", called with the query or body).
+ */
+function stubAdapter(routes) {
+    const calls = [];
+    const http = {
+        async get(fullPath, { headers }) {
+            const [path, query = ''] = fullPath.split('?');
+            if (!path.startsWith('/v5/market')) assertSigned(headers, query);
+            const params = Object.fromEntries(new URLSearchParams(query));
+            calls.push(['GET', path, params]);
+            const route = routes[`GET ${path}`];
+            if (!route) throw new Error(`Unexpected GET ${path}`);
+            return route(params);
+        },
+        async post(path, bodyStr, { headers }) {
+            assertSigned(headers, bodyStr);
+            const body = JSON.parse(bodyStr);
+            calls.push(['POST', path, body]);
+            const route = routes[`POST ${path}`];
+            if (!route) throw new Error(`Unexpected POST ${path}`);
+            return route(body);
+        },
+    };
+    const client = new BybitClient({ apiKey: KEY, apiSecret: SECRET, http });
+    return { adapter: new BybitAdapter({ client, ws: new EventEmitter() }), calls };
+}
+
+const INSTRUMENT_PAGES = {
+    '': {
+        list: [
+            { symbol: 'BTCUSDT', contractType: 'LinearPerpetual', status: 'Trading', baseCoin: 'BTC', quoteCoin: 'USDT', leverageFilter: { maxLeverage: '100.00' }, priceFilter: { tickSize: '0.10' }, lotSizeFilter: { minOrderQty: '0.001', qtyStep: '0.001' } },
+            { symbol: 'BTCPERP', contractType: 'LinearPerpetual', status: 'Trading', baseCoin: 'BTC', quoteCoin: 'USDC', leverageFilter: { maxLeverage: '100' }, priceFilter: { tickSize: '0.5' }, lotSizeFilter: { minOrderQty: '0.001', qtyStep: '0.001' } },
+        ],
+        nextPageCursor: 'page2',
+    },
+    page2: {
+        list: [
+            { symbol: '1000PEPEUSDT', contractType: 'LinearPerpetual', status: 'Trading', baseCoin: '1000PEPE', quoteCoin: 'USDT', leverageFilter: { maxLeverage: '50.00' }, priceFilter: { tickSize: '0.0000001' }, lotSizeFilter: { minOrderQty: '100', qtyStep: '100' } },
+            { symbol: 'BTCUSDT-26DEC25', contractType: 'LinearFutures', status: 'Trading', baseCoin: 'BTC', quoteCoin: 'USDT', leverageFilter: { maxLeverage: '50' }, priceFilter: { tickSize: '0.5' }, lotSizeFilter: { minOrderQty: '0.001', qtyStep: '0.001' } },
+            { symbol: 'OLDUSDT', contractType: 'LinearPerpetual', status: 'Closed', baseCoin: 'OLD', quoteCoin: 'USDT', leverageFilter: { maxLeverage: '10' }, priceFilter: { tickSize: '0.01' }, lotSizeFilter: { minOrderQty: '1', qtyStep: '1' } },
+        ],
+        nextPageCursor: '',
+    },
+};
+
+// ============================================================
+// Symbol mapping
+// ============================================================
+
+describe('BybitAdapter symbol mapping', () => {
+    test('lists USDT perpetuals across pages as BASE-USDT instruments', async () => {
+        const { adapter, calls } = stubAdapter({
+            'GET /v5/market/instruments-info': (q) => ok({ category: 'linear', ...INSTRUMENT_PAGES[q.cursor || ''] }),
+        });
+
+        assert.deepEqual(await adapter.getInstruments(), [
+            { instId: 'BTC-USDT', contractValue: 1, lotSize: 0.001, minSize: 0.001, tickSize: 0.1, maxLeverage: 100 },
+            { instId: '1000PEPE-USDT', contractValue: 1, lotSize: 100, minSize: 100, tickSize: 0.0000001, maxLeverage: 50 },
+        ]);
+        assert.deepEqual(calls.map(c => c[2].cursor), [undefined, 'page2']);
+        assert.equal(calls[0][2].category, 'linear');
+    });
+
+    test('sends Bybit symbols and maps them back', async () => {
+        const { adapter, calls } = stubAdapter({
+            'GET /v5/market/tickers': (q) => ok({ list: [{ symbol: q.symbol, lastPrice: '0.0123456', markPrice: '0.0123400' }] }),
+            'GET /v5/position/list': () => ok({
+                list: [{ symbol: '1000PEPEUSDT', side: 'Buy', size: '500', positionIdx: 1, avgPrice: '0.012', markPrice: '0.0123', leverage: '5', unrealisedPnl: '0.15', positionIM: '1.2', tradeMode: 0 }],
+                nextPageCursor: '',
+            }),
+        });
+
+        assert.equal(await adapter.getLastPrice('1000PEPE-USDT'), 0.0123456);
+        assert.equal(await adapter.getMarkPrice('1000PEPE-USDT'), 0.01234);
+        assert.equal((await adapter.getPositions('1000PEPE-USDT'))[0].instId, '1000PEPE-USDT');
+        assert.deepEqual(calls.map(c => c[2].symbol), ['1000PEPEUSDT', '1000PEPEUSDT', '1000PEPEUSDT']);
+    });
+
+    test('queries every USDT position without an instrument', async () => {
+        const { adapter, calls } = stubAdapter({
+            'GET /v5/position/list': () => ok({ list: [], nextPageCursor: '' }),
+        });
+        await adapter.getPositions();
+        assert.equal(calls[0][2].symbol, undefined);
+        assert.equal(calls[0][2].settleCoin, 'USDT');
+    });
+});
+
+// ============================================================
+// Order placement
+// ============================================================
+
+describe('BybitAdapter order placement', () => {
+    const created = () => {
+        let n = 0;
+        return { 'POST /v5/order/create': () => ok({ orderId: `by-${++n}`, orderLinkId: '' }) };
+    };
+
+    test('places a hedge-mode limit order', async () => {
+        const { adapter, calls } = stubAdapter(created());
+        const orderId = await adapter.placeOrder({
+            instId: 'SOL-USDT', positionSide: 'long', side: 'buy', orderType: 'limit', size: 2.5, price: 100.25, clientOrderId: 'sig-1',
+        });
+
+        assert.equal(orderId, 'by-1');
+        assert.deepEqual(calls[0][2], {
+            category: 'linear', symbol: 'SOLUSDT', side: 'Buy', orderType: 'Limit', qty: '2.5',
+            positionIdx: 1, reduceOnly: false, price: '100.25', timeInForce: 'GTC', orderLinkId: 'sig-1',
+        });
+    });
+
+    test('places a reduce-only market order on the short leg', async () => {
+        const { adapter, calls } = stubAdapter(created());
+        await adapter.placeOrder({ instId: 'SOL-USDT', positionSide: 'short', side: 'buy', orderType: 'market', size: 3, reduceOnly: true });
+
+        assert.deepEqual(calls[0][2], {
+            category: 'linear', symbol: 'SOLUSDT', side: 'Buy', orderType: 'Market', qty: '3', positionIdx: 2, reduceOnly: true,
+        });
+    });
+
+    test('places stops as conditional reduce-only market orders', async () => {
+        const { adapter, calls } = stubAdapter(created());
+        assert.equal(await adapter.placeStop({ instId: 'SOL-USDT', positionSide: 'long', size: 2, triggerPrice: 95, type: 'tpsl' }), 'by-1');
+        await adapter.placeStop({ instId: 'SOL-USDT', positionSide: 'short', size: 2, triggerPrice: 105, type: 'algo' });
+
+        const [long, short] = calls.map(c => c[2]);
+        assert.deepEqual(long, {
+            category: 'linear', symbol: 'SOLUSDT', side: 'Sell', orderType: 'Market', qty: '2', positionIdx: 1,
+            triggerPrice: '95', triggerDirection: 2, triggerBy: 'LastPrice', reduceOnly: true, closeOnTrigger: true,
+        });
+        assert.equal(short.side, 'Buy');
+        assert.equal(short.positionIdx, 2);
+        assert.equal(short.triggerDirection, 1);
+    });
+
+    test('cancels orders and stops by symbol and orderId', async () => {
+        const { adapter, calls } = stubAdapter({ 'POST /v5/order/cancel': (b) => ok({ orderId: b.orderId }) });
+        await adapter.cancelOrder('by-1', 'SOL-USDT');
+        await adapter.cancelStop({ instId: 'SOL-USDT', stopId: 'by-2', type: 'algo' });
+        assert.deepEqual(calls.map(c => c[2]), [
+            { category: 'linear', symbol: 'SOLUSDT', orderId: 'by-1' },
+            { category: 'linear', symbol: 'SOLUSDT', orderId: 'by-2' },
+        ]);
+    });
+
+    test('closes each open leg with an opposite reduce-only market order', async () => {
+        const routes = {
+            ...created(),
+            'GET /v5/position/list': () => ok({
+                list: [
+                    { symbol: 'SOLUSDT', side: 'Buy', size: '4', positionIdx: 1 },
+                    { symbol: 'SOLUSDT', side: 'Sell', size: '1.5', positionIdx: 2 },
+                    { symbol: 'SOLUSDT', side: '', size: '0', positionIdx: 0 },
+                ],
+                nextPageCursor: '',
+            }),
+        };
+        const { adapter, calls } = stubAdapter(routes);
+        await adapter.closePosition('SOL-USDT');
+
+        const orders = calls.filter(c => c[1] === '/v5/order/create').map(c => c[2]);
+        assert.deepEqual(orders, [
+            { category: 'linear', symbol: 'SOLUSDT', side: 'Sell', orderType: 'Market', qty: '4', positionIdx: 1, reduceOnly: true },
+            { category: 'linear', symbol: 'SOLUSDT', side: 'Buy', orderType: 'Market', qty: '1.5', positionIdx: 2, reduceOnly: true },
+        ]);
+    });
+});
+
+// ============================================================
+// Normalisation
+// ============================================================
+
+describe('BybitAdapter normalisation', () => {
+    const OPEN_ORDERS = [
+        { orderId: 'o1', symbol: 'SOLUSDT', side: 'Buy', positionIdx: 1, orderType: 'Limit', price: '99.5', qty: '2', cumExecQty: '0.5', avgPrice: '99.5', orderStatus: 'PartiallyFilled', reduceOnly: false, triggerPrice: '' },
+        { orderId: 'o2', symbol: 'SOLUSDT', side: 'Sell', positionIdx: 1, orderType: 'Market', price: '0', qty: '2', cumExecQty: '0', avgPrice: '', orderStatus: 'Untriggered', reduceOnly: true, triggerPrice: '95' },
+    ];
+
+    test('normalises positions and skips flat legs', async () => {
+        const { adapter } = stubAdapter({
+            'GET /v5/position/list': () => ok({
+                list: [
+                    { symbol: 'SOLUSDT', side: 'Sell', size: '2.5', positionIdx: 2, avgPrice: '100', markPrice: '98', leverage: '10', unrealisedPnl: '5', positionIM: '25', tradeMode: 1 },
+                    { symbol: 'SOLUSDT', side: '', size: '0', positionIdx: 1, avgPrice: '0', markPrice: '98', leverage: '10', unrealisedPnl: '0', positionIM: '0', tradeMode: 0 },
+                ],
+                nextPageCursor: '',
+            }),
+        });
+
+        assert.deepEqual(await adapter.getPositions(), [{
+            instId: 'SOL-USDT', positionSide: 'short', marginMode: 'isolated', size: 2.5, averagePrice: 100,
+            markPrice: 98, leverage: 10, unrealizedPnl: 5, unrealizedPnlRatio: 0.2,
+        }]);
+    });
+
+    test('maps closed P&L by the closing side', async () => {
+        const { adapter, calls } = stubAdapter({
+            'GET /v5/position/closed-pnl': () => ok({
+                list: [
+                    { symbol: 'SOLUSDT', side: 'Sell', closedPnl: '38.9', updatedTime: '1700000000000' },
+                    { symbol: 'BTCUSDT', side: 'Buy', closedPnl: '-12.5', updatedTime: '1700000001000' },
+                ],
+            }),
+        });
+
+        assert.deepEqual(await adapter.getPositionsHistory(null, 5), [
+            { instId: 'SOL-USDT', positionSide: 'long', realizedPnl: 38.9, closedAt: 1700000000000 },
+            { instId: 'BTC-USDT', positionSide: 'short', realizedPnl: -12.5, closedAt: 1700000001000 },
+        ]);
+        assert.equal(calls[0][2].limit, '5');
+    });
+
+    test('reads the unified wallet balance', async () => {
+        const { adapter } = stubAdapter({
+            'GET /v5/account/wallet-balance': () => ok({
+                list: [{ totalEquity: '5000.12', totalAvailableBalance: '4800.5', coin: [{ coin: 'USDT', equity: '5000.12', availableToWithdraw: '4800' }] }],
+            }),
+        });
+        assert.deepEqual(await adapter.getBalance(), { currency: 'USDT', equity: 5000.12, available: 4800.5 });
+    });
+
+    test('splits open orders from conditional stops', async () => {
+        const { adapter } = stubAdapter({ 'GET /v5/order/realtime': () => ok({ list: OPEN_ORDERS, nextPageCursor: '' }) });
+
+        assert.deepEqual(await adapter.getActiveOrders('SOL-USDT'), [{
+            orderId: 'o1', instId: 'SOL-USDT', side: 'buy', positionSide: 'long', orderType: 'limit', price: 99.5,
+            size: 2, filledSize: 0.5, averagePrice: 99.5, state: 'partially_filled', reduceOnly: false,
+        }]);
+        assert.deepEqual(await adapter.getActiveStops('SOL-USDT'), [
+            { stopId: 'o2', type: 'algo', instId: 'SOL-USDT', positionSide: 'long', triggerPrice: 95 },
+        ]);
+    });
+
+    test('looks a finished order up in the order history', async () => {
+        const { adapter, calls } = stubAdapter({
+            'GET /v5/order/realtime': () => ok({ list: [] }),
+            'GET /v5/order/history': (q) => ok({
+                list: q.orderId === 'o9'
+                    ? [{ orderId: 'o9', symbol: 'SOLUSDT', side: 'Sell', positionIdx: 2, orderType: 'Market', price: '0', qty: '1', cumExecQty: '1', avgPrice: '101', orderStatus: 'Filled', reduceOnly: 'true' }]
+                    : [],
+            }),
+        });
+
+        const order = await adapter.getOrder('o9', 'SOL-USDT');
+        assert.deepEqual(order, {
+            orderId: 'o9', instId: 'SOL-USDT', side: 'sell', positionSide: 'short', orderType: 'market', price: null,
+            size: 1, filledSize: 1, averagePrice: 101, state: 'filled', reduceOnly: true,
+        });
+        assert.deepEqual(calls.map(c => c[1]), ['/v5/order/realtime', '/v5/order/history']);
+        await assert.rejects(adapter.getOrder('missing', 'SOL-USDT'), /Order missing not found/);
+    });
+});
+
+// ============================================================
+// Errors
+// ============================================================
+
+describe('BybitAdapter error mapping', () => {
+    test('throws the retCode and message of a rejected request', async () => {
+        const { adapter } = stubAdapter({ 'POST /v5/order/create': () => fail(110007, 'ab not enough for new order') });
+        await assert.rejects(
+            adapter.placeOrder({ instId: 'SOL-USDT', positionSide: 'long', side: 'buy', orderType: 'market', size: 1 }),
+            (err) => {
+                assert.equal(err.code, 110007);
+                assert.equal(err.apiMsg, 'ab not enough for new order');
+                assert.equal(err.message, 'Bybit API error on /v5/order/create: [110007] ab not enough for new order');
+                return true;
+            },
+        );
+    });
+
+    test('treats "not modified" answers as success', async () => {
+        const { adapter, calls } = stubAdapter({
+            'POST /v5/position/set-leverage': () => fail(110043, 'Set leverage not modified'),
+            'POST /v5/account/set-margin-mode': () => fail(110026, 'Cross/isolated margin mode is not modified'),
+        });
+        await adapter.setLeverage('SOL-USDT', 10);
+        await adapter.setMarginMode('isolated');
+
+        assert.deepEqual(calls.map(c => c[2]), [
+            { category: 'linear', symbol: 'SOLUSDT', buyLeverage: '10', sellLeverage: '10' },
+            { setMarginMode: 'ISOLATED_MARGIN' },
+        ]);
+    });
+
+    test('rejects an order or stop answer without an id', async () => {
+        const { adapter } = stubAdapter({ 'POST /v5/order/create': () => ok({}) });
+        await assert.rejects(
+            adapter.placeOrder({ instId: 'SOL-USDT', positionSide: 'long', side: 'buy', orderType: 'market', size: 1 }),
+            /Order placement returned no orderId/,
+        );
+        await assert.rejects(
+            adapter.placeStop({ instId: 'SOL-USDT', positionSide: 'long', size: 1, triggerPrice: 95, type: 'algo' }),
+            /Stop placement returned no id/,
+        );
+    });
+
+    test('passes transport errors through', async () => {
+        const { adapter } = stubAdapter({
+            'GET /v5/market/tickers': () => { throw Object.assign(new Error('timeout of 10000ms exceeded'), { code: 'ECONNABORTED' }); },
+        });
+        await assert.rejects(adapter.getLastPrice('SOL-USDT'), { code: 'ECONNABORTED' });
+    });
+});
+
+// ============================================================
+// Streams
+// ============================================================
+
+describe('BybitAdapter streams', () => {
+    const server = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+    const sockets = [];
+    const subscriptions = [];
+    let acceptAuth = true;
+
+    server.on('connection', (socket) => {
+        sockets.push(socket);
+        socket.on('message', (data) => {
+            const msg = JSON.parse(data);
+            if (msg.op === 'auth') {
+                const [apiKey, expires, signature] = msg.args;
+                const valid = acceptAuth && apiKey === KEY
+                    && signature === crypto.createHmac('sha256', SECRET).update(`GET/realtime${expires}`).digest('hex');
+                socket.send(JSON.stringify({ op: 'auth', success: valid, ret_msg: valid ? '' : 'Invalid signature' }));
+            } else if (msg.op === 'subscribe') {
+                subscriptions.push(...msg.args);
+                socket.send(JSON.stringify({ op: 'subscribe', success: true, ret_msg: '' }));
+            }
+        });
+    });
+
+    const url = () => `ws://127.0.0.1:${server.address().port}`;
+    const push = (topic, data) => sockets.at(-1).send(JSON.stringify({ topic, creationTime: Date.now(), data }));
+    const next = (emitter, event) => new Promise(resolve => emitter.once(event, resolve));
+
+    function streamAdapter() {
+        const ws = new BybitWebSocket({ apiKey: KEY, apiSecret: SECRET, privateUrl: url(), publicUrl: url() });
+        const client = new BybitClient({ apiKey: KEY, apiSecret: SECRET, http: {} });
+        return new BybitAdapter({ client, ws });
+    }
+
+    after(() => {
+        for (const socket of sockets) socket.terminate();
+        server.close();
+    });
+
+    test('authenticates and subscribes to the private topics', async () => {
+        const adapter = streamAdapter();
+        try {
+            await adapter.connectPrivate();
+            assert.equal(adapter.isStreamConnected(), true);
+            await new Promise(resolve => setTimeout(resolve, 50));
+            assert.deepEqual(subscriptions.splice(0), ['order.linear', 'position.linear', 'wallet']);
+        } finally {
+            adapter.close();
+        }
+    });
+
+    test('rejects a refused login', async () => {
+        acceptAuth = false;
+        const adapter = streamAdapter();
+        try {
+            await assert.rejects(adapter.connectPrivate(), /WS auth failed: Invalid signature/);
+        } finally {
+            adapter.close();
+            acceptAuth = true;
+        }
+    });
+
+    test('normalises order, position, wallet and ticker pushes', async () => {
+        const adapter = streamAdapter();
+        try {
+            await adapter.connectPrivate();
+
+            const filled = next(adapter, 'orderFilled');
+            const order = next(adapter, 'order');
+            push('order', [{ orderId: 'o1', symbol: 'SOLUSDT', side: 'Buy', positionIdx: 1, orderType: 'Limit', price: '100', qty: '2', cumExecQty: '2', avgPrice: '100', orderStatus: 'Filled', reduceOnly: false }]);
+            assert.equal((await order).state, 'filled');
+            assert.deepEqual(await filled, {
+                orderId: 'o1', instId: 'SOL-USDT', side: 'buy', positionSide: 'long', orderType: 'limit', price: 100,
+                size: 2, filledSize: 2, averagePrice: 100, state: 'filled', reduceOnly: false,
+            });
+
+            const position = next(adapter, 'position');
+            push('position', [{ symbol: 'SOLUSDT', side: '', size: '0', positionIdx: 1, entryPrice: '100', markPrice: '104', leverage: '10', unrealisedPnl: '0', positionIM: '0', tradeMode: 0 }]);
+            assert.deepEqual(await position, {
+                instId: 'SOL-USDT', positionSide: 'long', marginMode: 'cross', size: 0, averagePrice: 100,
+                markPrice: 104, leverage: 10, unrealizedPnl: 0, unrealizedPnlRatio: null,
+            });
+
+            const account = next(adapter, 'account');
+            push('wallet', [{ totalEquity: '1000', totalAvailableBalance: '900', coin: [] }]);
+            assert.deepEqual(await account, { currency: 'USDT', equity: 1000, available: 900 });
+
+            await adapter.connectPublic();
+            adapter.subscribeTicker('SOL-USDT');
+            const ticker = next(adapter, 'ticker');
+            push('tickers.SOLUSDT', { symbol: 'SOLUSDT', lastPrice: '101.5', markPrice: '101.4' });
+            assert.deepEqual(await ticker, { instId: 'SOL-USDT', last: 101.5, markPrice: 101.4 });
+            await new Promise(resolve => setTimeout(resolve, 50));
+            assert.ok(subscriptions.includes('tickers.SOLUSDT'));
+        } finally {
+            adapter.close();
+        }
+    });
+});
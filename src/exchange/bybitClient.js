@@ -0,0 +1,283 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { bybitTradingLimiter, bybitGeneralLimiter } from '../utils/rateLimit.js';
+
+const BASE_URL = 'https://api.bybit.com';
+const TESTNET_BASE_URL = 'https://api-testnet.bybit.com';
+const RECV_WINDOW = '5000';
+const CATEGORY = 'linear';
+
+/** "Not modified" codes: the account is already in the requested state */
+const NOT_MODIFIED_CODES = new Set([
+    110025, // position mode
+    110026, // cross/isolated margin mode
+    110043, // leverage
+]);
+
+/**
+ * Bybit v5 REST client for USDT perpetuals (category `linear`) on a unified
+ * trading account. Methods take Bybit symbols (e.g. "BTCUSDT") and return the
+ * raw `result` objects — BybitAdapter translates them.
+ */
+export class BybitClient {
+    /**
+     * @param {object} config
+     * @param {string} config.apiKey
+     * @param {string} config.apiSecret
+     * @param {boolean} [config.testnet=false]
+     * @param {string} [config.baseUrl] - REST host (defaults to mainnet / testnet by `testnet`)
+     * @param {import('axios').AxiosInstance} [config.http] - Transport with axios' get/post (a mock in tests)
+     */
+    constructor({ apiKey, apiSecret, testnet = false, baseUrl, http }) {
+        this.apiKey = apiKey;
+        this.apiSecret = apiSecret;
+        this.baseUrl = baseUrl || (testnet ? TESTNET_BASE_URL : BASE_URL);
+        this.testnet = testnet;
+
+        this.http = http || axios.create({
+            baseURL: this.baseUrl,
+            timeout: 10000,
+            headers: { 'Content-Type': 'application/json' },
+        });
+
+        logger.info('BybitClient', `Initialized (${testnet ? 'TESTNET' : 'LIVE'} mode)`);
+    }
+
+    // ============================================================
+    // Authentication
+    // ============================================================
+
+    /**
+     * Generate authentication headers: HMAC-SHA256 of timestamp + key + recv window + payload.
+     * @param {string} payload - Query string (GET) or JSON body (POST)
+     * @returns {object} Headers object
+     */
+    _signRequest(payload = '') {
+        const timestamp = Date.now().toString();
+        const signature = crypto
+            .createHmac('sha256', this.apiSecret)
+            .update(timestamp + this.apiKey + RECV_WINDOW + payload)
+            .digest('hex');
+
+        return {
+            'X-BAPI-API-KEY': this.apiKey,
+            'X-BAPI-SIGN': signature,
+            'X-BAPI-SIGN-TYPE': '2',
+            'X-BAPI-TIMESTAMP': timestamp,
+            'X-BAPI-RECV-WINDOW': RECV_WINDOW,
+        };
+    }
+
+    /**
+     * Make an authenticated GET request.
+     * @param {string} path
+     * @param {object} [params={}]
+     * @param {boolean} [isTrading=false]
+     * @returns {Promise<object>}
+     */
+    async get(path, params = {}, isTrading = false) {
+        const limiter = isTrading ? bybitTradingLimiter : bybitGeneralLimiter;
+        await limiter.acquire();
+
+        const queryString = Object.entries(params)
+            .filter(([, v]) => v !== undefined && v !== null)
+            .map(([k, v]) => `${k}=${encodeURIComponent(v)}`)
+            .join('&');
+
+        const fullPath = queryString ? `${path}?${queryString}` : path;
+        // Public market data works without keys
+        const headers = this.apiSecret ? this._signRequest(queryString) : {};
+
+        logger.audit('API_REQUEST', 'BybitClient', { method: 'GET', path: fullPath, params });
+
+        try {
+            const startMs = Date.now();
+            const response = await this.http.get(fullPath, { headers });
+            const elapsed = Date.now() - startMs;
+            logger.audit('API_RESPONSE', 'BybitClient', { method: 'GET', path: fullPath, status: response.status, code: response.data?.retCode, elapsed: `${elapsed}ms` });
+            logger.recordEvent('api', `GET ${path} → ${response.data?.retCode === 0 ? '✓' : '✗'} (${elapsed}ms)`);
+            this._checkResponse(response.data, path);
+            return response.data;
+        } catch (error) {
+            this._handleError(error, 'GET', path);
+        }
+    }
+
+    /**
+     * Make an authenticated POST request.
+     * @param {string} path
+     * @param {object} body
+     * @param {boolean} [isTrading=true]
+     * @returns {Promise<object>}
+     */
+    async post(path, body, isTrading = true) {
+        const limiter = isTrading ? bybitTradingLimiter : bybitGeneralLimiter;
+        await limiter.acquire();
+
+        // Sign the exact string that is sent
+        const bodyStr = JSON.stringify(body);
+        const headers = this._signRequest(bodyStr);
+
+        logger.audit('API_REQUEST', 'BybitClient', { method: 'POST', path, body });
+
+        try {
+            const startMs = Date.now();
+            const response = await this.http.post(path, bodyStr, { headers });
+            const elapsed = Date.now() - startMs;
+            logger.audit('API_RESPONSE', 'BybitClient', { method: 'POST', path, status: response.status, code: response.data?.retCode, responseData: response.data?.result, elapsed: `${elapsed}ms` });
+            logger.recordEvent('api', `POST ${path} → ${response.data?.retCode === 0 ? '✓' : '✗'} (${elapsed}ms)`, body);
+            this._checkResponse(response.data, path);
+            return response.data;
+        } catch (error) {
+            this._handleError(error, 'POST', path);
+        }
+    }
+
+    _checkResponse(data, path) {
+        if (data?.retCode !== 0 && !NOT_MODIFIED_CODES.has(data?.retCode)) {
+            const err = new Error(`Bybit API error on ${path}: [${data?.retCode}] ${data?.retMsg}`);
+            err.code = data?.retCode;
+            err.apiMsg = data?.retMsg;
+            throw err;
+        }
+    }
+
+    _handleError(error, method, path) {
+        const errDetails = error.response
+            ? { status: error.response.status, data: error.response.data }
+            : { message: error.message };
+
+        logger.error('BybitClient', `${method} ${path} failed`, errDetails);
+        logger.audit('API_ERROR', 'BybitClient', { method, path, ...errDetails });
+        logger.recordEvent('error', `${method} ${path} failed: ${error.response?.data?.retMsg || error.message}`);
+        throw error;
+    }
+
+    /**
+     * GET every page of a cursor-paginated list.
+     * @returns {Promise<object[]>} Concatenated `result.list`
+     */
+    async _getAll(path, params, isTrading = false) {
+        const rows = [];
+        let cursor;
+        do {
+            const res = await this.get(path, { ...params, cursor }, isTrading);
+            rows.push(...(res.result?.list || []));
+            cursor = res.result?.nextPageCursor || undefined;
+        } while (cursor);
+        return rows;
+    }
+
+    // ============================================================
+    // Account Endpoints
+    // ============================================================
+
+    /** Get the unified account wallet (equity, available balance, per-coin detail). */
+    async getWalletBalance() {
+        const res = await this.get('/v5/account/wallet-balance', { accountType: 'UNIFIED' });
+        return res.result?.list?.[0] || null;
+    }
+
+    /** Get positions for a symbol, or every USDT-settled position. */
+    async getPositions(symbol = null) {
+        const params = symbol ? { category: CATEGORY, symbol } : { category: CATEGORY, settleCoin: 'USDT' };
+        return this._getAll('/v5/position/list', { ...params, limit: 200 }, true);
+    }
+
+    /** Get closed-position P&L records (most recent first). */
+    async getClosedPnl(symbol = null, limit = 10) {
+        const res = await this.get('/v5/position/closed-pnl', { category: CATEGORY, symbol: symbol || undefined, limit }, true);
+        return res.result?.list || [];
+    }
+
+    /**
+     * Set the account margin mode.
+     * @param {'REGULAR_MARGIN'|'ISOLATED_MARGIN'|'PORTFOLIO_MARGIN'} setMarginMode
+     */
+    async setMarginMode(setMarginMode) {
+        const res = await this.post('/v5/account/set-margin-mode', { setMarginMode }, false);
+        return res.result;
+    }
+
+    /** Set buy (long) and sell (short) leverage for a symbol. */
+    async setLeverage(symbol, buyLeverage, sellLeverage = buyLeverage) {
+        const res = await this.post('/v5/position/set-leverage', {
+            category: CATEGORY,
+            symbol,
+            buyLeverage: String(buyLeverage),
+            sellLeverage: String(sellLeverage),
+        }, false);
+        return res.result;
+    }
+
+    /**
+     * Switch USDT perpetuals between one-way (0) and hedge (3) mode.
+     * @param {0|3} mode
+     */
+    async switchPositionMode(mode) {
+        const res = await this.post('/v5/position/switch-mode', { category: CATEGORY, coin: 'USDT', mode }, false);
+        return res.result;
+    }
+
+    // ============================================================
+    // Trading Endpoints
+    // ============================================================
+
+    /**
+     * Place an order. A `triggerPrice` makes it a conditional order.
+     * @param {object} params
+     * @param {string} params.symbol - e.g. "BTCUSDT"
+     * @param {'Buy'|'Sell'} params.side
+     * @param {'Market'|'Limit'} params.orderType
+     * @param {string} params.qty - In base coin
+     * @param {string} [params.price] - Required for limit orders
+     * @param {0|1|2} [params.positionIdx] - 0 one-way, 1 hedge long, 2 hedge short
+     * @param {boolean} [params.reduceOnly]
+     * @param {string} [params.triggerPrice]
+     * @param {1|2} [params.triggerDirection] - 1 triggers when price rises to it, 2 when it falls to it
+     * @param {string} [params.orderLinkId] - Client order ID
+     * @returns {Promise<{ orderId: string, orderLinkId: string }>}
+     */
+    async placeOrder(params) {
+        const body = { category: CATEGORY, ...params };
+        logger.info('BybitClient', `Placing ${params.triggerPrice ? 'conditional ' : ''}${params.orderType} order`, body);
+        const res = await this.post('/v5/order/create', body);
+        return res.result;
+    }
+
+    /** Cancel an active or conditional order by orderId. */
+    async cancelOrder(symbol, orderId) {
+        const res = await this.post('/v5/order/cancel', { category: CATEGORY, symbol, orderId });
+        return res.result;
+    }
+
+    /** Get open orders, including untriggered conditional orders. */
+    async getOpenOrders(symbol = null) {
+        const params = symbol ? { category: CATEGORY, symbol } : { category: CATEGORY, settleCoin: 'USDT' };
+        return this._getAll('/v5/order/realtime', { ...params, limit: 50 }, true);
+    }
+
+    /** Get an order by orderId: live orders first, then order history. */
+    async getOrder(symbol, orderId) {
+        const open = await this.get('/v5/order/realtime', { category: CATEGORY, symbol, orderId }, true);
+        if (open.result?.list?.[0]) return open.result.list[0];
+        const history = await this.get('/v5/order/history', { category: CATEGORY, symbol, orderId }, true);
+        return history.result?.list?.[0] || null;
+    }
+
+    // ============================================================
+    // Public Data
+    // ============================================================
+
+    /** Get every linear instrument (all pages). */
+    async getInstruments() {
+        return this._getAll('/v5/market/instruments-info', { category: CATEGORY, limit: 1000 });
+    }
+
+    /** Get the ticker (last, mark, index price) for a symbol. */
+    async getTicker(symbol) {
+        const res = await this.get('/v5/market/tickers', { category: CATEGORY, symbol });
+        return res.result?.list?.[0] || null;
+    }
+}
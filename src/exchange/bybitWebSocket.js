@@ -0,0 +1,273 @@
+import WebSocket from 'ws';
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { EventEmitter } from 'events';
+
+const WS_PRIVATE_URL = 'wss://stream.bybit.com/v5/private';
+const WS_PUBLIC_URL = 'wss://stream.bybit.com/v5/public/linear';
+const TESTNET_WS_PRIVATE_URL = 'wss://stream-testnet.bybit.com/v5/private';
+const TESTNET_WS_PUBLIC_URL = 'wss://stream-testnet.bybit.com/v5/public/linear';
+
+/**
+ * Bybit v5 streams: the private stream (order, position, wallet topics for
+ * USDT perpetuals) and the public linear stream (tickers). Emits the raw
+ * pushes — 'order', 'position', 'wallet', 'ticker' — for BybitAdapter.
+ */
+export class BybitWebSocket extends EventEmitter {
+    /**
+     * @param {object} config
+     * @param {string} config.apiKey
+     * @param {string} config.apiSecret
+     * @param {boolean} [config.testnet=false]
+     * @param {string} [config.privateUrl] - Overrides the private stream URL (a local stub in tests)
+     * @param {string} [config.publicUrl] - Overrides the public stream URL
+     */
+    constructor({ apiKey, apiSecret, testnet = false, privateUrl, publicUrl }) {
+        super();
+        this.apiKey = apiKey;
+        this.apiSecret = apiSecret;
+        this.privateUrl = privateUrl || (testnet ? TESTNET_WS_PRIVATE_URL : WS_PRIVATE_URL);
+        this.publicUrl = publicUrl || (testnet ? TESTNET_WS_PUBLIC_URL : WS_PUBLIC_URL);
+
+        /** @type {WebSocket|null} */
+        this.privateWs = null;
+        /** @type {WebSocket|null} */
+        this.publicWs = null;
+
+        /** @type {{ private: Set<string>, public: Set<string> }} Subscribed topics, replayed on reconnect */
+        this._subscriptions = { private: new Set(), public: new Set() };
+
+        this._reconnectDelay = 1000;
+        this._maxReconnectDelay = 30000;
+        this._isClosing = false;
+    }
+
+    // ============================================================
+    // Connections
+    // ============================================================
+
+    connectPrivate() {
+        return this._connect('private', this.privateUrl, true);
+    }
+
+    connectPublic() {
+        return this._connect('public', this.publicUrl, false);
+    }
+
+    _connect(type, url, authenticate) {
+        return new Promise((resolve, reject) => {
+            const ws = new WebSocket(url);
+
+            ws.on('open', async () => {
+                logger.info('BybitWS', `${type} WebSocket connected`);
+                this._reconnectDelay = 1000;
+                this._startHeartbeat(ws, type);
+
+                try {
+                    if (authenticate) await this._authenticate(ws);
+                    this._resubscribe(type);
+                    resolve();
+                } catch (err) {
+                    reject(err);
+                }
+            });
+
+            ws.on('message', (data) => {
+                try {
+                    this._handleMessage(JSON.parse(data.toString()));
+                } catch {
+                    // Non-JSON frame
+                }
+            });
+
+            ws.on('close', (code) => {
+                logger.warn('BybitWS', `${type} WebSocket closed (code: ${code})`);
+                this._stopHeartbeat(type);
+                if (!this._isClosing) {
+                    this._scheduleReconnect(type, url, authenticate);
+                }
+            });
+
+            ws.on('error', (err) => {
+                logger.error('BybitWS', `${type} WebSocket error: ${err.message}`);
+                if (ws.readyState !== WebSocket.OPEN) reject(err);
+            });
+
+            if (type === 'private') this.privateWs = ws;
+            else this.publicWs = ws;
+        });
+    }
+
+    /** Sign `GET/realtime<expires>` with the API secret. */
+    _authenticate(ws) {
+        return new Promise((resolve, reject) => {
+            const expires = Date.now() + 10000;
+            const signature = crypto
+                .createHmac('sha256', this.apiSecret)
+                .update(`GET/realtime${expires}`)
+                .digest('hex');
+
+            const timeout = setTimeout(() => reject(new Error('WS auth timeout')), 10000);
+
+            const handler = (data) => {
+                try {
+                    const msg = JSON.parse(data.toString());
+                    if (msg.op === 'auth') {
+                        clearTimeout(timeout);
+                        ws.removeListener('message', handler);
+                        if (msg.success) {
+                            logger.info('BybitWS', 'Authenticated successfully');
+                            resolve();
+                        } else {
+                            reject(new Error(`WS auth failed: ${msg.ret_msg}`));
+                        }
+                    }
+                } catch { /* ignore parse errors */ }
+            };
+
+            ws.on('message', handler);
+            ws.send(JSON.stringify({ op: 'auth', args: [this.apiKey, expires, signature] }));
+        });
+    }
+
+    // ============================================================
+    // Subscriptions
+    // ============================================================
+
+    /** Subscribe to order updates for USDT perpetuals (private). */
+    subscribeOrders() {
+        this._subscribe('private', ['order.linear']);
+    }
+
+    /** Subscribe to position updates for USDT perpetuals (private). */
+    subscribePositions() {
+        this._subscribe('private', ['position.linear']);
+    }
+
+    /** Subscribe to wallet (balance) updates (private). */
+    subscribeWallet() {
+        this._subscribe('private', ['wallet']);
+    }
+
+    /** Subscribe to ticker updates (public). */
+    subscribeTicker(symbol) {
+        this._subscribe('public', [`tickers.${symbol}`]);
+    }
+
+    /** Unsubscribe from ticker updates (public). */
+    unsubscribeTicker(symbol) {
+        this._unsubscribe('public', [`tickers.${symbol}`]);
+    }
+
+    /**
+     * Record topics and subscribe if the socket is open.
+     * Recorded topics are replayed whenever the socket (re)connects.
+     * @param {'private'|'public'} type
+     * @param {string[]} topics
+     */
+    _subscribe(type, topics) {
+        for (const topic of topics) this._subscriptions[type].add(topic);
+
+        const ws = type === 'private' ? this.privateWs : this.publicWs;
+        if (!ws || ws.readyState !== WebSocket.OPEN) {
+            logger.warn('BybitWS', `${type} WebSocket not connected — subscription queued`, topics);
+            return;
+        }
+        ws.send(JSON.stringify({ op: 'subscribe', args: topics }));
+        logger.debug('BybitWS', 'Subscribed', topics);
+    }
+
+    _unsubscribe(type, topics) {
+        for (const topic of topics) this._subscriptions[type].delete(topic);
+
+        const ws = type === 'private' ? this.privateWs : this.publicWs;
+        if (!ws || ws.readyState !== WebSocket.OPEN) return;
+        ws.send(JSON.stringify({ op: 'unsubscribe', args: topics }));
+        logger.debug('BybitWS', 'Unsubscribed', topics);
+    }
+
+    _resubscribe(type) {
+        const topics = [...this._subscriptions[type]];
+        if (topics.length === 0) return;
+        const ws = type === 'private' ? this.privateWs : this.publicWs;
+        ws.send(JSON.stringify({ op: 'subscribe', args: topics }));
+        logger.info('BybitWS', `Restored ${topics.length} ${type} subscription(s)`);
+    }
+
+    // ============================================================
+    // Message Handling
+    // ============================================================
+
+    _handleMessage(msg) {
+        if (msg.op === 'subscribe') {
+            if (!msg.success) logger.warn('BybitWS', `Subscription failed: ${msg.ret_msg}`);
+            return;
+        }
+        if (!msg.topic || !msg.data) return;
+
+        const [topic] = msg.topic.split('.');
+        const rows = Array.isArray(msg.data) ? msg.data : [msg.data];
+
+        switch (topic) {
+            case 'order':
+                for (const order of rows) this.emit('order', order);
+                break;
+
+            case 'position':
+                for (const pos of rows) this.emit('position', pos);
+                break;
+
+            case 'wallet':
+                for (const wallet of rows) this.emit('wallet', wallet);
+                break;
+
+            case 'tickers':
+                for (const ticker of rows) this.emit('ticker', ticker);
+                break;
+
+            default:
+                this.emit('data', { topic: msg.topic, data: msg.data });
+        }
+    }
+
+    // ============================================================
+    // Heartbeat & Reconnection
+    // ============================================================
+
+    _startHeartbeat(ws, type) {
+        const key = `_heartbeat_${type}`;
+        this[key] = setInterval(() => {
+            if (ws.readyState === WebSocket.OPEN) {
+                ws.send(JSON.stringify({ op: 'ping' }));
+            }
+        }, 20000); // Bybit recommends a ping every 20s
+    }
+
+    _stopHeartbeat(type) {
+        const key = `_heartbeat_${type}`;
+        if (this[key]) {
+            clearInterval(this[key]);
+            this[key] = null;
+        }
+    }
+
+    _scheduleReconnect(type, url, authenticate) {
+        logger.info('BybitWS', `Reconnecting ${type} in ${this._reconnectDelay}ms...`);
+        setTimeout(() => {
+            this._connect(type, url, authenticate).catch(err => {
+                logger.error('BybitWS', `Reconnection failed: ${err.message}`);
+            });
+        }, this._reconnectDelay);
+        this._reconnectDelay = Math.min(this._reconnectDelay * 2, this._maxReconnectDelay);
+    }
+
+    /** Gracefully close all connections. */
+    close() {
+        this._isClosing = true;
+        this._stopHeartbeat('private');
+        this._stopHeartbeat('public');
+        if (this.privateWs) this.privateWs.close();
+        if (this.publicWs) this.publicWs.close();
+        logger.info('BybitWS', 'All WebSocket connections closed');
+    }
+}
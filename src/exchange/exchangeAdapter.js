@@ -0,0 +1,284 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Normalized exchange shapes. Instruments use the app-wide `BASE-QUOTE` IDs
+ * (e.g. "BTC-USDT") whatever the exchange calls them, and every size is in the
+ * instrument's contracts (see instruments.js — one contract is `contractValue` coins).
+ */
+
+/**
+ * @typedef {object} Balance
+ * @property {string} currency - Settlement currency, e.g. 'USDT'
+ * @property {number} equity - Account equity including unrealized P&L
+ * @property {number} available - Free margin for new orders
+ */
+
+/**
+ * @typedef {object} Position
+ * @property {string} instId
+ * @property {'long'|'short'|'net'} positionSide
+ * @property {'cross'|'isolated'} marginMode
+ * @property {number} size - Open contracts, absolute (0 in the push that reports it flat)
+ * @property {number} averagePrice
+ * @property {number|null} markPrice
+ * @property {number|null} leverage
+ * @property {number} unrealizedPnl
+ * @property {number|null} unrealizedPnlRatio - Return on margin (0.1 = 10%), when the exchange reports margin
+ */
+
+/**
+ * @typedef {object} ClosedPosition
+ * @property {string} instId
+ * @property {'long'|'short'|'net'} positionSide
+ * @property {number} realizedPnl
+ * @property {number|null} closedAt - ms
+ */
+
+/**
+ * @typedef {object} Order
+ * @property {string} orderId
+ * @property {string} instId
+ * @property {'buy'|'sell'} side
+ * @property {'long'|'short'|'net'} positionSide
+ * @property {'market'|'limit'} orderType
+ * @property {number|null} price - Limit price
+ * @property {number} size
+ * @property {number} filledSize
+ * @property {number|null} averagePrice - Average fill price
+ * @property {'live'|'partially_filled'|'filled'|'canceled'} state
+ * @property {boolean} reduceOnly
+ */
+
+/**
+ * @typedef {object} StopOrder
+ * @property {string} stopId
+ * @property {'tpsl'|'algo'} type
+ * @property {string} instId
+ * @property {'long'|'short'|'net'} positionSide
+ * @property {number|null} triggerPrice
+ */
+
+/**
+ * @typedef {object} Ticker
+ * @property {string} instId
+ * @property {number} last - NaN when a push carried no last price
+ * @property {number|null} markPrice
+ */
+
+/**
+ * The interface OrderEngine trades through, so the engine, risk guard and
+ * stop manager never see an exchange's own method names or response shapes.
+ *
+ * Subclasses wrap one exchange's REST client and WebSocket and translate in
+ * both directions. Reads resolve to the normalized shapes above; writes
+ * resolve once the exchange has accepted the request and reject with the
+ * exchange's error otherwise.
+ *
+ * Events:
+ *   'order' Order, 'orderFilled' Order, 'position' Position,
+ *   'account' Balance, 'ticker' Ticker
+ */
+export class ExchangeAdapter extends EventEmitter {
+    /**
+     * @param {string} name - Label for logs and the dashboard, e.g. 'Blofin'
+     */
+    constructor(name) {
+        super();
+        this.name = name;
+    }
+
+    _notImplemented(method) {
+        return new Error(`${this.name} adapter does not implement ${method}()`);
+    }
+
+    // ============================================================
+    // Streams
+    // ============================================================
+
+    /** Open the authenticated stream and subscribe to orders, positions and the account. */
+    async connectPrivate() {
+        throw this._notImplemented('connectPrivate');
+    }
+
+    /** Open the public stream that carries tickers. */
+    async connectPublic() {
+        throw this._notImplemented('connectPublic');
+    }
+
+    /** @returns {boolean} True while the private stream is open */
+    isStreamConnected() {
+        return false;
+    }
+
+    /** @param {string} instId */
+    subscribeTicker(instId) { }
+
+    /** @param {string} instId */
+    unsubscribeTicker(instId) { }
+
+    /** Close every stream. */
+    close() { }
+
+    // ============================================================
+    // Account
+    // ============================================================
+
+    /** @returns {Promise<import('./instruments.js').Instrument[]>} Tradable USDT perpetuals */
+    async getInstruments() {
+        throw this._notImplemented('getInstruments');
+    }
+
+    /** @returns {Promise<Balance>} */
+    async getBalance() {
+        throw this._notImplemented('getBalance');
+    }
+
+    /**
+     * @param {string} [instId] - All instruments when omitted
+     * @returns {Promise<Position[]>} Open positions only
+     */
+    async getPositions(instId) {
+        throw this._notImplemented('getPositions');
+    }
+
+    /**
+     * @param {string} [instId]
+     * @param {number} [limit=10]
+     * @returns {Promise<ClosedPosition[]>} Newest first
+     */
+    async getPositionsHistory(instId, limit = 10) {
+        throw this._notImplemented('getPositionsHistory');
+    }
+
+    /** @param {'cross'|'isolated'} marginMode */
+    async setMarginMode(marginMode) {
+        throw this._notImplemented('setMarginMode');
+    }
+
+    /**
+     * @param {string} instId
+     * @param {number} leverage
+     * @param {'cross'|'isolated'} marginMode
+     * @param {'long'|'short'|'net'} [positionSide='net']
+     */
+    async setLeverage(instId, leverage, marginMode, positionSide = 'net') {
+        throw this._notImplemented('setLeverage');
+    }
+
+    // ============================================================
+    // Trading
+    // ============================================================
+
+    /**
+     * Place a market or limit order.
+     * @param {object} params
+     * @param {string} params.instId
+     * @param {'cross'|'isolated'} params.marginMode
+     * @param {'long'|'short'|'net'} params.positionSide
+     * @param {'buy'|'sell'} params.side
+     * @param {'market'|'limit'} params.orderType
+     * @param {number} params.size - Contracts
+     * @param {number} [params.price] - Required for limit orders
+     * @param {boolean} [params.reduceOnly=false]
+     * @param {string} [params.clientOrderId]
+     * @returns {Promise<string>} orderId
+     */
+    async placeOrder(params) {
+        throw this._notImplemented('placeOrder');
+    }
+
+    /**
+     * @param {string} orderId
+     * @param {string} instId
+     */
+    async cancelOrder(orderId, instId) {
+        throw this._notImplemented('cancelOrder');
+    }
+
+    /**
+     * Place a reduce-only market stop for a position.
+     * @param {object} params
+     * @param {string} params.instId
+     * @param {'cross'|'isolated'} params.marginMode
+     * @param {'long'|'short'} params.positionSide
+     * @param {number} params.size - Contracts
+     * @param {number} params.triggerPrice
+     * @param {'tpsl'|'algo'} params.type - Position TP/SL or trigger order, where the exchange distinguishes them
+     * @returns {Promise<string>} stopId
+     */
+    async placeStop(params) {
+        throw this._notImplemented('placeStop');
+    }
+
+    /**
+     * @param {{ instId: string, stopId: string, type: 'tpsl'|'algo' }} stop
+     */
+    async cancelStop(stop) {
+        throw this._notImplemented('cancelStop');
+    }
+
+    /**
+     * @param {string} [instId]
+     * @returns {Promise<Order[]>} Resting (unfilled) orders
+     */
+    async getActiveOrders(instId) {
+        throw this._notImplemented('getActiveOrders');
+    }
+
+    /**
+     * @param {string} [instId]
+     * @returns {Promise<StopOrder[]>} Untriggered stops of both types
+     */
+    async getActiveStops(instId) {
+        throw this._notImplemented('getActiveStops');
+    }
+
+    /**
+     * @param {string} orderId
+     * @param {string} instId
+     * @returns {Promise<Order>} Rejects if the exchange does not know the order
+     */
+    async getOrder(orderId, instId) {
+        throw this._notImplemented('getOrder');
+    }
+
+    /**
+     * Market-close every side of a position.
+     * @param {string} instId
+     * @param {'cross'|'isolated'} marginMode
+     */
+    async closePosition(instId, marginMode) {
+        throw this._notImplemented('closePosition');
+    }
+
+    // ============================================================
+    // Market Data
+    // ============================================================
+
+    /**
+     * @param {string} instId
+     * @returns {Promise<number|null>}
+     */
+    async getMarkPrice(instId) {
+        throw this._notImplemented('getMarkPrice');
+    }
+
+    /**
+     * @param {string} instId
+     * @returns {Promise<number|null>}
+     */
+    async getLastPrice(instId) {
+        throw this._notImplemented('getLastPrice');
+    }
+}
+
+/**
+ * Parse an exchange number field ('' / undefined → null).
+ * @param {string|number|null|undefined} value
+ * @returns {number|null}
+ */
+export function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const n = parseFloat(value);
+    return isNaN(n) ? null : n;
+}
@@ -0,0 +1,113 @@
+/**
+ * Blofin instrument metadata and the rounding rules it implies.
+ *
+ * Order sizes on Blofin are in contracts (not coins): one contract is
+ * `contractValue` coins, sizes must be a multiple of `lotSize` and at least
+ * `minSize`, and prices must be a multiple of `tickSize`.
+ */
+
+/**
+ * @typedef {object} Instrument
+ * @property {string} instId
+ * @property {number} contractValue - Coins per contract
+ * @property {number} lotSize - Size increment (contracts)
+ * @property {number} minSize - Minimum order size (contracts)
+ * @property {number} tickSize - Price increment
+ * @property {number} maxLeverage
+ */
+
+/**
+ * Normalize a raw `/market/instruments` entry.
+ * @param {object} raw
+ * @returns {Instrument}
+ */
+export function normalizeInstrument(raw) {
+    const num = (v) => {
+        const n = parseFloat(v);
+        return n > 0 ? n : null;
+    };
+    return {
+        instId: raw.instId,
+        contractValue: num(raw.contractValue) || 1,
+        lotSize: num(raw.lotSize),
+        minSize: num(raw.minSize),
+        tickSize: num(raw.tickSize),
+        maxLeverage: num(raw.maxLeverage),
+    };
+}
+
+function decimalsOf(step) {
+    const s = String(step);
+    const exp = s.match(/e-(\d+)$/);
+    if (exp) return parseInt(exp[1], 10) + (s.split('e')[0].split('.')[1]?.length || 0);
+    const dot = s.indexOf('.');
+    return dot === -1 ? 0 : s.length - dot - 1;
+}
+
+/**
+ * Round a value to a multiple of `step` without float noise.
+ * @param {number} value
+ * @param {number} step
+ * @param {'round'|'floor'|'ceil'} [mode='round']
+ * @returns {number}
+ */
+export function roundToStep(value, step, mode = 'round') {
+    if (!(step > 0)) return value;
+    const units = value / step;
+    const n = mode === 'floor' ? Math.floor(units + 1e-9)
+        : mode === 'ceil' ? Math.ceil(units - 1e-9)
+            : Math.round(units);
+    return parseFloat((n * step).toFixed(decimalsOf(step)));
+}
+
+/**
+ * Round a price to the instrument's tick size.
+ * Falls back to 6 significant digits when metadata is unknown.
+ * @param {Instrument|undefined} inst
+ * @param {number} price
+ * @param {'round'|'floor'|'ceil'} [mode='round']
+ * @returns {number}
+ */
+export function roundPrice(inst, price, mode = 'round') {
+    if (!inst?.tickSize) return parseFloat(price.toPrecision(6));
+    return roundToStep(price, inst.tickSize, mode);
+}
+
+/**
+ * Round a contract count down to the instrument's lot size.
+ * Falls back to 4 significant digits when metadata is unknown.
+ * @param {Instrument|undefined} inst
+ * @param {number} contracts
+ * @returns {number}
+ */
+export function roundSize(inst, contracts) {
+    if (!inst?.lotSize) return parseFloat(contracts.toPrecision(4));
+    return roundToStep(contracts, inst.lotSize, 'floor');
+}
+
+/**
+ * Convert a USDT notional at a price into a lot-rounded contract count.
+ * @param {Instrument|undefined} inst
+ * @param {number} notional
+ * @param {number} price
+ * @returns {number}
+ */
+export function contractsForNotional(inst, notional, price) {
+    return roundSize(inst, notional / price / (inst?.contractValue || 1));
+}
+
+/**
+ * Check a contract count against the instrument's minimum order size.
+ * @param {Instrument|undefined} inst
+ * @param {number} contracts
+ * @returns {{ valid: boolean, reason?: string }}
+ */
+export function checkMinSize(inst, contracts) {
+    if (!(contracts > 0)) {
+        return { valid: false, reason: `Order size rounds to 0 contracts${inst?.lotSize ? ` (lot size ${inst.lotSize})` : ''}` };
+    }
+    if (inst?.minSize && contracts < inst.minSize) {
+        return { valid: false, reason: `Order size ${contracts} is below the minimum ${inst.minSize} contracts for ${inst.instId}` };
+    }
+    return { valid: true };
+}
@@ -0,0 +1,101 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    normalizeInstrument, roundToStep, roundPrice, roundSize, contractsForNotional, checkMinSize,
+} from './instruments.js';
+
+// Shapes as /market/instruments returns them (strings)
+const BTC = normalizeInstrument({ instId: 'BTC-USDT', contractValue: '0.001', lotSize: '0.1', minSize: '0.1', tickSize: '0.1', maxLeverage: '150' });
+const FOGO = normalizeInstrument({ instId: 'FOGO-USDT', contractValue: '10', lotSize: '1', minSize: '5', tickSize: '0.00001', maxLeverage: '25' });
+const PEPE = normalizeInstrument({ instId: 'PEPE-USDT', contractValue: '1000000', lotSize: '1', minSize: '1', tickSize: '1e-9', maxLeverage: '50' });
+
+describe('normalizeInstrument', () => {
+    test('parses numbers and defaults the contract value to 1', () => {
+        assert.deepEqual(BTC, { instId: 'BTC-USDT', contractValue: 0.001, lotSize: 0.1, minSize: 0.1, tickSize: 0.1, maxLeverage: 150 });
+        assert.deepEqual(normalizeInstrument({ instId: 'X-USDT', contractValue: '0', lotSize: '' }), {
+            instId: 'X-USDT', contractValue: 1, lotSize: null, minSize: null, tickSize: null, maxLeverage: null,
+        });
+    });
+});
+
+describe('roundToStep', () => {
+    test('rounds without float noise', () => {
+        assert.equal(roundToStep(0.1 + 0.2, 0.1), 0.3);
+        assert.equal(roundToStep(1.005, 0.01, 'floor'), 1);
+        assert.equal(roundToStep(1.001, 0.01, 'ceil'), 1.01);
+        assert.equal(roundToStep(7, 0.5, 'ceil'), 7);
+    });
+
+    test('handles exponent-notation steps', () => {
+        assert.equal(roundToStep(0.0000012345, 1e-9), 0.000001235);
+        assert.equal(roundToStep(0.0000012345, 5e-7, 'floor'), 0.000001);
+    });
+
+    test('leaves the value alone without a step', () => {
+        assert.equal(roundToStep(1.23456, 0), 1.23456);
+        assert.equal(roundToStep(1.23456, null), 1.23456);
+    });
+});
+
+describe('roundPrice', () => {
+    test('rounds to the tick size', () => {
+        assert.equal(roundPrice(BTC, 65000.06), 65000.1);
+        assert.equal(roundPrice(BTC, 65000.06, 'floor'), 65000);
+        assert.equal(roundPrice(FOGO, 0.0293649), 0.02936);
+        assert.equal(roundPrice(PEPE, 0.0000123456789), 0.000012346);
+    });
+
+    test('falls back to 6 significant digits without metadata', () => {
+        assert.equal(roundPrice(undefined, 0.029364912), 0.0293649);
+        assert.equal(roundPrice({ instId: 'X' }, 65000.061), 65000.1);
+    });
+});
+
+describe('roundSize', () => {
+    test('floors to the lot size', () => {
+        assert.equal(roundSize(BTC, 12.39), 12.3);
+        assert.equal(roundSize(FOGO, 99.99), 99);
+        // A hair under a whole lot from float division still counts as the lot
+        assert.equal(roundSize(BTC, 0.30000000000000004), 0.3);
+        assert.equal(roundSize(BTC, 0.29999999999), 0.3);
+    });
+
+    test('falls back to 4 significant digits without metadata', () => {
+        assert.equal(roundSize(undefined, 12.34567), 12.35);
+    });
+});
+
+describe('contractsForNotional', () => {
+    test('divides by price and contract value', () => {
+        // $1000 of BTC at 65000 = 0.01538 BTC = 15.38 contracts of 0.001 → 15.3
+        assert.equal(contractsForNotional(BTC, 1000, 65000), 15.3);
+        // $100 of FOGO at 0.0293 = 3412.9 coins = 341.29 contracts of 10 → 341
+        assert.equal(contractsForNotional(FOGO, 100, 0.0293), 341);
+        // $50 of PEPE at 0.000012 = 4.17M coins = 4.17 contracts of 1M → 4
+        assert.equal(contractsForNotional(PEPE, 50, 0.000012), 4);
+    });
+
+    test('treats unknown instruments as one coin per contract', () => {
+        assert.equal(contractsForNotional(undefined, 100, 3), 33.33);
+    });
+});
+
+describe('checkMinSize', () => {
+    test('accepts sizes at or above the minimum', () => {
+        assert.deepEqual(checkMinSize(FOGO, 5), { valid: true });
+        assert.deepEqual(checkMinSize(undefined, 0.001), { valid: true });
+    });
+
+    test('rejects sizes below the minimum', () => {
+        assert.deepEqual(checkMinSize(FOGO, 4), {
+            valid: false, reason: 'Order size 4 is below the minimum 5 contracts for FOGO-USDT',
+        });
+    });
+
+    test('rejects sizes that round to zero', () => {
+        assert.deepEqual(checkMinSize(BTC, contractsForNotional(BTC, 5, 65000)), {
+            valid: false, reason: 'Order size rounds to 0 contracts (lot size 0.1)',
+        });
+        assert.equal(checkMinSize(undefined, 0).reason, 'Order size rounds to 0 contracts');
+    });
+});
@@ -0,0 +1,569 @@
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { EventEmitter } from 'events';
+import { normalizeInstrument } from './instruments.js';
+
+/** Instruments listed by the paper exchange unless others are configured. */
+export const DEFAULT_PAPER_INSTRUMENTS = [
+    { instId: 'BTC-USDT', contractValue: '0.001', lotSize: '1', minSize: '1', tickSize: '0.1', maxLeverage: '150' },
+    { instId: 'ETH-USDT', contractValue: '0.01', lotSize: '1', minSize: '1', tickSize: '0.01', maxLeverage: '150' },
+    { instId: 'SOL-USDT', contractValue: '1', lotSize: '1', minSize: '1', tickSize: '0.001', maxLeverage: '100' },
+    { instId: 'XRP-USDT', contractValue: '10', lotSize: '1', minSize: '1', tickSize: '0.0001', maxLeverage: '100' },
+    { instId: 'DOGE-USDT', contractValue: '100', lotSize: '1', minSize: '1', tickSize: '0.00001', maxLeverage: '75' },
+    { instId: 'BNB-USDT', contractValue: '0.01', lotSize: '1', minSize: '1', tickSize: '0.01', maxLeverage: '75' },
+    { instId: 'AVAX-USDT', contractValue: '1', lotSize: '1', minSize: '1', tickSize: '0.001', maxLeverage: '75' },
+    { instId: 'LINK-USDT', contractValue: '1', lotSize: '1', minSize: '1', tickSize: '0.001', maxLeverage: '75' },
+];
+
+/**
+ * Stand-in for BlofinWebSocket. The paper exchange pushes `order`,
+ * `orderFilled`, `position`, `account` and `ticker` events through it.
+ */
+export class PaperWebSocket extends EventEmitter {
+    constructor() {
+        super();
+        this.privateWs = null;
+        this.publicWs = null;
+    }
+
+    async connectPrivate() {
+        this.privateWs = { readyState: 1 };
+        logger.info('PaperWS', 'Private stream ready (paper)');
+    }
+
+    async connectPublic() {
+        this.publicWs = { readyState: 1 };
+        logger.info('PaperWS', 'Public stream ready (paper)');
+    }
+
+    // Every channel is always live on the paper exchange
+    subscribeOrders() { }
+    subscribePositions() { }
+    subscribeAccount() { }
+    subscribeAlgoOrders() { }
+    subscribeTicker() { }
+    unsubscribeTicker() { }
+
+    close() {
+        this.privateWs = null;
+        this.publicWs = null;
+        logger.info('PaperWS', 'Paper streams closed');
+    }
+}
+
+/**
+ * Fully local simulated Blofin exchange implementing the BlofinClient surface.
+ *
+ * Prices come from setPrice() — fed by an operator or a replayed price file
+ * (see PaperPriceFeed). Each tick marks positions, fills crossing limit orders
+ * and fires TP/SL and trigger orders. Fills are all-or-nothing at the limit or
+ * trigger price (market orders at the last price) and pay `feeRate` of notional.
+ * Positions are tracked in long/short (hedge) mode.
+ */
+export class PaperExchange {
+    /**
+     * @param {object} [config]
+     * @param {number} [config.startingBalance=10000] - USDT
+     * @param {number} [config.feeRate=0.0006] - Taker fee per fill
+     * @param {object[]} [config.instruments] - Raw instrument list (Blofin shape)
+     */
+    constructor({ startingBalance = 10000, feeRate = 0.0006, instruments = DEFAULT_PAPER_INSTRUMENTS } = {}) {
+        this.ws = new PaperWebSocket();
+        this.feeRate = feeRate;
+        this.cash = startingBalance;
+        this.marginMode = 'cross';
+
+        /** @type {Map<string, object>} Raw instrument list by instId */
+        this.instruments = new Map(instruments.map(i => [i.instId, i]));
+        /** @type {Map<string, number>} Last price by instId */
+        this.prices = new Map();
+        /** @type {Map<string, object>} Orders by orderId (resting and finished) */
+        this.orders = new Map();
+        /** @type {Map<string, object>} Live TP/SL and trigger orders by id */
+        this.stops = new Map();
+        /** @type {Map<string, object>} Open positions by `instId:positionSide` */
+        this.positions = new Map();
+        /** @type {Map<string, number>} Leverage by `instId:positionSide` */
+        this.leverage = new Map();
+        /** @type {object[]} Closed positions, newest first */
+        this.positionsHistory = [];
+    }
+
+    // ============================================================
+    // Price Stream
+    // ============================================================
+
+    /**
+     * Register an instrument (e.g. one first seen in a replayed price file).
+     * @param {object} raw - Blofin-shaped instrument
+     */
+    addInstrument(raw) {
+        if (!this.instruments.has(raw.instId)) this.instruments.set(raw.instId, raw);
+    }
+
+    /**
+     * Feed a new last price and run matching.
+     * @param {string} instId
+     * @param {number} price
+     */
+    setPrice(instId, price) {
+        price = parseFloat(price);
+        if (!(price > 0)) throw new Error(`Invalid price for ${instId}: ${price}`);
+        this.prices.set(instId, price);
+        this._emit('ticker', { instId, last: String(price), markPrice: String(price), ts: String(Date.now()) });
+
+        this._matchOrders(instId, price);
+        this._triggerStops(instId, price);
+
+        for (const pos of this.positions.values()) {
+            if (pos.instId === instId) this._emit('position', this._positionView(pos));
+        }
+    }
+
+    // ============================================================
+    // Account
+    // ============================================================
+
+    async getBalance() {
+        const equity = this._equity();
+        const available = equity - this._usedMargin();
+        return {
+            totalEquity: String(equity),
+            details: [{
+                currency: 'USDT',
+                equity: String(equity),
+                balance: String(this.cash),
+                available: String(Math.max(available, 0)),
+            }],
+        };
+    }
+
+    async getPositions(instId = null) {
+        return [...this.positions.values()]
+            .filter(p => !instId || p.instId === instId)
+            .map(p => this._positionView(p));
+    }
+
+    async getPositionsHistory(instId = null, limit = 10) {
+        return this.positionsHistory.filter(h => !instId || h.instId === instId).slice(0, limit);
+    }
+
+    async getMarginMode() {
+        return { marginMode: this.marginMode };
+    }
+
+    async setMarginMode(marginMode) {
+        this.marginMode = marginMode;
+        return { marginMode };
+    }
+
+    async getLeverage(instId, marginMode) {
+        return ['long', 'short'].map(positionSide => ({
+            instId, marginMode, positionSide, leverage: String(this.leverage.get(`${instId}:${positionSide}`) || 3),
+        }));
+    }
+
+    async setLeverage(instId, leverage, marginMode, positionSide = 'net') {
+        const sides = positionSide === 'net' ? ['long', 'short'] : [positionSide];
+        for (const side of sides) this.leverage.set(`${instId}:${side}`, parseFloat(leverage));
+        return { instId, leverage: String(leverage), marginMode, positionSide };
+    }
+
+    async getPositionMode() {
+        return { positionMode: 'long_short_mode' };
+    }
+
+    async setPositionMode(positionMode) {
+        return { positionMode };
+    }
+
+    // ============================================================
+    // Trading
+    // ============================================================
+
+    async placeOrder({ instId, marginMode, positionSide, side, orderType, size, price, reduceOnly = false, clientOrderId }) {
+        this._requireInstrument(instId);
+        const contracts = parseFloat(size);
+        if (!(contracts > 0)) throw new Error(`Invalid size: ${size}`);
+        if (orderType === 'limit' && !(parseFloat(price) > 0)) throw new Error('Limit order requires a price');
+
+        const last = this.prices.get(instId);
+        if (orderType === 'market' && !last) throw new Error(`No price for ${instId} — feed one before trading`);
+
+        const order = {
+            orderId: this._id(),
+            clientOrderId: clientOrderId || '',
+            instId,
+            marginMode: marginMode || this.marginMode,
+            positionSide,
+            side,
+            orderType,
+            price: orderType === 'limit' ? String(price) : '',
+            size: String(contracts),
+            reduceOnly: String(Boolean(reduceOnly)),
+            state: 'live',
+            filledSize: '0',
+            averagePrice: '0',
+            createTime: String(Date.now()),
+        };
+
+        if (!reduceOnly) {
+            const refPrice = orderType === 'limit' ? parseFloat(price) : last;
+            const margin = this._notional(instId, contracts, refPrice) / this._leverage(instId, positionSide);
+            const available = this._equity() - this._usedMargin();
+            if (margin > available) throw new Error(`Insufficient balance: need ${margin.toFixed(2)}, available ${available.toFixed(2)}`);
+        } else if (!this.positions.has(`${instId}:${positionSide}`)) {
+            throw new Error(`Reduce-only order rejected: no ${positionSide} position on ${instId}`);
+        }
+
+        this.orders.set(order.orderId, order);
+        logger.info('PaperExchange', `Order ${order.orderId}: ${side} ${contracts} ${instId} ${orderType}${order.price ? ` @ ${order.price}` : ''}`);
+
+        // Market and marketable limit orders fill at once
+        const limit = parseFloat(price);
+        const marketable = orderType === 'market'
+            || (last && (side === 'buy' ? limit >= last : limit <= last));
+        if (marketable) this._fill(order, last);
+        else this._emit('order', { ...order });
+
+        return [{ orderId: order.orderId, clientOrderId: order.clientOrderId, code: '0', msg: '' }];
+    }
+
+    async placeTPSL({ instId, marginMode, positionSide, side, size, tpTriggerPrice, tpOrderPrice, slTriggerPrice, slOrderPrice, reduceOnly = true }) {
+        this._requireInstrument(instId);
+        const stop = {
+            tpslId: this._id(),
+            instId,
+            marginMode: marginMode || this.marginMode,
+            positionSide,
+            side,
+            size: String(size),
+            tpTriggerPrice: tpTriggerPrice ? String(tpTriggerPrice) : null,
+            tpOrderPrice: tpOrderPrice ?? null,
+            slTriggerPrice: slTriggerPrice ? String(slTriggerPrice) : null,
+            slOrderPrice: slOrderPrice ?? null,
+            reduceOnly: String(reduceOnly),
+            state: 'live',
+            createTime: String(Date.now()),
+        };
+        this.stops.set(stop.tpslId, stop);
+        logger.info('PaperExchange', `TPSL ${stop.tpslId}: ${instId} ${positionSide} SL ${stop.slTriggerPrice ?? '—'} TP ${stop.tpTriggerPrice ?? '—'}`);
+        return { tpslId: stop.tpslId, code: '0', msg: '' };
+    }
+
+    async placeAlgoOrder({ instId, marginMode, positionSide, side, size, orderType = 'trigger', triggerPrice, reduceOnly = true }) {
+        this._requireInstrument(instId);
+        const algo = {
+            algoId: this._id(),
+            instId,
+            marginMode: marginMode || this.marginMode,
+            positionSide,
+            side,
+            size: String(size),
+            orderType,
+            triggerPrice: String(triggerPrice),
+            reduceOnly: String(reduceOnly),
+            state: 'live',
+            createTime: String(Date.now()),
+        };
+        this.stops.set(algo.algoId, algo);
+        logger.info('PaperExchange', `Algo ${algo.algoId}: ${instId} ${positionSide} trigger ${algo.triggerPrice}`);
+        return { algoId: algo.algoId, code: '0', msg: '' };
+    }
+
+    async cancelOrder(orderId) {
+        const order = this.orders.get(orderId);
+        if (!order || order.state !== 'live') throw new Error(`Order ${orderId} does not exist or is not live`);
+        order.state = 'canceled';
+        this._emit('order', { ...order });
+        return [{ orderId, code: '0', msg: '' }];
+    }
+
+    async cancelTPSL(tpslId) {
+        if (!this.stops.delete(tpslId)) throw new Error(`TPSL ${tpslId} does not exist`);
+        return [{ tpslId, code: '0', msg: '' }];
+    }
+
+    async cancelAlgoOrder(algoId) {
+        if (!this.stops.delete(algoId)) throw new Error(`Algo order ${algoId} does not exist`);
+        return [{ algoId, code: '0', msg: '' }];
+    }
+
+    async getActiveOrders(instId = null) {
+        return [...this.orders.values()]
+            .filter(o => o.state === 'live' && (!instId || o.instId === instId))
+            .map(o => ({ ...o }));
+    }
+
+    async getActiveTpsl(instId = null) {
+        return [...this.stops.values()].filter(s => s.tpslId && (!instId || s.instId === instId));
+    }
+
+    async getActiveAlgoOrders(instId = null) {
+        return [...this.stops.values()].filter(s => s.algoId && (!instId || s.instId === instId));
+    }
+
+    async getOrderDetail(orderId) {
+        const order = this.orders.get(orderId);
+        if (!order) throw new Error(`Order ${orderId} does not exist`);
+        return [{ ...order }];
+    }
+
+    /**
+     * Market-close positions. An empty instId closes every position.
+     */
+    async closePositions(instId, marginMode) {
+        const targets = [...this.positions.values()].filter(p => !instId || p.instId === instId);
+        for (const pos of targets) {
+            this._closeAtMarket(pos, pos.size, 'close-position');
+        }
+        return [{ instId, marginMode, code: '0', msg: '' }];
+    }
+
+    // ============================================================
+    // Public Data
+    // ============================================================
+
+    async getInstruments() {
+        return [...this.instruments.values()];
+    }
+
+    async getTicker(instId) {
+        const last = this.prices.get(instId);
+        if (!last) throw new Error(`No price for ${instId}`);
+        return [{ instId, last: String(last) }];
+    }
+
+    async getMarkPrice(instId) {
+        const last = this.prices.get(instId);
+        if (!last) throw new Error(`No price for ${instId}`);
+        return [{ instId, markPrice: String(last) }];
+    }
+
+    // ============================================================
+    // Matching
+    // ============================================================
+
+    _matchOrders(instId, price) {
+        for (const order of [...this.orders.values()]) {
+            if (order.instId !== instId || order.state !== 'live' || order.orderType !== 'limit') continue;
+            const limit = parseFloat(order.price);
+            if (order.side === 'buy' ? price <= limit : price >= limit) {
+                this._fill(order, limit);
+            }
+        }
+    }
+
+    _triggerStops(instId, price) {
+        for (const [id, stop] of [...this.stops]) {
+            if (stop.instId !== instId || !this.stops.has(id)) continue;
+            const isLong = stop.positionSide === 'long';
+            // Stops trigger against the position, take-profits in its favour
+            const stopTrigger = parseFloat(stop.slTriggerPrice ?? stop.triggerPrice);
+            const tpTrigger = parseFloat(stop.tpTriggerPrice);
+            const hitStop = stopTrigger > 0 && (isLong ? price <= stopTrigger : price >= stopTrigger);
+            const hitTp = tpTrigger > 0 && (isLong ? price >= tpTrigger : price <= tpTrigger);
+            if (!hitStop && !hitTp) continue;
+
+            this.stops.delete(id);
+            const pos = this.positions.get(`${instId}:${stop.positionSide}`);
+            if (!pos) continue;
+
+            const size = parseFloat(stop.size);
+            const contracts = size > 0 ? Math.min(size, pos.size) : pos.size;
+            logger.info('PaperExchange', `${hitStop ? 'Stop' : 'Take-profit'} ${id} triggered: ${instId} @ ${price}`);
+            this._emit('algoOrder', { ...stop, state: 'effective', actualPrice: String(price) });
+            this._closeAtMarket(pos, contracts, id);
+        }
+    }
+
+    _closeAtMarket(pos, contracts, reason) {
+        const order = {
+            orderId: this._id(),
+            clientOrderId: '',
+            instId: pos.instId,
+            marginMode: pos.marginMode,
+            positionSide: pos.positionSide,
+            side: pos.positionSide === 'long' ? 'sell' : 'buy',
+            orderType: 'market',
+            price: '',
+            size: String(contracts),
+            reduceOnly: 'true',
+            state: 'live',
+            filledSize: '0',
+            averagePrice: '0',
+            createTime: String(Date.now()),
+            source: reason,
+        };
+        this.orders.set(order.orderId, order);
+        this._fill(order, this.prices.get(pos.instId));
+    }
+
+    /**
+     * Fill an order completely at `price`, update the position and cash, and push events.
+     */
+    _fill(order, price) {
+        const { instId, positionSide } = order;
+        const key = `${instId}:${positionSide}`;
+        const isOpening = (order.side === 'buy') === (positionSide === 'long');
+        let contracts = parseFloat(order.size);
+        let pnl = 0;
+
+        let pos = this.positions.get(key);
+        if (isOpening) {
+            if (!pos) {
+                pos = {
+                    instId,
+                    positionSide,
+                    marginMode: order.marginMode,
+                    size: 0,
+                    averagePrice: 0,
+                    realizedPnl: 0,
+                    leverage: this._leverage(instId, positionSide),
+                    openTime: Date.now(),
+                };
+                this.positions.set(key, pos);
+            }
+            pos.averagePrice = (pos.averagePrice * pos.size + price * contracts) / (pos.size + contracts);
+            pos.size += contracts;
+        } else {
+            if (!pos) {
+                order.state = 'canceled';
+                this._emit('order', { ...order });
+                return;
+            }
+            contracts = Math.min(contracts, pos.size);
+            const direction = positionSide === 'long' ? 1 : -1;
+            pnl = (price - pos.averagePrice) * this._coins(instId, contracts) * direction;
+            pos.size -= contracts;
+        }
+
+        const fee = this._notional(instId, contracts, price) * this.feeRate;
+        this.cash += pnl - fee;
+        if (pos) pos.realizedPnl += pnl - fee;
+
+        Object.assign(order, {
+            state: 'filled',
+            filledSize: String(contracts),
+            averagePrice: String(price),
+            fee: String(-fee),
+            pnl: String(pnl),
+            updateTime: String(Date.now()),
+        });
+        logger.info('PaperExchange', `Filled ${order.orderId}: ${order.side} ${contracts} ${instId} @ ${price}${pnl ? ` | PnL ${pnl.toFixed(2)}` : ''}`);
+
+        this._emit('order', { ...order });
+        this._emit('orderFilled', { ...order });
+
+        if (pos.size <= 1e-12) {
+            this._finishPosition(pos, price);
+            this._emit('position', { ...this._positionView(pos), positions: '0' });
+        } else {
+            this._emit('position', this._positionView(pos));
+        }
+        this._emit('account', this._accountView());
+    }
+
+    /** Record a closed position and drop its reduce-only orders and stops. */
+    _finishPosition(pos, closePrice) {
+        this.positions.delete(`${pos.instId}:${pos.positionSide}`);
+        this.positionsHistory.unshift({
+            instId: pos.instId,
+            positionSide: pos.positionSide,
+            marginMode: pos.marginMode,
+            openAveragePrice: String(pos.averagePrice),
+            closeAveragePrice: String(closePrice),
+            realizedPnl: String(pos.realizedPnl),
+            leverage: String(pos.leverage),
+            createTime: String(pos.openTime),
+            updateTime: String(Date.now()),
+        });
+
+        for (const [id, stop] of [...this.stops]) {
+            if (stop.instId === pos.instId && stop.positionSide === pos.positionSide) this.stops.delete(id);
+        }
+        for (const order of this.orders.values()) {
+            if (order.state === 'live' && order.reduceOnly === 'true'
+                && order.instId === pos.instId && order.positionSide === pos.positionSide) {
+                order.state = 'canceled';
+                this._emit('order', { ...order });
+            }
+        }
+        logger.info('PaperExchange', `Position closed: ${pos.instId} ${pos.positionSide} | realized ${pos.realizedPnl.toFixed(2)}`);
+    }
+
+    // ============================================================
+    // Helpers
+    // ============================================================
+
+    _requireInstrument(instId) {
+        if (!this.instruments.has(instId)) throw new Error(`Instrument ${instId} does not exist`);
+    }
+
+    _coins(instId, contracts) {
+        return contracts * normalizeInstrument(this.instruments.get(instId) || { instId }).contractValue;
+    }
+
+    _notional(instId, contracts, price) {
+        return this._coins(instId, contracts) * price;
+    }
+
+    _leverage(instId, positionSide) {
+        return this.leverage.get(`${instId}:${positionSide}`) || 3;
+    }
+
+    _unrealizedPnl(pos) {
+        const mark = this.prices.get(pos.instId) ?? pos.averagePrice;
+        const direction = pos.positionSide === 'long' ? 1 : -1;
+        return (mark - pos.averagePrice) * this._coins(pos.instId, pos.size) * direction;
+    }
+
+    _usedMargin() {
+        let used = 0;
+        for (const pos of this.positions.values()) {
+            used += this._notional(pos.instId, pos.size, pos.averagePrice) / pos.leverage;
+        }
+        return used;
+    }
+
+    _equity() {
+        let upl = 0;
+        for (const pos of this.positions.values()) upl += this._unrealizedPnl(pos);
+        return this.cash + upl;
+    }
+
+    _positionView(pos) {
+        const mark = this.prices.get(pos.instId) ?? pos.averagePrice;
+        const upl = this._unrealizedPnl(pos);
+        const margin = this._notional(pos.instId, pos.size, pos.averagePrice) / pos.leverage;
+        return {
+            instId: pos.instId,
+            positionSide: pos.positionSide,
+            marginMode: pos.marginMode,
+            positions: String(pos.size),
+            averagePrice: String(pos.averagePrice),
+            markPrice: String(mark),
+            leverage: String(pos.leverage),
+            margin: String(margin),
+            unrealizedPnl: String(upl),
+            unrealizedPnlRatio: String(margin > 0 ? upl / margin : 0),
+        };
+    }
+
+    _accountView() {
+        const equity = this._equity();
+        return {
+            totalEquity: String(equity),
+            details: [{ currency: 'USDT', equity: String(equity), available: String(Math.max(equity - this._usedMargin(), 0)) }],
+        };
+    }
+
+    _id() {
+        return `paper-${crypto.randomBytes(6).toString('hex')}`;
+    }
+
+    /** Push events asynchronously, like a socket would, so callers see their own results first. */
+    _emit(event, data) {
+        setImmediate(() => this.ws.emit(event, data));
+    }
+}
@@ -0,0 +1,151 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { PaperExchange } from './paperExchange.js';
+
+const SOL = { instId: 'SOL-USDT', contractValue: '1', lotSize: '1', minSize: '1', tickSize: '0.01', maxLeverage: '50' };
+const XRP = { instId: 'XRP-USDT', contractValue: '10', lotSize: '1', minSize: '1', tickSize: '0.0001', maxLeverage: '50' };
+
+const round = (n) => Math.round(parseFloat(n) * 1e6) / 1e6;
+
+describe('PaperExchange', () => {
+    let ex;
+    beforeEach(async () => {
+        ex = new PaperExchange({ startingBalance: 1000, feeRate: 0.001, instruments: [SOL, XRP] });
+        await ex.setLeverage('SOL-USDT', 10, 'cross');
+        await ex.setLeverage('XRP-USDT', 10, 'cross');
+        ex.setPrice('SOL-USDT', 100);
+        ex.setPrice('XRP-USDT', 1);
+    });
+
+    const buy = (instId, size, orderType = 'market', price) =>
+        ex.placeOrder({ instId, positionSide: 'long', side: 'buy', orderType, size, price });
+
+    describe('limit orders', () => {
+        test('rest until the price crosses and fill at the limit', async () => {
+            const [{ orderId }] = await buy('SOL-USDT', 2, 'limit', 98);
+            assert.equal((await ex.getOrderDetail(orderId))[0].state, 'live');
+
+            ex.setPrice('SOL-USDT', 98.5);
+            assert.equal((await ex.getOrderDetail(orderId))[0].state, 'live');
+
+            ex.setPrice('SOL-USDT', 97);
+            const [order] = await ex.getOrderDetail(orderId);
+            assert.equal(order.state, 'filled');
+            assert.equal(order.averagePrice, '98');
+            assert.equal((await ex.getPositions('SOL-USDT'))[0].positions, '2');
+        });
+
+        test('fill at once at the last price when marketable', async () => {
+            const [{ orderId }] = await buy('SOL-USDT', 2, 'limit', 105);
+            const [order] = await ex.getOrderDetail(orderId);
+            assert.equal(order.state, 'filled');
+            assert.equal(order.averagePrice, '100');
+        });
+
+        test('average into an open position', async () => {
+            await buy('SOL-USDT', 2);
+            await buy('SOL-USDT', 2, 'limit', 90);
+            ex.setPrice('SOL-USDT', 90);
+            const [pos] = await ex.getPositions('SOL-USDT');
+            assert.equal(pos.positions, '4');
+            assert.equal(pos.averagePrice, '95');
+        });
+    });
+
+    describe('stops and take-profits', () => {
+        test('a long stop fires at or below its trigger and closes at the last price', async () => {
+            await buy('SOL-USDT', 2);
+            const { tpslId } = await ex.placeTPSL({ instId: 'SOL-USDT', positionSide: 'long', side: 'sell', size: '-1', slTriggerPrice: 95 });
+
+            ex.setPrice('SOL-USDT', 96);
+            assert.equal((await ex.getActiveTpsl()).length, 1);
+
+            ex.setPrice('SOL-USDT', 94);
+            assert.deepEqual(await ex.getPositions(), []);
+            assert.equal(ex.stops.has(tpslId), false);
+            const [history] = await ex.getPositionsHistory('SOL-USDT');
+            assert.equal(history.closeAveragePrice, '94');
+        });
+
+        test('a short take-profit fires in its favour and leaves the rest open', async () => {
+            await ex.placeOrder({ instId: 'SOL-USDT', positionSide: 'short', side: 'sell', orderType: 'market', size: 4 });
+            await ex.placeAlgoOrder({ instId: 'SOL-USDT', positionSide: 'short', side: 'buy', size: 1, triggerPrice: 105 });
+            await ex.placeTPSL({ instId: 'SOL-USDT', positionSide: 'short', side: 'buy', size: 3, tpTriggerPrice: 90 });
+
+            ex.setPrice('SOL-USDT', 91);
+            assert.equal((await ex.getPositions())[0].positions, '4');
+
+            ex.setPrice('SOL-USDT', 89);
+            assert.equal((await ex.getPositions())[0].positions, '1');
+            // The stop trigger stays armed for what is left
+            assert.equal((await ex.getActiveAlgoOrders('SOL-USDT')).length, 1);
+        });
+
+        test('closing the position drops its remaining stops and reduce-only orders', async () => {
+            await buy('SOL-USDT', 2);
+            await ex.placeTPSL({ instId: 'SOL-USDT', positionSide: 'long', side: 'sell', size: '-1', slTriggerPrice: 90 });
+            const [{ orderId }] = await ex.placeOrder({
+                instId: 'SOL-USDT', positionSide: 'long', side: 'sell', orderType: 'limit', size: 2, price: 120, reduceOnly: true,
+            });
+
+            await ex.closePositions('SOL-USDT', 'cross');
+            assert.deepEqual(await ex.getActiveTpsl(), []);
+            assert.equal((await ex.getOrderDetail(orderId))[0].state, 'canceled');
+        });
+    });
+
+    describe('P&L accounting', () => {
+        test('charges fees on both legs and books realized P&L into cash', async () => {
+            await buy('SOL-USDT', 2);
+            ex.setPrice('SOL-USDT', 110);
+            await ex.closePositions('SOL-USDT', 'cross');
+
+            // +20 gross, fees 0.2 in and 0.22 out
+            const [history] = await ex.getPositionsHistory();
+            assert.equal(round(history.realizedPnl), 19.58);
+            const balance = await ex.getBalance();
+            assert.equal(round(balance.totalEquity), 1019.58);
+            assert.equal(round(balance.details[0].available), 1019.58);
+        });
+
+        test('scales P&L and margin by the contract value', async () => {
+            await buy('XRP-USDT', 100);
+            ex.setPrice('XRP-USDT', 1.1);
+
+            // 100 contracts × 10 XRP: +0.1 × 1000 = 100 unrealized, margin 1000 / 10x
+            const [pos] = await ex.getPositions('XRP-USDT');
+            assert.equal(round(pos.unrealizedPnl), 100);
+            assert.equal(round(pos.margin), 100);
+            assert.equal(round(pos.unrealizedPnlRatio), 1);
+            assert.equal(round((await ex.getBalance()).totalEquity), 1099);
+        });
+
+        test('a short loses as the price rises', async () => {
+            await ex.placeOrder({ instId: 'SOL-USDT', positionSide: 'short', side: 'sell', orderType: 'market', size: 2 });
+            ex.setPrice('SOL-USDT', 105);
+            await ex.placeOrder({ instId: 'SOL-USDT', positionSide: 'short', side: 'buy', orderType: 'market', size: 2, reduceOnly: true });
+
+            const [history] = await ex.getPositionsHistory();
+            assert.equal(round(history.realizedPnl), round(-10 - 0.2 - 0.21));
+        });
+    });
+
+    describe('order checks', () => {
+        test('rejects orders beyond the available margin', async () => {
+            await assert.rejects(buy('SOL-USDT', 101), /Insufficient balance: need 1010.00, available 1000.00/);
+        });
+
+        test('rejects reduce-only orders without a position', async () => {
+            await assert.rejects(
+                ex.placeOrder({ instId: 'SOL-USDT', positionSide: 'long', side: 'sell', orderType: 'market', size: 1, reduceOnly: true }),
+                /no long position on SOL-USDT/,
+            );
+        });
+
+        test('rejects unknown instruments and market orders without a price', async () => {
+            await assert.rejects(buy('FOO-USDT', 1), /Instrument FOO-USDT does not exist/);
+            ex.addInstrument({ ...SOL, instId: 'NEW-USDT' });
+            await assert.rejects(buy('NEW-USDT', 1), /No price for NEW-USDT/);
+        });
+    });
+});
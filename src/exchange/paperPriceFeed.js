@@ -0,0 +1,91 @@
+import { readFileSync } from 'fs';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Replays a recorded price file into a PaperExchange.
+ *
+ * The file is CSV with one tick per line — `instId,price` or
+ * `timestamp,instId,price` (a header row and `#` comments are skipped).
+ * Ticks are fed every `intervalMs`; with `loop` the file restarts at the end.
+ */
+export class PaperPriceFeed {
+    /**
+     * @param {import('./paperExchange.js').PaperExchange} exchange
+     * @param {object} [options]
+     * @param {number} [options.intervalMs=1000]
+     * @param {boolean} [options.loop=false]
+     */
+    constructor(exchange, { intervalMs = 1000, loop = false } = {}) {
+        this.exchange = exchange;
+        this.intervalMs = intervalMs;
+        this.loop = loop;
+
+        /** @type {{ instId: string, price: number }[]} */
+        this.ticks = [];
+        this.position = 0;
+        this._timer = null;
+    }
+
+    /**
+     * Load ticks from a CSV file.
+     * @param {string} path
+     * @returns {number} Number of ticks loaded
+     */
+    load(path) {
+        this.ticks = [];
+        this.position = 0;
+
+        for (const raw of readFileSync(path, 'utf-8').split(/\r?\n/)) {
+            const line = raw.trim();
+            if (!line || line.startsWith('#')) continue;
+            const cols = line.split(',').map(c => c.trim());
+            const [instId, price] = cols.length >= 3 ? cols.slice(1, 3) : cols;
+            const value = parseFloat(price);
+            if (!instId || !(value > 0)) continue; // header or malformed row
+            this.ticks.push({ instId: instId.toUpperCase(), price: value });
+        }
+
+        // Make replayed symbols tradable (1 coin per contract, no tick rule)
+        for (const instId of new Set(this.ticks.map(t => t.instId))) {
+            this.exchange.addInstrument({ instId, contractValue: '1', lotSize: '1', minSize: '1', maxLeverage: '50' });
+        }
+
+        logger.info('PaperFeed', `Loaded ${this.ticks.length} ticks from ${path}`);
+        return this.ticks.length;
+    }
+
+    /**
+     * Feed the next tick.
+     * @returns {boolean} False when the file is exhausted
+     */
+    step() {
+        if (this.position >= this.ticks.length) {
+            if (!this.loop || this.ticks.length === 0) return false;
+            this.position = 0;
+        }
+        const { instId, price } = this.ticks[this.position++];
+        try {
+            this.exchange.setPrice(instId, price);
+        } catch (err) {
+            logger.warn('PaperFeed', `Tick ${instId} @ ${price} rejected: ${err.message}`);
+        }
+        return true;
+    }
+
+    start() {
+        if (this._timer) return;
+        logger.info('PaperFeed', `Replaying ${this.ticks.length} ticks every ${this.intervalMs}ms${this.loop ? ' (looping)' : ''}`);
+        this._timer = setInterval(() => {
+            if (!this.step()) {
+                logger.info('PaperFeed', 'Price replay finished');
+                this.stop();
+            }
+        }, this.intervalMs);
+    }
+
+    stop() {
+        if (!this._timer) return;
+        clearInterval(this._timer);
+        this._timer = null;
+    }
+}
@@ -1,11 +1,23 @@
 import 'dotenv/config';
 import { logger } from './utils/logger.js';
-import { initDatabase, getPreferences, updatePreferences } from './config/preferenceManager.js';
+import {
+    initDatabase, getPreferences, getChannelConfigs, saveChannelConfig, getMonitoredChannels, getLastMessageId,
+} from './config/preferenceManager.js';
 import { BlofinClient } from './exchange/blofinClient.js';
 import { BlofinWebSocket } from './exchange/blofinWebSocket.js';
+import { BlofinAdapter } from './exchange/blofinAdapter.js';
+import { BybitClient } from './exchange/bybitClient.js';
+import { BybitWebSocket } from './exchange/bybitWebSocket.js';
+import { BybitAdapter } from './exchange/bybitAdapter.js';
+import { PaperExchange } from './exchange/paperExchange.js';
+import { PaperPriceFeed } from './exchange/paperPriceFeed.js';
 import { DiscordProvider } from './discord/discordProvider.js';
+import { runOpsCommand, runConfirmationAction } from './discord/opsCommands.js';
+import { DiscordNotifier } from './discord/discordNotifier.js';
+import { TelegramProvider } from './telegram/telegramProvider.js';
 import { OrderEngine } from './engine/orderEngine.js';
 import { DashboardServer } from './dashboard/server.js';
+import { WebhookDispatcher } from './webhooks/webhookDispatcher.js';
 
 // ============================================================
 // PerpTrader — Application Entry Point
@@ -26,11 +38,13 @@ async function main() {
 
     // --- 2. Load Config ---
     const prefs = getPreferences();
-    const channelId = process.env.DISCORD_CHANNEL_ID || prefs.channelId;
 
-    // Sync channel ID from env to DB if set
-    if (process.env.DISCORD_CHANNEL_ID && process.env.DISCORD_CHANNEL_ID !== prefs.channelId) {
-        updatePreferences({ channelId: process.env.DISCORD_CHANNEL_ID });
+    // Monitored channels live in channel_config (managed from the dashboard).
+    // The legacy single channel (DISCORD_CHANNEL_ID / saved channelId) seeds it once.
+    const legacyChannelId = process.env.DISCORD_CHANNEL_ID || prefs.channelId;
+    if (legacyChannelId && getChannelConfigs().length === 0) {
+        saveChannelConfig(legacyChannelId, { allowedBotNames: ['AO Trades'] });
+        logger.info('App', `Imported channel ${legacyChannelId} into the channel list — manage channels from the dashboard`);
     }
 
     logger.info('App', 'Configuration loaded', {
@@ -39,6 +53,7 @@ async function main() {
         leverageSource: prefs.leverageSource,
         marginMode: prefs.marginMode,
         trailingStopVariance: prefs.trailingStopVariance,
+        trailingEnabled: prefs.trailingEnabled,
         orderType: prefs.orderType,
         slippagePercent: prefs.slippagePercent,
         useDca: prefs.useDca,
@@ -46,96 +61,244 @@ async function main() {
         autoExecute: prefs.autoExecute,
     });
 
-    // --- 3. Initialize Blofin Client ---
-    const blofinConfig = {
-        apiKey: process.env.BLOFIN_API_KEY,
-        apiSecret: process.env.BLOFIN_API_SECRET,
-        passphrase: process.env.BLOFIN_PASSPHRASE,
-        demoTrading: process.env.BLOFIN_DEMO_TRADING === 'true',
-    };
+    // --- 3. Initialize the exchange: Blofin or Bybit (or the local paper exchange) ---
+    const exchangeMode = process.env.EXCHANGE_MODE === 'paper' ? 'paper' : 'live';
+    const exchangeName = (process.env.EXCHANGE || 'blofin').toLowerCase();
 
-    let blofinClient = null;
-    let blofinWs = null;
+    /** @type {import('./exchange/exchangeAdapter.js').ExchangeAdapter|null} */
+    let exchange = null;
+    let paperExchange = null;
+    let priceFeed = null;
 
-    if (blofinConfig.apiKey && blofinConfig.apiSecret) {
-        blofinClient = new BlofinClient(blofinConfig);
-        blofinWs = new BlofinWebSocket(blofinConfig);
-        logger.recordEvent('system', `Blofin client initialized (${blofinConfig.demoTrading ? 'DEMO' : 'LIVE'} mode)`);
+    if (exchangeMode === 'paper') {
+        paperExchange = new PaperExchange({
+            startingBalance: parseFloat(process.env.PAPER_STARTING_BALANCE || '10000'),
+        });
+        exchange = new BlofinAdapter({ client: paperExchange, ws: paperExchange.ws, name: 'Paper' });
+        await exchange.connectPrivate();
+        await exchange.connectPublic();
 
+        if (process.env.PAPER_PRICE_FILE) {
+            priceFeed = new PaperPriceFeed(paperExchange, {
+                intervalMs: parseInt(process.env.PAPER_PRICE_INTERVAL_MS || '1000'),
+                loop: process.env.PAPER_PRICE_LOOP === 'true',
+            });
+            priceFeed.load(process.env.PAPER_PRICE_FILE);
+        }
+        logger.recordEvent('system', `📝 Paper exchange initialized ($${paperExchange.cash} USDT${priceFeed ? `, replaying ${priceFeed.ticks.length} ticks` : ', prices fed from the dashboard'})`);
+    } else if (exchangeName === 'bybit') {
+        const bybitConfig = {
+            apiKey: process.env.BYBIT_API_KEY,
+            apiSecret: process.env.BYBIT_API_SECRET,
+            testnet: process.env.BYBIT_TESTNET === 'true',
+        };
+        if (bybitConfig.apiKey && bybitConfig.apiSecret) {
+            exchange = new BybitAdapter({ client: new BybitClient(bybitConfig), ws: new BybitWebSocket(bybitConfig) });
+            logger.recordEvent('system', `Bybit client initialized (${bybitConfig.testnet ? 'TESTNET' : 'LIVE'} mode)`);
+        } else {
+            logger.warn('App', 'Bybit API keys not configured — trading disabled');
+            logger.recordEvent('system', '⚠ Bybit API keys not set — monitoring only');
+        }
+    } else if (exchangeName === 'blofin') {
+        const blofinConfig = {
+            apiKey: process.env.BLOFIN_API_KEY,
+            apiSecret: process.env.BLOFIN_API_SECRET,
+            passphrase: process.env.BLOFIN_PASSPHRASE,
+            demoTrading: process.env.BLOFIN_DEMO_TRADING === 'true',
+        };
+        if (blofinConfig.apiKey && blofinConfig.apiSecret) {
+            exchange = new BlofinAdapter({ client: new BlofinClient(blofinConfig), ws: new BlofinWebSocket(blofinConfig) });
+            logger.recordEvent('system', `Blofin client initialized (${blofinConfig.demoTrading ? 'DEMO' : 'LIVE'} mode)`);
+        } else {
+            logger.warn('App', 'Blofin API keys not configured — trading disabled');
+            logger.recordEvent('system', '⚠ Blofin API keys not set — monitoring only');
+        }
+    } else {
+        logger.error('App', `Unknown EXCHANGE "${exchangeName}" — expected blofin or bybit`);
+        logger.recordEvent('error', `Unknown exchange "${exchangeName}" — trading disabled`);
+    }
+
+    if (exchange && exchangeMode === 'live') {
         // Connect WebSocket
         try {
-            await blofinWs.connectPrivate();
-            blofinWs.subscribeOrders();
-            blofinWs.subscribePositions();
-            blofinWs.subscribeAccount();
-            logger.recordEvent('system', 'Blofin WebSocket connected & subscribed');
+            await exchange.connectPrivate();
+            logger.recordEvent('system', `${exchange.name} WebSocket connected & subscribed`);
         } catch (err) {
-            logger.error('App', `Blofin WebSocket connection failed: ${err.message}`);
-            logger.recordEvent('error', `Blofin WebSocket failed: ${err.message}`);
+            logger.error('App', `${exchange.name} WebSocket connection failed: ${err.message}`);
+            logger.recordEvent('error', `${exchange.name} WebSocket failed: ${err.message}`);
+        }
+
+        // Public stream (tickers) drives the trailing stop manager
+        try {
+            await exchange.connectPublic();
+            logger.recordEvent('system', `${exchange.name} public WebSocket connected`);
+        } catch (err) {
+            logger.error('App', `${exchange.name} public WebSocket connection failed: ${err.message}`);
+            logger.recordEvent('error', `${exchange.name} public WebSocket failed: ${err.message}`);
         }
-    } else {
-        logger.warn('App', 'Blofin API keys not configured — trading disabled');
-        logger.recordEvent('system', '⚠ Blofin API keys not set — monitoring only');
     }
 
     // --- 4. Initialize Order Engine ---
-    const orderEngine = new OrderEngine(blofinClient, blofinWs || { on: () => { } });
-    if (blofinClient) {
+    const orderEngine = new OrderEngine(exchange);
+    if (exchange) {
         await orderEngine.initialize();
         logger.recordEvent('system', `Order engine loaded ${orderEngine.instruments.size} instruments`);
+
+        // Match restored state against the exchange before new signals arrive
+        try {
+            const report = await orderEngine.reconcile();
+            logger.recordEvent('system', `Reconciliation: ${report.summary}`);
+            for (const line of report.lines) logger.recordEvent('system', `Reconcile: ${line}`);
+            for (const warning of report.warnings) logger.recordEvent('error', `Reconcile: ${warning}`);
+        } catch (err) {
+            logger.error('App', `Reconciliation failed: ${err.message}`);
+            logger.recordEvent('error', `Reconciliation failed: ${err.message}`);
+        }
+    }
+    const riskState = orderEngine.riskGuard.state;
+    if (riskState.halted) {
+        logger.warn('App', `Trading is risk-halted since ${riskState.haltedAt}: ${riskState.haltReason}`);
+        logger.recordEvent('error', `⛔ Risk halted: ${riskState.haltReason} — resume from the dashboard`);
     }
 
-    // --- 5. Initialize Discord ---
+    // Start replaying prices once the engine is listening
+    priceFeed?.start();
+
+    // --- 5. Initialize signal providers (SIGNAL_PROVIDERS=discord,telegram) ---
+    const enabledProviders = new Set(
+        (process.env.SIGNAL_PROVIDERS || 'discord').split(',').map(p => p.trim().toLowerCase()).filter(Boolean)
+    );
+
+    // Every provider feeds the engine the same message / messageEdit payloads
+    const attachProvider = (provider) => {
+        provider.on('message', (msg) => {
+            logger.recordEvent('signal', `${msg.backfilled ? 'Backfilled' : provider.name} message from ${msg.author} in #${msg.channelName || msg.channelId}: ${msg.content.slice(0, 80)}`);
+            logger.audit('SIGNAL_RECEIVED', provider.name, { author: msg.author, content: msg.content, channelId: msg.channelId, guildId: msg.guildId, backfilled: Boolean(msg.backfilled) });
+            orderEngine.processMessage(msg).catch((err) => {
+                logger.error('App', `Processing ${provider.name} message ${msg.messageId} failed: ${err.message}`);
+            });
+        });
+
+        provider.on('messageEdit', (msg) => {
+            logger.recordEvent('signal', `Message edited${msg.backfilled ? ' (backfilled)' : ''}: ${msg.messageId}`);
+            logger.audit('MESSAGE_EDITED', provider.name, { messageId: msg.messageId, content: msg.content?.slice(0, 200), backfilled: Boolean(msg.backfilled) });
+            orderEngine.processMessageEdit(msg).catch((err) => {
+                logger.error('App', `Processing edit of ${msg.messageId} failed: ${err.message}`);
+            });
+        });
+
+        provider.on('disconnected', () => {
+            logger.recordEvent('error', `${provider.name} disconnected`);
+        });
+    };
+
     let discordProvider = null;
     const discordToken = process.env.DISCORD_BOT_TOKEN;
 
-    if (discordToken && channelId) {
-        discordProvider = new DiscordProvider({ token: discordToken, channelId, allowedBotNames: ['AO Trades'] });
+    if (discordToken && enabledProviders.has('discord')) {
+        discordProvider = new DiscordProvider({
+            token: discordToken,
+            channels: getMonitoredChannels(),
+            allowedBotNames: ['AO Trades'],
+            getLastMessageId,
+            opsChannelId: process.env.DISCORD_OPS_CHANNEL_ID || null,
+            opsRoleId: process.env.DISCORD_OPS_ROLE_ID || null,
+        });
 
         discordProvider.on('connected', (tag) => {
-            logger.recordEvent('system', `Discord connected as ${tag}`);
+            logger.recordEvent('system', `Discord connected as ${tag} — monitoring ${discordProvider.channels.size} channel(s)`);
         });
 
-        discordProvider.on('message', (msg) => {
-            logger.recordEvent('signal', `Discord message from ${msg.author}: ${msg.content.slice(0, 80)}`);
-            logger.audit('SIGNAL_RECEIVED', 'Discord', { author: msg.author, content: msg.content, channelId: msg.channelId });
-            orderEngine.processMessage(msg);
+        attachProvider(discordProvider);
+
+        discordProvider.on('reconnected', () => {
+            logger.recordEvent('system', 'Discord reconnected — backfilling missed messages');
         });
 
-        discordProvider.on('messageEdit', (msg) => {
-            logger.recordEvent('signal', `Message edited: ${msg.messageId}`);
-            logger.audit('MESSAGE_EDITED', 'Discord', { messageId: msg.messageId, content: msg.content?.slice(0, 200) });
-            orderEngine.processMessageEdit(msg);
+        discordProvider.on('backfill', ({ channelId, name, messages, edits }) => {
+            logger.recordEvent('system', `Backfilled #${name || channelId}: ${messages} missed message(s), ${edits} edit(s)`);
         });
 
-        discordProvider.on('disconnected', () => {
-            logger.recordEvent('error', 'Discord disconnected');
+        // Ops channel: approve/reject queued signals and run slash commands from Discord
+        orderEngine.on('confirmRequired', ({ confirmation }) => discordProvider.postConfirmation(confirmation));
+        orderEngine.on('confirmation:decided', (entry) => discordProvider.updateConfirmation(entry));
+
+        const replyFailed = (err) => logger.warn('App', `Discord reply failed: ${err.message}`);
+        discordProvider.on('confirmationAction', ({ reply, ...press }) => {
+            runConfirmationAction(orderEngine, press).then(reply).catch(replyFailed);
         });
 
+        discordProvider.on('command', ({ reply, ...command }) => {
+            logger.recordEvent('system', `Discord /${command.name} by ${command.operator}`);
+            runOpsCommand(orderEngine, command).then(reply).catch(replyFailed);
+        });
+
+        // Fills, failures and closes posted as embeds (toggles & rate limit in the dashboard)
+        const notifyChannelId = process.env.DISCORD_NOTIFY_CHANNEL_ID || process.env.DISCORD_OPS_CHANNEL_ID;
+        if (notifyChannelId) new DiscordNotifier(discordProvider, notifyChannelId).attach(orderEngine);
+
         try {
             await discordProvider.connect();
         } catch (err) {
             logger.error('App', `Discord login failed: ${err.message}`);
             logger.recordEvent('error', `Discord login failed: ${err.message}`);
         }
-    } else {
-        logger.warn('App', 'Discord bot token or channel ID not configured');
+    } else if (enabledProviders.has('discord')) {
+        logger.warn('App', 'Discord bot token not configured');
         logger.recordEvent('system', '⚠ Discord not configured — dashboard only mode');
 
         // Create a stub for the dashboard
         discordProvider = {
             isConnected: () => false,
-            setChannel: () => { },
+            setChannels: () => { },
         };
+    } else {
+        discordProvider = { isConnected: () => false, setChannels: () => { } };
+    }
+
+    let telegramProvider = null;
+    if (enabledProviders.has('telegram')) {
+        if (process.env.TELEGRAM_BOT_TOKEN) {
+            telegramProvider = new TelegramProvider({
+                token: process.env.TELEGRAM_BOT_TOKEN,
+                channels: getMonitoredChannels(),
+                apiBaseUrl: process.env.TELEGRAM_API_BASE_URL || undefined,
+            });
+            attachProvider(telegramProvider);
+
+            telegramProvider.on('connected', (username) => {
+                logger.recordEvent('system', `Telegram connected as ${username} — monitoring ${telegramProvider.channels.size} chat(s)`);
+            });
+            telegramProvider.on('reconnected', () => {
+                logger.recordEvent('system', 'Telegram reconnected — catching up on queued updates');
+            });
+
+            try {
+                await telegramProvider.connect();
+            } catch (err) {
+                logger.error('App', `Telegram login failed: ${err.message}`);
+                logger.recordEvent('error', `Telegram login failed: ${err.message}`);
+            }
+        } else {
+            logger.warn('App', 'Telegram bot token not configured');
+            logger.recordEvent('system', '⚠ Telegram selected but TELEGRAM_BOT_TOKEN is not set');
+        }
     }
 
-    // --- 6. Start Dashboard ---
+    // --- 6. Outbound webhooks (retry queue resumes where it left off) ---
+    const webhooks = new WebhookDispatcher();
+    webhooks.start();
+
+    // --- 7. Start Dashboard ---
     const dashboardPort = parseInt(process.env.DASHBOARD_PORT || '3000');
     const dashboard = new DashboardServer({
         orderEngine,
         discordProvider,
-        blofinWs: blofinWs || { privateWs: null },
-        blofinClient,
+        telegramProvider,
+        webhooks,
+        exchange,
+        paperExchange,
+        exchangeMode,
     });
     dashboard.start(dashboardPort);
 
@@ -146,8 +309,11 @@ async function main() {
         logger.info('App', 'Shutting down...');
         logger.recordEvent('system', 'Shutting down...');
 
+        priceFeed?.stop();
+        webhooks.stop();
         if (discordProvider?.disconnect) await discordProvider.disconnect();
-        if (blofinWs) blofinWs.close();
+        await telegramProvider?.disconnect();
+        exchange?.close();
 
         process.exit(0);
     };
@@ -7,8 +7,11 @@ import crypto from 'crypto';
  * @property {string} ticker - e.g., "FOGO"
  * @property {string} instId - Blofin instrument ID, e.g., "FOGO-USDT"
  * @property {'long'|'short'} side - Trade direction
- * @property {number|null} entryPrice - Suggested entry price
+ * @property {number|null} entryPrice - Suggested entry price (zone midpoint for entry ranges)
+ * @property {number|null} entryLow - Lower bound of an entry range / zone, else null
+ * @property {number|null} entryHigh - Upper bound of an entry range / zone, else null
  * @property {number|null} leverage - Signal-specified leverage (e.g., 25)
+ * @property {number|null} stopLoss - Caller's stop-loss / invalidation price
  * @property {string|null} traderName - The signal caller (e.g., "Haseeb Trade")
  * @property {object[]} tpLevels - Array of { level, price, hit }
  * @property {object[]} dcaLevels - Array of { level, price }
@@ -16,57 +19,205 @@ import crypto from 'crypto';
  * @property {boolean} isClosed - Whether the trade is marked as closed
  * @property {boolean} isTriggered - Whether entry was triggered
  * @property {'new_signal'|'edit_update'} messageType - First seen vs edited
+ * @property {string} format - Name of the registered format that matched
  * @property {string} rawContent - Original message text
  */
 
+// ============================================================
+// Signal Format Registry
+// ============================================================
+
 /**
- * Parse an AO Trading signal from Discord.
- *
- * Handles both the embed body and the header line. The format is:
+ * @typedef {object} SignalFormat
+ * @property {string} name - Unique format name (stored in signal_log.format)
+ * @property {string} [description] - Human-readable summary for the dashboard
+ * @property {(content: string) => object|null} parse - Returns at least { side, ticker } when the
+ *   layout matches, or null. Any other ParsedSignal field returned overrides the shared extractors.
+ */
+
+/** @type {Map<string, SignalFormat>} Registered formats, tried in insertion order */
+const signalFormats = new Map();
+
+/**
+ * Register a signal format. Re-registering an existing name replaces it in place.
+ * @param {SignalFormat} format
+ */
+export function registerSignalFormat(format) {
+    if (!format?.name || typeof format.parse !== 'function') {
+        throw new Error('Signal format requires a name and a parse() function');
+    }
+    signalFormats.set(format.name, format);
+}
+
+/**
+ * Remove a registered signal format.
+ * @param {string} name
+ * @returns {boolean} True if the format existed
+ */
+export function unregisterSignalFormat(name) {
+    return signalFormats.delete(name);
+}
+
+/**
+ * List registered formats in the order parseSignal tries them.
+ * @returns {{ name: string, description: string }[]}
+ */
+export function listSignalFormats() {
+    return [...signalFormats.values()].map(f => ({ name: f.name, description: f.description || '' }));
+}
+
+/**
+ * Normalize a side word ("Long", "BUY", "short") to 'long' | 'short'.
+ * @param {string} word
+ * @returns {'long'|'short'|null}
+ */
+function normalizeSide(word) {
+    const w = word?.toLowerCase();
+    if (w === 'long' || w === 'buy') return 'long';
+    if (w === 'short' || w === 'sell') return 'short';
+    return null;
+}
+
+/**
+ * AO Trades embed layout:
  *   Header: @TraderName 🏦 NEW SIGNAL • TICKER • Entry $PRICE (edited)
  *   Body:   🔴 SHORT SIGNAL - TICKER/USDT
  *           Leverage: 25x • Trader: haseeb1111
  *           Entry: 0.02936 ✅ Triggered
  *           TP1–TP5, DCA1–DCAn, Breakeven, Notes, etc.
- *
- * @param {string} content - Raw message / embed content
- * @param {string} [messageId=''] - Discord message ID
- * @param {Set<string>} [seenMessageIds=null] - Previously processed message IDs (for edit detection)
- * @returns {ParsedSignal|null}
  */
-export function parseSignal(content, messageId = '', seenMessageIds = null) {
-    if (!content || typeof content !== 'string') return null;
-    if (content.length < 10) return null;
+registerSignalFormat({
+    name: 'ao-trades',
+    description: 'AO Trades embeds — "SHORT SIGNAL - FOGO/USDT" / "NEW SIGNAL • FOGO •"',
+    parse(content) {
+        // --- Detect side ---
+        const sideMatch = content.match(/(LONG|SHORT)\s+SIGNAL/i);
+        const side = (sideMatch?.[1] || content.match(/(?:🟢|🔴)?\s*(LONG|SHORT)/i)?.[1])?.toLowerCase();
+        if (!side) return null;
+
+        // --- Extract ticker ---
+        // Primary: "SHORT SIGNAL - FOGO/USDT"
+        const tickerMatch = content.match(/(?:LONG|SHORT)\s+SIGNAL\s*[-–—]\s*([A-Z0-9]+)\/?USDT/i)
+            // Fallback: "NEW SIGNAL • FOGO • Entry"
+            || content.match(/NEW\s+SIGNAL\s*[•·]\s*([A-Z0-9]+)\s*[•·]/i);
+        if (!tickerMatch) return null;
+
+        return { side, ticker: tickerMatch[1].toUpperCase() };
+    },
+});
+
+/**
+ * Labelled-field layout used by most Telegram-style callers:
+ *   Pair: BTC/USDT        (or Coin: / Symbol: / Asset:)
+ *   Direction: Long       (or Side: / Position: / Type:)
+ */
+registerSignalFormat({
+    name: 'labeled-fields',
+    description: 'Key/value lines — "Pair: BTC/USDT" + "Direction: Long"',
+    parse(content) {
+        const pairMatch = content.match(/(?:Pair|Coin|Symbol|Asset)\s*[:\-]\s*[#$]?([A-Z0-9]+?)\s*[\/\-]?\s*USDT/i);
+        const sideMatch = content.match(/(?:Direction|Side|Position|Type)\s*[:\-]\s*(LONG|SHORT|BUY|SELL)\b/i);
+        if (!pairMatch || !sideMatch) return null;
+
+        return { side: normalizeSide(sideMatch[1]), ticker: pairMatch[1].toUpperCase() };
+    },
+});
+
+/**
+ * Single-line headline layout:
+ *   "#BTC/USDT LONG", "$SOLUSDT.P Short 10x", "LONG ETH/USDT", "🟢 Long #PEPEUSDT"
+ */
+registerSignalFormat({
+    name: 'pair-side-line',
+    description: 'Pair and side on one line — "#BTC/USDT LONG" / "SHORT ETHUSDT"',
+    parse(content) {
+        const pair = '[#$]?([A-Z0-9]+?)\\s*\\/?\\s*USDT(?:\\.P)?';
+        const pairFirst = content.match(new RegExp(`${pair}\\b[^\\n]*?\\b(LONG|SHORT)\\b`, 'i'));
+        const sideFirst = content.match(new RegExp(`\\b(LONG|SHORT)\\b[^\\n]*?${pair}\\b`, 'i'));
 
-    // --- Detect side ---
-    const sideMatch = content.match(/(LONG|SHORT)\s+SIGNAL/i);
-    if (!sideMatch) {
-        // Fallback: try header format "NEW SIGNAL • TICKER • Entry"
-        const headerSideMatch = content.match(/(?:🟢|🔴|📊)?\s*(LONG|SHORT)/i);
-        if (!headerSideMatch) {
-            logger.debug('SignalParser', 'No LONG/SHORT SIGNAL found', { preview: content.slice(0, 120) });
+        let headline = null;
+        let ticker = null;
+        let side = null;
+        if (pairFirst && (!sideFirst || pairFirst.index <= sideFirst.index)) {
+            [headline, ticker, side] = pairFirst;
+        } else if (sideFirst) {
+            [headline, side, ticker] = sideFirst;
+        }
+        if (!ticker || !side) return null;
+
+        const result = { side: normalizeSide(side), ticker: ticker.toUpperCase() };
+
+        // Headline leverage without a "Leverage:" label — "#BTC/USDT LONG 20x"
+        const headlineLine = content.split('\n').find(line => line.includes(headline)) || '';
+        const headlineLev = headlineLine.match(/\b(\d+)\s*x\b/i);
+        if (headlineLev && !/(?:Leverage|Lev)\s*[:\-]/i.test(content)) result.leverage = parseInt(headlineLev[1]);
+
+        return result;
+    },
+});
+
+/**
+ * Structured JSON from POST /api/signals/ingest (TradingView alerts, scripts):
+ *   { "instId": "BTC-USDT", "side": "long", "entry": 65000 | [64800, 65200] | "market",
+ *     "sl": 63500, "tps": [66000, 67500], "leverage": 10, "trader": "Desk" }
+ * Every field is taken from the JSON — the shared text extractors don't apply.
+ */
+registerSignalFormat({
+    name: 'json',
+    description: 'Structured JSON — {"instId", "side", "entry", "sl", "tps", "leverage"}',
+    parse(content) {
+        if (!content.trimStart().startsWith('{')) return null;
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch {
             return null;
         }
-    }
-    const side = (sideMatch?.[1] || content.match(/(?:🟢|🔴)?\s*(LONG|SHORT)/i)?.[1])?.toLowerCase();
-    if (!side) return null;
-
-    // --- Extract ticker ---
-    let ticker = null;
-    // Primary: "SHORT SIGNAL - FOGO/USDT"
-    const tickerMatch = content.match(/(?:LONG|SHORT)\s+SIGNAL\s*[-–—]\s*([A-Z0-9]+)\/?USDT/i);
-    if (tickerMatch) {
-        ticker = tickerMatch[1].toUpperCase();
-    } else {
-        // Fallback: "NEW SIGNAL • FOGO • Entry"
-        const headerTickerMatch = content.match(/NEW\s+SIGNAL\s*[•·]\s*([A-Z0-9]+)\s*[•·]/i);
-        if (headerTickerMatch) ticker = headerTickerMatch[1].toUpperCase();
-    }
-    if (!ticker) {
-        logger.debug('SignalParser', 'Could not extract ticker', { preview: content.slice(0, 120) });
-        return null;
-    }
 
+        const side = normalizeSide(data.side);
+        // "BTC-USDT", "BTCUSDT", "BTC/USDT", "BINANCE:BTCUSDT.P", "BTC-USDT-SWAP", "BTC"
+        const ticker = String(data.instId || '').toUpperCase().replace(/^[A-Z]+:/, '')
+            .replace(/\.P$|-SWAP$/, '').replace(/[-\/]?USDT$/, '').replace(/[^A-Z0-9]/g, '');
+        if (!side || !ticker) return null;
+
+        const price = (value) => {
+            const n = parseFloat(value);
+            return Number.isFinite(n) && n > 0 ? n : null;
+        };
+        const range = Array.isArray(data.entry) ? data.entry.map(price).filter(Boolean).sort((a, b) => a - b) : [];
+        const entryLow = range.length === 2 ? range[0] : null;
+        const entryHigh = range.length === 2 ? range[1] : null;
+
+        return {
+            side,
+            ticker,
+            entryPrice: entryLow ? parseFloat(((entryLow + entryHigh) / 2).toPrecision(8)) : (range[0] ?? price(data.entry)),
+            entryLow,
+            entryHigh,
+            leverage: parseInt(data.leverage) || null,
+            // "5%" is not a price (see the text extractor)
+            stopLoss: String(data.sl ?? '').includes('%') ? null : price(data.sl),
+            traderName: data.trader ? String(data.trader) : null,
+            tpLevels: (Array.isArray(data.tps) ? data.tps : [])
+                .map(price).filter(Boolean).map((p, i) => ({ level: i + 1, price: p, hit: false })),
+            dcaLevels: [],
+            finalPnl: null,
+            isClosed: false,
+            isTriggered: false,
+        };
+    },
+});
+
+// ============================================================
+// Shared Field Extractors
+// ============================================================
+
+/**
+ * Extract the fields every format shares (trader, leverage, entry, TPs, DCAs, closure, P&L).
+ * @param {string} content
+ * @returns {object}
+ */
+function extractCommonFields(content) {
     // --- Extract trader name ---
     let traderName = null;
     // From header: "@Haseeb Trade 🏦"
@@ -80,17 +231,44 @@ export function parseSignal(content, messageId = '', seenMessageIds = null) {
     }
 
     // --- Extract leverage ---
+    // "Leverage: 25x", "Lev: Cross 20x", "Leverage: Isolated (10x)"
     let leverage = null;
-    const levMatch = content.match(/Leverage:\s*(\d+)x/i);
+    const levMatch = content.match(/(?:Leverage|Lev)\s*[:\-]?\s*(?:Cross|Isolated)?\s*\(?(\d+)\s*x/i);
     if (levMatch) leverage = parseInt(levMatch[1]);
 
-    // --- Extract entry price ---
+    // --- Extract entry price / range ---
     let entryPrice = null;
-    // "Entry: 0.02936" or "Entry $0.02936" or "Entry: $0.02936"
-    const entryMatch = content.match(/Entry[:\s]*\$?([\d.,]+)/i);
-    if (entryMatch) {
-        entryPrice = parseFloat(entryMatch[1].replace(/,/g, ''));
-        if (isNaN(entryPrice) || entryPrice <= 0) entryPrice = null;
+    let entryLow = null;
+    let entryHigh = null;
+    // "Entry: 0.0290 - 0.0300", "Entry zone 1.20–1.25", "Entry Range: $1.20 to $1.25"
+    const rangeMatch = content.match(/Entry(?:\s*(?:zone|range))?[ \t]*:?[ \t]*\$?([\d.,]+)[ \t]*(?:[-–—~]|to)[ \t]*\$?([\d.,]+)/i);
+    if (rangeMatch) {
+        const a = parseFloat(rangeMatch[1].replace(/,/g, ''));
+        const b = parseFloat(rangeMatch[2].replace(/,/g, ''));
+        if (a > 0 && b > 0 && a !== b) {
+            entryLow = Math.min(a, b);
+            entryHigh = Math.max(a, b);
+            entryPrice = parseFloat(((entryLow + entryHigh) / 2).toPrecision(8));
+        }
+    }
+    if (entryPrice === null) {
+        // "Entry: 0.02936" or "Entry $0.02936" or "Entry: $0.02936" or "Entry zone: 1.20"
+        const entryMatch = content.match(/Entry(?:\s*(?:zone|range))?[:\s]*\$?([\d.,]+)/i);
+        if (entryMatch) {
+            entryPrice = parseFloat(entryMatch[1].replace(/,/g, ''));
+            if (isNaN(entryPrice) || entryPrice <= 0) entryPrice = null;
+        }
+    }
+
+    // --- Extract stop-loss ---
+    // "SL: 0.0305", "Stop Loss: $0.0305", "Stop-loss 0.0305", "Invalidation: 0.0305"
+    // Percentages ("SL: 5%") are not prices — whether of entry or of margin is
+    // ambiguous, so they are skipped and the stop comes from the preferences.
+    let stopLoss = null;
+    const slMatch = content.match(/(?:\bSL|Stop[\s-]*Loss|Invalidation)\s*[:\-]?\s*\$?([\d.,]+)(?![\d.,]|\s*%)/i);
+    if (slMatch) {
+        stopLoss = parseFloat(slMatch[1].replace(/,/g, ''));
+        if (isNaN(stopLoss) || stopLoss <= 0) stopLoss = null;
     }
 
     // --- Extract TP levels ---
@@ -135,6 +313,61 @@ export function parseSignal(content, messageId = '', seenMessageIds = null) {
         || content.match(/P&L:\s*([+-]?[\d.]+%)/i);
     if (pnlMatch) finalPnl = pnlMatch[1];
 
+    return { traderName, leverage, entryPrice, entryLow, entryHigh, stopLoss, tpLevels, dcaLevels, isClosed, isTriggered, finalPnl };
+}
+
+// ============================================================
+// Parsing
+// ============================================================
+
+/**
+ * Parse a trading signal from Discord.
+ *
+ * Registered formats are tried in order (or only those named in `formats`);
+ * the first one that recognises a side and ticker wins and its name is
+ * recorded on the signal. Fields the format doesn't return come from the
+ * shared extractors.
+ *
+ * @param {string} content - Raw message / embed content
+ * @param {string} [messageId=''] - Discord message ID
+ * @param {Set<string>} [seenMessageIds=null] - Previously processed message IDs (for edit detection)
+ * @param {string[]|null} [formats=null] - Format names to try (null = all registered formats)
+ * @returns {ParsedSignal|null}
+ */
+export function parseSignal(content, messageId = '', seenMessageIds = null, formats = null) {
+    if (!content || typeof content !== 'string') return null;
+    if (content.length < 10) return null;
+
+    const candidates = formats?.length
+        ? formats.map(name => signalFormats.get(name)).filter(Boolean)
+        : [...signalFormats.values()];
+
+    let format = null;
+    let matched = null;
+    for (const candidate of candidates) {
+        try {
+            matched = candidate.parse(content);
+        } catch (err) {
+            logger.warn('SignalParser', `Format "${candidate.name}" threw: ${err.message}`);
+            matched = null;
+        }
+        if (matched?.side && matched?.ticker) {
+            format = candidate;
+            break;
+        }
+    }
+
+    if (!format) {
+        logger.debug('SignalParser', 'No signal format matched', {
+            formats: candidates.map(f => f.name),
+            preview: content.slice(0, 120),
+        });
+        return null;
+    }
+
+    const { side, ticker, ...overrides } = matched;
+    const fields = { ...extractCommonFields(content), ...overrides };
+
     // --- Message type: new vs edit ---
     const messageType = (seenMessageIds && seenMessageIds.has(messageId))
         ? 'edit_update'
@@ -144,7 +377,7 @@ export function parseSignal(content, messageId = '', seenMessageIds = null) {
     const instId = `${ticker}-USDT`;
     const signalId = crypto
         .createHash('md5')
-        .update(`${messageId || `${side}-${instId}-${entryPrice}-${Date.now()}`}`)
+        .update(`${messageId || `${side}-${instId}-${fields.entryPrice}-${Date.now()}`}`)
         .digest('hex')
         .slice(0, 12);
 
@@ -153,19 +386,23 @@ export function parseSignal(content, messageId = '', seenMessageIds = null) {
         ticker,
         instId,
         side,
-        entryPrice,
-        leverage,
-        traderName,
-        tpLevels,
-        dcaLevels,
-        finalPnl,
-        isClosed,
-        isTriggered,
+        entryPrice: fields.entryPrice,
+        entryLow: fields.entryLow,
+        entryHigh: fields.entryHigh,
+        leverage: fields.leverage,
+        stopLoss: fields.stopLoss,
+        traderName: fields.traderName,
+        tpLevels: fields.tpLevels,
+        dcaLevels: fields.dcaLevels,
+        finalPnl: fields.finalPnl,
+        isClosed: fields.isClosed,
+        isTriggered: fields.isTriggered,
         messageType,
+        format: format.name,
         rawContent: content,
     };
 
-    logger.info('SignalParser', `Parsed [${messageType}]: ${side.toUpperCase()} ${instId} @ ${entryPrice || 'MARKET'} | Trader: ${traderName} | Lev: ${leverage}x | TPs: ${tpLevels.length} | DCAs: ${dcaLevels.length}`, signal);
+    logger.info('SignalParser', `Parsed [${messageType}/${format.name}]: ${side.toUpperCase()} ${instId} @ ${signal.entryLow ? `${signal.entryLow}–${signal.entryHigh}` : (signal.entryPrice || 'MARKET')} | Trader: ${signal.traderName} | Lev: ${signal.leverage}x | SL: ${signal.stopLoss ?? '—'} | TPs: ${signal.tpLevels.length} | DCAs: ${signal.dcaLevels.length}`, signal);
     return signal;
 }
 
@@ -174,11 +411,12 @@ export function parseSignal(content, messageId = '', seenMessageIds = null) {
  * Compares old and new content to determine what changed.
  * @param {string} oldContent
  * @param {string} newContent
+ * @param {string[]|null} [formats=null] - Format names to try (null = all)
  * @returns {{ tpHits: number[], isClosed: boolean, finalPnl: string|null }}
  */
-export function parseEditDiff(oldContent, newContent) {
-    const oldSignal = parseSignal(oldContent, '', null);
-    const newSignal = parseSignal(newContent, '', null);
+export function parseEditDiff(oldContent, newContent, formats = null) {
+    const oldSignal = parseSignal(oldContent, '', null, formats);
+    const newSignal = parseSignal(newContent, '', null, formats);
 
     const tpHits = [];
     if (newSignal?.tpLevels) {
@@ -198,23 +436,45 @@ export function parseEditDiff(oldContent, newContent) {
 }
 
 /**
- * Validate a parsed signal against known instruments.
+ * Validate a parsed signal against known instruments and, when the current
+ * price is known, against where the market already is:
+ * - the entry (nearest zone edge for a zone; 0 inside it) may be at most
+ *   `maxDriftPercent` away from the current price (0 = no limit)
+ * - with `rejectPastTargets`, price must not already be through TP1 or the stop
  * @param {ParsedSignal} signal
- * @param {Set<string>} knownInstruments
+ * @param {Set<string>|Map<string, object>} knownInstruments - Anything with `has(instId)`
  * @param {number} [currentPrice]
+ * @param {object} [rules]
+ * @param {number} [rules.maxDriftPercent=10]
+ * @param {boolean} [rules.rejectPastTargets=false]
  * @returns {{ valid: boolean, reason?: string }}
  */
-export function validateSignal(signal, knownInstruments, currentPrice = null) {
+export function validateSignal(signal, knownInstruments, currentPrice = null, { maxDriftPercent = 10, rejectPastTargets = false } = {}) {
     if (!signal) return { valid: false, reason: 'Null signal' };
 
     if (!knownInstruments.has(signal.instId)) {
         return { valid: false, reason: `Unknown instrument: ${signal.instId}` };
     }
+    if (!currentPrice) return { valid: true };
 
-    if (signal.entryPrice && currentPrice) {
-        const deviation = Math.abs(signal.entryPrice - currentPrice) / currentPrice;
-        if (deviation > 0.10) {
-            return { valid: false, reason: `Entry price ${signal.entryPrice} deviates ${(deviation * 100).toFixed(1)}% from current ${currentPrice}` };
+    const reference = signal.entryLow && signal.entryHigh
+        ? Math.min(Math.max(currentPrice, signal.entryLow), signal.entryHigh)
+        : signal.entryPrice;
+    if (reference && maxDriftPercent > 0) {
+        const deviation = Math.abs(reference - currentPrice) / currentPrice * 100;
+        if (deviation > maxDriftPercent) {
+            return { valid: false, reason: `Entry ${reference} is ${deviation.toFixed(1)}% from current price ${currentPrice} (max ${maxDriftPercent}%)` };
+        }
+    }
+
+    if (rejectPastTargets) {
+        const isLong = signal.side === 'long';
+        const tp1 = signal.tpLevels?.find(t => t.level === 1)?.price ?? signal.tpLevels?.[0]?.price;
+        if (tp1 && (isLong ? currentPrice >= tp1 : currentPrice <= tp1)) {
+            return { valid: false, reason: `Price ${currentPrice} already past TP1 ${tp1}` };
+        }
+        if (signal.stopLoss && (isLong ? currentPrice <= signal.stopLoss : currentPrice >= signal.stopLoss)) {
+            return { valid: false, reason: `Price ${currentPrice} already through stop ${signal.stopLoss}` };
         }
     }
 
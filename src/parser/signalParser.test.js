@@ -0,0 +1,223 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    parseSignal, parseEditDiff, validateSignal,
+    registerSignalFormat, unregisterSignalFormat, listSignalFormats,
+} from './signalParser.js';
+
+// ============================================================
+// Fixtures — one message per built-in format
+// ============================================================
+
+const AO_TRADES = [
+    '@Haseeb Trade 🏦 NEW SIGNAL • FOGO • Entry $0.02936',
+    '🔴 SHORT SIGNAL - FOGO/USDT',
+    'Leverage: 25x • Trader: haseeb1111',
+    'Entry: 0.02936 ✅ Triggered',
+    'SL: 0.0305',
+    'TP1: 0.0288',
+    'TP2: 0.0280',
+    'DCA1: 0.0300',
+].join('\n');
+
+const LABELED = [
+    'Pair: BTC/USDT',
+    'Direction: Long',
+    'Leverage: Cross 20x',
+    'Entry: 64,800 - 65,200',
+    'Stop Loss: $63,500',
+    'TP1: 66000',
+    'TP2: 67500',
+].join('\n');
+
+const HEADLINE = [
+    '#SOL/USDT SHORT 10x',
+    'Entry: 150',
+    'SL: 158',
+    'TP1: 140',
+].join('\n');
+
+const JSON_SIGNAL = JSON.stringify({
+    instId: 'BINANCE:ETHUSDT.P', side: 'buy', entry: [3000, 3100], sl: 2900, tps: [3200, 3300], leverage: 5, trader: 'Desk',
+});
+
+describe('format registry', () => {
+    test('lists the built-in formats in the order they are tried', () => {
+        assert.deepEqual(listSignalFormats().map(f => f.name), ['ao-trades', 'labeled-fields', 'pair-side-line', 'json']);
+    });
+
+    test('parses the AO Trades embed layout', () => {
+        const signal = parseSignal(AO_TRADES, 'm1');
+        assert.equal(signal.format, 'ao-trades');
+        assert.equal(signal.instId, 'FOGO-USDT');
+        assert.equal(signal.side, 'short');
+        assert.equal(signal.entryPrice, 0.02936);
+        assert.equal(signal.leverage, 25);
+        assert.equal(signal.stopLoss, 0.0305);
+        assert.equal(signal.traderName, 'Haseeb Trade');
+        assert.equal(signal.isTriggered, true);
+        assert.deepEqual(signal.tpLevels.map(t => t.price), [0.0288, 0.028]);
+        assert.deepEqual(signal.dcaLevels, [{ level: 1, price: 0.03 }]);
+    });
+
+    test('parses labelled fields with an entry range', () => {
+        const signal = parseSignal(LABELED, 'm2');
+        assert.equal(signal.format, 'labeled-fields');
+        assert.equal(signal.instId, 'BTC-USDT');
+        assert.equal(signal.side, 'long');
+        assert.equal(signal.entryLow, 64800);
+        assert.equal(signal.entryHigh, 65200);
+        assert.equal(signal.entryPrice, 65000);
+        assert.equal(signal.leverage, 20);
+        assert.equal(signal.stopLoss, 63500);
+    });
+
+    test('parses a pair-and-side headline with its leverage', () => {
+        const signal = parseSignal(HEADLINE, 'm3');
+        assert.equal(signal.format, 'pair-side-line');
+        assert.equal(signal.instId, 'SOL-USDT');
+        assert.equal(signal.side, 'short');
+        assert.equal(signal.leverage, 10);
+        assert.equal(signal.stopLoss, 158);
+    });
+
+    test('parses structured JSON without the text extractors', () => {
+        const signal = parseSignal(JSON_SIGNAL, 'm4', null, ['json']);
+        assert.equal(signal.format, 'json');
+        assert.equal(signal.instId, 'ETH-USDT');
+        assert.equal(signal.side, 'long');
+        assert.equal(signal.entryPrice, 3050);
+        assert.equal(signal.stopLoss, 2900);
+        assert.equal(signal.leverage, 5);
+        assert.equal(signal.traderName, 'Desk');
+        assert.deepEqual(signal.tpLevels.map(t => t.level), [1, 2]);
+    });
+
+    test('only tries the formats it is given', () => {
+        assert.equal(parseSignal(HEADLINE, 'm5', null, ['labeled-fields']), null);
+        assert.equal(parseSignal(LABELED, 'm5', null, ['labeled-fields']).format, 'labeled-fields');
+    });
+
+    test('returns null for chatter', () => {
+        assert.equal(parseSignal('gm everyone, market looks choppy today'), null);
+    });
+
+    test('marks previously seen messages as edits', () => {
+        assert.equal(parseSignal(LABELED, 'seen', new Set(['seen'])).messageType, 'edit_update');
+        assert.equal(parseSignal(LABELED, 'fresh', new Set(['seen'])).messageType, 'new_signal');
+    });
+
+    test('a custom format overrides shared fields and a throwing one is skipped', () => {
+        registerSignalFormat({ name: 'broken', parse() { throw new Error('boom'); } });
+        registerSignalFormat({
+            name: 'custom',
+            parse: (content) => (content.startsWith('CUSTOM') ? { side: 'long', ticker: 'PEPE', leverage: 3 } : null),
+        });
+        try {
+            const signal = parseSignal('CUSTOM buy now, Leverage: 50x', 'm6', null, ['broken', 'custom']);
+            assert.equal(signal.format, 'custom');
+            assert.equal(signal.instId, 'PEPE-USDT');
+            assert.equal(signal.leverage, 3);
+        } finally {
+            unregisterSignalFormat('broken');
+            unregisterSignalFormat('custom');
+        }
+    });
+
+    test('rejects a format without parse()', () => {
+        assert.throws(() => registerSignalFormat({ name: 'nope' }), /parse\(\) function/);
+    });
+});
+
+describe('entry ranges', () => {
+    const withEntry = (line) => parseSignal(`Pair: SOL/USDT\nDirection: Long\n${line}\nTP1: 110`);
+
+    test('reads zone and range phrasings in either order', () => {
+        const zone = withEntry('Entry zone 1.25–1.20');
+        assert.deepEqual([zone.entryLow, zone.entryHigh, zone.entryPrice], [1.2, 1.25, 1.225]);
+        const range = withEntry('Entry Range: $1.20 to $1.25');
+        assert.deepEqual([range.entryLow, range.entryHigh], [1.2, 1.25]);
+    });
+
+    test('treats a single price or an empty range as a plain entry', () => {
+        const single = withEntry('Entry zone: 1.20');
+        assert.deepEqual([single.entryLow, single.entryHigh, single.entryPrice], [null, null, 1.2]);
+        assert.equal(withEntry('Entry: 5 - 5').entryLow, null);
+    });
+});
+
+describe('stop-loss extraction', () => {
+    const withSl = (line) => parseSignal(`Pair: SOL/USDT\nDirection: Long\nEntry: 100\n${line}\nTP1: 110`);
+
+    test('reads the stop-loss spellings', () => {
+        assert.equal(withSl('SL: 95').stopLoss, 95);
+        assert.equal(withSl('Stop-loss $1,234.5').stopLoss, 1234.5);
+        assert.equal(withSl('Invalidation: 92.5').stopLoss, 92.5);
+    });
+
+    test('ignores percentages', () => {
+        assert.equal(withSl('Stop Loss: 5%').stopLoss, null);
+        assert.equal(withSl('SL: 50 %').stopLoss, null);
+        assert.equal(withSl('SL: 5% (Stop Loss: 93.5)').stopLoss, 93.5);
+        const json = JSON.stringify({ instId: 'SOLUSDT', side: 'long', entry: 100, sl: '5%' });
+        assert.equal(parseSignal(json, '', null, ['json']).stopLoss, null);
+    });
+});
+
+describe('parseEditDiff', () => {
+    test('reports newly hit TPs and the close', () => {
+        const before = `${LABELED}\n`;
+        const after = LABELED.replace('TP1: 66000', 'TP1: 66000 HIT') + '\nTRADE CLOSED\nFinal P&L: +42.5%';
+        assert.deepEqual(parseEditDiff(before, after), { tpHits: [1], isClosed: true, finalPnl: '+42.5%' });
+    });
+
+    test('does not repeat TPs that were already hit', () => {
+        const hit = LABELED.replace('TP1: 66000', '✅ TP1: 66000');
+        assert.deepEqual(parseEditDiff(hit, hit).tpHits, []);
+    });
+});
+
+describe('validateSignal', () => {
+    const known = new Set(['SOL-USDT']);
+    const long = parseSignal('Pair: SOL/USDT\nDirection: Long\nEntry: 100\nSL: 95\nTP1: 110');
+    const zone = parseSignal('Pair: SOL/USDT\nDirection: Long\nEntry: 98 - 102\nSL: 95\nTP1: 110');
+
+    test('rejects unknown instruments', () => {
+        const signal = parseSignal('Pair: XYZ/USDT\nDirection: Long\nEntry: 1');
+        assert.deepEqual(validateSignal(signal, known), { valid: false, reason: 'Unknown instrument: XYZ-USDT' });
+    });
+
+    test('passes without a current price', () => {
+        assert.equal(validateSignal(long, known).valid, true);
+    });
+
+    test('limits the entry drift from the current price', () => {
+        assert.equal(validateSignal(long, known, 104, { maxDriftPercent: 5 }).valid, true);
+        const drifted = validateSignal(long, known, 110, { maxDriftPercent: 5 });
+        assert.equal(drifted.valid, false);
+        assert.match(drifted.reason, /9\.1% from current price 110 \(max 5%\)/);
+        assert.equal(validateSignal(long, known, 150, { maxDriftPercent: 0 }).valid, true);
+    });
+
+    test('measures a zone from its nearest edge', () => {
+        assert.equal(validateSignal(zone, known, 100, { maxDriftPercent: 0.1 }).valid, true);
+        assert.equal(validateSignal(zone, known, 104, { maxDriftPercent: 2 }).valid, true);
+        assert.equal(validateSignal(zone, known, 106, { maxDriftPercent: 2 }).valid, false);
+    });
+
+    test('rejects prices already past TP1 or the stop when asked', () => {
+        const rules = { maxDriftPercent: 0, rejectPastTargets: true };
+        assert.match(validateSignal(long, known, 111, rules).reason, /already past TP1 110/);
+        assert.match(validateSignal(long, known, 94, rules).reason, /already through stop 95/);
+        assert.equal(validateSignal(long, known, 101, rules).valid, true);
+        assert.equal(validateSignal(long, known, 111, { maxDriftPercent: 0 }).valid, true);
+    });
+
+    test('mirrors the target checks for shorts', () => {
+        const short = parseSignal('Pair: SOL/USDT\nDirection: Short\nEntry: 100\nSL: 105\nTP1: 90');
+        const rules = { maxDriftPercent: 0, rejectPastTargets: true };
+        assert.equal(validateSignal(short, known, 89, rules).valid, false);
+        assert.equal(validateSignal(short, known, 106, rules).valid, false);
+        assert.equal(validateSignal(short, known, 99, rules).valid, true);
+    });
+});
@@ -0,0 +1,81 @@
+import { logger } from '../utils/logger.js';
+import { EventEmitter } from 'events';
+
+/**
+ * @typedef {object} MessagePayload
+ * @property {string} content - Full message text (Discord: content + embeds; Telegram: text or caption)
+ * @property {string} messageId - Unique across providers
+ * @property {string} channelId - Key into the monitored channel list
+ * @property {string|null} channelName
+ * @property {string|null} guildId - Discord server (null for other providers)
+ * @property {string} author - Display name of the poster
+ * @property {number} timestamp - Posted at (ms)
+ * @property {number|null} editedTimestamp - Last edited at (ms)
+ * @property {string} source - Provider tag stored with the signal, e.g. 'discord'
+ * @property {boolean} [backfilled] - Recovered after downtime rather than received live
+ */
+
+/**
+ * The interface every chat signal source implements, so OrderEngine and the
+ * dashboard work the same whichever provider a message came from.
+ *
+ * Subclasses implement connect() / disconnect() and turn their platform's
+ * messages into MessagePayloads. The monitored channel list is shared.
+ *
+ * Events:
+ *   'connected' label, 'disconnected', 'reconnected', 'error' Error,
+ *   'message' MessagePayload,
+ *   'messageEdit' MessagePayload & { oldContent: string|null, isEdit: true }
+ */
+export class SignalProvider extends EventEmitter {
+    /**
+     * @param {string} name - Provider label for logs, e.g. 'Discord'
+     */
+    constructor(name) {
+        super();
+        this.name = name;
+        this.connected = false;
+
+        /** @type {Set<string>} Bot names allowed where a channel lists none (lowercase) */
+        this.defaultBotNames = new Set();
+        /** @type {Map<string, { channelId: string, guildId: string|null, name: string|null, allowedBotNames: Set<string> }>} */
+        this.channels = new Map();
+    }
+
+    /** Log in and start emitting messages. Rejects if the credentials are refused. */
+    async connect() {
+        throw new Error(`${this.name} provider does not implement connect()`);
+    }
+
+    /** Stop receiving messages. */
+    async disconnect() {
+        this.connected = false;
+    }
+
+    /** @returns {boolean} */
+    isConnected() {
+        return this.connected;
+    }
+
+    /**
+     * Replace the set of monitored channels. Each provider picks out the IDs it knows.
+     * @param {{ channelId: string, guildId?: string|null, name?: string|null, allowedBotNames?: string[] }[]} channels
+     */
+    setChannels(channels) {
+        this.channels = new Map(channels.map(c => [c.channelId, {
+            channelId: c.channelId,
+            guildId: c.guildId || null,
+            name: c.name || null,
+            allowedBotNames: c.allowedBotNames?.length > 0
+                ? new Set(c.allowedBotNames.map(n => n.toLowerCase()))
+                : this.defaultBotNames,
+        }]));
+        if (this.connected) logger.info(this.name, `Now monitoring ${this.channels.size} channel(s): ${this._describeChannels()}`);
+    }
+
+    _describeChannels() {
+        return [...this.channels.values()]
+            .map(c => `${c.name || c.channelId}${c.guildId ? ` @${c.guildId}` : ''} [${[...c.allowedBotNames].join(', ')}]`)
+            .join('; ') || 'none';
+    }
+}
@@ -0,0 +1,201 @@
+import axios from 'axios';
+import { logger } from '../utils/logger.js';
+import { SignalProvider } from '../providers/signalProvider.js';
+
+const API_BASE_URL = 'https://api.telegram.org';
+const ALLOWED_UPDATES = ['message', 'edited_message', 'channel_post', 'edited_channel_post'];
+
+/**
+ * Reads signals from Telegram channels and groups through the Bot API.
+ *
+ * Long-polls getUpdates and emits the same `message` / `messageEdit` payloads
+ * as DiscordProvider. Chats are monitored by chat ID (e.g. "-1001234567890")
+ * in the shared channel list; the bot must be an admin of a channel, or a
+ * group member with privacy mode off. Message IDs are `<chatId>:<messageId>`,
+ * since Telegram numbers messages per chat.
+ *
+ * Telegram holds unconfirmed updates for 24h, so posts and edits made while
+ * we were offline arrive on the next poll — they are flagged `backfilled`
+ * so the engine applies its staleness policy. Edits carry no old content;
+ * the engine diffs against the last version it logged.
+ */
+export class TelegramProvider extends SignalProvider {
+    /**
+     * @param {object} config
+     * @param {string} config.token - Bot token from @BotFather
+     * @param {object[]} [config.channels] - Chats to monitor (see setChannels)
+     * @param {string} [config.apiBaseUrl='https://api.telegram.org'] - Bot API server (a local stub in tests)
+     * @param {number} [config.pollTimeout=30] - Long-poll wait, seconds
+     * @param {number} [config.maxRetryDelayMs=30000] - Backoff cap after failed polls
+     */
+    constructor({ token, channels = [], apiBaseUrl = API_BASE_URL, pollTimeout = 30, maxRetryDelayMs = 30_000 }) {
+        super('Telegram');
+        this.token = token;
+        this.apiBaseUrl = apiBaseUrl.replace(/\/+$/, '');
+        this.pollTimeout = pollTimeout;
+        this.maxRetryDelayMs = maxRetryDelayMs;
+
+        this.botUsername = null;
+        this.offset = null;
+        this.polling = false;
+        this.abort = null;
+        /** Updates dated before this (ms) were queued while we were offline */
+        this.liveSince = null;
+        this.disconnectedAt = null;
+
+        this.setChannels(channels);
+    }
+
+    async connect() {
+        let me;
+        try {
+            me = await this._call('getMe');
+        } catch (error) {
+            logger.error('Telegram', `Login failed: ${error.message}`);
+            throw error;
+        }
+        this.botUsername = me.username;
+        this.connected = true;
+        this.liveSince = Date.now();
+        logger.info('Telegram', `Logged in as @${me.username}`);
+        logger.info('Telegram', `Monitoring ${this.channels.size} chat(s): ${this._describeChannels()}`);
+        this.emit('connected', `@${me.username}`);
+
+        this.polling = true;
+        this._pollLoop();
+    }
+
+    async disconnect() {
+        if (!this.polling) return;
+        this.polling = false;
+        this.abort?.abort();
+        this.connected = false;
+        logger.info('Telegram', 'Disconnected');
+    }
+
+    // ============================================================
+    // Bot API
+    // ============================================================
+
+    /**
+     * Call a Bot API method.
+     * @param {string} method - e.g. 'getUpdates'
+     * @param {object} [params={}]
+     * @param {object} [options]
+     * @param {number} [options.timeoutMs=10000]
+     * @param {AbortSignal} [options.signal]
+     * @returns {Promise<any>} The `result` field
+     */
+    async _call(method, params = {}, { timeoutMs = 10_000, signal } = {}) {
+        const res = await axios.post(`${this.apiBaseUrl}/bot${this.token}/${method}`, params, {
+            timeout: timeoutMs, signal, validateStatus: () => true,
+        });
+        if (!res.data?.ok) {
+            const error = new Error(`${method}: ${res.data?.description || `HTTP ${res.status}`}`);
+            error.retryAfter = res.data?.parameters?.retry_after;
+            throw error;
+        }
+        return res.data.result;
+    }
+
+    async _pollLoop() {
+        let failures = 0;
+        while (this.polling) {
+            this.abort = new AbortController();
+            try {
+                const updates = await this._call('getUpdates', {
+                    offset: this.offset ?? undefined,
+                    timeout: this.pollTimeout,
+                    allowed_updates: ALLOWED_UPDATES,
+                }, { timeoutMs: (this.pollTimeout + 10) * 1000, signal: this.abort.signal });
+
+                if (failures > 0) this._onReconnect();
+                failures = 0;
+                for (const update of updates) {
+                    this.offset = update.update_id + 1;
+                    this._handleUpdate(update);
+                }
+            } catch (err) {
+                if (!this.polling) break;
+                failures++;
+                if (failures === 1) this._onDisconnect(err);
+                const delay = err.retryAfter
+                    ? err.retryAfter * 1000
+                    : Math.min(1000 * 2 ** (failures - 1), this.maxRetryDelayMs);
+                logger.warn('Telegram', `getUpdates failed (${err.message}) — retrying in ${Math.round(delay / 1000)}s`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    _onDisconnect(err) {
+        logger.warn('Telegram', `Lost the Bot API: ${err.message}`);
+        this.connected = false;
+        this.disconnectedAt = Date.now();
+        this.emit('disconnected');
+    }
+
+    _onReconnect() {
+        logger.info('Telegram', `Reconnected after ${((Date.now() - this.disconnectedAt) / 1000).toFixed(0)}s`);
+        this.connected = true;
+        this.liveSince = Date.now();
+        this.disconnectedAt = null;
+        this.emit('reconnected');
+    }
+
+    // ============================================================
+    // Updates
+    // ============================================================
+
+    _handleUpdate(update) {
+        const isEdit = Boolean(update.edited_message || update.edited_channel_post);
+        const message = update.message || update.channel_post || update.edited_message || update.edited_channel_post;
+        if (!message || !this._shouldProcess(message)) return;
+
+        const payload = this._extractPayload(message);
+        if (!payload.content) return;
+        const sentAt = isEdit ? payload.editedTimestamp || payload.timestamp : payload.timestamp;
+        const backfilled = sentAt + 1000 <= this.liveSince; // Telegram dates are whole seconds
+
+        if (isEdit) {
+            logger.debug('Telegram', `Message edited: ${payload.messageId} | ${payload.content.slice(0, 80)}`);
+            this.emit('messageEdit', { ...payload, oldContent: null, isEdit: true, ...(backfilled ? { backfilled } : {}) });
+        } else {
+            logger.debug('Telegram', `New message from ${payload.author}: ${payload.content.slice(0, 80)}`);
+            this.emit('message', backfilled ? { ...payload, backfilled } : payload);
+        }
+    }
+
+    /**
+     * Only monitored chats; bots other than a chat's allowed names are ignored.
+     * Channel posts have no sender and are always accepted.
+     */
+    _shouldProcess(message) {
+        const channel = this.channels.get(String(message.chat?.id));
+        if (!channel) return false;
+        if (!message.from?.is_bot) return true;
+
+        const name = (message.from.username || message.from.first_name || '').toLowerCase();
+        return [...channel.allowedBotNames].some(allowed => name.includes(allowed));
+    }
+
+    /**
+     * Extract a standardized payload from a Telegram message.
+     * @returns {import('../providers/signalProvider.js').MessagePayload}
+     */
+    _extractPayload(message) {
+        const from = message.from;
+        const fullName = [from?.first_name, from?.last_name].filter(Boolean).join(' ');
+        return {
+            content: (message.text || message.caption || '').trim(),
+            messageId: `${message.chat.id}:${message.message_id}`,
+            channelId: String(message.chat.id),
+            channelName: message.chat.title || message.chat.username || null,
+            guildId: null,
+            author: message.author_signature || from?.username || fullName || message.chat.title || 'unknown',
+            timestamp: message.date * 1000,
+            editedTimestamp: message.edit_date ? message.edit_date * 1000 : null,
+            source: 'telegram',
+        };
+    }
+}
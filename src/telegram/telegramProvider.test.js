@@ -0,0 +1,239 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { TelegramProvider } from './telegramProvider.js';
+import { SignalProvider } from '../providers/signalProvider.js';
+
+const TOKEN = '123:test-token';
+const SIGNALS = '-1001';
+const GROUP = '-1002';
+
+// ============================================================
+// Bot API stub
+// ============================================================
+
+const ok = (result) => ({ body: { ok: true, result } });
+const fail = (status, description, extra = {}) => ({ status, body: { ok: false, error_code: status, description, ...extra } });
+
+/**
+ * Local Bot API. getUpdates answers from `updates` in order, then with an
+ * empty batch after a short wait (a very short long-poll).
+ */
+function startBotApi() {
+    const calls = [];
+    const updates = [];
+    const api = { calls, updates, getMe: ok({ id: 42, is_bot: true, username: 'perp_signals_bot' }) };
+    const server = createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const [, token, method] = req.url.match(/^\/bot([^/]+)\/(\w+)$/) || [];
+            calls.push({ token, method, params: raw ? JSON.parse(raw) : {}, at: Date.now() });
+            const reply = method === 'getMe' ? api.getMe : updates.shift() ?? { ...ok([]), delay: 20 };
+            setTimeout(() => {
+                res.writeHead(reply.status ?? 200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(reply.body));
+            }, reply.delay ?? 0);
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(Object.assign(api, {
+        url: `http://127.0.0.1:${server.address().port}/`,
+        polls: () => calls.filter(c => c.method === 'getUpdates'),
+        close: () => new Promise(done => { server.closeAllConnections(); server.close(done); }),
+    }))));
+}
+
+async function until(condition) {
+    while (!condition()) await new Promise(resolve => setTimeout(resolve, 5));
+}
+
+const now = () => Math.floor(Date.now() / 1000) + 1;
+
+function post(updateId, chatId, messageId, text, extra = {}) {
+    return {
+        update_id: updateId,
+        channel_post: { message_id: messageId, chat: { id: Number(chatId), type: 'channel', title: 'Signals' }, date: now(), text, ...extra },
+    };
+}
+
+// ============================================================
+// Tests
+// ============================================================
+
+describe('TelegramProvider', () => {
+    let api;
+    let provider;
+    let messages;
+    let edits;
+
+    beforeEach(async () => {
+        api = await startBotApi();
+        provider = new TelegramProvider({
+            token: TOKEN,
+            apiBaseUrl: api.url,
+            pollTimeout: 1,
+            channels: [
+                { channelId: SIGNALS, name: 'Signals' },
+                { channelId: GROUP, name: 'Group', allowedBotNames: ['SignalBot'] },
+            ],
+        });
+        messages = [];
+        edits = [];
+        provider.on('message', m => messages.push(m));
+        provider.on('messageEdit', m => edits.push(m));
+    });
+
+    afterEach(async () => {
+        await provider.disconnect();
+        await api.close();
+    });
+
+    test('implements the SignalProvider interface', async () => {
+        assert.ok(provider instanceof SignalProvider);
+        const connected = new Promise(resolve => provider.once('connected', resolve));
+        await provider.connect();
+        assert.equal(await connected, '@perp_signals_bot');
+        assert.equal(provider.isConnected(), true);
+        assert.equal(api.calls[0].method, 'getMe');
+        assert.equal(api.calls[0].token, TOKEN);
+    });
+
+    test('rejects connect() when the token is refused', async () => {
+        api.getMe = fail(401, 'Unauthorized');
+        await assert.rejects(provider.connect(), /getMe: Unauthorized/);
+        assert.equal(provider.isConnected(), false);
+    });
+
+    test('confirms each batch by asking for the next update_id', async () => {
+        api.updates.push(ok([post(10, SIGNALS, 1, 'one'), post(11, '-1009', 2, 'unmonitored')]), ok([post(12, SIGNALS, 3, 'three')]));
+        await provider.connect();
+        await until(() => api.polls().length >= 3);
+
+        const [first, second, third] = api.polls();
+        assert.equal(first.params.offset, undefined);
+        assert.deepEqual(first.params.allowed_updates, ['message', 'edited_message', 'channel_post', 'edited_channel_post']);
+        assert.equal(first.params.timeout, 1);
+        // Skipped updates are confirmed too
+        assert.equal(second.params.offset, 12);
+        assert.equal(third.params.offset, 13);
+        assert.deepEqual(messages.map(m => m.content), ['one', 'three']);
+    });
+
+    test('only passes monitored chats and allowed bots', async () => {
+        const group = (updateId, from, text) => ({
+            update_id: updateId,
+            message: { message_id: updateId, chat: { id: Number(GROUP), type: 'supergroup', title: 'Group' }, date: now(), from, text },
+        });
+        api.updates.push(ok([
+            post(1, '-1009', 1, 'other chat'),
+            group(2, { id: 7, is_bot: false, username: 'alice' }, 'from a person'),
+            group(3, { id: 8, is_bot: true, username: 'SignalBot_v2' }, 'from the allowed bot'),
+            group(4, { id: 9, is_bot: true, username: 'spam_bot' }, 'from another bot'),
+            post(5, SIGNALS, 5, '   '),
+            post(6, SIGNALS, 6, undefined, { caption: 'photo caption' }),
+        ]));
+        await provider.connect();
+        await until(() => api.polls().length >= 2);
+
+        assert.deepEqual(messages.map(m => m.content), ['from a person', 'from the allowed bot', 'photo caption']);
+    });
+
+    test('emits message and messageEdit payloads in the shared shape', async () => {
+        const date = now();
+        api.updates.push(ok([
+            {
+                update_id: 1,
+                message: {
+                    message_id: 5, chat: { id: Number(GROUP), type: 'supergroup', title: 'Group' }, date,
+                    from: { id: 7, is_bot: false, first_name: 'Ada', last_name: 'L' }, text: ' Pair: BTC/USDT ',
+                },
+            },
+            {
+                update_id: 2,
+                edited_channel_post: {
+                    message_id: 9, chat: { id: Number(SIGNALS), type: 'channel', title: 'Signals' }, date, edit_date: date + 5,
+                    author_signature: 'Desk', text: 'TP1 HIT',
+                },
+            },
+        ]));
+        await provider.connect();
+        await until(() => api.polls().length >= 2);
+
+        assert.deepEqual(messages, [{
+            content: 'Pair: BTC/USDT',
+            messageId: `${GROUP}:5`,
+            channelId: GROUP,
+            channelName: 'Group',
+            guildId: null,
+            author: 'Ada L',
+            timestamp: date * 1000,
+            editedTimestamp: null,
+            source: 'telegram',
+        }]);
+        assert.deepEqual(edits, [{
+            content: 'TP1 HIT',
+            messageId: `${SIGNALS}:9`,
+            channelId: SIGNALS,
+            channelName: 'Signals',
+            guildId: null,
+            author: 'Desk',
+            timestamp: date * 1000,
+            editedTimestamp: (date + 5) * 1000,
+            source: 'telegram',
+            oldContent: null,
+            isEdit: true,
+        }]);
+    });
+
+    test('flags updates queued while offline as backfilled', async () => {
+        const old = now() - 3600;
+        api.updates.push(ok([
+            post(1, SIGNALS, 1, 'old post', { date: old }),
+            { update_id: 2, edited_channel_post: { message_id: 1, chat: { id: Number(SIGNALS), type: 'channel' }, date: old, edit_date: old + 60, text: 'old edit' } },
+            { update_id: 3, edited_channel_post: { message_id: 2, chat: { id: Number(SIGNALS), type: 'channel' }, date: old, edit_date: now(), text: 'live edit' } },
+        ]));
+        await provider.connect();
+        await until(() => api.polls().length >= 2);
+
+        assert.equal(messages[0].backfilled, true);
+        assert.deepEqual(edits.map(e => [e.content, e.backfilled]), [['old edit', true], ['live edit', undefined]]);
+    });
+
+    test('backs off exponentially up to maxRetryDelayMs, then reconnects', { timeout: 10_000 }, async () => {
+        provider.maxRetryDelayMs = 1500;
+        const events = [];
+        provider.on('disconnected', () => events.push('disconnected'));
+        provider.on('reconnected', () => events.push('reconnected'));
+        api.updates.push(fail(502, 'Bad Gateway'), fail(502, 'Bad Gateway'), ok([post(1, SIGNALS, 1, 'back')]));
+
+        await provider.connect();
+        await until(() => messages.length === 1);
+
+        const [first, second, third] = api.polls();
+        // 1s, then 2s capped at 1.5s
+        assert.ok(second.at - first.at >= 1000 && second.at - first.at < 1400, `first retry after ${second.at - first.at}ms`);
+        assert.ok(third.at - second.at >= 1500 && third.at - second.at < 1900, `second retry after ${third.at - second.at}ms`);
+        assert.deepEqual(events, ['disconnected', 'reconnected']);
+        assert.equal(provider.isConnected(), true);
+    });
+
+    test('waits out retry_after when rate limited', { timeout: 10_000 }, async () => {
+        api.updates.push(fail(429, 'Too Many Requests: retry after 1', { parameters: { retry_after: 1 } }));
+        await provider.connect();
+        await until(() => api.polls().length >= 2);
+
+        const [first, second] = api.polls();
+        assert.ok(second.at - first.at >= 1000, `retried after ${second.at - first.at}ms`);
+    });
+
+    test('stops polling on disconnect', async () => {
+        await provider.connect();
+        await until(() => api.polls().length >= 1);
+        await provider.disconnect();
+        const count = api.polls().length;
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        assert.equal(api.polls().length, count);
+        assert.equal(provider.isConnected(), false);
+    });
+});
@@ -41,3 +41,7 @@ export class RateLimiter {
 // Pre-configured limiters for Blofin
 export const tradingLimiter = new RateLimiter(30, 10_000);  // 30 req / 10s
 export const generalLimiter = new RateLimiter(500, 60_000); // 500 req / 60s
+
+// Pre-configured limiters for Bybit v5 (order endpoints per account, everything else per IP)
+export const bybitTradingLimiter = new RateLimiter(10, 1_000);  // 10 req / 1s
+export const bybitGeneralLimiter = new RateLimiter(600, 5_000); // 600 req / 5s
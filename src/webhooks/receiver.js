@@ -0,0 +1,52 @@
+import { createServer } from 'http';
+import { verifyWebhookSignature, SIGNATURE_HEADER } from './webhookDispatcher.js';
+
+// ============================================================
+// PerpTrader — Local Webhook Receiver (for testing deliveries)
+//
+//   npm run webhook:receiver -- --secret <secret> [--port 4000] [--fail 2]
+//
+// Point a webhook at http://localhost:4000/ in the dashboard. Every request
+// is printed with its signature check; --fail N answers the first N requests
+// with HTTP 500 to exercise the retry queue.
+// ============================================================
+
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+        options[argv[i].slice(2)] = argv[i + 1] !== undefined && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+    }
+    return options;
+}
+
+const options = parseArgs(process.argv.slice(2));
+const port = parseInt(options.port || '4000');
+const secret = options.secret || process.env.WEBHOOK_SECRET;
+let failuresLeft = parseInt(options.fail || '0');
+
+if (!secret) {
+    console.error('Usage: webhook:receiver -- --secret <secret> [--port 4000] [--fail N]');
+    process.exit(1);
+}
+
+createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        const valid = verifyWebhookSignature(secret, req.headers[SIGNATURE_HEADER.toLowerCase()], body);
+        const event = req.headers['x-perptrader-event'];
+        const delivery = req.headers['x-perptrader-delivery'];
+
+        let status = valid ? 200 : 401;
+        if (valid && failuresLeft > 0) {
+            failuresLeft--;
+            status = 500;
+        }
+        console.log(`${new Date().toISOString()} #${delivery} ${event} — signature ${valid ? 'OK' : 'INVALID'} → ${status}`);
+        if (valid) console.log(JSON.stringify(JSON.parse(body), null, 2));
+
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ received: status === 200 }));
+    });
+}).listen(port, () => console.log(`Webhook receiver listening on http://localhost:${port}/`));
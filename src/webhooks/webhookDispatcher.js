@@ -0,0 +1,230 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import {
+    getWebhooks, getWebhook, enqueueWebhookDelivery, getDueWebhookDeliveries, updateWebhookDelivery,
+    getWebhookDelivery, retryWebhookDelivery,
+} from '../config/preferenceManager.js';
+import { EventEmitter } from 'events';
+
+export const SIGNATURE_HEADER = 'X-PerpTrader-Signature';
+
+/** Events a webhook can subscribe to — the dashboard's broadcast events. */
+export const WEBHOOK_EVENTS = [
+    'signal:accepted', 'signal:rejected', 'signal:confirmRequired', 'confirmation:decided',
+    'signal:dcaDetected', 'signal:tpHit', 'signal:closed', 'signal:mirrorClosed', 'signal:edit',
+    'execution:start', 'execution:progress', 'execution:complete', 'execution:failed',
+    'execution:partial', 'execution:skipped', 'execution:stopFailed', 'stop:moved', 'stop:moveFailed', 'position:closed', 'emergencyClose',
+    'risk:halted', 'risk:resumed', 'trader:demoted',
+    'preferences:updated', 'traders:updated', 'channels:updated',
+];
+
+/**
+ * Sign a request body: `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">`.
+ * @param {string} secret
+ * @param {number} timestamp - Unix seconds
+ * @param {string} body
+ * @returns {string} Signature header value
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Check a signature header against the raw body (receiver side).
+ * @param {string} secret
+ * @param {string} header - Signature header value
+ * @param {string} body - Raw request body
+ * @param {number} [toleranceSeconds=300] - Max age of the timestamp (replay protection)
+ * @returns {boolean}
+ */
+export function verifyWebhookSignature(secret, header, body, toleranceSeconds = 300) {
+    const parts = Object.fromEntries(String(header || '').split(',').map(p => p.split('=')));
+    const timestamp = parseInt(parts.t);
+    if (!timestamp || !parts.v1) return false;
+    if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return false;
+
+    const expected = Buffer.from(signWebhookPayload(secret, timestamp, body).split('v1=')[1], 'hex');
+    const actual = Buffer.from(parts.v1, 'hex');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+async function axiosPost(url, body, headers, timeoutMs) {
+    const res = await axios.post(url, body, {
+        headers, timeout: timeoutMs, validateStatus: () => true, transformRequest: [(data) => data],
+    });
+    return { status: res.status };
+}
+
+/**
+ * Delivers events to the configured outbound webhooks.
+ *
+ * publish() stores one delivery per matching webhook in SQLite; a poll loop
+ * POSTs due deliveries with an HMAC signature header. Failures (non-2xx,
+ * timeouts, network errors) are retried with exponential backoff until
+ * `maxAttempts`, then marked failed — the queue survives restarts, and the
+ * deliveries table doubles as the delivery log.
+ *
+ * Events: 'delivery' row — after every attempt
+ */
+export class WebhookDispatcher extends EventEmitter {
+    /**
+     * @param {object} [options]
+     * @param {(url: string, body: string, headers: object, timeoutMs: number) => Promise<{ status: number }>} [options.httpPost] - Transport (axios by default)
+     * @param {number} [options.maxAttempts=8]
+     * @param {number} [options.baseDelayMs=5000] - First retry delay, doubled per attempt
+     * @param {number} [options.maxDelayMs=3600000]
+     * @param {number} [options.pollIntervalMs=5000]
+     * @param {number} [options.timeoutMs=10000] - Per request
+     */
+    constructor({
+        httpPost = axiosPost, maxAttempts = 8, baseDelayMs = 5000, maxDelayMs = 3_600_000,
+        pollIntervalMs = 5000, timeoutMs = 10_000,
+    } = {}) {
+        super();
+        this.httpPost = httpPost;
+        this.maxAttempts = maxAttempts;
+        this.baseDelayMs = baseDelayMs;
+        this.maxDelayMs = maxDelayMs;
+        this.pollIntervalMs = pollIntervalMs;
+        this.timeoutMs = timeoutMs;
+        this.timer = null;
+        /** @type {Promise<void>|null} The running delivery pass */
+        this.processing = null;
+        this.pending = false;
+    }
+
+    /** Start the retry loop (also resumes deliveries queued before a restart). */
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.processDue(), this.pollIntervalMs);
+        this.timer.unref?.();
+        this.processDue();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Queue an event for every enabled webhook subscribed to it.
+     * @param {string} event - e.g. 'execution:complete'
+     * @param {object|object[]} payload - Event data (a `prefs` field is left out)
+     * @returns {number[]} Delivery IDs
+     */
+    publish(event, payload = {}) {
+        const webhooks = getWebhooks().filter(w => w.enabled && (w.events.includes('*') || w.events.includes(event)));
+        if (webhooks.length === 0) return [];
+
+        let body;
+        try {
+            let data = payload;
+            if (payload && !Array.isArray(payload) && 'prefs' in payload) {
+                const { prefs: _prefs, ...rest } = payload;
+                data = rest;
+            }
+            body = JSON.stringify({ event, createdAt: new Date().toISOString(), data });
+        } catch (err) {
+            logger.warn('Webhooks', `Cannot serialize ${event}: ${err.message}`);
+            return [];
+        }
+        const ids = webhooks.map(w => enqueueWebhookDelivery(w.id, event, body));
+        this.processDue();
+        return ids;
+    }
+
+    /**
+     * Send a 'webhook:test' event to one webhook, whatever its event filter.
+     * @param {number} webhookId
+     * @returns {number} Delivery ID
+     */
+    sendTest(webhookId) {
+        const webhook = getWebhook(webhookId);
+        if (!webhook) throw new Error(`Webhook ${webhookId} not found`);
+        const body = JSON.stringify({
+            event: 'webhook:test', createdAt: new Date().toISOString(), data: { webhook: webhook.name },
+        });
+        const id = enqueueWebhookDelivery(webhook.id, 'webhook:test', body);
+        this.processDue();
+        return id;
+    }
+
+    /**
+     * Re-queue a failed delivery for an immediate attempt.
+     * @param {number} deliveryId
+     * @returns {boolean}
+     */
+    retry(deliveryId) {
+        if (!retryWebhookDelivery(deliveryId)) return false;
+        this.processDue();
+        return true;
+    }
+
+    /**
+     * Attempt every due delivery. Concurrent calls share one pass.
+     * @returns {Promise<void>}
+     */
+    processDue() {
+        if (this.processing) {
+            this.pending = true;
+            return this.processing;
+        }
+        this.processing = this._drain()
+            .catch(err => logger.error('Webhooks', `Delivery loop failed: ${err.message}`))
+            .finally(() => { this.processing = null; });
+        return this.processing;
+    }
+
+    async _drain() {
+        do {
+            this.pending = false;
+            for (const delivery of getDueWebhookDeliveries()) await this._attempt(delivery);
+        } while (this.pending || getDueWebhookDeliveries(1).length > 0);
+    }
+
+    async _attempt(delivery) {
+        const attempts = delivery.attempts + 1;
+        const webhook = getWebhook(delivery.webhook_id);
+        if (!webhook?.enabled) {
+            updateWebhookDelivery(delivery.id, { status: 'failed', attempts: delivery.attempts, error: webhook ? 'Webhook disabled' : 'Webhook deleted' });
+            this.emit('delivery', getWebhookDelivery(delivery.id));
+            return;
+        }
+
+        let responseStatus = null;
+        let error = null;
+        try {
+            const headers = {
+                'Content-Type': 'application/json',
+                'User-Agent': 'PerpTrader-Webhooks/1.0',
+                'X-PerpTrader-Event': delivery.event,
+                'X-PerpTrader-Delivery': String(delivery.id),
+                [SIGNATURE_HEADER]: signWebhookPayload(webhook.secret, Math.floor(Date.now() / 1000), delivery.payload),
+            };
+            ({ status: responseStatus } = await this.httpPost(webhook.url, delivery.payload, headers, this.timeoutMs));
+            if (responseStatus >= 200 && responseStatus < 300) {
+                updateWebhookDelivery(delivery.id, { status: 'delivered', attempts, responseStatus });
+                logger.debug('Webhooks', `Delivered ${delivery.event} to ${webhook.name} (#${delivery.id})`);
+                this.emit('delivery', getWebhookDelivery(delivery.id));
+                return;
+            }
+            error = `HTTP ${responseStatus}`;
+        } catch (err) {
+            error = err.message;
+        }
+
+        const giveUp = attempts >= this.maxAttempts;
+        const delay = Math.min(this.baseDelayMs * 2 ** (attempts - 1), this.maxDelayMs);
+        updateWebhookDelivery(delivery.id, {
+            status: giveUp ? 'failed' : 'pending',
+            attempts,
+            nextAttemptAt: giveUp ? null : new Date(Date.now() + delay).toISOString(),
+            responseStatus,
+            error,
+        });
+        logger.warn('Webhooks', `${delivery.event} to ${webhook.name} failed (attempt ${attempts}/${this.maxAttempts}): ${error}${giveUp ? ' — giving up' : ` — retrying in ${Math.round(delay / 1000)}s`}`);
+        this.emit('delivery', getWebhookDelivery(delivery.id));
+    }
+}
@@ -0,0 +1,240 @@
+import { test, describe, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+    initDatabase, getDb, saveWebhook, getWebhooks, removeWebhook, getWebhookDelivery, getWebhookDeliveries,
+} from '../config/preferenceManager.js';
+import { WebhookDispatcher, SIGNATURE_HEADER, signWebhookPayload, verifyWebhookSignature } from './webhookDispatcher.js';
+
+const SECRET = 'whsec-test';
+
+// ============================================================
+// Helpers
+// ============================================================
+
+/**
+ * Local receiver answering with the queued statuses (then 200).
+ * @param {number[]} [statuses]
+ */
+function startReceiver(statuses = []) {
+    const requests = [];
+    const server = createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body, at: Date.now() });
+            res.writeHead(statuses.shift() ?? 200);
+            res.end();
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+        requests,
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        close: () => new Promise(done => { server.closeAllConnections(); server.close(done); }),
+    })));
+}
+
+/** Resolve with the first 'delivery' row that has settled (delivered or failed). */
+function settled(dispatcher) {
+    return new Promise(resolve => {
+        const onDelivery = (row) => {
+            if (row.status === 'pending') return;
+            dispatcher.off('delivery', onDelivery);
+            resolve(row);
+        };
+        dispatcher.on('delivery', onDelivery);
+    });
+}
+
+// ============================================================
+// Tests
+// ============================================================
+
+describe('WebhookDispatcher', () => {
+    let dir;
+    let dbFile;
+    let receiver;
+
+    before(() => {
+        dir = mkdtempSync(join(tmpdir(), 'perptrader-webhooks-'));
+        dbFile = join(dir, 'test.db');
+        initDatabase(dbFile);
+    });
+
+    afterEach(async () => {
+        for (const webhook of getWebhooks()) removeWebhook(webhook.id);
+        await receiver?.close();
+        receiver = null;
+    });
+
+    after(() => {
+        getDb().close();
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('signs the body so verifyWebhookSignature accepts it', async () => {
+        receiver = await startReceiver();
+        saveWebhook(null, { name: 'Signed', url: receiver.url, secret: SECRET, events: ['signal:accepted'] });
+        const dispatcher = new WebhookDispatcher();
+
+        const [id] = dispatcher.publish('signal:accepted', { instId: 'BTC-USDT', prefs: { leverage: 10 } });
+        await dispatcher.processDue();
+
+        assert.equal(receiver.requests.length, 1);
+        const { headers, body } = receiver.requests[0];
+        const header = headers[SIGNATURE_HEADER.toLowerCase()];
+        assert.match(header, /^t=\d+,v1=[0-9a-f]{64}$/);
+        assert.equal(verifyWebhookSignature(SECRET, header, body), true);
+        assert.equal(verifyWebhookSignature('wrong-secret', header, body), false);
+        assert.equal(verifyWebhookSignature(SECRET, header, body.replace('BTC', 'ETH')), false);
+        assert.equal(headers['x-perptrader-event'], 'signal:accepted');
+        assert.equal(headers['x-perptrader-delivery'], String(id));
+
+        // The prefs snapshot stays out of the payload
+        const payload = JSON.parse(body);
+        assert.equal(payload.event, 'signal:accepted');
+        assert.deepEqual(payload.data, { instId: 'BTC-USDT' });
+    });
+
+    test('verifyWebhookSignature rejects stale and malformed headers', () => {
+        const body = '{"event":"x"}';
+        const stale = Math.floor(Date.now() / 1000) - 600;
+        assert.equal(verifyWebhookSignature(SECRET, signWebhookPayload(SECRET, stale, body), body), false);
+        assert.equal(verifyWebhookSignature(SECRET, signWebhookPayload(SECRET, stale, body), body, 900), true);
+        assert.equal(verifyWebhookSignature(SECRET, 'v1=abc', body), false);
+        assert.equal(verifyWebhookSignature(SECRET, undefined, body), false);
+    });
+
+    test('only queues for enabled webhooks subscribed to the event', async () => {
+        receiver = await startReceiver();
+        saveWebhook(null, { name: 'All', url: receiver.url, secret: SECRET });
+        saveWebhook(null, { name: 'Stops', url: receiver.url, secret: SECRET, events: ['stop:moved'] });
+        saveWebhook(null, { name: 'Off', url: receiver.url, secret: SECRET, enabled: false });
+        const dispatcher = new WebhookDispatcher();
+
+        assert.equal(dispatcher.publish('signal:rejected', {}).length, 1);
+        assert.equal(dispatcher.publish('stop:moved', {}).length, 2);
+        await dispatcher.processDue();
+        assert.equal(receiver.requests.length, 3);
+    });
+
+    test('retries failures with exponential backoff capped at maxDelayMs', { timeout: 5000 }, async () => {
+        receiver = await startReceiver([500, 500, 500, 200]);
+        saveWebhook(null, { name: 'Flaky', url: receiver.url, secret: SECRET });
+        const dispatcher = new WebhookDispatcher({ baseDelayMs: 40, maxDelayMs: 100, pollIntervalMs: 10, maxAttempts: 5 });
+
+        const delays = [];
+        dispatcher.on('delivery', (row) => {
+            if (row.status === 'pending') delays.push(Date.parse(row.next_attempt_at) - Date.now());
+        });
+        const done = settled(dispatcher);
+        dispatcher.start();
+        dispatcher.publish('execution:complete', {});
+        const row = await done;
+        dispatcher.stop();
+
+        assert.equal(row.status, 'delivered');
+        assert.equal(row.attempts, 4);
+        assert.equal(row.response_status, 200);
+        assert.ok(row.delivered_at);
+
+        const expected = [40, 80, 100];
+        assert.equal(delays.length, 3);
+        delays.forEach((delay, i) => assert.ok(delay <= expected[i] && delay > expected[i] - 20, `retry ${i + 1} in ${delay}ms, expected ${expected[i]}ms`));
+        const gaps = receiver.requests.slice(1).map((r, i) => r.at - receiver.requests[i].at);
+        gaps.forEach((gap, i) => assert.ok(gap >= expected[i] - 5, `attempt ${i + 2} came ${gap}ms after the previous one`));
+    });
+
+    test('marks a delivery failed after maxAttempts', { timeout: 5000 }, async () => {
+        receiver = await startReceiver([500, 503]);
+        saveWebhook(null, { name: 'Down', url: receiver.url, secret: SECRET });
+        const dispatcher = new WebhookDispatcher({ baseDelayMs: 10, pollIntervalMs: 10, maxAttempts: 2 });
+
+        const done = settled(dispatcher);
+        dispatcher.start();
+        dispatcher.publish('execution:failed', {});
+        const row = await done;
+        dispatcher.stop();
+
+        assert.equal(row.status, 'failed');
+        assert.equal(row.attempts, 2);
+        assert.equal(row.response_status, 503);
+        assert.equal(row.last_error, 'HTTP 503');
+        assert.equal(row.next_attempt_at, null);
+        assert.equal(receiver.requests.length, 2);
+    });
+
+    test('records network errors', async () => {
+        receiver = await startReceiver();
+        const url = receiver.url;
+        await receiver.close();
+        receiver = null;
+        saveWebhook(null, { name: 'Gone', url, secret: SECRET });
+        const dispatcher = new WebhookDispatcher({ maxAttempts: 1 });
+
+        const [id] = dispatcher.publish('risk:halted', {});
+        await dispatcher.processDue();
+
+        const row = getWebhookDelivery(id);
+        assert.equal(row.status, 'failed');
+        assert.equal(row.response_status, null);
+        assert.match(row.last_error, /ECONNREFUSED/);
+    });
+
+    test('resumes queued deliveries after a restart', { timeout: 5000 }, async () => {
+        receiver = await startReceiver([500]);
+        saveWebhook(null, { name: 'Restart', url: receiver.url, secret: SECRET });
+        const first = new WebhookDispatcher({ baseDelayMs: 50 });
+        const [id] = first.publish('position:closed', { instId: 'SOL-USDT' });
+        await first.processDue();
+        assert.equal(getWebhookDelivery(id).status, 'pending');
+
+        // Reopen the same database file with a fresh dispatcher
+        getDb().close();
+        initDatabase(dbFile);
+        const second = new WebhookDispatcher({ pollIntervalMs: 10 });
+        const done = settled(second);
+        second.start();
+        const row = await done;
+        second.stop();
+
+        assert.equal(row.id, id);
+        assert.equal(row.status, 'delivered');
+        assert.equal(row.attempts, 2);
+        assert.equal(receiver.requests.length, 2);
+        assert.equal(receiver.requests[1].body, receiver.requests[0].body);
+    });
+
+    test('logs every delivery newest first', async () => {
+        receiver = await startReceiver([500]);
+        const webhook = saveWebhook(null, { name: 'Log', url: receiver.url, secret: SECRET });
+        const dispatcher = new WebhookDispatcher({ maxAttempts: 1 });
+
+        const failed = dispatcher.publish('signal:closed', {})[0];
+        await dispatcher.processDue();
+        const delivered = dispatcher.sendTest(webhook.id);
+        await dispatcher.processDue();
+
+        const [latest, previous] = getWebhookDeliveries(2);
+        assert.deepEqual(
+            { id: latest.id, webhook_name: latest.webhook_name, event: latest.event, status: latest.status, attempts: latest.attempts, response_status: latest.response_status, last_error: latest.last_error },
+            { id: delivered, webhook_name: 'Log', event: 'webhook:test', status: 'delivered', attempts: 1, response_status: 200, last_error: null },
+        );
+        assert.ok(latest.delivered_at);
+        assert.deepEqual(
+            { id: previous.id, event: previous.event, status: previous.status, response_status: previous.response_status, last_error: previous.last_error },
+            { id: failed, event: 'signal:closed', status: 'failed', response_status: 500, last_error: 'HTTP 500' },
+        );
+        assert.equal(previous.delivered_at, null);
+        assert.equal(previous.payload, undefined);
+
+        // A manual retry re-queues the failed delivery
+        assert.equal(dispatcher.retry(failed), true);
+        await dispatcher.processDue();
+        assert.equal(getWebhookDelivery(failed).status, 'delivered');
+        assert.equal(dispatcher.retry(failed), false);
+    });
+});